@@ -0,0 +1,159 @@
+/**
+ * Marketing attribution — where a lead came from
+ * (migrations/2026-10-19-19-attribution.sql).
+ *
+ * Not a route. site-globals.js remembers how the visitor arrived and every
+ * /api/submit form sends it as `attribution`:
+ *
+ *   { first_touch: { utm_source, utm_medium, utm_campaign, utm_term,
+ *                    utm_content, gclid, fbclid, referrer, landing_page, at },
+ *     last_touch:  { … } }
+ *
+ * normalizeAttribution() keeps what it recognises, clipped to size, and adds
+ * each touch's source / medium / campaign:
+ *
+ *   utm_source given      → utm_source / utm_medium / utm_campaign
+ *   gclid                 → google / cpc
+ *   fbclid                → facebook / social
+ *   another site          → its host / organic (search engines), social or
+ *                           referral (anyone else, e.g. a funeral director)
+ *   nothing               → (direct) / (none)
+ *
+ * It never fails a submission: anything unreadable is simply left out. The
+ * result is stored on the enquiry and order (create_quote / create_enquiry),
+ * sent to GHL as contact fields and counted by attributionReport().
+ */
+
+import { orgOf } from "./org.js";
+import { LIMITS } from "./validate.js";
+
+export const TOUCHES = ["first_touch", "last_touch"];
+const PARAM_FIELDS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "gclid", "fbclid"];
+const URL_FIELDS = ["referrer", "landing_page"];
+const SEARCH_ENGINES = ["google", "bing", "duckduckgo", "yahoo", "ecosia", "baidu", "yandex"];
+const SOCIAL_SITES = ["facebook", "instagram", "linkedin", "pinterest", "tiktok", "youtube", "twitter", "x", "t"];
+
+// The submitted attribution as stored, or null if there's none to speak of.
+export function normalizeAttribution(env, raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const first = normalizeTouch(env, raw.first_touch);
+  const last = normalizeTouch(env, raw.last_touch);
+  if (!first && !last) return null;
+  return { first_touch: first || last, last_touch: last || first };
+}
+
+// Orders a partner creates came from the partner, whatever else is known.
+export function partnerAttribution(partner) {
+  const touch = {
+    source: "partner",
+    medium: "referral",
+    campaign: clip(partner.company || partner.name, LIMITS.short),
+    at: new Date().toISOString(),
+  };
+  return { first_touch: touch, last_touch: { ...touch } };
+}
+
+// GHL contact custom fields (upsertGHLContact's extraFields) for a lead.
+export function attributionGhlFields(attribution) {
+  if (!attribution) return [];
+  const first = attribution.first_touch || {};
+  const last = attribution.last_touch || {};
+  return [
+    last.source        ? { key: "lead_source",        field_value: last.source } : null,
+    last.medium        ? { key: "lead_medium",        field_value: last.medium } : null,
+    last.campaign      ? { key: "lead_campaign",      field_value: last.campaign } : null,
+    last.utm_term      ? { key: "utm_term",           field_value: last.utm_term } : null,
+    last.utm_content   ? { key: "utm_content",        field_value: last.utm_content } : null,
+    last.gclid         ? { key: "gclid",              field_value: last.gclid } : null,
+    last.fbclid        ? { key: "fbclid",             field_value: last.fbclid } : null,
+    last.referrer      ? { key: "referrer",           field_value: last.referrer } : null,
+    last.landing_page  ? { key: "landing_page",       field_value: last.landing_page } : null,
+    last.at            ? { key: "last_touch_at",      field_value: last.at } : null,
+    first.source       ? { key: "first_touch_source", field_value: [first.source, first.medium, first.campaign].filter(Boolean).join(" / ") } : null,
+    first.at           ? { key: "first_touch_at",     field_value: first.at } : null,
+  ].filter(Boolean);
+}
+
+// Leads, quotes, accepted orders and revenue per source / medium / campaign
+// for enquiries and orders created in [from, to). `touch` is "first_touch"
+// or "last_touch".
+export async function attributionReport(env, { from, to, touch = "last_touch" }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/attribution_report`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ p_org: env.SM_ORG_ID || null, p_from: from, p_to: to, p_touch: touch }),
+  });
+  if (!res.ok) throw new Error(`attribution_report RPC ${res.status}: ${await res.text()}`);
+  return (await res.json()).map(row => ({
+    source: row.source,
+    medium: row.medium,
+    campaign: row.campaign,
+    leads: Number(row.leads) || 0,
+    quotes: Number(row.quotes) || 0,
+    accepted: Number(row.accepted) || 0,
+    revenue: Number(row.revenue) || 0,
+  }));
+}
+
+function normalizeTouch(env, raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const touch = {};
+  for (const field of PARAM_FIELDS) {
+    const value = clip(raw[field], LIMITS.short);
+    if (value) touch[field] = value;
+  }
+  for (const field of URL_FIELDS) {
+    const value = clip(raw[field], LIMITS.url);
+    if (value) touch[field] = value;
+  }
+  // Our own pages aren't a referrer; the browser normally leaves them out.
+  if (touch.referrer && orgOf(env).hosts.some(h => h.replace(/^www\./, "") === hostOf(touch.referrer))) delete touch.referrer;
+  const at = new Date(typeof raw.at === "string" ? raw.at : NaN);
+  if (!Number.isNaN(at.getTime())) touch.at = at.toISOString();
+  if (Object.keys(touch).length === 0) return null;
+  return { ...touch, ...channelOf(touch) };
+}
+
+function channelOf(touch) {
+  if (touch.utm_source) {
+    return {
+      source: touch.utm_source.toLowerCase(),
+      medium: (touch.utm_medium || (touch.gclid ? "cpc" : "(none)")).toLowerCase(),
+      campaign: touch.utm_campaign || null,
+    };
+  }
+  if (touch.gclid) return { source: "google", medium: "cpc", campaign: touch.utm_campaign || null };
+  if (touch.fbclid) return { source: "facebook", medium: "social", campaign: touch.utm_campaign || null };
+  const host = touch.referrer ? hostOf(touch.referrer) : "";
+  if (host) {
+    const labels = host.split(".");
+    const medium = labels.some(l => SEARCH_ENGINES.includes(l)) ? "organic"
+      : labels.length <= 3 && SOCIAL_SITES.includes(labels[labels.length - 2]) ? "social"
+      : "referral";
+    return { source: host, medium, campaign: null };
+  }
+  return { source: "(direct)", medium: "(none)", campaign: null };
+}
+
+// "https://www.example.co.uk/page" → "example.co.uk"; "" if it isn't a URL.
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function clip(value, max) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, max) : null;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * ClickUp — the task board the office works from
+ * (migrations/2026-10-19-16-clickup-tasks.sql).
+ *
+ * Not a route. Every quote, enquiry and appointment gets a task
+ * (createClickUpTask, run through the outbox by /api/submit). Its id is kept
+ * on the enquiry and, for a quote, on the order, so:
+ *
+ *   - when the order moves on — a stage change or inscription update in the
+ *     admin, a payment through /api/stripe-webhook — the task's status and
+ *     custom fields are brought up to date (syncOrderTask, queued with
+ *     queueOrderTaskSync);
+ *   - closing the task in ClickUp marks the enquiry handled, and reopening
+ *     it undoes that (/api/clickup-webhook → applyClickUpEvent).
+ *
+ * Env vars:
+ *   CLICKUP_API_KEY        → personal or app token; no tasks without it
+ *   CLICKUP_LIST_ID        → list new tasks go in; the home organisation
+ *                            defaults to the original board (envDefaults in
+ *                            functions/_lib/org.js), every other one must set
+ *                            it, or tasks fail at creation
+ *   CLICKUP_LISTS          → optional per-kind lists, e.g.
+ *                            "quote=901…,enquiry=902…,appointment=903…";
+ *                            kinds not listed use CLICKUP_LIST_ID
+ *   CLICKUP_STATUS_MAP     → order stage = ClickUp status, e.g.
+ *                            "quote_received=to do,deposit_paid=in progress,
+ *                            completed=complete"; unmapped stages leave the
+ *                            status alone
+ *   CLICKUP_FIELDS         → order field = ClickUp custom field id, for
+ *                            text / number fields: stage, status, value,
+ *                            inscription_status, installation_date
+ *   CLICKUP_WEBHOOK_SECRET → secret ClickUp returned when the webhook was
+ *                            made; webhooks are refused without it
+ */
+
+const API_BASE = "https://api.clickup.com/api/v2";
+const TASK_KINDS = ["quote", "enquiry", "appointment"];
+// Keep in step with STAGE_KEYS in functions/api/admin.js.
+const STAGE_KEYS = ["quote_received", "deposit_paid", "design_in_progress", "proof_ready", "inscription_approved", "in_production", "installation_scheduled", "completed"];
+const ORDER_FIELDS = ["stage", "status", "value", "inscription_status", "installation_date"];
+// ClickUp status types that mean the task is finished.
+const CLOSED_TYPES = ["closed", "done"];
+
+export function clickupConfigured(env) {
+  return !!env.CLICKUP_API_KEY;
+}
+
+// The list a `kind` of task goes in, or null if none is configured.
+export function clickupListFor(env, kind) {
+  return parseMap(env.CLICKUP_LISTS, "CLICKUP_LISTS", TASK_KINDS)[kind] || env.CLICKUP_LIST_ID || null;
+}
+
+export function clickupStatusMap(env) {
+  return parseMap(env.CLICKUP_STATUS_MAP, "CLICKUP_STATUS_MAP", STAGE_KEYS);
+}
+
+export function clickupFieldMap(env) {
+  return parseMap(env.CLICKUP_FIELDS, "CLICKUP_FIELDS", ORDER_FIELDS);
+}
+
+// Creates the task for an enquiry (and its order, for a quote), unless the
+// enquiry already has one. Returns { taskId }.
+export async function createClickUpTask(env, { kind, name, description }, { enquiryId = null, orderId = null } = {}) {
+  if (!clickupConfigured(env)) return { taskId: null, skipped: "ClickUp not configured" };
+  const listId = clickupListFor(env, kind);
+  if (!listId) throw new Error(`No ClickUp list configured for ${kind || "tasks"} (CLICKUP_LIST_ID)`);
+
+  const enquiry = enquiryId ? await loadEnquiry(env, "id", enquiryId) : null;
+  if (enquiry?.clickup_task_id) return { taskId: enquiry.clickup_task_id };
+
+  const task = await clickupFetch(env, `/list/${encodeURIComponent(listId)}/task`, { method: "POST", body: { name, description } });
+  const link = { clickup_task_id: task.id };
+  if (enquiry) await patchRows(env, "enquiries", enquiry.id, link);
+  const linkedOrderId = orderId || enquiry?.order_id;
+  if (linkedOrderId) await patchRows(env, "orders", linkedOrderId, link);
+  return { taskId: task.id, listId };
+}
+
+// Queues syncOrderTask through the outbox (the clickup_sync job in
+// /api/submit's OUTBOX_HANDLERS). Returns the outbox ids.
+export async function queueOrderTaskSync(env, orderId, reason) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/enqueue_outbox`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_org: env.SM_ORG_ID || null,
+      p_jobs: [{ kind: "clickup_sync", label: `clickup sync (${reason})`, payload: { orderId, reason } }],
+      p_enquiry_id: null,
+      p_order_id: String(orderId),
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase enqueue_outbox ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// Brings the order's task up to date with the order as it is now: the
+// mapped status for its stage, and each configured custom field. Returns
+// what was sent, or { skipped }.
+export async function syncOrderTask(env, orderId) {
+  if (!clickupConfigured(env)) return { skipped: "ClickUp not configured" };
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=id,stage,status,value,inscription_status,installation_date,clickup_task_id&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase order lookup ${res.status}: ${await res.text()}`);
+  const order = (await res.json())[0];
+  if (!order?.clickup_task_id) return { skipped: "no ClickUp task" };
+  const taskPath = `/task/${encodeURIComponent(order.clickup_task_id)}`;
+
+  const sent = { taskId: order.clickup_task_id };
+  const status = clickupStatusMap(env)[order.stage];
+  if (status) {
+    await clickupFetch(env, taskPath, { method: "PUT", body: { status } });
+    sent.status = status;
+  }
+  const fields = clickupFieldMap(env);
+  for (const [field, fieldId] of Object.entries(fields)) {
+    const value = order[field] ?? null;
+    if (value === null) continue;
+    await clickupFetch(env, `${taskPath}/field/${encodeURIComponent(fieldId)}`, {
+      method: "POST",
+      body: { value: field === "value" ? Number(value) : String(value) },
+    });
+  }
+  sent.fields = Object.keys(fields).filter(field => order[field] != null);
+  return sent;
+}
+
+// ClickUp signs webhook bodies with HMAC-SHA256 of the raw body, hex, in
+// X-Signature.
+export async function verifyClickUpSignature(env, rawBody, signature) {
+  if (!env.CLICKUP_WEBHOOK_SECRET || !signature) return false;
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(env.CLICKUP_WEBHOOK_SECRET), { name: "HMAC", hash: "SHA-256" }, false, ["sign"],
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(rawBody));
+  const expected = Array.from(new Uint8Array(sig)).map(b => b.toString(16).padStart(2, "0")).join("");
+  return timingSafeEqual(expected, signature.toLowerCase());
+}
+
+// A status change on a task: closed → the enquiry is handled; reopened →
+// it's 'new' again. A deleted task is unlinked so nothing syncs to it.
+// Returns { outcome, enquiryId? }. Cancelled appointments stay cancelled.
+export async function applyClickUpEvent(env, event) {
+  const taskId = event.task_id;
+  if (!taskId) return { outcome: "ignored" };
+  const enquiry = await loadEnquiry(env, "clickup_task_id", taskId);
+
+  if (event.event === "taskDeleted") {
+    if (enquiry) await patchRows(env, "enquiries", enquiry.id, { clickup_task_id: null });
+    await patchWhere(env, "orders", `clickup_task_id=eq.${encodeURIComponent(taskId)}`, { clickup_task_id: null });
+    return { outcome: "unlinked", enquiryId: enquiry?.id || null };
+  }
+  if (event.event !== "taskStatusUpdated") return { outcome: "ignored" };
+  if (!enquiry) return { outcome: "no_enquiry" };
+  if (enquiry.status === "cancelled") return { outcome: "unchanged", enquiryId: enquiry.id };
+
+  const change = (event.history_items || []).find(item => item.field === "status") || (event.history_items || [])[0];
+  const closed = CLOSED_TYPES.includes(String(change?.after?.type || "").toLowerCase());
+  if (closed && enquiry.status !== "handled") {
+    await patchRows(env, "enquiries", enquiry.id, { status: "handled", handled_at: new Date().toISOString() });
+    return { outcome: "handled", enquiryId: enquiry.id };
+  }
+  if (!closed && enquiry.status === "handled") {
+    await patchRows(env, "enquiries", enquiry.id, { status: "new", handled_at: null });
+    return { outcome: "reopened", enquiryId: enquiry.id };
+  }
+  return { outcome: "unchanged", enquiryId: enquiry.id };
+}
+
+// "a=1,b=2" → { a: "1", b: "2" }, keeping only `allowed` keys. Values may
+// contain spaces (ClickUp statuses do). Bad entries are logged and dropped.
+function parseMap(spec, name, allowed) {
+  const map = {};
+  for (const token of String(spec || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const at = token.indexOf("=");
+    const key = at > 0 ? token.slice(0, at).trim() : "";
+    const value = at > 0 ? token.slice(at + 1).trim() : "";
+    if (!allowed.includes(key) || !value) {
+      console.error(`[clickup] ignoring ${name} entry "${token}"`);
+      continue;
+    }
+    map[key] = value;
+  }
+  return map;
+}
+
+async function loadEnquiry(env, column, value) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/enquiries?${column}=eq.${encodeURIComponent(value)}&select=id,status,order_id,clickup_task_id&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase enquiry lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0] || null;
+}
+
+async function patchRows(env, table, id, patch) {
+  return patchWhere(env, table, `id=eq.${encodeURIComponent(id)}`, patch);
+}
+
+async function patchWhere(env, table, filter, patch) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${filter}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) throw new Error(`Supabase ${table} update ${res.status}: ${await res.text()}`);
+}
+
+async function clickupFetch(env, path, { method, body }) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { "Authorization": env.CLICKUP_API_KEY, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`ClickUp ${method} ${path} ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
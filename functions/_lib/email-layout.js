@@ -0,0 +1,254 @@
+/**
+ * The branded email shell and the building blocks every template is made of.
+ *
+ * Not a route. Templates live in functions/_lib/email-templates.js; this file
+ * only knows how an email looks — charcoal header with the bronze badge, white
+ * card, cream panels, footer — so a branding or contact change happens here
+ * once.
+ *
+ * Markup is written with the `html` tag, which escapes every interpolated
+ * value unless it is itself `html` (or `raw`) output:
+ *
+ *   html`<p>Dear ${name},</p>${rows.map(r => html`<li>${r}</li>`)}`
+ *
+ * so customer input can't inject markup and templates don't need their own
+ * esc() helpers.
+ */
+
+import { DEFAULT_ORG } from "./org.js";
+
+// The brand in the header, footer and links. renderEmail swaps in the
+// sending organisation's for the duration of a render (withBrand); renders
+// are synchronous, so one request's brand can't leak into another's.
+export let BRAND = brandOf(DEFAULT_ORG);
+
+export function brandOf(org) {
+  return { name: org.name, shortName: org.shortName, phone: org.phone, email: org.email, site: org.siteUrl, area: org.area };
+}
+
+export function withBrand(brand, render) {
+  const previous = BRAND;
+  BRAND = brand;
+  try {
+    return render();
+  } finally {
+    BRAND = previous;
+  }
+}
+
+const COLOURS = {
+  charcoal: "#2C2C2C",
+  ink: "#1A1A1A",
+  bronze: "#8B7355",
+  cream: "#FAF8F5",
+  stone: "#F5F3F0",
+  border: "#E0DCD5",
+  rule: "#F0EDE8",
+  muted: "#555555",
+  faint: "#999999",
+  success: "#4CAF50",
+};
+
+const SERIF = "Georgia,Times New Roman,serif";
+const SANS = "Arial,Helvetica,sans-serif";
+
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+// Tagged template: strings are trusted, interpolations are escaped unless
+// they are SafeHtml. Arrays are joined; null / undefined / false render as "".
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => { out += htmlValue(value) + strings[i + 1]; });
+  return new SafeHtml(out);
+}
+
+// Already-safe markup (e.g. a trusted constant). Never pass user input.
+export function raw(markup) {
+  return new SafeHtml(String(markup ?? ""));
+}
+
+export function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function htmlValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(htmlValue).join("");
+  return escapeHtml(value);
+}
+
+// ==================== LAYOUT ====================
+/**
+ * A complete email document. `audience` picks the footer: customers get the
+ * dark sign-off footer, staff notifications the light one. `badge` is the
+ * label in the header ("New Quote"); `badgeColour` overrides the bronze.
+ */
+export function layout({ audience = "customer", badge = null, badgeColour = COLOURS.bronze, content }) {
+  const footer = audience === "staff"
+    ? html`<tr><td style="background-color:${COLOURS.stone};border-top:1px solid ${COLOURS.border};padding:14px 28px;text-align:center;">
+        <span style="font-size:11px;color:#BBBBBB;font-family:${SANS};">${BRAND.name} &middot; ${BRAND.area} &middot; <a href="mailto:${BRAND.email}" style="color:#BBBBBB;text-decoration:none;">${BRAND.email}</a></span>
+      </td></tr>`
+    : html`<tr><td style="background-color:${COLOURS.ink};padding:16px 28px;text-align:center;">
+        <span style="font-size:11px;color:rgba(255,255,255,0.45);font-family:${SANS};">${BRAND.name} &middot; ${BRAND.area} &middot; ${BRAND.phone} &middot; <a href="mailto:${BRAND.email}" style="color:rgba(255,255,255,0.45);text-decoration:none;">${BRAND.email}</a></span>
+      </td></tr>`;
+  return String(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background-color:${COLOURS.stone};font-family:${SANS};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:${COLOURS.stone};padding:24px 0;">
+  <tr><td align="center">
+    <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" style="max-width:600px;width:100%;background-color:#ffffff;border-radius:10px;overflow:hidden;">
+      <tr><td style="background-color:${COLOURS.charcoal};padding:18px 28px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0"><tr>
+          <td style="font-family:${SERIF};font-size:18px;color:#ffffff;">${wordmark()}</td>
+          ${badge ? html`<td align="right"><span style="background-color:${badgeColour};color:#ffffff;padding:5px 12px;border-radius:3px;font-size:11px;font-weight:700;letter-spacing:0.06em;text-transform:uppercase;font-family:${SANS};">${badge}</span></td>` : ""}
+        </tr></table>
+      </td></tr>
+      <tr><td style="padding:28px 28px 8px;font-family:${SANS};">
+        ${content}
+      </td></tr>
+      <tr><td style="height:20px;font-size:0;line-height:0;">&nbsp;</td></tr>
+      ${footer}
+    </table>
+  </td></tr>
+</table>
+</body></html>`);
+}
+
+// ==================== BLOCKS ====================
+// "Sears Melvin Memorials" → Sears Melvin, then "Memorials" lighter.
+function wordmark() {
+  const rest = BRAND.name.startsWith(BRAND.shortName) ? BRAND.name.slice(BRAND.shortName.length).trim() : "";
+  return rest
+    ? html`${BRAND.shortName} <span style="opacity:0.55;font-weight:300;">${rest}</span>`
+    : html`${BRAND.name}`;
+}
+
+export function heading(text, { sub = null } = {}) {
+  return html`<h2 style="font-family:${SERIF};font-size:22px;color:${COLOURS.charcoal};font-weight:normal;margin:0 0 ${sub ? "4px" : "14px"};">${text}</h2>
+    ${sub ? html`<p style="color:#AAAAAA;font-size:12px;margin:0 0 18px;font-family:${SANS};">${sub}</p>` : ""}`;
+}
+
+export function paragraph(content, { muted = false, small = false } = {}) {
+  return html`<p style="color:${muted ? "#888888" : COLOURS.muted};font-size:${small ? "13px" : "15px"};line-height:1.7;margin:0 0 16px;font-family:${SANS};">${content}</p>`;
+}
+
+export function sectionLabel(text) {
+  return html`<p style="font-size:10px;letter-spacing:0.08em;text-transform:uppercase;color:${COLOURS.bronze};font-weight:700;margin:18px 0 10px;font-family:${SANS};">${text}</p>`;
+}
+
+// Label / value rows. Rows with an empty value are left out, so optional
+// fields can be listed unconditionally.
+export function details(rows) {
+  const kept = rows.filter(([, value]) => value !== null && value !== undefined && value !== "" && value !== false);
+  if (kept.length === 0) return "";
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="font-size:13px;font-family:${SANS};margin:0 0 8px;">
+    ${kept.map(([label, value], i) => html`<tr>
+      <td ${i === 0 ? raw('width="130"') : ""} style="padding:5px 0;color:${COLOURS.faint};vertical-align:top;">${label}</td>
+      <td style="padding:5px 0;color:${COLOURS.ink};">${value}</td>
+    </tr>`)}
+  </table>`;
+}
+
+export function panel(content, { accent = null } = {}) {
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 16px;">
+    <tr><td style="background-color:${COLOURS.cream};border-radius:6px;${accent ? html`border-left:3px solid ${accent === true ? COLOURS.bronze : accent};` : ""}padding:14px 16px;font-size:13px;color:${COLOURS.muted};line-height:1.7;font-family:${SANS};">${content}</td></tr>
+  </table>`;
+}
+
+// Free text from a customer, shown verbatim with its line breaks.
+export function messageBox(text, { serif = false } = {}) {
+  if (!text) return "";
+  const body = String(text).split("\n").map((line, i) => html`${i ? raw("<br>") : ""}${line}`);
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 16px;">
+    <tr><td style="background-color:${COLOURS.stone};border-radius:6px;padding:14px 16px;font-size:13px;color:${COLOURS.ink};line-height:1.7;font-family:${serif ? SERIF : SANS};${serif ? "font-style:italic;" : ""}">${body}</td></tr>
+  </table>`;
+}
+
+export function notice(content) {
+  return html`<p style="background-color:#FFF3CD;color:#856404;border-radius:6px;padding:10px 14px;font-size:13px;margin:0 0 16px;font-family:${SANS};">${content}</p>`;
+}
+
+export function button(href, label) {
+  return html`<p style="margin:20px 0 24px;"><a href="${href}" style="display:inline-block;background-color:${COLOURS.charcoal};color:#ffffff;padding:13px 28px;border-radius:6px;font-size:15px;font-weight:600;text-decoration:none;font-family:${SANS};">${label}</a></p>`;
+}
+
+export function textLink(href, label) {
+  return html`<a href="${href}" style="color:${COLOURS.bronze};font-weight:600;text-decoration:none;">${label} &rarr;</a>`;
+}
+
+export function mailto(address) {
+  return address ? html`<a href="mailto:${address}" style="color:${COLOURS.bronze};text-decoration:none;">${address}</a>` : "";
+}
+
+export function bulletList(items) {
+  return html`<ul style="margin:0;padding:0 0 0 18px;font-size:13px;">${items.map(item => html`<li style="padding:3px 0;color:${COLOURS.ink};">${item}</li>`)}</ul>`;
+}
+
+export function divider() {
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:8px 0 4px;"><tr><td style="border-top:1px solid ${COLOURS.border};font-size:0;line-height:0;">&nbsp;</td></tr></table>`;
+}
+
+export function signOff() {
+  return html`<p style="color:#888888;font-size:13px;margin:8px 0 16px;line-height:1.7;font-family:${SANS};">With care,<br><strong style="color:${COLOURS.charcoal};">The ${BRAND.shortName} Team</strong></p>`;
+}
+
+// A swatch + name for a stone colour.
+export function swatch(hex, label) {
+  return html`<span style="display:inline-block;width:10px;height:10px;border-radius:50%;background-color:${hex};vertical-align:middle;margin-right:5px;border:1px solid rgba(0,0,0,0.15);"></span>${label}`;
+}
+
+/**
+ * Card with a coloured edge — the memorial summary in quote emails.
+ * `rows` go under the title; `footer` is anything after them (the price table).
+ */
+export function accentCard({ colour = COLOURS.bronze, eyebrow, title, image = null, rows = [], footer = "" }) {
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border:1px solid ${COLOURS.border};border-radius:8px;border-collapse:separate;margin:0 0 18px;">
+    <tr>
+      <td width="6" style="background-color:${colour};border-radius:8px 0 0 8px;">&nbsp;</td>
+      <td style="padding:18px 20px;">
+        <p style="font-size:10px;letter-spacing:0.1em;text-transform:uppercase;color:${COLOURS.bronze};font-weight:700;margin:0 0 6px;font-family:${SANS};">${eyebrow}</p>
+        <p style="font-family:${SERIF};font-size:20px;color:${COLOURS.charcoal};margin:0 0 14px;">${title}</p>
+        ${image ? html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom:16px;">
+          <tr><td align="center" style="background-color:${COLOURS.stone};border:1px solid ${COLOURS.border};border-radius:6px;padding:12px;">
+            <img src="${image.src}" alt="${image.alt}" width="360" style="display:block;width:100%;max-width:360px;height:auto;" />
+          </td></tr>
+        </table>` : ""}
+        ${details(rows)}
+        ${footer}
+      </td>
+    </tr>
+  </table>`;
+}
+
+// Item / price table with a shaded total row. `lines`: [{ label, amount }],
+// where amount is a preformatted string ("£1,250", "+£95", "—").
+export function priceTable(lines, total) {
+  const cell = `padding:8px 10px;color:${COLOURS.muted};border-bottom:1px solid ${COLOURS.rule};`;
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="font-size:13px;font-family:${SANS};margin-top:14px;border-top:1px solid ${COLOURS.border};">
+    ${lines.map(line => html`<tr>
+      <td style="${cell}">${line.label}</td>
+      <td align="right" style="${cell}white-space:nowrap;">${line.amount}</td>
+    </tr>`)}
+    <tr style="background-color:${COLOURS.stone};">
+      <td style="padding:9px 10px;color:${COLOURS.charcoal};font-weight:700;">${total.label}</td>
+      <td align="right" style="padding:9px 10px;color:${COLOURS.charcoal};font-weight:700;font-size:15px;white-space:nowrap;">${total.amount}</td>
+    </tr>
+  </table>`;
+}
+
+export function smallPrint(content) {
+  return html`<p style="font-size:11px;color:${COLOURS.faint};margin:6px 0 12px;font-family:${SANS};">${content}</p>`;
+}
+
+export function successTick() {
+  return html`<p style="margin:0 0 16px;"><span style="display:inline-block;width:52px;height:52px;line-height:52px;background-color:${COLOURS.success};border-radius:50%;color:#ffffff;font-size:28px;text-align:center;">&#10003;</span></p>`;
+}
+
+export const BADGE_SUCCESS = COLOURS.success;
@@ -0,0 +1,1126 @@
+/**
+ * Email template registry — every email the site sends, by name.
+ *
+ * Not a route. A template declares:
+ *
+ *   audience   "customer" | "staff" (picks the footer; only customer
+ *              templates can be reworded from the admin)
+ *   variables  a functions/_lib/validate.js schema for what callers pass in
+ *   sample     example variables for the admin preview
+ *   context    optional (vars) → derived values (firstName, productName, …)
+ *   subject    subject line with {{placeholders}}
+ *   copy       editable wording: { key: { label, text } }
+ *   render     (values, t) → HTML via functions/_lib/email-layout.js, where
+ *              t.copy(key) renders a copy block as paragraphs and
+ *              t.line(key) inline (headings, panel text)
+ *
+ * Staff edit subjects and copy in the admin Email Templates tab; their
+ * version is stored in public.email_template_copy and read at send time, so
+ * no deploy is needed. Copy is plain text: a blank line starts a paragraph,
+ * **double asterisks** make bold, and {{name}} inserts a value (escaped).
+ * Anything structural — tables, prices, links — stays in code.
+ *
+ *   const { subject, html, text } = await renderEmail(env, "quoteCustomer", vars);
+ *   await sendTemplateEmail(env, "portalLink", vars, { to });
+ *
+ * `text` is the plain-text alternative, generated from the HTML.
+ */
+
+import {
+  BADGE_SUCCESS, BRAND, accentCard, brandOf, bulletList, button, details, divider, escapeHtml, heading, html,
+  layout, mailto, messageBox, notice, panel, paragraph, priceTable, raw, sectionLabel, signOff,
+  smallPrint, successTick, swatch, textLink, withBrand,
+} from "./email-layout.js";
+import { htmlToText, sendMail } from "./mail.js";
+import { orgOf } from "./org.js";
+import { quoteItems } from "./pricing.js";
+import { londonNow } from "./schedule.js";
+import { validate } from "./validate.js";
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+const COPY_MAX = 2000;
+
+// Available as {{placeholders}} in every template; from the brand being
+// rendered (functions/_lib/email-layout.js).
+function globals() {
+  return {
+    businessName: BRAND.name,
+    businessShortName: BRAND.shortName,
+    businessPhone: BRAND.phone,
+    businessEmail: BRAND.email,
+    siteUrl: BRAND.site,
+    siteHost: new URL(BRAND.site).host,
+  };
+}
+
+// ==================== SHARED PIECES ====================
+const PRODUCT = { type: "object" };
+const SAMPLE_PRODUCT = {
+  name: "Classic Ogee Headstone",
+  type: "Headstone",
+  colour: "Black Galaxy",
+  size: "24\" x 36\"",
+  font: "traditional",
+  letterColour: "gold",
+  inscription: "In loving memory of\nRose Adler\n1938 – 2026",
+  image: "/images/products/classic-ogee.jpg",
+  price: "1850",
+  permit_fee: "220",
+  addonLineItems: [{ name: "Vase", price: "95" }, { name: "Photo plaque", price: "150" }],
+};
+
+function firstNameOf(name) {
+  return String(name || "").trim().split(/\s+/)[0] || "there";
+}
+
+function money(n) {
+  return `£${(parseFloat(n) || 0).toLocaleString("en-GB", { maximumFractionDigits: 0 })}`;
+}
+
+function formatEnquiryTypeLabel(slug) {
+  if (!slug) return "General";
+  return String(slug).replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// "18 November 2026" from a YYYY-MM-DD date.
+function longDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function capitalise(str) {
+  return str ? str.charAt(0).toUpperCase() + str.slice(1) : str;
+}
+
+// Product images are stored site-relative; email clients need absolute URLs.
+function productImage(product) {
+  const src = String(product.image || "").trim();
+  if (!src) return null;
+  const url = /^(https?:|data:)/.test(src) ? src : `${BRAND.site}${src.startsWith("/") ? "" : "/"}${src}`;
+  return { src: url, alt: product.name || "Memorial" };
+}
+
+// The memorial summary card shared by the business and customer quote emails.
+function quoteCard({ product, stoneHex, location, eyebrow }) {
+  if (quoteItems(product)) return quoteItemsCard({ product, location, eyebrow });
+  const addons = Array.isArray(product.addonLineItems) && product.addonLineItems.length > 0
+    ? product.addonLineItems
+    : Array.isArray(product.addons) ? product.addons.map(name => ({ name, price: null })) : [];
+  const total = parseFloat(product.price) || 0;
+  const permitFee = parseFloat(product.permit_fee) || 0;
+  const addonTotal = addons.reduce((s, a) => s + (parseFloat(a.price) || 0), 0);
+  const lines = [
+    { label: `${product.name || "Memorial"} (inc. installation)`, amount: money(Math.max(0, total - addonTotal)) },
+    ...addons.filter(a => parseFloat(a.price) > 0).map(a => ({ label: a.name, amount: `+${money(a.price)}` })),
+    ...addons.filter(a => !(parseFloat(a.price) > 0) && a.name).map(a => ({ label: a.name, amount: "—" })),
+    ...(permitFee > 0 ? [{ label: "Cemetery Permit Fee", amount: `+${money(permitFee)}` }] : []),
+  ];
+  const inscription = String(product.inscription || "").trim();
+  return accentCard({
+    colour: stoneHex || "#8B7355",
+    eyebrow,
+    title: product.name || "—",
+    image: productImage(product),
+    rows: [
+      ["Type", product.type || "—"],
+      ["Stone colour", swatch(stoneHex || "#8B7355", product.colour || "—")],
+      ["Size", product.size],
+      ["Font", product.font ? (product.font === "script" ? "Script" : "Traditional") : null],
+      ["Lettering colour", capitalise(product.letterColour)],
+      ["Cemetery", location],
+    ],
+    footer: html`${priceTable(lines, { label: "Guide total (installed)", amount: money(total + permitFee) })}
+      ${permitFee <= 0 ? smallPrint("*Permit fee not yet determined — varies by cemetery") : ""}
+      ${inscription ? html`<div style="margin-top:12px;">${messageBox(inscription, { serif: true })}</div>` : ""}`,
+  });
+}
+
+// A quote for several memorials (from the shortlist): a price line for each,
+// the permit fee once. Items the catalogue didn't know are priced later.
+function quoteItemsCard({ product, location, eyebrow }) {
+  const items = quoteItems(product);
+  const total = parseFloat(product.price) || 0;
+  const permitFee = parseFloat(product.permit_fee) || 0;
+  const lines = [
+    ...items.map(item => ({
+      label: `${item.name || "Memorial"} (inc. installation)`,
+      amount: item.unpriced ? "To be confirmed" : money(item.price),
+    })),
+    ...(permitFee > 0 ? [{ label: "Cemetery Permit Fee", amount: `+${money(permitFee)}` }] : []),
+  ];
+  return accentCard({
+    eyebrow,
+    title: product.name || "—",
+    image: productImage(items.find(item => item.image) || {}),
+    rows: [
+      ["Memorials", String(items.length)],
+      ["Cemetery", location],
+    ],
+    footer: html`${priceTable(lines, { label: "Guide total (installed)", amount: money(total + permitFee) })}
+      ${items.some(item => item.unpriced) ? smallPrint("Items marked “To be confirmed” will be priced by our team and aren't in the total yet.") : ""}
+      ${permitFee <= 0 ? smallPrint("*Permit fee not yet determined — varies by cemetery") : ""}`,
+  });
+}
+
+function enquiryRows({ enquiry_type, location, grave_number, contact_pref, photo_urls }) {
+  const contactPrefLabels = { email: "Email", phone: "Phone call", appointment: "Appointment", sms: "Text message", whatsapp: "WhatsApp" };
+  const photos = Array.isArray(photo_urls) ? photo_urls.length : 0;
+  return [
+    ["Enquiry type", enquiry_type ? formatEnquiryTypeLabel(enquiry_type) : null],
+    ["Cemetery", location],
+    ["Grave", grave_number],
+    ["Preferred reply", contact_pref ? contactPrefLabels[contact_pref] || contact_pref : null],
+    ["Photos attached", photos ? `${photos} file${photos === 1 ? "" : "s"}` : null],
+  ];
+}
+
+// Two-column grid of clickable photo thumbnails for the office. `photos` are
+// { thumb, full } signed URLs: the thumbnail shows, the link opens the full one.
+function photoGallery(photos) {
+  if (!Array.isArray(photos) || photos.length === 0) return "";
+  const cells = photos.map(photo => html`<td width="50%" valign="top" style="padding:6px;">
+    <a href="${photo.full}" target="_blank" rel="noopener" style="display:block;"><img src="${photo.thumb}" alt="Enquiry photo" width="260" style="display:block;width:100%;max-width:260px;height:auto;border:1px solid #E0DCD5;border-radius:6px;" /></a>
+  </td>`);
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 2) rows.push(html`<tr>${cells[i]}${cells[i + 1] || raw('<td width="50%">&nbsp;</td>')}</tr>`);
+  return html`${sectionLabel("Photos attached")}
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">${rows}</table>
+    ${smallPrint("Click any photo to open the full-size image. Links expire in 12 months.")}`;
+}
+
+function appointmentPanel(when, typeLabel) {
+  return panel(html`<strong style="color:#2C2C2C;">${when}</strong><br>${typeLabel}`, { accent: true });
+}
+
+function trackUrlFor(manageToken) {
+  return `${BRAND.site}/track?appointment=${encodeURIComponent(manageToken)}`;
+}
+
+function memorialUrl(slug) {
+  return slug ? `${BRAND.site}/memorials/${encodeURIComponent(slug)}` : null;
+}
+
+// ==================== TEMPLATES ====================
+export const EMAIL_TEMPLATES = {
+  // ---------- Quotes ----------
+  quoteBusiness: {
+    audience: "staff",
+    description: "New quote request, to the office.",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string", required: true },
+      phone: { type: "string" },
+      location: { type: "string" },
+      message: { type: "string" },
+      product: { ...PRODUCT, required: true },
+      stoneHex: { type: "string" },
+      submittedAt: { type: "string" },
+      editToken: { type: "string" },
+      quoteRef: { type: "string" },
+    },
+    sample: {
+      name: "Rachel Adler", email: "rachel@example.com", phone: "+447700900123", location: "Bushey Jewish Cemetery",
+      message: "Could we have the inscription in Hebrew as well?", product: SAMPLE_PRODUCT, stoneHex: "#1a1a1a",
+      submittedAt: "19 Oct 2026, 10:42", quoteRef: "QT-0042",
+    },
+    context: v => ({ productName: v.product.name || "Memorial" }),
+    subject: "New Quote Request — {{productName}} — {{name}}",
+    render: v => layout({
+      audience: "staff",
+      badge: "New Quote",
+      content: html`${heading("New Quote Request", { sub: [v.quoteRef, v.submittedAt ? `Received ${v.submittedAt}` : null].filter(Boolean).join(" · ") || null })}
+        ${v.product.pricing?.unpriced ? notice(html`<strong>To price:</strong> ${v.product.pricing.unpriced} of these memorials ${v.product.pricing.unpriced === 1 ? "isn't" : "aren't"} in the catalogue, so the customer's quote shows “To be confirmed” for ${v.product.pricing.unpriced === 1 ? "it" : "them"}.`) : ""}
+        ${v.product.pricing?.mismatch ? notice(html`<strong>Price check:</strong> the customer's page showed ${money(v.product.pricing.client_total)}${v.product.pricing.client_permit_fee ? ` + ${money(v.product.pricing.client_permit_fee)} permit` : ""}. The figures below are the catalogue price.`) : ""}
+        ${quoteCard({ product: v.product, stoneHex: v.stoneHex, eyebrow: "Memorial Configuration" })}
+        ${divider()}
+        ${sectionLabel("Customer")}
+        ${details([
+          ["Name", html`<strong>${v.name}</strong>`],
+          ["Email", mailto(v.email)],
+          ["Phone", v.phone || "Not provided"],
+          ["Cemetery", v.location || "Not provided"],
+        ])}
+        ${v.message ? html`${sectionLabel("Customer Notes")}${messageBox(v.message)}` : ""}`,
+    }),
+  },
+
+  quoteCustomer: {
+    audience: "customer",
+    description: "Confirmation to the customer after a quote request (PDF attached when available).",
+    variables: {
+      firstName: { type: "string" },
+      product: { ...PRODUCT, required: true },
+      stoneHex: { type: "string" },
+      location: { type: "string" },
+      editToken: { type: "string" },
+      email: { type: "string" },
+      hasPdf: { type: "boolean" },
+      validUntil: { type: "date" },
+      quoteRef: { type: "string" },
+    },
+    sample: {
+      firstName: "Rachel", product: SAMPLE_PRODUCT, stoneHex: "#1a1a1a", location: "Bushey Jewish Cemetery",
+      editToken: "sample-edit-token", email: "rachel@example.com", hasPdf: true, validUntil: "2026-11-18",
+      quoteRef: "QT-0042",
+    },
+    context: v => ({
+      firstName: v.firstName || "there",
+      productName: v.product.name || "memorial",
+      expiryDate: v.validUntil ? longDate(v.validUntil) : "",
+      quoteRef: v.quoteRef || "",
+    }),
+    subject: "Your quote — {{productName}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Thank you, {{firstName}}." },
+      intro: { label: "Introduction", text: "We've received your quote request for the **{{productName}}** and our team will be in touch within 24 hours." },
+      nextSteps: { label: "What happens next", text: "**What happens next?** There's nothing more you need to do right now — our team will be in touch within 24 hours to talk through your memorial. If you'd like to reach us sooner, just reply to this email or give us a call." },
+      pdfNote: { label: "PDF attached note", text: "A printable PDF copy of your quote is attached to share with family or your funeral director." },
+      validity: { label: "Valid until note", text: "The prices in this quote are held until **{{expiryDate}}**." },
+      editPrompt: { label: "Edit quote prompt", text: "Changed your mind about colour, size, or extras? You can update your quote at any time:" },
+      closing: { label: "Closing", text: "If you have any urgent questions, please call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Quote Request",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${quoteCard({ product: v.product, stoneHex: v.stoneHex, location: v.location, eyebrow: "Your Order Summary" })}
+        ${v.expiryDate ? t.copy("validity", { small: true }) : ""}
+        ${panel(html`${t.line("nextSteps")}${v.hasPdf ? html` ${t.line("pdfNote")}` : ""}`, { accent: true })}
+        ${v.editToken ? panel(html`${t.line("editPrompt")}<br>${textLink(`${BRAND.site}/quote?token=${encodeURIComponent(v.editToken)}`, "Edit Your Quote")}`) : ""}
+        ${v.email ? smallPrint(html`<a href="${BRAND.site}/quote?email=${encodeURIComponent(v.email)}" style="color:#8B7355;text-decoration:none;">View all your quotes</a> &middot; ${v.quoteRef ? `Quote reference ${v.quoteRef}` : "Quote reference available in your account"}`) : ""}
+        ${t.copy("closing", { small: true })}
+        ${signOff()}`,
+    }),
+  },
+
+  quoteUpdatedBusiness: {
+    audience: "staff",
+    description: "A customer changed their quote from the quote page, to the office.",
+    variables: {
+      name: { type: "string" },
+      email: { type: "string" },
+      productName: { type: "string", required: true },
+      productSlug: { type: "string" },
+      changes: { type: "array", items: { type: "string" } },
+    },
+    sample: {
+      name: "Rachel Adler", email: "rachel@example.com", productName: "Classic Ogee Headstone",
+      productSlug: "classic-ogee-headstone", changes: ["Stone colour: Black → Vizag Blue", "Added: Vase"],
+    },
+    context: v => ({ customer: v.name || v.email || "customer" }),
+    subject: "Quote updated by customer — {{customer}}",
+    render: v => layout({
+      audience: "staff",
+      badge: "Quote Updated",
+      content: html`${heading("Customer Updated Their Quote")}
+        ${details([
+          ["Customer", html`<strong>${v.name || "—"}</strong>`],
+          ["Email", v.email ? mailto(v.email) : "—"],
+          ["Memorial", html`${v.productName}${memorialUrl(v.productSlug) ? html` &middot; ${textLink(memorialUrl(v.productSlug), "View product")}` : ""}`],
+        ])}
+        ${panel(html`${sectionLabel("Changes Made")}${bulletList(v.changes || [])}`)}`,
+    }),
+  },
+
+  quoteUpdatedCustomer: {
+    audience: "customer",
+    description: "Confirmation to the customer after they change their quote.",
+    variables: {
+      firstName: { type: "string" },
+      productName: { type: "string", required: true },
+      productSlug: { type: "string" },
+      changes: { type: "array", items: { type: "string" } },
+    },
+    sample: {
+      firstName: "Rachel", productName: "Classic Ogee Headstone", productSlug: "classic-ogee-headstone",
+      changes: ["Stone colour: Black → Vizag Blue", "Added: Vase"],
+    },
+    context: v => ({ firstName: v.firstName || "there" }),
+    subject: "Your quote has been updated — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Quote updated, {{firstName}}." },
+      intro: { label: "Introduction", text: "We've received your changes to your **{{productName}}** quote. Our team will review the updates and be in touch if anything needs adjusting." },
+    },
+    render: (v, t) => layout({
+      badge: "Quote Updated",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${memorialUrl(v.productSlug) ? paragraph(textLink(memorialUrl(v.productSlug), "View this memorial on our website"), { small: true }) : ""}
+        ${panel(html`${sectionLabel("What changed")}${bulletList(v.changes || [])}`)}
+        ${signOff()}`,
+    }),
+  },
+
+  quoteFollowUp: {
+    audience: "customer",
+    description: "Follow-up on a quote nobody has acted on (sent by the cron on each follow-up day).",
+    variables: {
+      firstName: { type: "string" },
+      productName: { type: "string" },
+      value: { type: "number" },
+      validUntil: { type: "date" },
+      editToken: { type: "string", required: true },
+      stage: { type: "enum", values: ["first", "middle", "final"], required: true },
+    },
+    sample: {
+      firstName: "Rachel", productName: "Classic Ogee Headstone", value: 2450, validUntil: "2026-11-18",
+      editToken: "sample-edit-token", stage: "first",
+    },
+    context: v => ({
+      firstName: v.firstName || "there",
+      productName: v.productName || "memorial",
+      guideTotal: v.value ? money(v.value) : "",
+      expiryDate: v.validUntil ? longDate(v.validUntil) : "",
+      // Worked out when the email is rendered, which may be after it was queued.
+      expired: !!v.validUntil && londonNow().date > v.validUntil,
+    }),
+    subject: "Your {{productName}} quote — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Thinking it over, {{firstName}}?" },
+      first: { label: "First follow-up", text: "A few days ago you asked us for a quote for the **{{productName}}**. There's no rush at all — we know these decisions take time, and often involve the whole family. Your quote is saved, and you can look at it again or change anything whenever you're ready." },
+      middle: { label: "Middle follow-ups", text: "We wanted to check in about your **{{productName}}** quote. If you have questions about stone, lettering or cemetery rules, we're very happy to talk them through — or you can adjust the quote yourself at any time." },
+      final: { label: "Last follow-up", text: "This is our last note about your **{{productName}}** quote. It stays saved should you want to come back to it, and we're here whenever you need us." },
+      validity: { label: "Valid until note", text: "The prices in your quote are held until **{{expiryDate}}**." },
+      lapsed: { label: "Expired quote note", text: "The prices in your quote were held until {{expiryDate}}. You can renew it at today's prices from your quote page whenever you're ready." },
+      closing: { label: "Closing", text: "Reply to this email or call us on **{{businessPhone}}** and we'll help however we can. If you'd rather we didn't follow up, just let us know." },
+    },
+    render: (v, t) => layout({
+      badge: "Your Quote",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy(v.stage)}
+        ${v.value ? panel(html`${sectionLabel("Your quote")}${details([
+          ["Memorial", v.productName],
+          ["Guide total", html`<strong>${money(v.value)}</strong>`],
+          ["Valid until", v.expiryDate || null],
+        ])}`, { accent: true }) : ""}
+        ${v.expiryDate ? t.copy(v.expired ? "lapsed" : "validity") : ""}
+        ${button(`${BRAND.site}/quote?token=${encodeURIComponent(v.editToken)}`, "View or update your quote")}
+        ${t.copy("closing")}
+        ${signOff()}`,
+    }),
+  },
+
+  // ---------- Enquiries ----------
+  enquiryBusiness: {
+    audience: "staff",
+    description: "New contact-form enquiry, to the office (with photo thumbnails).",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string", required: true },
+      phone: { type: "string" },
+      message: { type: "string" },
+      enquiry_type: { type: "string" },
+      grave_number: { type: "string" },
+      location: { type: "string" },
+      contact_pref: { type: "string" },
+      photo_urls: { type: "array" },
+      photos: { type: "array" },
+      submittedAt: { type: "string" },
+    },
+    sample: {
+      name: "David Cohen", email: "david@example.com", phone: "+447700900456", enquiry_type: "renovation",
+      message: "The lettering on my father's stone has faded. Could you quote for re-gilding?",
+      grave_number: "Row F, 112", location: "Edgwarebury Cemetery", contact_pref: "phone",
+      photo_urls: [], photos: [], submittedAt: "19 Oct 2026, 10:42",
+    },
+    context: v => ({ enquiryTypeLabel: formatEnquiryTypeLabel(v.enquiry_type) }),
+    subject: "New Enquiry — {{enquiryTypeLabel}} — {{name}}",
+    render: v => layout({
+      audience: "staff",
+      badge: v.enquiryTypeLabel,
+      content: html`${heading(`${v.enquiryTypeLabel} enquiry`, { sub: v.submittedAt ? `Received ${v.submittedAt}` : null })}
+        ${divider()}
+        ${sectionLabel("Customer")}
+        ${details([
+          ["Name", html`<strong>${v.name}</strong>`],
+          ["Email", mailto(v.email)],
+          ["Phone", v.phone || "Not provided"],
+          ...enquiryRows(v),
+        ])}
+        ${sectionLabel("Message")}
+        ${messageBox(v.message || "—")}
+        ${photoGallery(v.photos)}`,
+    }),
+  },
+
+  enquiryCustomer: {
+    audience: "customer",
+    description: "Receipt to the customer with a copy of their enquiry (and .ics if they picked a time).",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string", required: true },
+      phone: { type: "string" },
+      message: { type: "string" },
+      enquiry_type: { type: "string" },
+      grave_number: { type: "string" },
+      location: { type: "string" },
+      contact_pref: { type: "string" },
+      photo_urls: { type: "array" },
+      submittedAt: { type: "string" },
+      manageToken: { type: "string" },
+      hasInvite: { type: "boolean" },
+    },
+    sample: {
+      name: "David Cohen", email: "david@example.com", phone: "+447700900456", enquiry_type: "renovation",
+      message: "The lettering on my father's stone has faded. Could you quote for re-gilding?",
+      grave_number: "Row F, 112", location: "Edgwarebury Cemetery", contact_pref: "appointment",
+      photo_urls: [], submittedAt: "19 Oct 2026, 10:42", manageToken: "sample-manage-token", hasInvite: true,
+    },
+    context: v => ({
+      firstName: firstNameOf(v.name),
+      enquiryTypeLabel: formatEnquiryTypeLabel(v.enquiry_type),
+      // Grave or cemetery in the subject, so it stands out in their inbox.
+      subjectDetail: v.grave_number ? ` — Grave ${v.grave_number}` : v.location ? ` — ${v.location}` : "",
+    }),
+    subject: "{{enquiryTypeLabel}} enquiry{{subjectDetail}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Thank you, {{firstName}}." },
+      intro: { label: "Introduction", text: "We've received your submission and one of our team will be in contact within 24 hours." },
+      recordNote: { label: "Copy-for-your-records note", text: "A copy of your enquiry is below for your records." },
+      inviteNote: { label: "Calendar file note", text: "Your appointment is attached as a calendar file (appointment.ics) — open it to add it to your calendar." },
+      closing: { label: "Closing", text: "If you have any urgent questions, please call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Submission Received",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${t.copy("recordNote", { muted: true, small: true })}
+        ${sectionLabel("Your details")}
+        ${details([
+          ["Name", html`<strong>${v.name}</strong>`],
+          ["Email", v.email],
+          ["Phone", v.phone || "Not provided"],
+          ...enquiryRows(v),
+          ["Submitted", v.submittedAt],
+        ])}
+        ${sectionLabel("Your message")}
+        ${messageBox(v.message || "—")}
+        ${v.manageToken ? html`${v.hasInvite ? t.copy("inviteNote", { small: true }) : ""}
+          ${paragraph(textLink(trackUrlFor(v.manageToken), "Reschedule or cancel your appointment"), { small: true })}` : ""}
+        ${t.copy("closing", { small: true })}
+        ${signOff()}`,
+    }),
+  },
+
+  // ---------- Appointments ----------
+  appointmentBusiness: {
+    audience: "staff",
+    description: "New appointment request, to the office.",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string", required: true },
+      phone: { type: "string" },
+      typeLabel: { type: "string", required: true },
+      dateFormatted: { type: "string", required: true },
+      appointment_time: { type: "string", required: true },
+      notes: { type: "string" },
+      submittedAt: { type: "string" },
+      calendarLink: { type: "string" },
+    },
+    sample: {
+      name: "Miriam Green", email: "miriam@example.com", phone: "+447700900789", typeLabel: "Showroom Visit (NW11)",
+      dateFormatted: "Sunday, 25 October 2026", appointment_time: "11:00", notes: "Coming with my brother.",
+      submittedAt: "19 Oct 2026, 10:42", calendarLink: "https://calendar.google.com/",
+    },
+    subject: "New Appointment Request — {{typeLabel}} — {{dateFormatted}} {{appointment_time}} — {{name}}",
+    render: v => layout({
+      audience: "staff",
+      badge: "Appointment",
+      content: html`${heading("New Appointment Request", { sub: v.submittedAt ? `Submitted ${v.submittedAt}` : null })}
+        ${details([
+          ["Customer", html`<strong>${v.name}</strong>`],
+          ["Email", mailto(v.email)],
+          ["Phone", v.phone || "Not provided"],
+          ["Type", html`<strong>${v.typeLabel}</strong>`],
+          ["Date", html`<strong>${v.dateFormatted}</strong>`],
+          ["Time", html`<strong>${v.appointment_time}</strong>`],
+          ["Notes", v.notes],
+        ])}
+        ${v.calendarLink ? paragraph(textLink(v.calendarLink, "View in Google Calendar"), { small: true }) : ""}`,
+    }),
+  },
+
+  appointmentCustomer: {
+    audience: "customer",
+    description: "Receipt to the customer for an appointment request (with .ics).",
+    variables: {
+      firstName: { type: "string" },
+      typeLabel: { type: "string", required: true },
+      dateFormatted: { type: "string", required: true },
+      appointment_time: { type: "string", required: true },
+      manageToken: { type: "string" },
+      hasInvite: { type: "boolean" },
+    },
+    sample: {
+      firstName: "Miriam", typeLabel: "Showroom Visit (NW11)", dateFormatted: "Sunday, 25 October 2026",
+      appointment_time: "11:00", manageToken: "sample-manage-token", hasInvite: true,
+    },
+    context: v => ({ firstName: v.firstName || "there", typeLabelLower: v.typeLabel.toLowerCase() }),
+    subject: "Appointment request — {{typeLabel}} — {{dateFormatted}} {{appointment_time}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Appointment request received" },
+      intro: { label: "Introduction", text: "Dear {{firstName}},\n\nThank you for requesting a **{{typeLabelLower}}**. We've received your request for:" },
+      confirmWithInvite: { label: "Confirmation (calendar file attached)", text: "We'll confirm your appointment within 24 hours. We've attached a calendar file (appointment.ics) so you can add it to Apple, Outlook or any other calendar — if the time changes, we'll send an updated one." },
+      confirmWithoutInvite: { label: "Confirmation (no calendar file)", text: "We'll confirm your appointment within 24 hours. Once confirmed, you'll receive a calendar invite with all the details." },
+      changes: { label: "Changing or cancelling", text: "If you need to change or cancel, use the button above, reply to this email or call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Appointment",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${appointmentPanel(`${v.dateFormatted} at ${v.appointment_time}`, v.typeLabel)}
+        ${t.copy(v.hasInvite ? "confirmWithInvite" : "confirmWithoutInvite")}
+        ${v.manageToken ? button(trackUrlFor(v.manageToken), "Reschedule or cancel") : ""}
+        ${t.copy("changes")}
+        ${signOff()}`,
+    }),
+  },
+
+  appointmentRescheduledCustomer: {
+    audience: "customer",
+    description: "To the customer after they move their appointment (updated .ics attached).",
+    variables: {
+      firstName: { type: "string" },
+      typeLabel: { type: "string", required: true },
+      previousSlot: { type: "string", required: true },
+      newSlot: { type: "string", required: true },
+      hasInvite: { type: "boolean" },
+    },
+    sample: {
+      firstName: "Miriam", typeLabel: "Showroom Visit (NW11)", previousSlot: "Sunday, 25 October 2026 at 11:00",
+      newSlot: "Tuesday, 27 October 2026 at 14:30", hasInvite: true,
+    },
+    context: v => ({ firstName: v.firstName || "there", typeLabelLower: v.typeLabel.toLowerCase() }),
+    subject: "Appointment rescheduled — {{typeLabel}} — {{newSlot}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Appointment Rescheduled" },
+      intro: { label: "Introduction", text: "Dear {{firstName}},\n\nYour **{{typeLabelLower}}** has been moved from {{previousSlot}} to:" },
+      inviteNote: { label: "Calendar file note", text: "If you added the appointment to your calendar, open the attached calendar file to move it to the new time." },
+      closing: { label: "Closing", text: "If you need to make another change, use the link in your original confirmation email or call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Rescheduled",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${appointmentPanel(v.newSlot, v.typeLabel)}
+        ${v.hasInvite ? t.copy("inviteNote") : ""}
+        ${t.copy("closing")}
+        ${signOff()}`,
+    }),
+  },
+
+  appointmentCancelledCustomer: {
+    audience: "customer",
+    description: "To the customer after they cancel their appointment (cancelling .ics attached).",
+    variables: {
+      firstName: { type: "string" },
+      typeLabel: { type: "string", required: true },
+      previousSlot: { type: "string", required: true },
+      hasInvite: { type: "boolean" },
+    },
+    sample: {
+      firstName: "Miriam", typeLabel: "Showroom Visit (NW11)", previousSlot: "Sunday, 25 October 2026 at 11:00", hasInvite: true,
+    },
+    context: v => ({ firstName: v.firstName || "there", typeLabelLower: v.typeLabel.toLowerCase() }),
+    subject: "Appointment cancelled — {{typeLabel}} — {{previousSlot}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Appointment Cancelled" },
+      intro: { label: "Introduction", text: "Dear {{firstName}},\n\nYour **{{typeLabelLower}}** on **{{previousSlot}}** has been cancelled." },
+      inviteNote: { label: "Calendar file note", text: "If you added the appointment to your calendar, open the attached calendar file to remove it." },
+      closing: { label: "Closing", text: "If you'd like to book another time, you can do so on our website or call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Cancelled",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${v.hasInvite ? t.copy("inviteNote") : ""}
+        ${t.copy("closing")}
+        ${signOff()}`,
+    }),
+  },
+
+  appointmentChangedBusiness: {
+    audience: "staff",
+    description: "A customer rescheduled or cancelled from the self-service link, to the office.",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string" },
+      phone: { type: "string" },
+      typeLabel: { type: "string", required: true },
+      previousSlot: { type: "string", required: true },
+      newSlot: { type: "string" },
+      cancelled: { type: "boolean" },
+      reason: { type: "string" },
+    },
+    sample: {
+      name: "Miriam Green", email: "miriam@example.com", phone: "+447700900789", typeLabel: "Showroom Visit (NW11)",
+      previousSlot: "Sunday, 25 October 2026 at 11:00", newSlot: "Tuesday, 27 October 2026 at 14:30",
+      cancelled: false, reason: null,
+    },
+    context: v => ({
+      change: v.cancelled ? "Cancelled" : "Rescheduled",
+      slot: v.cancelled ? v.previousSlot : v.newSlot,
+    }),
+    subject: "Appointment {{change}} — {{typeLabel}} — {{slot}} — {{name}}",
+    render: v => layout({
+      audience: "staff",
+      badge: v.cancelled ? "Cancelled" : "Rescheduled",
+      content: html`${heading(`Appointment ${v.change} by Customer`)}
+        ${details([
+          ["Customer", html`<strong>${v.name}</strong>`],
+          ["Email", mailto(v.email)],
+          ["Phone", v.phone || "Not provided"],
+          ["Type", html`<strong>${v.typeLabel}</strong>`],
+          [v.cancelled ? "Was" : "Previously", v.previousSlot],
+          ["New time", v.cancelled ? null : html`<strong>${v.newSlot}</strong>`],
+          ["Reason", v.reason],
+        ])}
+        ${smallPrint(`The Google Calendar event has been ${v.cancelled ? "removed" : "moved"} automatically.`)}`,
+    }),
+  },
+
+  appointmentReminder: {
+    audience: "customer",
+    description: "Reminder before an upcoming appointment (sent by the cron at each reminder offset).",
+    variables: {
+      firstName: { type: "string" },
+      phone: { type: "string" },
+      kind: { type: "string", required: true },
+      typeLabel: { type: "string", required: true },
+      dateFormatted: { type: "string", required: true },
+      appointment_time: { type: "string", required: true },
+      when: { type: "string", required: true },
+      location: { type: "string" },
+      manageToken: { type: "string" },
+    },
+    sample: {
+      firstName: "Miriam", phone: "+447700900789", kind: "showroom", typeLabel: "Showroom Visit (NW11)",
+      dateFormatted: "Sunday, 25 October 2026", appointment_time: "11:00", when: "tomorrow",
+      location: "Sears Melvin Memorials showroom, North London (NW11)", manageToken: "sample-manage-token",
+    },
+    context: v => ({
+      firstName: v.firstName || "there",
+      typeLabelLower: v.typeLabel.toLowerCase(),
+      phoneSuffix: v.phone ? ` on ${v.phone}` : "",
+    }),
+    subject: "Reminder: {{typeLabel}} {{when}} at {{appointment_time}} — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "See you {{when}}, {{firstName}}" },
+      intro: { label: "Introduction", text: "This is a reminder of your **{{typeLabelLower}}** with us:" },
+      showroom: { label: "Showroom / consultation details", text: "Our showroom is in North London (NW11). If you need directions or parking details, just reply to this email." },
+      phone: { label: "Phone consultation details", text: "We'll call you at the time above{{phoneSuffix}}. Please keep your phone nearby." },
+      video: { label: "Video call details", text: "We'll email you a link to join the video call shortly before it starts." },
+      closing: { label: "Closing", text: "Can't make it? Use the button above to pick another time, or call us on **{{businessPhone}}**." },
+    },
+    render: (v, t) => layout({
+      badge: "Reminder",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${panel(html`<strong style="color:#2C2C2C;">${v.dateFormatted} at ${v.appointment_time}</strong><br>${v.typeLabel}${v.location ? html`<br>${v.location}` : ""}`, { accent: true })}
+        ${t.copy(v.kind === "phone" || v.kind === "video" ? v.kind : "showroom")}
+        ${v.manageToken ? button(trackUrlFor(v.manageToken), "Reschedule or cancel") : ""}
+        ${t.copy("closing")}
+        ${signOff()}`,
+    }),
+  },
+
+  // ---------- Payments ----------
+  depositCustomer: {
+    audience: "customer",
+    description: "Deposit receipt to the customer after a Stripe payment.",
+    variables: {
+      name: { type: "string" },
+      amountPaid: { type: "string", required: true },
+      product: { type: "string" },
+      cemetery: { type: "string" },
+    },
+    sample: { name: "Rachel Adler", amountPaid: "500.00", product: "Classic Ogee Headstone", cemetery: "Bushey Jewish Cemetery" },
+    context: v => ({ firstName: firstNameOf(v.name) }),
+    subject: "Deposit confirmed — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Deposit received, {{firstName}}." },
+      intro: { label: "Introduction", text: "Your **£{{amountPaid}}** deposit has been received and your order is confirmed. We'll be in touch within 24 hours to discuss the next steps." },
+    },
+    render: (v, t) => layout({
+      badge: "Deposit Paid",
+      badgeColour: BADGE_SUCCESS,
+      content: html`${successTick()}
+        ${heading(t.line("heading"))}
+        ${t.copy("intro")}
+        ${panel(html`${sectionLabel("Order summary")}${details([
+          ["Memorial", v.product],
+          ["Cemetery", v.cemetery],
+          ["Deposit paid", html`<strong>£${v.amountPaid}</strong>`],
+        ])}`)}
+        ${signOff()}`,
+    }),
+  },
+
+  depositBusiness: {
+    audience: "staff",
+    description: "Deposit received, to the office.",
+    variables: {
+      name: { type: "string" },
+      email: { type: "string" },
+      amountPaid: { type: "string", required: true },
+      product: { type: "string" },
+      cemetery: { type: "string" },
+      piId: { type: "string" },
+    },
+    sample: {
+      name: "Rachel Adler", email: "rachel@example.com", amountPaid: "500.00", product: "Classic Ogee Headstone",
+      cemetery: "Bushey Jewish Cemetery", piId: "pi_3Sample",
+    },
+    context: v => ({ customer: v.name || v.email || "customer" }),
+    subject: "Deposit received — £{{amountPaid}} — {{customer}}",
+    render: v => layout({
+      audience: "staff",
+      badge: "Deposit Paid",
+      badgeColour: BADGE_SUCCESS,
+      content: html`${heading(`Deposit Received — £${v.amountPaid}`)}
+        ${details([
+          ["Customer", html`<strong>${v.name || "—"}</strong>`],
+          ["Email", v.email ? mailto(v.email) : "—"],
+          ["Memorial", v.product],
+          ["Cemetery", v.cemetery],
+          ["Amount", html`<strong>£${v.amountPaid}</strong>`],
+          ["Stripe PI", v.piId || "—"],
+        ])}`,
+    }),
+  },
+
+  // ---------- Orders (sent from the admin) ----------
+  orderProofReady: {
+    audience: "customer",
+    description: "Admin → customer: the memorial proof is ready to review.",
+    variables: {
+      customerName: { type: "string" },
+      trackUrl: { type: "string", required: true },
+      proofNotes: { type: "string" },
+    },
+    sample: { customerName: "Rachel Adler", trackUrl: `${BRAND.site}/track?token=sample`, proofNotes: "We've centred the Hebrew line as discussed." },
+    context: v => ({ greeting: v.customerName ? `Dear ${v.customerName},` : "Hello," }),
+    subject: "Your memorial proof is ready to review",
+    copy: {
+      heading: { label: "Heading", text: "Your proof is ready" },
+      body: { label: "Message", text: "{{greeting}}\n\nYour memorial proof is ready for review. Please follow the link below to view it and let us know if you'd like any changes before we begin production." },
+    },
+    render: (v, t) => layout({
+      badge: "Proof Ready",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${v.proofNotes ? panel(html`<em>Note from our team:</em> ${v.proofNotes}`, { accent: true }) : ""}
+        ${button(v.trackUrl, "Review your proof")}
+        ${signOff()}`,
+    }),
+  },
+
+  orderTracking: {
+    audience: "customer",
+    description: "Admin → customer: link to follow their order.",
+    variables: {
+      customerName: { type: "string" },
+      trackUrl: { type: "string", required: true },
+    },
+    sample: { customerName: "Rachel Adler", trackUrl: `${BRAND.site}/track?token=sample` },
+    context: v => ({ greeting: v.customerName ? `Dear ${v.customerName},` : "Hello," }),
+    subject: "Your order tracking link",
+    copy: {
+      heading: { label: "Heading", text: "Track your order" },
+      body: { label: "Message", text: "{{greeting}}\n\nYou can follow the progress of your memorial at the link below." },
+    },
+    render: (v, t) => layout({
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${button(v.trackUrl, "Track my order")}
+        ${signOff()}`,
+    }),
+  },
+
+  orderInscriptionConfirm: {
+    audience: "customer",
+    description: "Admin → customer: please confirm the inscription wording.",
+    variables: {
+      customerName: { type: "string" },
+      trackUrl: { type: "string", required: true },
+      inscription: { type: "string" },
+    },
+    sample: { customerName: "Rachel Adler", trackUrl: `${BRAND.site}/track?token=sample`, inscription: SAMPLE_PRODUCT.inscription },
+    context: v => ({ greeting: v.customerName ? `Dear ${v.customerName},` : "Hello," }),
+    subject: "Please confirm your inscription",
+    copy: {
+      heading: { label: "Heading", text: "Please confirm your inscription" },
+      body: { label: "Message", text: "{{greeting}}\n\nPlease review and confirm the inscription wording below before we engrave your memorial. If anything needs changing, you can reply to this email or request a change from your tracking page." },
+      missing: { label: "No inscription on file", text: "No inscription is currently on file." },
+    },
+    render: (v, t) => layout({
+      badge: "Inscription",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${v.inscription ? messageBox(v.inscription, { serif: true }) : t.copy("missing")}
+        ${button(v.trackUrl, "Open tracking page")}
+        ${signOff()}`,
+    }),
+  },
+
+  portalLink: {
+    audience: "customer",
+    description: "Link to the customer's quotes & orders portal, on request.",
+    variables: {
+      firstName: { type: "string" },
+      portalUrl: { type: "string", required: true },
+    },
+    sample: { firstName: "Rachel", portalUrl: `${BRAND.site}/track?portal=sample` },
+    context: v => ({ firstName: v.firstName || "there" }),
+    subject: "Your Quotes & Orders — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Your Portal Link" },
+      body: { label: "Message", text: "Hi {{firstName}},\n\nClick the button below to view your quotes and track your orders with {{businessName}}." },
+      footnote: { label: "Footnote", text: "This link is unique to you — please don't share it. You can request a new link at any time from our website." },
+    },
+    render: (v, t) => layout({
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${button(v.portalUrl, "View My Quotes & Orders")}
+        ${t.copy("footnote", { muted: true, small: true })}`,
+    }),
+  },
+
+  // ---------- Partners ----------
+  partnerRequestBusiness: {
+    audience: "staff",
+    description: "New partner portal access request, to the office.",
+    variables: {
+      name: { type: "string", required: true },
+      email: { type: "string", required: true },
+      company: { type: "string" },
+      phone: { type: "string" },
+      message: { type: "string" },
+    },
+    sample: {
+      name: "Jonathan Levy", email: "jonathan@levyfunerals.example", company: "Levy Funeral Directors",
+      phone: "+442080000000", message: "We arrange around 40 stone settings a year.",
+    },
+    context: v => ({ companySuffix: v.company ? ` (${v.company})` : "" }),
+    subject: "New Partner Request — {{name}}{{companySuffix}}",
+    render: v => layout({
+      audience: "staff",
+      badge: "Partner Request",
+      content: html`${heading("New Partner Access Request")}
+        ${details([
+          ["Name", html`<strong>${v.name}</strong>`],
+          ["Email", mailto(v.email)],
+          ["Company", v.company],
+          ["Phone", v.phone],
+        ])}
+        ${v.message ? html`${sectionLabel("Message")}${messageBox(v.message)}` : ""}
+        ${paragraph(textLink(`${BRAND.site}/admin`, "Review in Admin Panel"), { small: true })}`,
+    }),
+  },
+
+  partnerRequestCustomer: {
+    audience: "customer",
+    description: "Receipt to someone who asked for partner portal access.",
+    variables: { name: { type: "string" } },
+    sample: { name: "Jonathan Levy" },
+    context: v => ({ firstName: firstNameOf(v.name) }),
+    subject: "Partner request received — {{businessName}}",
+    copy: {
+      heading: { label: "Heading", text: "Request received, {{firstName}}." },
+      body: { label: "Message", text: "Thank you for requesting access to the {{businessShortName}} Partner Portal. Our team will review your application and get back to you shortly.\n\nOnce approved, you'll be able to sign in at {{siteHost}}/partner using the email and password you provided.\n\nIf you have any questions, please contact us at {{businessEmail}}." },
+    },
+    render: (v, t) => layout({
+      badge: "Partner Portal",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${signOff()}`,
+    }),
+  },
+
+  partnerPasswordReset: {
+    audience: "customer",
+    description: "Partner portal password reset link.",
+    variables: {
+      name: { type: "string" },
+      resetUrl: { type: "string", required: true },
+    },
+    sample: { name: "Jonathan Levy", resetUrl: `${BRAND.site}/partner?reset=sample` },
+    context: v => ({ firstName: firstNameOf(v.name) }),
+    subject: "Password Reset — {{businessShortName}} Partner Portal",
+    copy: {
+      heading: { label: "Heading", text: "Password Reset" },
+      body: { label: "Message", text: "Hi {{firstName}},\n\nWe received a request to reset your Partner Portal password. Click the button below to set a new password:" },
+      footnote: { label: "Footnote", text: "This link expires in 1 hour. If you didn't request this, you can safely ignore this email." },
+    },
+    render: (v, t) => layout({
+      badge: "Partner Portal",
+      content: html`${heading(t.line("heading"))}
+        ${t.copy("body")}
+        ${button(v.resetUrl, "Reset Password")}
+        ${t.copy("footnote", { muted: true, small: true })}`,
+    }),
+  },
+
+  // ---------- Admin ----------
+  adminMagicLink: {
+    audience: "staff",
+    description: "One-time admin sign-in link.",
+    variables: { url: { type: "string", required: true } },
+    sample: { url: `${BRAND.site}/admin.html?magic=sample` },
+    subject: "Admin login link — {{businessName}}",
+    render: v => layout({
+      audience: "staff",
+      content: html`${heading("Admin Login")}
+        ${paragraph("Click the button below to sign in to the admin dashboard. This link expires in 15 minutes.")}
+        ${button(v.url, "Sign In to Dashboard")}
+        ${smallPrint("If you didn't request this, you can safely ignore this email.")}`,
+    }),
+  },
+};
+
+// ==================== RENDERING ====================
+/**
+ * Render a template to { subject, html, text }, branded for env's
+ * organisation (functions/_lib/org.js). Throws on an unknown name or
+ * variables that don't match the template's schema. Staff wording is loaded
+ * from public.email_template_copy unless `overrides` ({ subject, copy }, or
+ * null for the defaults) is given — the admin preview passes unsaved edits.
+ */
+export async function renderEmail(env, name, vars = {}, { overrides } = {}) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  const checked = validate(vars, template.variables);
+  if (!checked.ok) throw new Error(`Email template "${name}": ${checked.error}`);
+  const custom = overrides !== undefined ? overrides : template.copy ? await loadCopyOverride(env, name) : null;
+  return withBrand(brandOf(orgOf(env)), () => renderTemplate(template, checked.data, custom));
+}
+
+// Render + send. `message` is everything sendMail needs except the content.
+export async function sendTemplateEmail(env, name, vars, message) {
+  const { subject, html: body, text } = await renderEmail(env, name, vars);
+  return sendMail(env, { ...message, subject, html: body, text });
+}
+
+// The default subject — for labelling queued outbox jobs before they render.
+export function emailSubject(env, name, vars) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  return withBrand(brandOf(orgOf(env)), () => fill(template.subject, templateValues(template, vars)));
+}
+
+function renderTemplate(template, vars, custom) {
+  const values = templateValues(template, vars);
+  const copy = Object.fromEntries(Object.entries(template.copy || {}).map(([key, field]) => {
+    const override = custom?.copy?.[key];
+    return [key, typeof override === "string" ? override : field.text];
+  }));
+  const t = {
+    copy: (key, opts) => copyParagraphs(copy[key], values, opts),
+    line: key => raw(formatCopy(copy[key], values).replace(/\n/g, "<br>")),
+  };
+  const body = template.render(values, t);
+  return {
+    subject: fill((template.copy && custom?.subject) || template.subject, values),
+    html: body,
+    text: htmlToText(body),
+  };
+}
+
+function templateValues(template, vars) {
+  return { ...globals(), ...vars, ...(template.context ? template.context(vars) : {}) };
+}
+
+// Plain-text substitution (subjects).
+function fill(text, values) {
+  return String(text || "").replace(PLACEHOLDER_RE, (m, key) => scalar(values[key])).replace(/\s+/g, " ").trim();
+}
+
+// Staff copy → escaped HTML: placeholders filled (and escaped), **bold** kept.
+function formatCopy(text, values) {
+  return escapeHtml(text || "")
+    .replace(PLACEHOLDER_RE, (m, key) => escapeHtml(scalar(values[key])).replace(/\*/g, "&#42;"))
+    .replace(/\*\*(.+?)\*\*/g, '<strong style="color:#2C2C2C;">$1</strong>');
+}
+
+function copyParagraphs(text, values, opts) {
+  const blocks = String(text || "").split(/\n\s*\n/).map(s => s.trim()).filter(Boolean);
+  return html`${blocks.map(block => paragraph(raw(formatCopy(block, values).replace(/\n/g, "<br>")), opts))}`;
+}
+
+function scalar(value) {
+  return typeof value === "string" || typeof value === "number" ? String(value) : "";
+}
+
+// ==================== ADMIN ====================
+// Placeholder names a template's copy can use: every text/number value
+// available when rendering the sample.
+export function templatePlaceholders(name) {
+  const template = EMAIL_TEMPLATES[name];
+  const values = templateValues(template, template.sample);
+  return Object.keys(values).filter(key => scalar(values[key]) !== "" || typeof values[key] === "string").sort();
+}
+
+export function describeTemplate(name) {
+  const t = EMAIL_TEMPLATES[name];
+  return {
+    name,
+    audience: t.audience,
+    description: t.description,
+    editable: !!t.copy,
+    subject: t.subject,
+    copy: Object.entries(t.copy || {}).map(([key, field]) => ({ key, label: field.label, text: field.text })),
+    placeholders: t.copy ? templatePlaceholders(name) : [],
+  };
+}
+
+// Checks staff edits before saving: known copy keys, sensible length, and
+// only placeholders the template can fill. Returns an error message or null.
+export function checkCopyOverride(name, { subject, copy }) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) return "Unknown template.";
+  if (!template.copy) return "Staff notifications can't be reworded.";
+  const known = new Set(templatePlaceholders(name));
+  const texts = [["Subject", subject || ""]];
+  for (const [key, text] of Object.entries(copy || {})) {
+    if (!template.copy[key]) return `Unknown copy field "${key}".`;
+    if (typeof text !== "string") return `${template.copy[key].label} must be text.`;
+    texts.push([template.copy[key].label, text]);
+  }
+  for (const [label, text] of texts) {
+    if (text.length > COPY_MAX) return `${label} must be ${COPY_MAX} characters or fewer.`;
+    for (const [, key] of text.matchAll(PLACEHOLDER_RE)) {
+      if (!known.has(key)) return `${label}: {{${key}}} isn't available in this template.`;
+    }
+  }
+  return null;
+}
+
+// Staff wording for one template, or null. Fails open to the defaults — a
+// database hiccup shouldn't stop a confirmation email.
+export async function loadCopyOverride(env, name) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) return null;
+  try {
+    const res = await fetch(
+      `${env.SUPABASE_URL}/rest/v1/email_template_copy?template=eq.${encodeURIComponent(name)}${copyOrgFilter(env)}&select=subject,copy&limit=1`,
+      { headers: sbHeaders(env) },
+    );
+    if (!res.ok) throw new Error(`Supabase email_template_copy lookup ${res.status}: ${await res.text()}`);
+    return (await res.json())[0] || null;
+  } catch (err) {
+    console.error(`Email copy for "${name}" unavailable, using defaults:`, err);
+    return null;
+  }
+}
+
+// Wording belongs to the organisation that saved it
+// (migrations/2026-10-19-17-organizations.sql).
+export function copyOrgFilter(env) {
+  return env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * GoHighLevel — the CRM sales work in (migrations/2026-10-19-15-ghl-sync.sql).
+ *
+ * Not a route. Both directions of the sync live here:
+ *
+ *   out  New leads become a GHL contact (upserted, so a retried outbox job
+ *        finds the same one) and quotes an opportunity in GHL_PIPELINE_ID.
+ *        Their ids are stored on people.ghl_contact_id and
+ *        orders.ghl_opportunity_id, so the opportunity is only ever made
+ *        once, and a stage change in our admin moves it to the matching GHL
+ *        stage (pushOpportunityStage, run through the outbox).
+ *   in   /api/ghl-webhook hands signed events to applyGHLEvent(): pipeline
+ *        stage and won / lost changes update the order, and notes and
+ *        conversation messages are added to its timeline (order_events).
+ *        Each webhook is applied once (ghl_webhook_events).
+ *
+ * Stages are matched through GHL_STAGE_MAP, so a stage GHL doesn't know
+ * about (or one of theirs we don't) is simply not synced. Changes that come
+ * in from GHL aren't pushed back.
+ *
+ * Env vars:
+ *   GHL_API_KEY, GHL_LOCATION_ID
+ *   GHL_PIPELINE_ID, GHL_PIPELINE_STAGE_ID → pipeline and first stage for
+ *                            new quotes
+ *   GHL_STAGE_MAP          → our stage = GHL stage id, comma-separated, e.g.
+ *                            "quote_received=3f2a…,deposit_paid=9b1c…"
+ *   GHL_WEBHOOK_PUBLIC_KEY → GHL's webhook public key (PEM); webhooks are
+ *                            refused without it
+ */
+
+import { stopQuoteFollowups } from "./quote-followups.js";
+
+const API_BASE = "https://services.leadconnectorhq.com";
+const API_VERSION = "2021-07-28";
+// Stages we sync, in pipeline order. Keep in step with STAGE_KEYS in
+// functions/api/admin.js.
+const STAGE_KEYS = ["quote_received", "deposit_paid", "design_in_progress", "proof_ready", "inscription_approved", "in_production", "installation_scheduled", "completed"];
+const OPPORTUNITY_EVENTS = ["OpportunityCreate", "OpportunityUpdate", "OpportunityStageUpdate", "OpportunityStatusUpdate"];
+const NOTE_EVENTS = ["NoteCreate", "NoteUpdate"];
+const MESSAGE_EVENTS = ["InboundMessage", "OutboundMessage"];
+const TIMELINE_TEXT_MAX = 500;
+
+export function ghlConfigured(env) {
+  return !!(env.GHL_API_KEY && env.GHL_LOCATION_ID);
+}
+
+// "quote_received=abc,deposit_paid=def" → { quote_received: "abc", … }.
+// Unreadable entries are logged and dropped.
+export function ghlStageMap(env) {
+  const map = {};
+  for (const token of String(env.GHL_STAGE_MAP || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [stage, stageId] = token.split("=").map(s => (s || "").trim());
+    if (!STAGE_KEYS.includes(stage) || !stageId) {
+      console.error(`[ghl] ignoring stage mapping "${token}"`);
+      continue;
+    }
+    map[stage] = stageId;
+  }
+  return map;
+}
+
+// ==================== OUTBOUND ====================
+// Creates or updates the contact for this email and, when the lead's
+// enquiry is known, stores its id on the person. Returns the contact id.
+export async function upsertGHLContact(env, { name, email, phone, type, product, extraFields }, { enquiryId = null } = {}) {
+  if (!ghlConfigured(env)) return null;
+  const parts = name.trim().split(" ");
+  const tags = ["website-lead", type === "quote" ? "quote-request" : type];
+  if (product?.type) tags.push(product.type.toLowerCase().replace(/\s+/g, "-"));
+  const customFields = [
+    { key: "lead_type", field_value: type },
+    product?.name ? { key: "memorial_product", field_value: product.name } : null,
+    product?.colour ? { key: "stone_colour", field_value: product.colour } : null,
+    product?.size ? { key: "memorial_size", field_value: product.size } : null,
+    product?.price ? { key: "guide_price", field_value: `£${formatPrice(product.price)}` } : null,
+    ...(extraFields || []),
+  ].filter(Boolean);
+  const body = await ghlFetch(env, "/contacts/upsert", {
+    method: "POST",
+    body: {
+      locationId: env.GHL_LOCATION_ID, firstName: parts[0], lastName: parts.slice(1).join(" ") || "",
+      email, phone: phone || undefined, source: "Website", tags, customFields,
+    },
+  });
+  const contactId = body.contact?.id || null;
+  if (contactId && enquiryId) await linkContact(env, enquiryId, contactId);
+  return contactId;
+}
+
+// Opens the quote's opportunity, unless it already has one. Returns its id.
+export async function createGHLOpportunity(env, { contactId, name, monetaryValue }, { orderId = null } = {}) {
+  if (!env.GHL_API_KEY || !env.GHL_PIPELINE_ID || !env.GHL_PIPELINE_STAGE_ID || !contactId) return null;
+  const order = orderId ? await loadOrder(env, "id", orderId) : null;
+  if (order?.ghl_opportunity_id) return order.ghl_opportunity_id;
+
+  const body = await ghlFetch(env, "/opportunities/", {
+    method: "POST",
+    body: {
+      pipelineId: env.GHL_PIPELINE_ID,
+      pipelineStageId: env.GHL_PIPELINE_STAGE_ID,
+      locationId: env.GHL_LOCATION_ID,
+      contactId, name,
+      monetaryValue: monetaryValue || 0,
+      source: "Website",
+      status: "open",
+    },
+  });
+  const opportunityId = body.opportunity?.id || null;
+  if (opportunityId && order) await patchOrder(env, order.id, { ghl_opportunity_id: opportunityId });
+  return opportunityId;
+}
+
+// Moves the order's opportunity to the GHL stage matching the order's stage
+// *now* (not when the job was queued), so a late retry can't move it back.
+// Completed orders are marked won. Returns what was sent, or { skipped }.
+export async function pushOpportunityStage(env, orderId) {
+  if (!ghlConfigured(env)) return { skipped: "GHL not configured" };
+  const order = await loadOrder(env, "id", orderId);
+  if (!order?.ghl_opportunity_id) return { skipped: "no GHL opportunity" };
+  const stageId = ghlStageMap(env)[order.stage];
+  if (!stageId) return { skipped: `stage ${order.stage || "—"} not mapped` };
+  const update = { pipelineStageId: stageId };
+  if (order.stage === "completed") update.status = "won";
+  await ghlFetch(env, `/opportunities/${encodeURIComponent(order.ghl_opportunity_id)}`, { method: "PUT", body: update });
+  return { opportunityId: order.ghl_opportunity_id, stage: order.stage, ...update };
+}
+
+// Queues pushOpportunityStage for an order through the outbox (the
+// ghl_opportunity_stage job in /api/submit's OUTBOX_HANDLERS), so a GHL
+// outage is retried rather than lost. Returns the outbox ids.
+export async function queueOpportunityStage(env, orderId, stage) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/enqueue_outbox`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_org: env.SM_ORG_ID || null,
+      p_jobs: [{ kind: "ghl_opportunity_stage", label: `ghl stage → ${stage}`, payload: { orderId, stage } }],
+      p_enquiry_id: null,
+      p_order_id: String(orderId),
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase enqueue_outbox ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// ==================== INBOUND ====================
+// GHL signs webhook bodies with RSA-SHA256; x-wh-signature is the base64
+// signature of the raw body.
+export async function verifyGHLSignature(env, rawBody, signature) {
+  if (!env.GHL_WEBHOOK_PUBLIC_KEY || !signature) return false;
+  try {
+    const der = base64Bytes(env.GHL_WEBHOOK_PUBLIC_KEY.replace(/-----[^-]+-----/g, "").replace(/\s+/g, ""));
+    const key = await crypto.subtle.importKey("spki", der, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+    return await crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, base64Bytes(signature), new TextEncoder().encode(rawBody));
+  } catch (err) {
+    console.error("[ghl] signature check failed:", err);
+    return false;
+  }
+}
+
+// Applies one webhook event. Returns { outcome, orderId?, personId? } —
+// outcome is what happened, for the event log. Repeats of a webhookId are
+// ignored ("duplicate"). Lookup and update failures throw, and the claim is
+// released so GHL's retry can apply it.
+export async function applyGHLEvent(env, event) {
+  if (event.locationId && env.GHL_LOCATION_ID && event.locationId !== env.GHL_LOCATION_ID) {
+    return { outcome: "other_location" };
+  }
+  const webhookId = event.webhookId || `${event.type}:${event.id || event.messageId || ""}:${event.dateAdded || event.timestamp || ""}`;
+  const claimId = await claimWebhook(env, webhookId, event);
+  if (!claimId) return { outcome: "duplicate" };
+
+  let result;
+  try {
+    if (OPPORTUNITY_EVENTS.includes(event.type)) result = await applyOpportunityEvent(env, event);
+    else if (NOTE_EVENTS.includes(event.type)) result = await applyTimelineEvent(env, event, "crm_note");
+    else if (MESSAGE_EVENTS.includes(event.type)) result = await applyTimelineEvent(env, event, "crm_message");
+    else result = { outcome: "ignored" };
+  } catch (err) {
+    await releaseWebhook(env, claimId).catch(releaseErr => console.error("[ghl] failed to release webhook claim:", releaseErr));
+    throw err;
+  }
+  await patchWebhook(env, claimId, {
+    outcome: result.outcome,
+    order_id: result.orderId || null,
+    person_id: result.personId || null,
+  });
+  return result;
+}
+
+async function applyOpportunityEvent(env, event) {
+  if (env.GHL_PIPELINE_ID && event.pipelineId && event.pipelineId !== env.GHL_PIPELINE_ID) return { outcome: "other_pipeline" };
+  const order = await loadOrder(env, "ghl_opportunity_id", event.id);
+  if (!order) return { outcome: "no_order" };
+
+  const updates = {};
+  const events = [];
+  const stageIds = ghlStageMap(env);
+  const stage = Object.keys(stageIds).find(key => stageIds[key] === event.pipelineStageId);
+  if (stage && stage !== order.stage) {
+    updates.stage = stage;
+    events.push({ event_type: "stage_changed", summary: `Stage: ${order.stage || "—"} → ${stage} (GoHighLevel)`, detail: { from: order.stage, to: stage, source: "ghl" } });
+  }
+
+  // Won in GHL = the customer has said yes; lost / abandoned ends the chase.
+  const status = String(event.status || "").toLowerCase();
+  if (event.type === "OpportunityStatusUpdate" && status) {
+    if (status === "won" && order.order_type === "quote" && ["pending", "expired", null].includes(order.status ?? null)) {
+      updates.status = "accepted";
+      events.push({ event_type: "crm_status", summary: "Marked won in GoHighLevel — quote accepted", detail: { status, source: "ghl" } });
+      await stopQuoteFollowups(env, { orderId: order.id, reason: "accepted" });
+    } else if (status === "lost" || status === "abandoned") {
+      events.push({ event_type: "crm_status", summary: `Marked ${status} in GoHighLevel`, detail: { status, source: "ghl" } });
+      if (order.order_type === "quote") await stopQuoteFollowups(env, { orderId: order.id, reason: "lost" });
+    }
+  }
+
+  if (Object.keys(updates).length) await patchOrder(env, order.id, { ...updates, updated_at: new Date().toISOString() });
+  await logOrderEvents(env, order.id, events);
+  return { outcome: events.length ? "applied" : "unchanged", orderId: order.id, personId: order.person_id };
+}
+
+// Notes and messages go on the timeline of the contact's latest order; a
+// contact with no orders is only recorded against the person.
+async function applyTimelineEvent(env, event, eventType) {
+  const person = event.contactId ? await personForContact(env, event.contactId) : null;
+  if (!person) return { outcome: "no_person" };
+  const text = String(event.body || "").trim();
+  if (!text) return { outcome: "ignored", personId: person.id };
+
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?person_id=eq.${encodeURIComponent(person.id)}&select=id&order=created_at.desc&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase order lookup ${res.status}: ${await res.text()}`);
+  const order = (await res.json())[0];
+  if (!order) return { outcome: "no_order", personId: person.id };
+
+  const short = text.length > TIMELINE_TEXT_MAX ? `${text.slice(0, TIMELINE_TEXT_MAX - 1)}…` : text;
+  const summary = eventType === "crm_note"
+    ? `GoHighLevel note: ${short}`
+    : `${event.messageType || "Message"} ${event.direction === "outbound" || event.type === "OutboundMessage" ? "to" : "from"} customer (GoHighLevel): ${short}`;
+  await logOrderEvents(env, order.id, [{
+    event_type: eventType,
+    summary,
+    detail: { source: "ghl", ghl_id: event.id || event.messageId || null, conversation_id: event.conversationId || null, text },
+  }]);
+  return { outcome: "applied", orderId: order.id, personId: person.id };
+}
+
+// ==================== STORAGE ====================
+// The person behind a GHL contact, following a merge to the survivor.
+async function personForContact(env, contactId) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/people?ghl_contact_id=eq.${encodeURIComponent(contactId)}&select=id,merged_into&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase people lookup ${res.status}: ${await res.text()}`);
+  const person = (await res.json())[0];
+  if (!person) return null;
+  return person.merged_into ? { id: person.merged_into } : person;
+}
+
+// Stores the contact id on the enquiry's person, unless they already have one.
+async function linkContact(env, enquiryId, contactId) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/enquiries?id=eq.${encodeURIComponent(enquiryId)}&select=person_id&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase enquiry lookup ${res.status}: ${await res.text()}`);
+  const personId = (await res.json())[0]?.person_id;
+  if (!personId) return;
+  const patch = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/people?id=eq.${encodeURIComponent(personId)}&ghl_contact_id=is.null`,
+    { method: "PATCH", headers: { ...sbHeaders(env), "Prefer": "return=minimal" }, body: JSON.stringify({ ghl_contact_id: contactId }) },
+  );
+  // Another person already holds this contact (two emails GHL treats as
+  // one): leave the link where it is.
+  if (!patch.ok && patch.status !== 409) throw new Error(`Supabase people update ${patch.status}: ${await patch.text()}`);
+}
+
+async function loadOrder(env, column, value) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?${column}=eq.${encodeURIComponent(value)}&select=id,person_id,order_type,stage,status,ghl_opportunity_id&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase order lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0] || null;
+}
+
+async function patchOrder(env, orderId, patch) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) throw new Error(`Supabase order update ${res.status}: ${await res.text()}`);
+}
+
+async function logOrderEvents(env, orderId, events) {
+  if (!events.length) return;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/order_events`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(events.map(e => ({ order_id: orderId, ...e }))),
+  });
+  if (!res.ok) throw new Error(`Supabase order_events insert ${res.status}: ${await res.text()}`);
+}
+
+// Returns the new log row's id, or null if this webhook was seen before.
+async function claimWebhook(env, webhookId, event) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/ghl_webhook_events?on_conflict=webhook_id`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "resolution=ignore-duplicates,return=representation" },
+    body: JSON.stringify({
+      organization_id: env.SM_ORG_ID || null,
+      webhook_id: String(webhookId).slice(0, 200),
+      event_type: event.type || null,
+      payload: event,
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase ghl_webhook_events insert ${res.status}: ${await res.text()}`);
+  return (await res.json())[0]?.id || null;
+}
+
+async function patchWebhook(env, id, patch) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/ghl_webhook_events?id=eq.${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) throw new Error(`Supabase ghl_webhook_events update ${res.status}: ${await res.text()}`);
+}
+
+async function releaseWebhook(env, id) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/ghl_webhook_events?id=eq.${encodeURIComponent(id)}`, {
+    method: "DELETE",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+  });
+  if (!res.ok) throw new Error(`Supabase ghl_webhook_events delete ${res.status}: ${await res.text()}`);
+}
+
+async function ghlFetch(env, path, { method, body }) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { "Authorization": `Bearer ${env.GHL_API_KEY}`, "Version": API_VERSION, "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`GHL ${method} ${path} ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function base64Bytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function formatPrice(str) {
+  const n = parseFloat(str);
+  if (isNaN(n)) return str || "—";
+  return n.toLocaleString("en-GB", { maximumFractionDigits: 0 });
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
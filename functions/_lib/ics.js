@@ -0,0 +1,212 @@
+/**
+ * iCalendar (RFC 5545) files for appointments — the .ics attached to the
+ * customer's booking / reschedule / cancellation emails, and the staff feed
+ * served by /api/staff-calendar.
+ *
+ * Not a route. Appointment slots are Europe/London wall-clock { date, time }
+ * (see functions/_lib/schedule.js), so events are written with
+ * TZID=Europe/London and a matching VTIMEZONE rather than converted to UTC;
+ * calendar clients do the DST maths.
+ *
+ * An appointment keeps one UID for its whole life. Every change the customer
+ * sees bumps `enquiries.ics_sequence` and resends the file with the new
+ * SEQUENCE (METHOD:REQUEST to move it, METHOD:CANCEL to remove it), so the
+ * entry already in their calendar is updated rather than duplicated.
+ *
+ * `org` is the organisation the appointment is with (orgOf(env), see
+ * functions/_lib/org.js): it names the calendar's product and organiser,
+ * gives the UIDs their domain and the showroom its address.
+ */
+
+import { addMinutes } from "./schedule.js";
+
+const TZID = "Europe/London";
+
+// UK rules since 1996: BST from 01:00 UTC on the last Sunday of March to
+// 01:00 UTC on the last Sunday of October.
+const LONDON_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  "X-LIC-LOCATION:Europe/London",
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:BST",
+  "DTSTART:19700329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:GMT",
+  "DTSTART:19701025T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// Where the customer should be, by appointment kind; the rest are at the
+// organisation's showroom.
+const LOCATIONS = {
+  phone: "By phone — we'll call you",
+  video: "Video call — we'll email you a link",
+};
+
+/**
+ * A whole VCALENDAR. `method` is REQUEST / CANCEL for emailed invites and
+ * PUBLISH for subscribed feeds; `name` labels the calendar in feed clients.
+ * Each event: { uid, sequence, start: { date, time }, durationMinutes,
+ * summary, description?, location?, url?, status?, attendee?: { name, email } }.
+ */
+export function buildCalendar({ org, method = "PUBLISH", name = null, events = [] }) {
+  const stamp = utcStamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${org.name}//Appointments//EN`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${TZID}`] : []),
+    ...LONDON_VTIMEZONE,
+  ];
+  for (const event of events) lines.push(...eventLines(event, { org, method, stamp }));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Stable per-appointment UID. Derived from the manage token (which both
+// /api/submit and /api/appointment hold) but hashed, because the UID ends up
+// in the customer's calendar and the token grants reschedule / cancel.
+export async function appointmentUid({ org, manageToken, enquiryId }) {
+  const domain = new URL(org.siteUrl).hostname;
+  if (!manageToken) return `enquiry-${enquiryId}@${domain}`;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(manageToken));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  return `appointment-${hex.slice(0, 32)}@${domain}`;
+}
+
+export function appointmentLocation(org, kind) {
+  return LOCATIONS[kind] || org.showroom;
+}
+
+/**
+ * The customer's copy of one appointment, ready for sendMail's
+ * `attachments`. `cancelled` produces the METHOD:CANCEL version.
+ */
+export async function appointmentInviteAttachment({
+  org, manageToken, enquiryId = null, kind, typeLabel, durationMinutes, slot,
+  name, email, sequence = 0, cancelled = false,
+}) {
+  const manageUrl = manageToken ? `${org.siteUrl}/track?appointment=${manageToken}` : null;
+  const ics = buildCalendar({
+    org,
+    method: cancelled ? "CANCEL" : "REQUEST",
+    events: [{
+      uid: await appointmentUid({ org, manageToken, enquiryId }),
+      sequence,
+      start: slot,
+      durationMinutes,
+      summary: `${typeLabel} — ${org.name}`,
+      description: [
+        `${typeLabel} with ${org.name}.`,
+        manageUrl ? `Reschedule or cancel: ${manageUrl}` : null,
+        org.phone ? `Questions? Call ${org.phone}.` : null,
+      ].filter(Boolean).join("\n"),
+      location: appointmentLocation(org, kind),
+      url: manageUrl,
+      status: cancelled ? "CANCELLED" : "CONFIRMED",
+      attendee: email ? { name, email } : null,
+    }],
+  });
+  return icsAttachment(cancelled ? "appointment-cancelled.ics" : "appointment.ics", ics);
+}
+
+// Mail attachment shape (functions/_lib/mail.js): base64 of the UTF-8 bytes.
+export function icsAttachment(filename, ics) {
+  const bytes = new TextEncoder().encode(ics);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return { filename, content: btoa(binary), content_type: "text/calendar; charset=utf-8" };
+}
+
+function eventLines(event, { org, method, stamp }) {
+  const end = addMinutes(event.start, event.durationMinutes || 30);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${TZID}:${localStamp(event.start)}`,
+    `DTEND;TZID=${TZID}:${localStamp(end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+  // iTIP (RFC 5546) wants an organizer and attendee on REQUEST / CANCEL so
+  // mail clients offer "add to calendar" and match later updates.
+  if (method !== "PUBLISH") {
+    lines.push(`ORGANIZER;CN=${paramText(org.name)}:mailto:${org.email}`);
+    if (event.attendee) {
+      const cn = event.attendee.name ? `;CN=${paramText(event.attendee.name)}` : "";
+      lines.push(`ATTENDEE${cn};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${event.attendee.email}`);
+    }
+  }
+  if (method === "REQUEST") {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      "TRIGGER:-PT1H",
+      "END:VALARM",
+    );
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function localStamp({ date, time }) {
+  return `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+function utcStamp(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped.
+function escapeText(str) {
+  return String(str ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Parameter values can't be escaped, only quoted — and can't contain quotes.
+function paramText(str) {
+  return `"${String(str ?? "").replace(/["\r\n]/g, "")}"`;
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, never splitting
+// a multi-byte character.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + len > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
@@ -0,0 +1,205 @@
+/**
+ * Idempotent POSTs — repeats of a request get the first response back
+ * instead of running again (migrations/2026-10-19-18-idempotency.sql).
+ *
+ * Not a route. A route wraps the work that must not happen twice:
+ *
+ *   return withIdempotency(env, request, {
+ *     scope: "submit",
+ *     body: data,                                    // the validated request
+ *     duplicate: { signature: { email, product } },  // optional, see below
+ *   }, json, () => saveQuote(…));
+ *
+ * Two ways a request counts as a repeat:
+ *
+ *   - Idempotency-Key: the caller's key (header, or `idempotency_key` in the
+ *     body), for 24 hours. The key covers one request body: the same key
+ *     with different details is a different request. A repeat gets the
+ *     first response exactly, with an Idempotent-Replayed header.
+ *   - duplicate.signature: what the request is about (same person, same
+ *     product …), within SUBMIT_DUPLICATE_MINUTES, with or without a key.
+ *     The signature alone doesn't prove it's the same caller, so the repeat
+ *     only hears { ok: true, duplicate: true } — unless the signature
+ *     includes the caller's own credential (identifiesCaller: true: a
+ *     partner id, a quote's edit token), when it gets the full response.
+ *
+ * A repeat that arrives while the first is still running waits a few
+ * seconds for it, then gets 409. Only 2xx responses are kept; anything else
+ * is forgotten so the retry runs for real. If the key store is unreachable
+ * the request just runs — a possible duplicate beats a lost enquiry.
+ *
+ * Env vars:
+ *   SUBMIT_DUPLICATE_MINUTES → window for signature duplicates (default 10)
+ */
+
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_DUPLICATE_MINUTES = 10;
+const LEASE_SECONDS = 60;
+const WAIT_MS = 8000;
+const POLL_MS = 500;
+const KEY_MAX_LENGTH = 255;
+// Body fields that differ between retries of the same submission.
+const VOLATILE_FIELDS = ["idempotency_key", "turnstile_token", "website"];
+const DUPLICATE_ACK = { ok: true, duplicate: true };
+
+// Expired keys are pruned by /api/cron.
+export function duplicateWindowMinutes(env) {
+  return parseInt(env.SUBMIT_DUPLICATE_MINUTES, 10) || DEFAULT_DUPLICATE_MINUTES;
+}
+
+// `respond(data, status)` is the route's JSON helper, so replays carry the
+// route's headers; `run()` does the work and returns its Response.
+export async function withIdempotency(env, request, { scope, body, duplicate = null }, respond, run) {
+  const clientKey = (request.headers.get("Idempotency-Key") || (typeof body?.idempotency_key === "string" ? body.idempotency_key : "")).trim();
+  if (clientKey.length > KEY_MAX_LENGTH) {
+    return respond({ ok: false, error: `Idempotency-Key must be ${KEY_MAX_LENGTH} characters or fewer.` }, 400);
+  }
+
+  const keys = [];
+  if (clientKey) {
+    keys.push({ key: `key:${await digest([env.SM_ORG_ID, clientKey, withoutVolatile(body)])}`, ttl: KEY_TTL_SECONDS, full: true });
+  }
+  if (duplicate?.signature) {
+    keys.push({
+      key: `dup:${await digest([env.SM_ORG_ID, duplicate.signature])}`,
+      ttl: duplicateWindowMinutes(env) * 60,
+      full: !!duplicate.identifiesCaller,
+    });
+  }
+  if (keys.length === 0) return run();
+
+  let claim = await claimKeys(env, scope, keys);
+  for (let waited = 0; claim?.state === "pending" && waited < WAIT_MS; waited += POLL_MS) {
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    claim = await claimKeys(env, scope, keys);
+  }
+  if (!claim) return run();
+  if (claim.state === "done") {
+    console.log(`[idempotency] ${scope}: repeat of an earlier request (${String(claim.key).split(":")[0]}), replayed`);
+    const replay = respond(claim.body, claim.status || 200);
+    replay.headers.set("Idempotent-Replayed", "true");
+    return replay;
+  }
+  if (claim.state === "pending") {
+    return respond({ ok: false, error: "This request is already being processed. Please wait a moment.", reason: "in_progress" }, 409);
+  }
+
+  let response;
+  try {
+    response = await run();
+  } catch (err) {
+    await releaseKeys(env, scope, keys);
+    throw err;
+  }
+  await settleKeys(env, scope, keys, response);
+  return response;
+}
+
+// Cron job: drop expired keys.
+export async function pruneIdempotencyKeys(env) {
+  const cutoff = new Date().toISOString();
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/idempotency_keys?expires_at=lt.${encodeURIComponent(cutoff)}`, {
+    method: "DELETE",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+  });
+  if (!res.ok) throw new Error(`Supabase idempotency_keys prune ${res.status}: ${await res.text()}`);
+  return { cutoff };
+}
+
+// The claim_idempotency result, or null if the store is unavailable.
+async function claimKeys(env, scope, keys) {
+  try {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/claim_idempotency`, {
+      method: "POST",
+      headers: sbHeaders(env),
+      body: JSON.stringify({
+        p_org: env.SM_ORG_ID || null,
+        p_scope: scope,
+        p_keys: keys.map(k => k.key),
+        p_ttl_seconds: keys.map(k => k.ttl),
+        p_lease_seconds: LEASE_SECONDS,
+      }),
+    });
+    if (!res.ok) throw new Error(`claim_idempotency RPC ${res.status}: ${await res.text()}`);
+    return await res.json();
+  } catch (err) {
+    console.error(`[idempotency] ${scope}: key store unavailable, running without:`, err);
+    return null;
+  }
+}
+
+// Keeps a 2xx JSON response against our keys — in full, or as the short
+// acknowledgement for signature-only keys. Anything else gives them back.
+async function settleKeys(env, scope, keys, response) {
+  let data = null;
+  if (response.ok) {
+    try { data = await response.clone().json(); } catch { data = null; }
+  }
+  if (data === null) return releaseKeys(env, scope, keys);
+  try {
+    for (const full of [true, false]) {
+      const group = keys.filter(k => k.full === full);
+      if (group.length === 0) continue;
+      const res = await fetch(`${env.SUPABASE_URL}/rest/v1/idempotency_keys?${keyFilter(scope, group)}`, {
+        method: "PATCH",
+        headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+        body: JSON.stringify({
+          status: "done",
+          response_status: response.status,
+          response_body: full ? data : DUPLICATE_ACK,
+          locked_until: null,
+        }),
+      });
+      if (!res.ok) throw new Error(`Supabase idempotency_keys update ${res.status}: ${await res.text()}`);
+    }
+  } catch (err) {
+    // The lease runs out on its own; a retry after that runs again.
+    console.error(`[idempotency] ${scope}: failed to store the response:`, err);
+  }
+}
+
+async function releaseKeys(env, scope, keys) {
+  try {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/idempotency_keys?${keyFilter(scope, keys)}`, {
+      method: "DELETE",
+      headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    });
+    if (!res.ok) throw new Error(`Supabase idempotency_keys delete ${res.status}: ${await res.text()}`);
+  } catch (err) {
+    console.error(`[idempotency] ${scope}: failed to release keys:`, err);
+  }
+}
+
+// Keys are "key:" / "dup:" plus hex, so they need no quoting in in.().
+function keyFilter(scope, keys) {
+  return `scope=eq.${encodeURIComponent(scope)}&key=in.(${keys.map(k => k.key).join(",")})`;
+}
+
+function withoutVolatile(body) {
+  if (!body || typeof body !== "object") return body;
+  return Object.fromEntries(Object.entries(body).filter(([field]) => !VOLATILE_FIELDS.includes(field)));
+}
+
+// SHA-256 hex of a value, with object keys sorted so field order and
+// re-serialisation don't matter.
+async function digest(value) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(canonicalJson(value)));
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
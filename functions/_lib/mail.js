@@ -0,0 +1,355 @@
+/**
+ * Outgoing email — the one way every Function sends mail.
+ *
+ * Not a route.
+ *
+ *   await sendMail(env, {
+ *     to: "customer@example.com",          // string or array
+ *     subject: "Your quote",
+ *     html: "<p>…</p>",
+ *     text: "…",                           // optional; derived from html if omitted
+ *     from: "Name <address>",              // optional; the organisation's sender
+ *     replyTo: "customer@example.com",     // optional
+ *     cc: ["someone@example.com"],         // optional
+ *     ccOffice: true,                      // optional; copies the office address
+ *     attachments: [{ filename, content /* base64 *\/, content_type? }],
+ *   });
+ *
+ * sendMail throws if the message can't be handed over, so callers keep their
+ * own fatal / non-fatal choice (the outbox retries; most others log).
+ * mailConfigured(env) says whether the selected transport has what it needs.
+ *
+ * Transports, chosen by MAIL_TRANSPORT:
+ *   resend  (default) → Resend HTTP API; needs RESEND_API_KEY
+ *   smtp              → any SMTP relay over a Workers TCP socket; port 465 is
+ *                       implicit TLS, anything else upgrades with STARTTLS
+ *   capture           → nothing leaves the building: the rendered message is
+ *                       stored in public.mail_capture and shown in the admin
+ *                       Mailbox tab. Use this for local dev and previews.
+ *
+ * Env vars (Cloudflare Pages → Settings → Environment Variables, or .dev.vars):
+ *   MAIL_TRANSPORT   → resend | smtp | capture
+ *   RESEND_API_KEY   → resend
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS → smtp
+ */
+
+import { connect } from "cloudflare:sockets";
+import { orgFrom, orgOf } from "./org.js";
+
+const TRANSPORTS = ["resend", "smtp", "capture"];
+const SMTP_TIMEOUT_MS = 20000;
+
+export function mailTransport(env) {
+  const name = String(env.MAIL_TRANSPORT || "resend").trim().toLowerCase();
+  return TRANSPORTS.includes(name) ? name : "resend";
+}
+
+export function mailConfigured(env) {
+  const transport = mailTransport(env);
+  if (transport === "smtp") return !!env.SMTP_HOST;
+  if (transport === "capture") return !!(env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY);
+  return !!env.RESEND_API_KEY;
+}
+
+// Returns { transport, id } — the provider's id, or the mail_capture row id.
+export async function sendMail(env, message) {
+  const msg = normaliseMessage(env, message);
+  const transport = mailTransport(env);
+  if (!mailConfigured(env)) throw new Error(`Mail transport "${transport}" is not configured`);
+  if (transport === "smtp") return { transport, id: await sendViaSmtp(env, msg) };
+  if (transport === "capture") return { transport, id: await captureMail(env, msg) };
+  return { transport, id: await sendViaResend(env, msg) };
+}
+
+// A readable plain-text version of an email's HTML, for the text/plain part.
+export function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "").trim();
+      return !href || href.startsWith("mailto:") || text === href ? text : `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote)>/gi, "\n\n")
+    .replace(/<\/t[dh]>/gi, "  ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&middot;/g, "·")
+    .replace(/&rarr;/g, "→")
+    .replace(/&mdash;/g, "—")
+    .replace(/&ndash;/g, "–")
+    .replace(/&pound;/g, "£")
+    .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .split("\n").map(line => line.replace(/[ \t]+/g, " ").trim()).join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function normaliseMessage(env, { from, to, cc, ccOffice, replyTo, subject, html, text, attachments }) {
+  const list = v => (Array.isArray(v) ? v : v ? [v] : []).map(a => String(a).trim()).filter(Boolean);
+  const toList = list(to);
+  if (toList.length === 0) throw new Error("sendMail: no recipient");
+  const ccList = list(cc);
+  const office = orgOf(env).email;
+  if (ccOffice && !toList.concat(ccList).some(a => bareAddress(a).toLowerCase() === office.toLowerCase())) {
+    ccList.push(office);
+  }
+  return {
+    from: from || orgFrom(env),
+    to: toList,
+    cc: ccList,
+    replyTo: replyTo ? String(replyTo).trim() : null,
+    subject: String(subject || ""),
+    html: html || "",
+    text: text || htmlToText(html),
+    attachments: Array.isArray(attachments) ? attachments.filter(a => a && a.filename && a.content) : [],
+  };
+}
+
+// ==================== RESEND ====================
+async function sendViaResend(env, msg) {
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: { "Authorization": `Bearer ${env.RESEND_API_KEY}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      from: msg.from,
+      to: msg.to,
+      subject: msg.subject,
+      html: msg.html,
+      text: msg.text,
+      ...(msg.cc.length ? { cc: msg.cc } : {}),
+      ...(msg.replyTo ? { reply_to: msg.replyTo } : {}),
+      ...(msg.attachments.length ? { attachments: msg.attachments } : {}),
+    }),
+  });
+  if (!res.ok) throw new Error(`Resend ${res.status}: ${await res.text()}`);
+  const body = await res.json().catch(() => ({}));
+  return body.id || null;
+}
+
+// ==================== CAPTURE ====================
+async function captureMail(env, msg) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_capture`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+    body: JSON.stringify({
+      organization_id: env.SM_ORG_ID || null,
+      from_address: msg.from,
+      to_addresses: msg.to,
+      cc_addresses: msg.cc,
+      reply_to: msg.replyTo,
+      subject: msg.subject,
+      html: msg.html,
+      text_body: msg.text,
+      attachments: msg.attachments.map(a => ({
+        filename: a.filename,
+        content_type: a.content_type || contentTypeFor(a.filename),
+        content: a.content,
+      })),
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase mail_capture insert ${res.status}: ${await res.text()}`);
+  const rows = await res.json();
+  return rows[0]?.id || null;
+}
+
+// ==================== SMTP ====================
+async function sendViaSmtp(env, msg) {
+  const messageId = `<${crypto.randomUUID()}@${senderDomain(msg)}>`;
+  const mime = buildMime(msg, messageId);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`SMTP timed out after ${SMTP_TIMEOUT_MS}ms`)), SMTP_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([smtpDeliver(env, msg, mime), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return messageId;
+}
+
+async function smtpDeliver(env, msg, mime) {
+  const port = parseInt(env.SMTP_PORT, 10) || 587;
+  const implicitTls = port === 465;
+  let socket = connect({ hostname: env.SMTP_HOST, port }, { secureTransport: implicitTls ? "on" : "starttls" });
+  let conn = smtpConnection(socket);
+  try {
+    await conn.reply(220);
+    await conn.command(`EHLO ${senderDomain(msg)}`, 250);
+    if (!implicitTls) {
+      await conn.command("STARTTLS", 220);
+      conn.release();
+      socket = socket.startTls();
+      conn = smtpConnection(socket);
+      await conn.command(`EHLO ${senderDomain(msg)}`, 250);
+    }
+    if (env.SMTP_USER) {
+      await conn.command(`AUTH PLAIN ${base64Utf8(`\0${env.SMTP_USER}\0${env.SMTP_PASS || ""}`)}`, 235);
+    }
+    await conn.command(`MAIL FROM:<${bareAddress(msg.from)}>`, 250);
+    for (const rcpt of [...msg.to, ...msg.cc]) await conn.command(`RCPT TO:<${bareAddress(rcpt)}>`, [250, 251]);
+    await conn.command("DATA", 354);
+    // Dot-stuffing: a line that starts with "." gets a second one.
+    await conn.command(`${mime.replace(/\r\n\./g, "\r\n..")}\r\n.`, 250);
+    await conn.command("QUIT", 221).catch(() => {});
+  } finally {
+    await socket.close().catch(() => {});
+  }
+}
+
+function smtpConnection(socket) {
+  const reader = socket.readable.getReader();
+  const writer = socket.writable.getWriter();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = "";
+
+  // A reply is one or more "NNN-text" lines ending with "NNN text".
+  async function reply(expected) {
+    const lines = [];
+    for (;;) {
+      const nl = buffer.indexOf("\r\n");
+      if (nl === -1) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error("SMTP connection closed unexpectedly");
+        buffer += decoder.decode(value, { stream: true });
+        continue;
+      }
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const code = parseInt(line.slice(0, 3), 10);
+        if (![].concat(expected).includes(code)) throw new Error(`SMTP ${lines.join(" | ")}`);
+        return code;
+      }
+    }
+  }
+
+  return {
+    reply,
+    async command(line, expected) {
+      await writer.write(encoder.encode(`${line}\r\n`));
+      return reply(expected);
+    },
+    release() {
+      reader.releaseLock();
+      writer.releaseLock();
+    },
+  };
+}
+
+// multipart/mixed (when there are attachments) around multipart/alternative
+// (text + HTML). Bodies are base64 so long lines and non-ASCII are safe.
+function buildMime(msg, messageId) {
+  const boundary = () => `=_sm_${crypto.randomUUID().replace(/-/g, "")}`;
+  const headers = [
+    `From: ${encodeAddress(msg.from)}`,
+    `To: ${msg.to.map(encodeAddress).join(", ")}`,
+    msg.cc.length ? `Cc: ${msg.cc.map(encodeAddress).join(", ")}` : null,
+    msg.replyTo ? `Reply-To: ${encodeAddress(msg.replyTo)}` : null,
+    `Subject: ${encodeWord(msg.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ].filter(Boolean);
+
+  const alt = boundary();
+  const alternative = [
+    `Content-Type: multipart/alternative; boundary="${alt}"`,
+    "",
+    `--${alt}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrap76(base64Utf8(msg.text)),
+    `--${alt}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrap76(base64Utf8(msg.html)),
+    `--${alt}--`,
+  ];
+  if (msg.attachments.length === 0) return [...headers, ...alternative].join("\r\n");
+
+  const mixed = boundary();
+  const parts = msg.attachments.flatMap(a => {
+    const filename = String(a.filename).replace(/[^\x20-\x7E]|"/g, "_");
+    return [
+      `--${mixed}`,
+      `Content-Type: ${a.content_type || contentTypeFor(filename)}; name="${filename}"`,
+      "Content-Transfer-Encoding: base64",
+      `Content-Disposition: attachment; filename="${filename}"`,
+      "",
+      wrap76(String(a.content).replace(/\s+/g, "")),
+    ];
+  });
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${mixed}"`,
+    "",
+    `--${mixed}`,
+    ...alternative,
+    ...parts,
+    `--${mixed}--`,
+  ].join("\r\n");
+}
+
+// ==================== HELPERS ====================
+// Message-IDs and EHLO use the sending organisation's domain.
+function senderDomain(msg) {
+  return bareAddress(msg.from).split("@")[1] || "localhost";
+}
+
+function bareAddress(address) {
+  const m = /<([^>]+)>/.exec(address);
+  return (m ? m[1] : address).trim();
+}
+
+// "Zoë Smith <z@example.com>" → RFC 2047 display name, plain address.
+function encodeAddress(address) {
+  const m = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(address);
+  if (!m || !m[1]) return bareAddress(address);
+  return `${encodeWord(m[1])} <${m[2]}>`;
+}
+
+function encodeWord(str) {
+  return /^[\x20-\x7E]*$/.test(str) ? str : `=?UTF-8?B?${base64Utf8(str)}?=`;
+}
+
+function base64Utf8(str) {
+  let binary = "";
+  for (const b of new TextEncoder().encode(String(str ?? ""))) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function wrap76(b64) {
+  return b64.replace(/(.{76})/g, "$1\r\n");
+}
+
+function contentTypeFor(filename) {
+  const ext = String(filename).split(".").pop().toLowerCase();
+  return {
+    pdf: "application/pdf",
+    ics: "text/calendar; charset=utf-8",
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    txt: "text/plain; charset=utf-8",
+  }[ext] || "application/octet-stream";
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
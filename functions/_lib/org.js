@@ -0,0 +1,224 @@
+/**
+ * Organisations — which brand a request is for, and everything that differs
+ * between brands (migrations/2026-10-19-17-organizations.sql).
+ *
+ * Not a route. A request's hostname picks a row in public.organizations;
+ * functions/api/_middleware.js resolves it once per request, and each route
+ * swaps its `env` for the organisation's:
+ *
+ *   export async function onRequestPost(context) {
+ *     const env = await orgEnv(context);
+ *     …
+ *   }
+ *
+ * The scoped env is the Cloudflare env with
+ *   SM_ORG_ID  → the organisation's id, so every existing query, insert and
+ *                outbox job stays inside that organisation;
+ *   ORG        → its branding, sender identity, URLs and origins (read with
+ *                orgOf / orgUrl / orgFrom rather than directly);
+ *   the organisation's `settings` laid over the env vars they name
+ *   (CLICKUP_LIST_ID, GHL_LOCATION_ID, STRIPE_SECRET_KEY …). A value
+ *   "env:NAME" is read from env var NAME, so secrets stay in Cloudflare.
+ *   The home organisation also has DEFAULT_ORG.envDefaults under both.
+ *
+ * A hostname nobody claims (preview deployments, localhost) is served as the
+ * home organisation, SM_ORG_ID; its empty columns fall back to DEFAULT_ORG.
+ * orgEnv() is null while a host that serves another organisation can't be
+ * looked up; answer with orgUnavailable().
+ *
+ * Env vars:
+ *   SM_ORG_ID → the home organisation
+ */
+
+// The Sears Melvin values every Function used to hard-code.
+export const DEFAULT_ORG = {
+  id: null,
+  slug: "sears-melvin",
+  name: "Sears Melvin Memorials",
+  shortName: "Sears Melvin",
+  email: "info@searsmelvin.co.uk",
+  fromName: "Sears Melvin Memorials",
+  fromEmail: "info@searsmelvin.co.uk",
+  phone: "+44 20 3835 2548",
+  area: "North London (NW11)",
+  showroom: "Sears Melvin Memorials showroom, North London (NW11)",
+  legalFooter: "Sears Melvin Ltd. Registered in England & Wales, company no. 16191330. Registered office: Unit 16, Dorewards Hall, Dorewards Chase, Braintree CM7 5LS, United Kingdom.",
+  siteUrl: "https://searsmelvin.co.uk",
+  hosts: ["searsmelvin.co.uk", "www.searsmelvin.co.uk"],
+  origins: ["https://searsmelvin.co.uk"],
+  settings: {},
+  // Env vars the home organisation falls back to when neither Cloudflare nor
+  // its settings set them: the ClickUp list every task used to go in.
+  envDefaults: { CLICKUP_LIST_ID: "8ck2cf5-10552" },
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+// The home organisation served after a failed lookup is only cached this
+// long, so a brand's host isn't served as the home organisation for a whole
+// CACHE_TTL_MS.
+const FALLBACK_TTL_MS = 5 * 1000;
+const ORG_SELECT = "id,slug,name,short_name,email,from_name,from_email,phone,area,showroom,legal_footer,site_url,hosts,allowed_origins,settings,active";
+// Env vars a row's `settings` may not replace: the database itself, the
+// organisation id and the cron secret are per deployment, not per brand.
+const FIXED_ENV = ["SUPABASE_URL", "SUPABASE_SERVICE_KEY", "SUPABASE_ANON_KEY", "SM_ORG_ID", "CRON_SECRET", "ASSETS"];
+
+// hostname → { org, at, ttl }. Per isolate; a changed row is picked up
+// within CACHE_TTL_MS. Expired entries stay, so a failed lookup still knows
+// which organisation the host last served.
+const hostCache = new Map();
+
+// The env for this request's organisation. Uses what the middleware resolved
+// when it ran (context.data.org), otherwise resolves it here. Null when the
+// organisation can't be resolved just now.
+export async function orgEnv(context) {
+  const org = context.data?.org || await resolveOrg(context.env, new URL(context.request.url).hostname);
+  return org ? envForOrg(context.env, org) : null;
+}
+
+export function envForOrg(env, org) {
+  return { ...org.envDefaults, ...env, ...orgSettings(env, org.settings), SM_ORG_ID: org.id || env.SM_ORG_ID, ORG: org };
+}
+
+// The organisation serving `hostname`. Never throws. When the lookup fails,
+// a host this isolate has seen serve another organisation gets null — served
+// as the home organisation, its enquiries would land in the wrong one — and
+// any other host is served the home organisation, as an unknown host is.
+export async function resolveOrg(env, hostname) {
+  const host = String(hostname || "").toLowerCase();
+  const cached = hostCache.get(host);
+  if (cached && Date.now() - cached.at < cached.ttl) return cached.org;
+
+  let org = null;
+  let ttl = CACHE_TTL_MS;
+  if (env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY) {
+    try {
+      const rows = await fetchOrgs(env, `hosts=cs.${encodeURIComponent(`{"${host}"}`)}&active=is.true&limit=1`);
+      org = rows[0] ? toOrg(env, rows[0]) : await homeOrg(env);
+    } catch (err) {
+      if (cached?.org.id && cached.org.id !== env.SM_ORG_ID) {
+        console.error(`Organisation lookup for ${host} failed, it serves ${cached.org.slug || cached.org.id}:`, err);
+        return null;
+      }
+      console.error(`Organisation lookup for ${host} failed, serving the home organisation:`, err);
+      ttl = FALLBACK_TTL_MS;
+    }
+  }
+  org = org || homeFallback(env);
+  hostCache.set(host, { org, at: Date.now(), ttl });
+  return org;
+}
+
+// The answer to a request whose organisation resolveOrg() couldn't give.
+export function orgUnavailable() {
+  return new Response(JSON.stringify({ ok: false, error: "Temporarily unavailable, please try again shortly" }), {
+    status: 503,
+    headers: { "Content-Type": "application/json", "Retry-After": "30" },
+  });
+}
+
+// Every active organisation, for work that isn't a request (the cron). The
+// home organisation is always there, first, row or not.
+export async function listOrgs(env) {
+  let rows = [];
+  try {
+    rows = await fetchOrgs(env, "active=is.true&order=created_at.asc");
+  } catch (err) {
+    console.error("Organisations unavailable, using the home organisation only:", err);
+  }
+  const orgs = rows.map(row => toOrg(env, row)).filter(org => org && org.id !== env.SM_ORG_ID);
+  const home = rows.find(row => row.id === env.SM_ORG_ID);
+  return [home ? toOrg(env, home) : homeFallback(env), ...orgs];
+}
+
+// The organisation an env belongs to: the scoped one, or the home one for an
+// env that was never scoped.
+export function orgOf(env) {
+  return env.ORG || homeFallback(env);
+}
+
+// An absolute URL on the organisation's site: orgUrl(env, "/track?token=…").
+export function orgUrl(env, path = "") {
+  return `${orgOf(env).siteUrl}${path}`;
+}
+
+// "Name <address>" for the From header.
+export function orgFrom(env) {
+  const org = orgOf(env);
+  return `${org.fromName} <${org.fromEmail}>`;
+}
+
+// The Access-Control-Allow-Origin for a request from `origin`: the origin
+// itself if the organisation allows it, otherwise its own site.
+export function allowedOrigin(org, origin) {
+  return origin && org.origins.includes(origin) ? origin : org.origins[0];
+}
+
+async function homeOrg(env) {
+  if (!env.SM_ORG_ID) return null;
+  const rows = await fetchOrgs(env, `id=eq.${encodeURIComponent(env.SM_ORG_ID)}&limit=1`);
+  return rows[0] ? toOrg(env, rows[0]) : null;
+}
+
+function homeFallback(env) {
+  return { ...DEFAULT_ORG, id: env.SM_ORG_ID || null };
+}
+
+// A row → the org object. The home organisation's blanks take the defaults;
+// any other organisation must be complete, and is skipped (logged) if not.
+function toOrg(env, row) {
+  const home = row.id === env.SM_ORG_ID;
+  const base = home ? DEFAULT_ORG : {};
+  const pick = (value, fallback) => (value === null || value === undefined || value === "" ? fallback : value);
+  const siteUrl = String(pick(row.site_url, base.siteUrl) || "").replace(/\/+$/, "");
+  const org = {
+    id: row.id,
+    slug: pick(row.slug, base.slug),
+    name: pick(row.name, base.name),
+    shortName: pick(row.short_name, pick(base.shortName, row.name)),
+    email: pick(row.email, base.email),
+    fromName: pick(row.from_name, pick(base.fromName, row.name)),
+    fromEmail: pick(row.from_email, pick(base.fromEmail, row.email)),
+    phone: pick(row.phone, base.phone) || "",
+    area: pick(row.area, base.area) || "",
+    showroom: pick(row.showroom, base.showroom) || "",
+    legalFooter: pick(row.legal_footer, base.legalFooter) || "",
+    siteUrl,
+    hosts: row.hosts?.length ? row.hosts : base.hosts || [],
+    origins: row.allowed_origins?.length ? row.allowed_origins : siteUrl ? [siteUrl] : [],
+    settings: row.settings || {},
+    envDefaults: base.envDefaults || {},
+  };
+  if (!org.name || !org.email || !org.siteUrl) {
+    console.error(`[org] organisation ${row.id} needs name, email and site_url — skipped`);
+    return home ? homeFallback(env) : null;
+  }
+  return org;
+}
+
+// `settings` → env var overrides. "env:NAME" dereferences; fixed keys and
+// anything that isn't an UPPER_SNAKE env var name are ignored.
+function orgSettings(env, settings) {
+  const out = {};
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(key) || FIXED_ENV.includes(key) || value === null || value === undefined) continue;
+    const str = String(value);
+    out[key] = str.startsWith("env:") ? env[str.slice(4)] : str;
+  }
+  return out;
+}
+
+async function fetchOrgs(env, query) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/organizations?select=${ORG_SELECT}&${query}`, {
+    headers: sbHeaders(env),
+  });
+  if (!res.ok) throw new Error(`Supabase organizations lookup ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Outbox processor — runs the side-effect jobs written by the save RPCs
+ * (create_quote / create_enquiry, see migrations/2026-10-19-03-outbox.sql).
+ *
+ * Not a route. Callers pass their own `handlers` map (kind → async function)
+ * so this module stays free of email / CRM specifics:
+ *
+ *   handler(env, payload, { jobId, dependency, orderId, enquiryId }) → result (stored as jsonb)
+ *
+ * `dependency` is the `result` of the job named in depends_on (null if that
+ * job died); `orderId` / `enquiryId` are the rows the job was queued for. A
+ * thrown error schedules a retry with exponential backoff; after
+ * max_attempts the job is marked 'dead' and only the admin can revive it.
+ */
+
+const BACKOFF_BASE_MS = 60 * 1000;          // 1 min after the first failure…
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;  // …doubling, capped at 6 hours
+const MAX_ROUNDS = 5;                       // dependency chains are at most this deep
+
+// Claims and runs due jobs. With `ids`, only those jobs are considered (the
+// submit-time run); without, anything due (the cron run). Jobs whose
+// dependency is still pending are picked up in a later round once it lands.
+// Only jobs of env's organisation (SM_ORG_ID) are claimed, so each runs with
+// that organisation's config.
+export async function processOutbox(env, handlers, { ids = null, limit = 20 } = {}) {
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const jobs = await claimOutbox(env, { ids, limit });
+    if (jobs.length === 0) break;
+    const dependencies = await fetchDependencyResults(env, jobs);
+    const outcomes = await Promise.all(jobs.map(job => runJob(env, handlers, job, dependencies.get(job.depends_on) ?? null)));
+    for (const outcome of outcomes) {
+      summary.processed++;
+      summary[outcome]++;
+    }
+  }
+  return summary;
+}
+
+// Puts a job back in the queue for an immediate attempt. Dead jobs get one
+// more attempt on top of whatever they've used. False if there's no such job
+// in env's organisation.
+export async function requeueOutboxJob(env, id) {
+  const orgFilter = env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/outbox?id=eq.${encodeURIComponent(id)}${orgFilter}&select=attempts,max_attempts,status`, {
+    headers: sbHeaders(env),
+  });
+  if (!res.ok) throw new Error(`Supabase outbox lookup ${res.status}: ${await res.text()}`);
+  const rows = await res.json();
+  if (rows.length === 0) return false;
+  const job = rows[0];
+  const patch = {
+    status: "pending",
+    next_attempt_at: new Date().toISOString(),
+    locked_until: null,
+    updated_at: new Date().toISOString(),
+  };
+  if (job.attempts >= job.max_attempts) patch.max_attempts = job.attempts + 1;
+  await patchJob(env, id, patch);
+  return true;
+}
+
+// Delay before attempt n+1, given n attempts so far: 1m, 2m, 4m … 6h, ±20%.
+export function backoffDelayMs(attempts) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+async function runJob(env, handlers, job, dependency) {
+  const handler = handlers[job.kind];
+  try {
+    if (!handler) throw new Error(`No outbox handler for kind "${job.kind}"`);
+    const result = await handler(env, job.payload || {}, {
+      jobId: job.id, dependency, orderId: job.order_id || null, enquiryId: job.enquiry_id || null,
+    });
+    await patchJob(env, job.id, {
+      status: "sent",
+      result: result ?? null,
+      last_error: null,
+      locked_until: null,
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+    return "sent";
+  } catch (err) {
+    const dead = job.attempts >= job.max_attempts;
+    console.error(`[outbox ${job.kind} ${job.id}] attempt ${job.attempts}/${job.max_attempts} failed${dead ? " — giving up" : ""}:`, err);
+    try {
+      await patchJob(env, job.id, {
+        status: dead ? "dead" : "pending",
+        last_error: String(err?.message || err).slice(0, 2000),
+        next_attempt_at: new Date(Date.now() + backoffDelayMs(job.attempts)).toISOString(),
+        locked_until: null,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (patchErr) {
+      // The lease expires on its own, so the job is retried either way.
+      console.error(`[outbox ${job.id}] failed to record failure:`, patchErr);
+    }
+    return dead ? "dead" : "retrying";
+  }
+}
+
+async function claimOutbox(env, { ids, limit }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/claim_outbox`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ p_limit: limit, p_ids: ids && ids.length ? ids : null, p_org: env.SM_ORG_ID || null }),
+  });
+  if (!res.ok) throw new Error(`claim_outbox RPC ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+async function fetchDependencyResults(env, jobs) {
+  const depIds = [...new Set(jobs.map(j => j.depends_on).filter(Boolean))];
+  const results = new Map();
+  if (depIds.length === 0) return results;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/outbox?id=in.(${depIds.join(",")})&select=id,result`, {
+    headers: sbHeaders(env),
+  });
+  if (!res.ok) throw new Error(`Supabase outbox dependency lookup ${res.status}: ${await res.text()}`);
+  for (const row of await res.json()) results.set(row.id, row.result);
+  return results;
+}
+
+async function patchJob(env, id, patch) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/outbox?id=eq.${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(patch),
+  });
+  if (!res.ok) throw new Error(`Supabase outbox update ${res.status}: ${await res.text()}`);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Minimal PDF writer — enough for single-page business documents like the
+ * quote PDF (functions/_lib/quote-pdf.js) without bundling a dependency.
+ *
+ * Not a route. Coordinates are points (1/72") from the top-left of an A4
+ * portrait page; text `y` is the baseline. Text is set in the built-in
+ * Helvetica family with WinAnsi encoding, so £, dashes, curly quotes and
+ * accented Latin letters print; anything else becomes "?".
+ *
+ *   const doc = createPdf({ title: "Quote QT-0042" });
+ *   const page = doc.addPage();
+ *   page.text("Hello", 48, 60, { size: 12, font: "bold", color: "#2C2C2C" });
+ *   page.rect(48, 80, 100, 20, { fill: "#8B7355" });
+ *   doc.toBytes();   // Uint8Array, for a Response body
+ *   doc.toBase64();  // for an email attachment
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" };
+const FONT_KEYS = Object.keys(FONTS);
+
+// Advance widths (1/1000 em) for ASCII 32–126, from the standard Helvetica
+// AFM files. Oblique shares the regular widths.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsi still has a slot for.
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92,
+  "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99,
+};
+const SPECIAL_WIDTHS = { "…": 1000, "—": 1000, "•": 350, "‘": 222, "’": 222, "“": 333, "”": 333, "£": 556, "©": 737, "°": 400, "·": 278 };
+
+export function createPdf({ title = "", author = "" } = {}) {
+  const pages = [];
+
+  return {
+    addPage() {
+      const page = createPage();
+      pages.push(page);
+      return page;
+    },
+    toBytes() {
+      const binary = serialise(pages, { title, author });
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      return bytes;
+    },
+    toBase64() {
+      return btoa(serialise(pages, { title, author }));
+    },
+  };
+}
+
+export function textWidth(str, { font = "regular", size = 10 } = {}) {
+  const table = font === "bold" ? HELVETICA_BOLD : HELVETICA;
+  let units = 0;
+  for (const ch of String(str ?? "")) {
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code <= 126) { units += table[code - 32]; continue; }
+    if (SPECIAL_WIDTHS[ch]) { units += SPECIAL_WIDTHS[ch]; continue; }
+    // Accented letters are as wide as their base letter.
+    const base = ch.normalize("NFD").charCodeAt(0);
+    units += base >= 32 && base <= 126 ? table[base - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+// Greedy word wrap; explicit newlines are kept. Over-long words are split.
+export function wrapText(str, maxWidth, opts = {}) {
+  const lines = [];
+  for (const paragraph of String(str ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, opts) <= maxWidth) { line = candidate; continue; }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, opts) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), opts) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function createPage() {
+  const ops = [];
+  const y = top => num(A4.height - top);
+  return {
+    ops,
+    text(str, x, baseline, { size = 10, font = "regular", color = "#000000", align = "left" } = {}) {
+      const width = textWidth(str, { font, size });
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      const fontIndex = Math.max(FONT_KEYS.indexOf(font), 0) + 1;
+      ops.push(`BT ${fillColour(color)} /F${fontIndex} ${num(size)} Tf ${num(left)} ${y(baseline)} Td (${pdfString(str)}) Tj ET`);
+      return width;
+    },
+    rect(x, top, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(`q ${fill ? fillColour(fill) : ""} ${stroke ? strokeColour(stroke) : ""} ${num(lineWidth)} w ${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+    line(x1, y1, x2, y2, { color = "#000000", lineWidth = 1 } = {}) {
+      ops.push(`q ${strokeColour(color)} ${num(lineWidth)} w ${num(x1)} ${y(y1)} m ${num(x2)} ${y(y2)} l S Q`);
+    },
+  };
+}
+
+// Builds the file as a binary string (one char per byte) so byte offsets for
+// the xref table are just string lengths.
+function serialise(pages, { title, author }) {
+  const objects = [];
+  const add = body => objects.push(body);
+  add(null); // 1: catalog
+  add(null); // 2: page tree
+  const fontRefs = FONT_KEYS.map((key, i) => {
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key]} /Encoding /WinAnsiEncoding >>`);
+    return `/F${i + 1} ${objects.length} 0 R`;
+  }).join(" ");
+
+  const pageIds = pages.map(page => {
+    const content = page.ops.join("\n");
+    add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const contentId = objects.length;
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(A4.width)} ${num(A4.height)}] /Resources << /Font << ${fontRefs} >> >> /Contents ${contentId} 0 R >>`);
+    return objects.length;
+  });
+  objects[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  const stamp = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  add(`<< /Title (${pdfString(title)}) /Author (${pdfString(author)}) /Producer (${pdfString(author)}) /CreationDate (D:${stamp}Z) >>`);
+  const infoId = objects.length;
+
+  let out = "%PDF-1.4\n%\xE2\xE3\xCF\xD3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) out += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return out;
+}
+
+// Unicode → WinAnsi bytes, escaped for a PDF literal string.
+function pdfString(str) {
+  let out = "";
+  for (const ch of String(str ?? "")) {
+    const code = ch.charCodeAt(0);
+    let byte;
+    if (code >= 32 && code <= 126) byte = code;
+    else if (WIN_ANSI[ch]) byte = WIN_ANSI[ch];
+    else if (code >= 0xA0 && code <= 0xFF) byte = code;
+    else if (ch === "\t") byte = 32;
+    else byte = 63; // "?"
+    const c = String.fromCharCode(byte);
+    out += c === "\\" || c === "(" || c === ")" ? `\\${c}` : c;
+  }
+  return out;
+}
+
+function fillColour(hex) {
+  return `${rgb(hex)} rg`;
+}
+
+function strokeColour(hex) {
+  return `${rgb(hex)} RG`;
+}
+
+function rgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  const n = m ? parseInt(m[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => num(v / 255)).join(" ");
+}
+
+function num(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2).replace(/\.?0+$/, "");
+}
@@ -0,0 +1,288 @@
+/**
+ * Duplicate people — the `people_duplicates` job in /api/cron, and merging
+ * (migrations/2026-10-19-14-people-merge.sql).
+ *
+ * Not a route. `people` is deduped by email alone, so someone who enquires by
+ * phone, from a relative's email and through a funeral director partner can
+ * end up as several rows. scanDuplicatePeople() compares everyone in the org
+ * and records likely pairs in person_duplicates for staff to review in the
+ * admin; mergePeople() folds one person into another with merge_people, which
+ * moves their orders, enquiries, follow-ups, texts, activity and portal link
+ * and writes the audit row.
+ *
+ * People are only compared within a block — the same phone number once
+ * normalised, a similar-sounding surname with the same first initial, or the
+ * same postcode / address — so a run stays cheap as the table grows. Each
+ * pair is then scored:
+ *
+ *   phone        same number (E.164)                         0.5
+ *   name         same first and last name                    0.35
+ *   similar_name close spelling, or an initial for the name  0.2
+ *   address      same address line                           0.3
+ *   postcode     same postcode (when the address differs)    0.2
+ *   cemetery     quotes or enquiries for the same cemetery   0.15
+ *
+ * and kept at MATCH_THRESHOLD or above. A pair that staff have dismissed is
+ * re-scored but never reopened.
+ *
+ * Env vars:
+ *   DUPLICATE_SCAN_HOURS → minimum hours between scans (default 24); the
+ *                          admin's "Scan now" ignores it
+ */
+
+import { normalisePhone } from "./validate.js";
+
+const DEFAULT_SCAN_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const MATCH_THRESHOLD = 0.5;
+const WEIGHTS = { phone: 0.5, name: 0.35, similar_name: 0.2, address: 0.3, postcode: 0.2, cemetery: 0.15 };
+// Blocks bigger than this are common surnames or shared numbers (a funeral
+// director's switchboard) — too broad to say anything, and quadratic to check.
+const MAX_BLOCK_SIZE = 40;
+const PAGE_SIZE = 1000;
+const UPSERT_CHUNK = 200;
+const POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+export function duplicateScanHours(env) {
+  const spec = String(env.DUPLICATE_SCAN_HOURS || "").trim();
+  if (!spec) return DEFAULT_SCAN_HOURS;
+  if (!/^\d+$/.test(spec)) {
+    console.error(`[people-duplicates] ignoring DUPLICATE_SCAN_HOURS "${spec}"`);
+    return DEFAULT_SCAN_HOURS;
+  }
+  return Number(spec);
+}
+
+// Runs at most once every DUPLICATE_SCAN_HOURS unless `force`. Returns
+// { checked, pairs, blocksSkipped } or { skipped: true, lastScanAt }.
+export async function scanDuplicatePeople(env, { force = false } = {}) {
+  if (!env.SM_ORG_ID) throw new Error("SM_ORG_ID is not configured");
+  const lastScanAt = await lastDuplicateScan(env);
+  if (!force && lastScanAt && Date.now() - Date.parse(lastScanAt) < duplicateScanHours(env) * HOUR_MS) {
+    return { skipped: true, lastScanAt };
+  }
+
+  const people = (await fetchAll(env, "people", "id,first_name,last_name,phone,address,city", { merged_into: "is.null" }))
+    .map(candidateFor);
+  const byId = new Map(people.map(p => [p.id, p]));
+  for (const table of ["orders", "enquiries"]) {
+    const rows = await fetchAll(env, table, "person_id,cemetery_id,location", { person_id: "not.is.null" });
+    for (const row of rows) {
+      const person = byId.get(row.person_id);
+      const key = row.cemetery_id || squash(row.location);
+      if (person && key) person.cemeteries.add(key);
+    }
+  }
+
+  const blocks = new Map();
+  for (const person of people) {
+    for (const key of person.blockKeys) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(person);
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  let blocksSkipped = 0;
+  for (const members of blocks.values()) {
+    if (members.length < 2) continue;
+    if (members.length > MAX_BLOCK_SIZE) {
+      blocksSkipped++;
+      continue;
+    }
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const pairKey = `${a.id}|${b.id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        const match = scorePair(a, b);
+        if (match.score >= MATCH_THRESHOLD) pairs.push({ a: a.id, b: b.id, ...match });
+      }
+    }
+  }
+
+  await saveDuplicates(env, pairs);
+  await logScan(env, { checked: people.length, pairs: pairs.length });
+  return { checked: people.length, pairs: pairs.length, blocksSkipped };
+}
+
+// Folds `mergedId` into `survivorId`. Returns { merge_id, survivor_id,
+// merged_id, moved }, or null when either is missing, already merged or
+// belongs to another organisation.
+export async function mergePeople(env, { survivorId, mergedId, duplicateId = null, mergedBy = null }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/merge_people`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_survivor_id: survivorId,
+      p_merged_id: mergedId,
+      p_merged_by: mergedBy,
+      p_duplicate_id: duplicateId,
+      p_org: env.SM_ORG_ID || null,
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase merge_people ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+export async function lastDuplicateScan(env) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/person_duplicate_scans?organization_id=eq.${encodeURIComponent(env.SM_ORG_ID)}&select=created_at&order=created_at.desc&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase duplicate scan lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0]?.created_at || null;
+}
+
+// The comparable bits of a person, normalised once.
+function candidateFor(row) {
+  const first = squash(row.first_name);
+  const last = row.last_name === "-" ? "" : squash(row.last_name);
+  const phone = normalisePhone(row.phone);
+  const address = squash(row.address);
+  const postcode = postcodeOf(`${row.address || ""} ${row.city || ""}`);
+  const blockKeys = [];
+  if (phone) blockKeys.push(`phone:${phone}`);
+  if (last && first) blockKeys.push(`name:${soundex(last)}:${first[0]}`);
+  if (postcode) blockKeys.push(`postcode:${postcode}`);
+  else if (address) blockKeys.push(`address:${address}`);
+  return { id: String(row.id).toLowerCase(), first, last, phone, address, postcode, cemeteries: new Set(), blockKeys };
+}
+
+function scorePair(a, b) {
+  const reasons = [];
+  if (a.phone && a.phone === b.phone) reasons.push("phone");
+
+  const name = nameMatch(a, b);
+  if (name) reasons.push(name);
+
+  if (a.address && a.address === b.address) reasons.push("address");
+  else if (a.postcode && a.postcode === b.postcode) reasons.push("postcode");
+
+  if ([...a.cemeteries].some(c => b.cemeteries.has(c))) reasons.push("cemetery");
+
+  const score = reasons.reduce((sum, r) => sum + WEIGHTS[r], 0);
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// "name" for the same name, "similar_name" for a close spelling of the
+// surname with the same or a compatible first name ("J" / "Jean"), else null.
+function nameMatch(a, b) {
+  if (!a.first || !b.first) return null;
+  if (!a.last || !b.last) return a.first === b.first && !a.last && !b.last ? "similar_name" : null;
+  if (a.first === b.first && a.last === b.last) return "name";
+  const firstOk = a.first === b.first
+    || (a.first.length === 1 || b.first.length === 1) && a.first[0] === b.first[0]
+    || jaroWinkler(a.first, b.first) >= 0.9;
+  return firstOk && jaroWinkler(a.last, b.last) >= 0.9 ? "similar_name" : null;
+}
+
+// Lower-case letters and digits only: "O'Brien " → "obrien".
+function squash(value) {
+  return String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function postcodeOf(text) {
+  const m = String(text).match(POSTCODE_RE);
+  return m ? `${m[1]}${m[2]}`.toUpperCase() : null;
+}
+
+function soundex(word) {
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  const letters = word.replace(/[^a-z]/g, "");
+  if (!letters) return word;
+  let out = letters[0];
+  let last = codes[letters[0]] || 0;
+  for (const ch of letters.slice(1)) {
+    const code = codes[ch] || 0;
+    if (code && code !== last) out += code;
+    if (ch !== "h" && ch !== "w") last = code;
+    if (out.length === 4) break;
+  }
+  return out.padEnd(4, "0");
+}
+
+function jaroWinkler(s, t) {
+  if (s === t) return 1;
+  const range = Math.max(0, Math.floor(Math.max(s.length, t.length) / 2) - 1);
+  const sMatched = new Array(s.length).fill(false);
+  const tMatched = new Array(t.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < s.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(t.length, i + range + 1); j++) {
+      if (tMatched[j] || s[i] !== t[j]) continue;
+      sMatched[i] = tMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+  let k = 0;
+  let transpositions = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (!sMatched[i]) continue;
+    while (!tMatched[k]) k++;
+    if (s[i] !== t[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / s.length + matches / t.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && s[prefix] && s[prefix] === t[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Every row of `table` in the org, a page at a time.
+async function fetchAll(env, table, select, filters) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const params = new URLSearchParams({ select, order: "id.asc", offset: String(offset), limit: String(PAGE_SIZE) });
+    params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+    for (const [column, filter] of Object.entries(filters)) params.append(column, filter);
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${params}`, { headers: sbHeaders(env) });
+    if (!res.ok) throw new Error(`Supabase ${table} scan ${res.status}: ${await res.text()}`);
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// New pairs start 'open'; existing ones only get their score and reasons
+// refreshed, so a dismissed or merged pair keeps its status.
+async function saveDuplicates(env, pairs) {
+  const now = new Date().toISOString();
+  for (let i = 0; i < pairs.length; i += UPSERT_CHUNK) {
+    const rows = pairs.slice(i, i + UPSERT_CHUNK).map(p => ({
+      organization_id: env.SM_ORG_ID,
+      person_a: p.a,
+      person_b: p.b,
+      score: p.score,
+      reasons: p.reasons,
+      updated_at: now,
+    }));
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/person_duplicates?on_conflict=person_a,person_b`, {
+      method: "POST",
+      headers: { ...sbHeaders(env), "Prefer": "resolution=merge-duplicates,return=minimal" },
+      body: JSON.stringify(rows),
+    });
+    if (!res.ok) throw new Error(`Supabase person_duplicates upsert ${res.status}: ${await res.text()}`);
+  }
+}
+
+async function logScan(env, { checked, pairs }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/person_duplicate_scans`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify({ organization_id: env.SM_ORG_ID, people_checked: checked, pairs_found: pairs }),
+  });
+  if (!res.ok) throw new Error(`Supabase person_duplicate_scans insert ${res.status}: ${await res.text()}`);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
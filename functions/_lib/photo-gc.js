@@ -0,0 +1,175 @@
+/**
+ * Orphaned enquiry photos — the `photo_gc` job in /api/cron
+ * (migrations/2026-10-19-21-photo-gc.sql).
+ *
+ * Not a route. The contact form uploads photos as soon as they're picked, so
+ * an abandoned form leaves them in enquiry-photos/<org>/<yyyy>/<mm>/ with
+ * nothing pointing at them. collectOrphanPhotos() lists the organisation's
+ * objects, groups each original with its display and thumbnail sizes
+ * (functions/_lib/photos.js), and deletes the groups that nothing refers to —
+ * no enquiry, no unsent email, no upload ticket still open — once even the
+ * newest object in the group is past the grace period.
+ *
+ * Every run is recorded in photo_gc_runs with what it reclaimed. A dry run
+ * records the same report and deletes nothing: PHOTO_GC_DRY_RUN=true, or
+ * { jobs: ["photo_gc"], dry_run: true } in the /api/cron body, which also
+ * runs straight away rather than waiting for PHOTO_GC_HOURS.
+ *
+ * Env vars:
+ *   PHOTO_GC_GRACE_HOURS → leave photos younger than this alone (default 72)
+ *   PHOTO_GC_HOURS       → minimum hours between runs (default 24)
+ *   PHOTO_GC_DRY_RUN     → "true" = report only, never delete
+ */
+
+import { isPhotoVariant, listPhotoObjects, photoStem, removePhotoObjects } from "./photos.js";
+
+const DEFAULTS = { graceHours: 72, intervalHours: 24 };
+const HOUR_MS = 60 * 60 * 1000;
+const REFERENCE_CHUNK = 200;
+const DELETE_CHUNK = 100;
+// Bounds one run's subrequests; the rest wait for the next run.
+const MAX_ORPHANS_PER_RUN = 500;
+
+export function photoGcSettings(env) {
+  return {
+    graceHours: hoursSetting(env, "PHOTO_GC_GRACE_HOURS", DEFAULTS.graceHours),
+    intervalHours: hoursSetting(env, "PHOTO_GC_HOURS", DEFAULTS.intervalHours),
+    dryRun: String(env.PHOTO_GC_DRY_RUN || "").trim().toLowerCase() === "true",
+  };
+}
+
+// Runs at most once every PHOTO_GC_HOURS unless `force`. Returns the run's
+// summary or { skipped: true, lastRunAt }.
+export async function collectOrphanPhotos(env, { dryRun = false, force = false } = {}) {
+  if (!env.SM_ORG_ID) throw new Error("SM_ORG_ID is not configured");
+  const settings = photoGcSettings(env);
+  dryRun = dryRun || settings.dryRun;
+  const lastRunAt = await lastPhotoGc(env, { dryRun });
+  if (!force && lastRunAt && Date.now() - Date.parse(lastRunAt) < settings.intervalHours * HOUR_MS) {
+    return { skipped: true, lastRunAt };
+  }
+
+  const objects = await listPhotoObjects(env, env.SM_ORG_ID);
+  const groups = new Map();
+  for (const object of objects) {
+    const stem = photoStem(object.path);
+    if (!groups.has(stem)) groups.set(stem, { original: null, objects: [], newest: 0 });
+    const group = groups.get(stem);
+    if (!isPhotoVariant(object.path)) group.original = object.path;
+    group.objects.push(object);
+    group.newest = Math.max(group.newest, Date.parse(object.createdAt) || Date.now());
+  }
+
+  const cutoff = Date.now() - settings.graceHours * HOUR_MS;
+  const candidates = [...groups.values()].filter(g => g.newest < cutoff);
+  const referenced = await referencedPaths(env, candidates.map(g => g.original).filter(Boolean));
+  // A display / thumbnail whose original is gone belongs to nothing.
+  const orphans = candidates.filter(g => !g.original || !referenced.has(g.original));
+  const batch = orphans.slice(0, MAX_ORPHANS_PER_RUN);
+
+  // A dry run reports what it would have reclaimed.
+  const errors = [];
+  let deleted = 0;
+  let reclaimed = dryRun ? batch.reduce((n, g) => n + groupBytes(g), 0) : 0;
+  if (!dryRun) {
+    const batchObjects = batch.flatMap(g => g.objects);
+    for (let i = 0; i < batchObjects.length; i += DELETE_CHUNK) {
+      const chunk = batchObjects.slice(i, i + DELETE_CHUNK);
+      try {
+        await removePhotoObjects(env, chunk.map(o => o.path));
+        deleted += chunk.length;
+        reclaimed += chunk.reduce((n, o) => n + o.bytes, 0);
+      } catch (err) {
+        console.error("[photo-gc] delete failed:", err);
+        errors.push({ paths: chunk.length, error: String(err?.message || err) });
+      }
+    }
+  }
+
+  const report = {
+    organization_id: env.SM_ORG_ID,
+    dry_run: dryRun,
+    grace_hours: settings.graceHours,
+    objects_scanned: objects.length,
+    photos_kept: groups.size - orphans.length,
+    photos_orphaned: orphans.length,
+    objects_deleted: deleted,
+    bytes_reclaimed: reclaimed,
+    orphans: batch.map(g => ({
+      path: g.original || `${photoStem(g.objects[0].path)} (variants only)`,
+      objects: g.objects.length,
+      bytes: groupBytes(g),
+      created_at: new Date(g.newest).toISOString(),
+    })),
+    errors,
+  };
+  await recordRun(env, report);
+  return {
+    dryRun,
+    scanned: report.objects_scanned,
+    kept: report.photos_kept,
+    orphaned: report.photos_orphaned,
+    deleted,
+    bytesReclaimed: reclaimed,
+    remaining: orphans.length - batch.length,
+    errors: errors.length,
+  };
+}
+
+// Dry runs and real ones are timed separately, so trying a dry run doesn't
+// put off the next real one.
+export async function lastPhotoGc(env, { dryRun = false } = {}) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/photo_gc_runs?organization_id=eq.${encodeURIComponent(env.SM_ORG_ID)}&dry_run=is.${dryRun}&select=created_at&order=created_at.desc&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase photo GC lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0]?.created_at || null;
+}
+
+// The originals something still refers to. Throws rather than guessing: a
+// failed check must never look like "nothing is referenced".
+async function referencedPaths(env, paths) {
+  const referenced = new Set();
+  for (let i = 0; i < paths.length; i += REFERENCE_CHUNK) {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/referenced_photo_paths`, {
+      method: "POST",
+      headers: sbHeaders(env),
+      body: JSON.stringify({ p_paths: paths.slice(i, i + REFERENCE_CHUNK) }),
+    });
+    if (!res.ok) throw new Error(`referenced_photo_paths RPC ${res.status}: ${await res.text()}`);
+    for (const path of await res.json()) referenced.add(path);
+  }
+  return referenced;
+}
+
+async function recordRun(env, report) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/photo_gc_runs`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify(report),
+  });
+  if (!res.ok) throw new Error(`Supabase photo_gc_runs insert ${res.status}: ${await res.text()}`);
+}
+
+function groupBytes(group) {
+  return group.objects.reduce((n, o) => n + o.bytes, 0);
+}
+
+function hoursSetting(env, name, fallback) {
+  const spec = String(env[name] || "").trim();
+  if (!spec) return fallback;
+  if (!/^\d+$/.test(spec)) {
+    console.error(`[photo-gc] ignoring ${name} "${spec}"`);
+    return fallback;
+  }
+  return Number(spec);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,381 @@
+/**
+ * Enquiry photos — cleaning up what phones upload, and signing it for
+ * display (the private `enquiry-photos` bucket).
+ *
+ * Not a route. /api/upload-photo hands each upload to processPhoto() and
+ * storePhoto(); the admin and the office email sign them with signPhotos().
+ *
+ * Phones send 10 MB HEIC files most browsers can't show, with full EXIF —
+ * GPS position included, often a family's home. So every upload becomes:
+ *
+ *   <path>               the original, without its metadata: EXIF, XMP,
+ *                        IPTC and comments are dropped byte-for-byte (JPEG
+ *                        keeps only its Orientation, so it still shows the
+ *                        right way up; PNG and WebP lose their text and EXIF
+ *                        chunks). HEIC is converted to a full-size JPEG.
+ *   <stem>.display.jpg   up to 1600 px, for viewing
+ *   <stem>.thumb.jpg     up to 480 px, for lists and emails
+ *
+ * Resizing and HEIC conversion use the Cloudflare Images binding. Without
+ * it, JPEG / PNG / WebP are still stripped and stored, with no variants
+ * (signPhotos() then serves the original at every size), and HEIC is
+ * refused rather than stored with its location in it.
+ *
+ * Bindings:
+ *   IMAGES → Cloudflare Images (wrangler.jsonc "images")
+ */
+
+export const PHOTO_BUCKET = "enquiry-photos";
+
+const DISPLAY_MAX_PX = 1600;
+const THUMB_MAX_PX = 480;
+const DISPLAY_QUALITY = 82;
+const THUMB_QUALITY = 75;
+const ORIGINAL_QUALITY = 90;
+// JPEG segments kept as they are: JFIF (APP0), Adobe colour transform
+// (APP14) and the ICC colour profile — the only APP2 kept, as MPF and
+// FlashPix data use it too. Every other APPn and comments are dropped.
+const JPEG_KEEP_APP = [0xE0, 0xEE];
+const JPEG_ICC_ID = "ICC_PROFILE\0";
+const PNG_DROP_CHUNKS = ["eXIf", "tEXt", "iTXt", "zTXt", "tIME"];
+const WEBP_DROP_CHUNKS = ["EXIF", "XMP "];
+const VARIANT_SUFFIX_RE = /\.(display|thumb)\.jpg$/;
+const LIST_PAGE_SIZE = 1000;
+// ISO-BMFF major brands phones write for HEIC / HEIF stills.
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"];
+
+// What the file actually is, from its first bytes — image/jpeg, image/png,
+// image/webp or image/heic — or null. The browser's type is only a guess.
+export function sniffImageType(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return "image/jpeg";
+  if (bytes.length >= 8 && ascii(bytes, 0, 8) === "\x89PNG\r\n\x1A\n") return "image/png";
+  if (bytes.length >= 12 && ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") return "image/webp";
+  if (bytes.length >= 12 && ascii(bytes, 4, 4) === "ftyp" && HEIC_BRANDS.includes(ascii(bytes, 8, 4))) return "image/heic";
+  return null;
+}
+
+// Where an original's variants live: next to it, same name.
+export function photoVariantPaths(path) {
+  const stem = photoStem(path);
+  return { original: path, display: `${stem}.display.jpg`, thumb: `${stem}.thumb.jpg` };
+}
+
+// The name an original and its variants share: the path without ".jpg",
+// ".display.jpg" or ".thumb.jpg". (Uploaded names have no other dots.)
+export function photoStem(path) {
+  return String(path).replace(VARIANT_SUFFIX_RE, "").replace(/\.[^./]+$/, "");
+}
+
+export function isPhotoVariant(path) {
+  return VARIANT_SUFFIX_RE.test(String(path));
+}
+
+// The extension the original is stored under (HEIC becomes a JPEG).
+export function storedExtension(contentType) {
+  return { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/heic": "jpg" }[contentType] || null;
+}
+
+// An upload (bytes + its sniffed type) → what to store, or { error } when
+// it can't be stored safely.
+//   { original: { bytes, contentType }, display?, thumb? }
+export async function processPhoto(env, bytes, contentType) {
+  let original;
+  if (contentType === "image/heic") {
+    if (!env.IMAGES) {
+      console.error("[photos] HEIC upload refused: the IMAGES binding isn't configured");
+      return { error: "Please send this photo as a JPEG." };
+    }
+    try {
+      original = await renderJpeg(env, bytes, { quality: ORIGINAL_QUALITY });
+    } catch (err) {
+      console.error("[photos] HEIC conversion failed:", err);
+      return { error: "This photo couldn't be converted. Please send it as a JPEG." };
+    }
+  } else {
+    const stripped = contentType === "image/jpeg" ? stripJpegMetadata(bytes)
+      : contentType === "image/png" ? stripPngMetadata(bytes)
+      : contentType === "image/webp" ? stripWebpMetadata(bytes)
+      : null;
+    if (!stripped) return { error: "This image couldn't be read." };
+    original = { bytes: stripped, contentType };
+  }
+  if (!env.IMAGES) return { original };
+
+  // The variants are a convenience: if the binding fails, the original is
+  // still stored and shown in their place.
+  try {
+    const [display, thumb] = await Promise.all([
+      renderJpeg(env, original.bytes, { maxPx: DISPLAY_MAX_PX, quality: DISPLAY_QUALITY }),
+      renderJpeg(env, original.bytes, { maxPx: THUMB_MAX_PX, quality: THUMB_QUALITY }),
+    ]);
+    return { original, display, thumb };
+  } catch (err) {
+    console.error("[photos] resizing failed, storing the original only:", err);
+    return { original };
+  }
+}
+
+// Uploads the original and its variants. Only the original has to succeed.
+export async function storePhoto(env, path, processed) {
+  const paths = photoVariantPaths(path);
+  await uploadObject(env, paths.original, processed.original);
+  const variants = ["display", "thumb"].filter(name => processed[name]);
+  const results = await Promise.allSettled(variants.map(name => uploadObject(env, paths[name], processed[name])));
+  results.forEach((result, i) => {
+    if (result.status === "rejected") console.error(`[photos] ${variants[i]} upload failed for ${path}:`, result.reason);
+  });
+}
+
+// Deletes an original and whichever variants it has.
+export async function deletePhoto(env, path) {
+  const paths = photoVariantPaths(path);
+  await removePhotoObjects(env, [paths.original, paths.display, paths.thumb]);
+}
+
+// Deletes objects by exact path, in one call. Missing ones are ignored.
+export async function removePhotoObjects(env, paths) {
+  if (paths.length === 0) return;
+  const res = await fetch(`${env.SUPABASE_URL}/storage/v1/object/${PHOTO_BUCKET}`, {
+    method: "DELETE",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ prefixes: paths }),
+  });
+  if (!res.ok && res.status !== 404) throw new Error(`Storage delete ${res.status}: ${await res.text()}`);
+}
+
+// Every object under a folder, its subfolders included:
+//   [{ path, bytes, createdAt }]
+export async function listPhotoObjects(env, prefix) {
+  const objects = [];
+  const folders = [prefix.replace(/\/+$/, "")];
+  while (folders.length > 0) {
+    const folder = folders.shift();
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const res = await fetch(`${env.SUPABASE_URL}/storage/v1/object/list/${PHOTO_BUCKET}`, {
+        method: "POST",
+        headers: sbHeaders(env),
+        body: JSON.stringify({ prefix: folder, limit: LIST_PAGE_SIZE, offset, sortBy: { column: "name", order: "asc" } }),
+      });
+      if (!res.ok) throw new Error(`Storage list ${folder} ${res.status}: ${await res.text()}`);
+      const page = await res.json();
+      for (const item of page) {
+        const path = `${folder}/${item.name}`;
+        // Folders come back without an id.
+        if (item.id === null) folders.push(path);
+        else objects.push({ path, bytes: Number(item.metadata?.size) || 0, createdAt: item.created_at });
+      }
+      if (page.length < LIST_PAGE_SIZE) break;
+    }
+  }
+  return objects;
+}
+
+// Signed URLs for stored photos, one batch call for all of them. Positional:
+//   [{ path, thumb, full, original } | null]
+// `full` is the display size, `thumb` the thumbnail; a photo stored without
+// variants gets its original for both. null where the photo can't be signed.
+export async function signPhotos(env, paths, expiresIn) {
+  if (!Array.isArray(paths) || paths.length === 0) return [];
+  const variants = paths.map(photoVariantPaths);
+  const all = variants.flatMap(v => [v.original, v.display, v.thumb]);
+  const res = await fetch(`${env.SUPABASE_URL}/storage/v1/object/sign/${PHOTO_BUCKET}`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ expiresIn, paths: all }),
+  });
+  if (!res.ok) {
+    console.error(`Storage sign failed ${res.status}: ${await res.text()}`);
+    return paths.map(() => null);
+  }
+  // Missing objects (no variants) come back with an error and no signedURL.
+  const signed = new Map();
+  for (const row of await res.json()) {
+    if (row?.signedURL && !row.error) signed.set(row.path, `${env.SUPABASE_URL}/storage/v1${row.signedURL}`);
+  }
+  return variants.map(v => {
+    const original = signed.get(v.original);
+    if (!original) return null;
+    const full = signed.get(v.display) || original;
+    return { path: v.original, thumb: signed.get(v.thumb) || full, full, original };
+  });
+}
+
+// ==================== CLOUDFLARE IMAGES ====================
+// A JPEG of the image, scaled down to fit maxPx (if given). The output is
+// stripped too, in case the service carried any metadata across.
+async function renderJpeg(env, bytes, { maxPx = null, quality }) {
+  let image = env.IMAGES.input(new Blob([bytes]).stream());
+  if (maxPx) image = image.transform({ width: maxPx, height: maxPx, fit: "scale-down" });
+  const result = await image.output({ format: "image/jpeg", quality });
+  const out = new Uint8Array(await result.response().arrayBuffer());
+  return { bytes: stripJpegMetadata(out) || out, contentType: "image/jpeg" };
+}
+
+async function uploadObject(env, path, { bytes, contentType }) {
+  const res = await fetch(`${env.SUPABASE_URL}/storage/v1/object/${PHOTO_BUCKET}/${encodeURI(path)}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+      "Content-Type": contentType,
+      "x-upsert": "false",
+    },
+    body: bytes,
+  });
+  if (!res.ok) throw new Error(`Storage upload ${res.status}: ${await res.text()}`);
+}
+
+// ==================== METADATA ====================
+// JPEG without its metadata segments, or null if it isn't a readable JPEG.
+// An EXIF Orientation other than "upright" is carried over in a minimal EXIF
+// block of its own. The file ends at the image's EOI marker, dropping what
+// phones append after it (MPF depth maps and previews, vendor trailers).
+export function stripJpegMetadata(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+  const kept = [];
+  let orientation = 1;
+  let i = 2;
+  for (;;) {
+    if (i + 2 > bytes.length || bytes[i] !== 0xFF) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xFF) { i++; continue; }                          // fill byte
+    if (marker === 0xD9) {                                           // end of image
+      kept.push(bytes.subarray(i, i + 2));
+      break;
+    }
+    if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {     // no length
+      kept.push(bytes.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    if (i + 4 > bytes.length) return null;
+    const end = i + 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+    if (end > bytes.length) return null;
+    const segment = bytes.subarray(i, end);
+    const isApp = marker >= 0xE0 && marker <= 0xEF;
+    if (marker === 0xE1) orientation = exifOrientation(segment) || orientation;
+    const isIcc = marker === 0xE2 && ascii(segment, 4, JPEG_ICC_ID.length) === JPEG_ICC_ID;
+    if ((!isApp && marker !== 0xFE) || JPEG_KEEP_APP.includes(marker) || isIcc) kept.push(segment);
+    i = end;
+    if (marker === 0xDA) {                                           // start of scan: entropy-coded data follows
+      const next = scanEnd(bytes, i);
+      kept.push(bytes.subarray(i, next));
+      if (next === bytes.length) break;                              // truncated: no EOI, keep what there is
+      i = next;
+    }
+  }
+  // After SOI, and after JFIF's APP0 when there is one (it has to come first).
+  const at = kept[0]?.[1] === 0xE0 ? 1 : 0;
+  if (orientation > 1 && orientation <= 8) kept.splice(at, 0, orientationSegment(orientation));
+  return concat([bytes.subarray(0, 2), ...kept]);
+}
+
+// PNG without text, EXIF and timestamp chunks, or null if it isn't a PNG.
+export function stripPngMetadata(bytes) {
+  const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+  if (bytes.length < 8 || signature.some((b, i) => bytes[i] !== b)) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [bytes.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= bytes.length) {
+    const end = i + 12 + view.getUint32(i);
+    if (end > bytes.length) return null;
+    const type = ascii(bytes, i + 4, 4);
+    if (!PNG_DROP_CHUNKS.includes(type)) kept.push(bytes.subarray(i, end));
+    i = end;
+    if (type === "IEND") return concat(kept);
+  }
+  return null;
+}
+
+// WebP without EXIF and XMP chunks (and their VP8X flags), or null if it
+// isn't a WebP.
+export function stripWebpMetadata(bytes) {
+  if (bytes.length < 12 || ascii(bytes, 0, 4) !== "RIFF" || ascii(bytes, 8, 4) !== "WEBP") return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const kept = [];
+  let i = 12;
+  while (i + 8 <= bytes.length) {
+    const size = view.getUint32(i + 4, true);
+    const end = i + 8 + size + (size % 2);
+    if (end > bytes.length) return null;
+    const type = ascii(bytes, i, 4);
+    if (type === "VP8X") {
+      const chunk = bytes.slice(i, end);
+      chunk[8] &= ~0x0C;                                             // EXIF (0x08) and XMP (0x04) flags
+      kept.push(chunk);
+    } else if (!WEBP_DROP_CHUNKS.includes(type)) {
+      kept.push(bytes.subarray(i, end));
+    }
+    i = end;
+  }
+  const body = concat(kept);
+  const out = new Uint8Array(12 + body.length);
+  out.set(bytes.subarray(0, 12));
+  new DataView(out.buffer).setUint32(4, 4 + body.length, true);
+  out.set(body, 12);
+  return out;
+}
+
+// Where a scan's entropy-coded data starting at `i` ends: the next marker
+// that isn't a stuffed 0xFF00 or a restart marker, or the end of the file.
+function scanEnd(bytes, i) {
+  for (; i + 1 < bytes.length; i++) {
+    if (bytes[i] !== 0xFF) continue;
+    const next = bytes[i + 1];
+    if (next === 0x00 || next === 0xFF || (next >= 0xD0 && next <= 0xD7)) continue;
+    return i;
+  }
+  return bytes.length;
+}
+
+// The Orientation tag (1–8) of an APP1 EXIF segment, or null.
+function exifOrientation(segment) {
+  if (segment.length < 18 || ascii(segment, 4, 6) !== "Exif\0\0") return null;
+  const tiff = new DataView(segment.buffer, segment.byteOffset + 10, segment.byteLength - 10);
+  const little = tiff.getUint16(0) === 0x4949;
+  if (tiff.getUint16(2, little) !== 42) return null;
+  const ifd = tiff.getUint32(4, little);
+  if (ifd + 2 > tiff.byteLength) return null;
+  const count = tiff.getUint16(ifd, little);
+  for (let n = 0; n < count; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (entry + 12 > tiff.byteLength) return null;
+    if (tiff.getUint16(entry, little) === 0x0112) return tiff.getUint16(entry + 8, little);
+  }
+  return null;
+}
+
+// APP1 holding a big-endian TIFF block with a single Orientation entry.
+function orientationSegment(orientation) {
+  return new Uint8Array([
+    0xFF, 0xE1, 0x00, 0x22,                                          // APP1, length 34
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,                              // "Exif\0\0"
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,                  // "MM", 42, IFD0 at 8
+    0x00, 0x01,                                                      // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01,                  // Orientation, SHORT, 1 value
+    0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,                                          // no next IFD
+  ]);
+}
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
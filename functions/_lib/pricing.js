@@ -0,0 +1,383 @@
+/**
+ * Pricing engine — computes a memorial quote total on the server.
+ *
+ * Not a route. The browser still shows a running total, but every quote that
+ * reaches /api/submit, /api/quotes or /api/partner-orders is re-priced here
+ * from the catalogue and stored at the server's price, so a tampered request
+ * can't produce a £1 quote:
+ *
+ *   products.base_price
+ *   + product_sizes.price_adjustment           (chosen size)
+ *   + pricing_rules premium_colour             (non-standard stone_colours)
+ *   + product_addons.price                     (vase, design, …)
+ *   + pricing_rules photo_plaque / garden_kerb / kerb_infill
+ *   + extra lettering                          (products.inscription_*)
+ *   = total; the cemetery permit fee is kept separately, as before.
+ *
+ * Rules are keyed by category (migrations/2026-10-19-04-pricing-rules.sql).
+ *
+ * The configurator sends its choices in `product.options`
+ * ({ sizeCode, colourSlug, addons: [slug], photoSize, kerb, infillType });
+ * older payloads (and the /quote edit page) only have display names, which
+ * are matched back to catalogue rows.
+ *
+ * A quote for several memorials at once (sent from the shortlist) keeps each
+ * one's config in `product.items` and is priced item by item with
+ * priceQuoteItems().
+ */
+
+// Differences up to this much (pence rounding, float maths) aren't flagged.
+export const PRICE_TOLERANCE = 1;
+// Most memorials one quote can carry; each is priced separately, and a longer
+// shortlist is better talked through than quoted.
+export const MAX_QUOTE_ITEMS = 6;
+
+const DEFAULT_INFILL = "chippings";
+const PHOTO_SIZES = ["small", "medium", "large"];
+// The plaque picker shows shapes; each shape is one of the sizes above.
+const PHOTO_SHAPES = { oval: "small", rectangle: "medium", heart: "large" };
+// Categories where the garden kerb surround is included or not applicable.
+const NO_GARDEN_KERB = ["kerb-sets", "cremation-memorials"];
+
+// Re-prices a product config (the shape stored in orders.product_config).
+// Returns { ok: true, product, pricing } where `product` is the config with
+// the server's price, permit_fee and addonLineItems written in and `pricing`
+// records what the client asked for and whether it matched; or
+// { ok: false, reason: "unknown_product", message } when the product isn't in
+// the catalogue. Lookup failures throw.
+export async function repriceProduct(env, product, { cemeteryId = null } = {}) {
+  const quoted = await priceProduct(env, product || {}, { cemeteryId });
+  if (!quoted.ok) return quoted;
+
+  const clientTotal = toAmount(product?.price);
+  const clientPermit = toAmount(product?.permit_fee);
+  const mismatch = (clientTotal !== null && Math.abs(clientTotal - quoted.total) > PRICE_TOLERANCE)
+    || (clientPermit !== null && Math.abs(clientPermit - quoted.permitFee) > PRICE_TOLERANCE);
+  const pricing = {
+    total: quoted.total,
+    permit_fee: quoted.permitFee,
+    client_total: clientTotal,
+    client_permit_fee: clientPermit,
+    mismatch,
+    warnings: quoted.warnings,
+    priced_at: new Date().toISOString(),
+  };
+  if (mismatch) {
+    console.warn(`[pricing] ${quoted.product.slug}: client £${clientTotal} / permit £${clientPermit}, server £${quoted.total} / permit £${quoted.permitFee}`);
+  }
+
+  return {
+    ok: true,
+    pricing,
+    product: {
+      ...product,
+      name: product?.name || quoted.product.name,
+      slug: quoted.product.slug,
+      options: quoted.options,
+      addonLineItems: quoted.lineItems,
+      price: String(quoted.total),
+      permit_fee: quoted.permitFee,
+      pricing,
+    },
+  };
+}
+
+// Prices a quote with several memorials on it (from the shortlist). Each item
+// is re-priced on its own with repriceProduct(); one the catalogue doesn't
+// know keeps the price staff gave it (setItemPrices), or is kept marked
+// `unpriced` for the team to price by hand. Returns
+// { ok: true, product, pricing } where `product` is the quote's config:
+//
+//   { name, items: [config, …], price, permit_fee, pricing }
+//
+// `price` is the total of the priced items and `permit_fee` is charged once —
+// one permit covers the work on a grave. Or { ok: false, reason, message }
+// when there's nothing to quote: no_items, too_many_items, or
+// unknown_product if none of the items could be priced. Lookup failures throw.
+export async function priceQuoteItems(env, items, { cemeteryId = null } = {}) {
+  const list = (Array.isArray(items) ? items : [])
+    .filter(item => item && (item.slug || item.name))
+    .map(({ unpriced, pricing, permit_fee, ...item }) => item);
+  if (!list.length) return { ok: false, reason: "no_items", message: "There's nothing to quote." };
+  if (list.length > MAX_QUOTE_ITEMS) {
+    return { ok: false, reason: "too_many_items", message: `A quote can have at most ${MAX_QUOTE_ITEMS} memorials.` };
+  }
+
+  // One at a time: each item is several catalogue lookups.
+  const priced = [];
+  for (const item of list) {
+    const res = await repriceProduct(env, item, { cemeteryId });
+    priced.push(res.ok ? res : null);
+  }
+  const first = priced.find(Boolean);
+  if (!first) {
+    return { ok: false, reason: "unknown_product", message: "We couldn't find those memorials in our catalogue." };
+  }
+
+  const configs = list.map((item, i) => {
+    if (!priced[i]) {
+      return item.staff_price != null ? { ...item, price: String(item.staff_price) } : { ...item, price: null, unpriced: true };
+    }
+    const { permit_fee, ...config } = priced[i].product;
+    return config;
+  });
+  const pricing = {
+    total: itemsTotal(configs),
+    permit_fee: first.pricing.permit_fee,
+    client_total: roundPence(priced.reduce((s, p) => s + (p?.pricing.client_total || 0), 0)) || null,
+    client_permit_fee: null,
+    mismatch: priced.some(p => p?.pricing.mismatch),
+    unpriced: configs.filter(c => c.unpriced).length,
+    warnings: priced.flatMap(p => (p ? p.pricing.warnings : [])),
+    priced_at: new Date().toISOString(),
+  };
+
+  return {
+    ok: true,
+    pricing,
+    product: {
+      name: quoteItemsName(configs),
+      items: configs,
+      price: String(pricing.total),
+      permit_fee: pricing.permit_fee,
+      pricing,
+    },
+  };
+}
+
+// The line items of a multi-item quote config, or null for a single memorial.
+export function quoteItems(product) {
+  return Array.isArray(product?.items) && product.items.length ? product.items : null;
+}
+
+// How many of a quote's memorials the team has still to price; a quote can't
+// be accepted until this is 0.
+export function unpricedItemCount(product) {
+  return (quoteItems(product) || []).filter(item => item.unpriced).length;
+}
+
+// Staff prices for a multi-item quote's memorials, `prices` being
+// [{ index, price }]. Each keeps its price as `staff_price` too, so renewing
+// the quote doesn't lose it while the catalogue doesn't know the memorial.
+// Returns { ok: true, product } with `price` and `pricing` re-totalled, or
+// { ok: false, reason, message }: no_items, or unknown_item for an index
+// the quote doesn't have.
+export function setItemPrices(product, prices) {
+  const items = quoteItems(product);
+  if (!items) return { ok: false, reason: "no_items", message: "This quote isn't priced item by item." };
+  const configs = items.map(item => ({ ...item }));
+  for (const { index, price } of prices) {
+    if (!configs[index]) return { ok: false, reason: "unknown_item", message: `This quote has no memorial ${index + 1}.` };
+    const { unpriced, ...item } = configs[index];
+    configs[index] = { ...item, price: String(roundPence(price)), staff_price: roundPence(price) };
+  }
+  const pricing = {
+    ...product.pricing,
+    total: itemsTotal(configs),
+    unpriced: configs.filter(c => c.unpriced).length,
+    priced_at: new Date().toISOString(),
+  };
+  return { ok: true, product: { ...product, items: configs, price: String(pricing.total), pricing } };
+}
+
+function itemsTotal(configs) {
+  return roundPence(configs.reduce((s, c) => s + (c.unpriced ? 0 : toAmount(c.price) || 0), 0));
+}
+
+// "Classic Ogee Headstone and Kerb Set", "Classic Ogee Headstone and 2 more".
+function quoteItemsName(items) {
+  const names = items.map(item => item.name || "Memorial");
+  if (names.length <= 2) return names.join(" and ");
+  return `${names[0]} and ${names.length - 1} more`;
+}
+
+// Computes the total without comparing it to anything. `lineItems` are the
+// extras on top of the base price, in the { name, price } shape the quote
+// emails already render.
+export async function priceProduct(env, product, { cemeteryId = null } = {}) {
+  const row = await fetchProduct(env, product);
+  if (!row) {
+    return { ok: false, reason: "unknown_product", message: "We couldn't find that memorial in our catalogue." };
+  }
+  const [colours, addons, rules, permitFee] = await Promise.all([
+    sbSelect(env, "stone_colours", "select=*&is_active=eq.true"),
+    sbSelect(env, "product_addons", "select=slug,name,price&is_active=eq.true"),
+    sbSelect(env, "pricing_rules", "select=rule_key,option_key,category_slug,label,amount&is_active=eq.true"),
+    cemeteryId ? fetchPermitFee(env, cemeteryId) : 0,
+  ]);
+
+  const category = row.product_categories?.slug || "";
+  const rule = (key, option = "") => findRule(rules, key, option, category);
+  const options = resolveOptions(product, row, colours, addons);
+  const lineItems = [];
+  const warnings = [...options.warnings];
+
+  const size = options.size;
+  if (size && toAmount(size.price_adjustment) > 0) {
+    lineItems.push({ name: `Size upgrade — ${size.size_name}`, price: toAmount(size.price_adjustment) });
+  }
+
+  if (options.colour && colourTier(options.colour) !== "standard") {
+    const r = rule("premium_colour");
+    if (r) lineItems.push({ name: `Premium colour — ${options.colour.name}`, price: toAmount(r.amount) });
+    else warnings.push("No premium_colour rule for this category");
+  }
+
+  for (const addon of options.addons) {
+    lineItems.push({ name: addon.name, price: toAmount(addon.price) || 0 });
+  }
+
+  if (options.photoSize) {
+    const r = rule("photo_plaque", options.photoSize);
+    if (r) lineItems.push({ name: r.label, price: toAmount(r.amount) });
+    else warnings.push(`No photo_plaque rule for "${options.photoSize}"`);
+  }
+
+  if (options.kerb) {
+    const r = rule("garden_kerb");
+    if (r) lineItems.push({ name: r.label, price: toAmount(r.amount) });
+  }
+
+  if (options.infillType) {
+    const r = rule("kerb_infill", options.infillType);
+    if (r && toAmount(r.amount) > 0) lineItems.push({ name: r.label, price: toAmount(r.amount) });
+    else if (!r) warnings.push(`No kerb_infill rule for "${options.infillType}"`);
+  }
+
+  const charsIncluded = parseInt(row.inscription_chars_included, 10) || 80;
+  const pricePerChar = toAmount(row.inscription_price_per_char) || 2.40;
+  const extraChars = Math.max(0, String(product.inscription || "").length - charsIncluded);
+  if (extraChars > 0) {
+    lineItems.push({ name: "Extra Lettering", price: roundPence(extraChars * pricePerChar) });
+  }
+
+  const base = toAmount(row.base_price) || 0;
+  const total = roundPence(base + lineItems.reduce((s, l) => s + l.price, 0));
+
+  return {
+    ok: true,
+    product: { id: row.id, slug: row.slug, name: row.name, category },
+    basePrice: base,
+    lineItems,
+    total,
+    permitFee: toAmount(permitFee) || 0,
+    options: {
+      sizeCode: size?.size_code || null,
+      colourSlug: options.colour?.slug || null,
+      addons: options.addons.map(a => a.slug),
+      photoSize: options.photoSize,
+      kerb: options.kerb,
+      infillType: options.infillType,
+    },
+    warnings,
+  };
+}
+
+// Works out what was chosen, preferring the configurator's `options` and
+// falling back to matching display names (older quotes, the /quote editor).
+function resolveOptions(product, row, colours, addons) {
+  const opts = product.options || {};
+  const category = row.product_categories?.slug || "";
+  const warnings = [];
+
+  const sizes = Array.isArray(row.product_sizes) ? row.product_sizes : [];
+  const sizeText = lower(product.size);
+  const size = sizes.find(s => opts.sizeCode && s.size_code === opts.sizeCode)
+    || (sizeText && sizes.find(s => sizeText.startsWith(lower(s.size_name))))
+    || sizes.find(s => s.is_default)
+    || null;
+
+  const colourText = lower(product.colour);
+  const colour = colours.find(c => opts.colourSlug && c.slug === opts.colourSlug)
+    || (colourText && colours.find(c => lower(c.name) === colourText || c.slug === colourText))
+    || null;
+  if (!colour && (opts.colourSlug || colourText)) warnings.push(`Unknown stone colour "${opts.colourSlug || product.colour}"`);
+
+  let photoSize = PHOTO_SIZES.includes(opts.photoSize) ? opts.photoSize : null;
+  let kerb = opts.kerb === true;
+  const chosen = [];
+  const names = Array.isArray(opts.addons) ? opts.addons : (Array.isArray(product.addons) ? product.addons : []);
+  for (const entry of names) {
+    const key = lower(entry);
+    if (!key) continue;
+    const match = addons.find(a => a.slug === entry || lower(a.name) === key);
+    if (match && match.slug !== "photo-plaque") {
+      if (!chosen.includes(match)) chosen.push(match);
+    } else if (key.includes("photo")) {
+      photoSize = photoSize
+        || PHOTO_SIZES.find(s => key.includes(s))
+        || Object.entries(PHOTO_SHAPES).find(([shape]) => key.includes(shape))?.[1]
+        || "small";
+    } else if (key.includes("garden kerb") || key === "garden-kerb") {
+      kerb = true;
+    } else if (!key.includes("kerb infill") && !key.includes("extra lettering") && !key.startsWith("infill-")) {
+      warnings.push(`Unknown add-on "${entry}"`);
+    }
+  }
+  if (NO_GARDEN_KERB.includes(category)) kerb = false;
+
+  const infillType = category === "kerb-sets"
+    ? lower(opts.infillType || product.infillType) || DEFAULT_INFILL
+    : null;
+
+  return { size, colour, addons: chosen, photoSize, kerb, infillType, warnings };
+}
+
+// Before the tier column, is_premium was the only signal (same fallback as
+// the configurator's colour picker).
+function colourTier(c) {
+  return c.tier || (c.is_premium ? "premium" : "standard");
+}
+
+// Category-specific rule first, then the all-categories default.
+function findRule(rules, key, option, category) {
+  return rules.find(r => r.rule_key === key && r.option_key === option && r.category_slug === category)
+    || rules.find(r => r.rule_key === key && r.option_key === option && r.category_slug === "")
+    || null;
+}
+
+async function fetchProduct(env, product) {
+  const select = "select=id,slug,name,base_price,inscription_chars_included,inscription_price_per_char,product_categories(slug,name),product_sizes(size_code,size_name,price_adjustment,is_default)";
+  if (product.slug) {
+    const rows = await sbSelect(env, "products", `${select}&is_active=eq.true&slug=eq.${encodeURIComponent(product.slug)}&limit=1`);
+    if (rows.length) return rows[0];
+  }
+  // Partner orders and very old quotes only carry the product name.
+  const name = String(product.name || "").trim();
+  if (!name) return null;
+  const rows = await sbSelect(env, "products", `${select}&is_active=eq.true&name=ilike.${encodeURIComponent(name.replace(/[*%_]/g, ""))}&limit=1`);
+  return rows[0] || null;
+}
+
+async function fetchPermitFee(env, cemeteryId) {
+  const rows = await sbSelect(env, "cemeteries", `select=permit_fee&id=eq.${encodeURIComponent(cemeteryId)}&limit=1`);
+  return rows[0]?.permit_fee || 0;
+}
+
+async function sbSelect(env, table, query) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${query}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase ${table} lookup ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function roundPence(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function lower(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Quote follow-ups — the `quote_followups` job in /api/cron
+ * (migrations/2026-10-19-12-quote-followups.sql).
+ *
+ * Not a route. A pending quote gets a short sequence of emails linking back
+ * to it (its edit_token), on the days after it was made set by
+ * QUOTE_FOLLOWUP_DAYS. Each run looks at recent pending quotes and, for each,
+ * at the latest step that has fallen due; if that step hasn't been sent it is
+ * claimed — logged and queued through the outbox in one transaction — and
+ * sent straight away.
+ *
+ * The sequence stops for good (stopQuoteFollowups) when:
+ *   - the quote is accepted: paid (/api/stripe-webhook), accepted in the
+ *     customer portal (/api/customer-order), or moved on from
+ *     pending / quote_received in the admin (caught by the next run)
+ *   - the customer updates or renews it (/api/quotes, /api/customer-order)
+ *   - they send another enquiry or quote (/api/submit)
+ *   - sales mark its GHL opportunity won or lost (/api/ghl-webhook)
+ * Staff can also pause everything to one person from the admin
+ * (people.quote_followups_paused_at), and resume it later.
+ *
+ * Like appointment reminders, a step that is more than STEP_GRACE_DAYS late
+ * (the cron was down, or the feature is new) is skipped rather than sent, and
+ * missed earlier steps are never sent once a later one is due.
+ *
+ * Env vars:
+ *   QUOTE_FOLLOWUP_DAYS → comma-separated days after the quote, e.g.
+ *                         "3,10,30" (default)
+ */
+
+import { emailSubject } from "./email-templates.js";
+import { mailConfigured } from "./mail.js";
+import { processOutbox } from "./outbox.js";
+import { quoteValidUntil } from "./quote-validity.js";
+
+const DEFAULT_DAYS = "3,10,30";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STEP_GRACE_DAYS = 2;
+// Stages a quote sits in before anyone has agreed anything.
+const OPEN_STAGES = [null, "", "quote_received"];
+
+// "3,10,30" → [3, 10, 30], ascending. Unreadable entries are logged and
+// dropped; an empty result falls back to the default.
+export function followupDays(env) {
+  const parse = spec => String(spec || "").split(",").map(s => s.trim()).filter(Boolean).map(token => {
+    if (!/^\d+$/.test(token) || Number(token) <= 0) {
+      console.error(`[quote-followups] ignoring follow-up day "${token}"`);
+      return null;
+    }
+    return Number(token);
+  }).filter(Boolean);
+  const days = parse(env.QUOTE_FOLLOWUP_DAYS);
+  return [...new Set(days.length ? days : parse(DEFAULT_DAYS))].sort((a, b) => a - b);
+}
+
+export async function queueQuoteFollowups(env, handlers) {
+  if (!env.SM_ORG_ID) throw new Error("SM_ORG_ID is not configured");
+  const days = followupDays(env);
+  const now = Date.now();
+  const summary = { checked: 0, queued: 0, stopped: 0, paused: 0, skipped: 0, alreadySent: 0, days };
+  if (!mailConfigured(env)) return { ...summary, note: "mail transport not configured" };
+
+  const quotes = await candidateQuotes(env, now, days);
+  const outboxIds = [];
+  for (const quote of quotes) {
+    summary.checked++;
+    const state = Array.isArray(quote.quote_followups) ? quote.quote_followups[0] : quote.quote_followups;
+    if (state && state.status !== "active") continue;
+
+    const created = Date.parse(quote.created_at);
+    const step = days.filter(d => now >= created + d * DAY_MS).length;
+    if (step === 0 || (state && state.last_step >= step)) continue;
+
+    // Safety nets for stops the hooks can miss.
+    const stopReason = await stopReasonFor(env, quote);
+    if (stopReason) {
+      await stopQuoteFollowups(env, { orderId: quote.id, reason: stopReason });
+      summary.stopped++;
+      continue;
+    }
+    if (quote.people?.quote_followups_paused_at) {
+      summary.paused++;
+      continue;
+    }
+    const day = days[step - 1];
+    if (now - (created + day * DAY_MS) > STEP_GRACE_DAYS * DAY_MS || !quote.people?.email || !quote.edit_token) {
+      summary.skipped++;
+      continue;
+    }
+
+    const ids = await claimStep(env, quote.id, { step, day, final: step === days.length, jobs: [followupJob(env, quote, step, days.length)] });
+    if (!ids) {
+      summary.alreadySent++;
+      continue;
+    }
+    summary.queued++;
+    outboxIds.push(...ids);
+  }
+
+  // Send straight away rather than waiting for the next outbox run.
+  if (outboxIds.length) summary.outbox = await processOutbox(env, handlers, { ids: outboxIds, limit: outboxIds.length });
+  return summary;
+}
+
+// Puts a new quote at the start of its sequence (so the admin sees it before
+// the first email) and ends the follow-ups on the person's earlier quotes —
+// the new one supersedes them.
+export async function startQuoteFollowups(env, { orderId, personId }) {
+  if (!orderId) return;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/quote_followups`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "resolution=ignore-duplicates,return=minimal" },
+    body: JSON.stringify({ order_id: orderId, organization_id: env.SM_ORG_ID || null, person_id: personId || null }),
+  });
+  if (!res.ok) throw new Error(`Supabase quote_followups insert ${res.status}: ${await res.text()}`);
+  if (personId) await stopQuoteFollowups(env, { personId, exceptOrderId: orderId, reason: "new_quote" });
+}
+
+// Ends the sequence for one quote, or for all of a person's quotes except
+// `exceptOrderId`. `reason` is shown in the admin: accepted | updated |
+// renewed | new_enquiry | new_quote | lost (in GHL). Returns how many running sequences were
+// stopped.
+export async function stopQuoteFollowups(env, { orderId = null, personId = null, exceptOrderId = null, reason }) {
+  if (!orderId && !personId) return 0;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/stop_quote_followups`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_order_id: orderId ? String(orderId) : null,
+      p_person_id: personId ? String(personId) : null,
+      p_except_order_id: exceptOrderId ? String(exceptOrderId) : null,
+      p_reason: reason,
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase stop_quote_followups ${res.status}: ${await res.text()}`);
+  return Number(await res.json()) || 0;
+}
+
+// Quotes old enough for the first step and young enough for the last one
+// (plus its grace), still pending, with their follow-up state if any.
+async function candidateQuotes(env, now, days) {
+  const params = new URLSearchParams({
+    select: "id,created_at,quote_valid_until,status,stage,sku,value,edit_token,person_id,people(id,first_name,email,quote_followups_paused_at),quote_followups(status,last_step)",
+    order: "created_at.asc",
+    limit: "500",
+  });
+  params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  params.append("order_type", "eq.quote");
+  params.append("created_at", `lte.${new Date(now - days[0] * DAY_MS).toISOString()}`);
+  params.append("created_at", `gte.${new Date(now - (days[days.length - 1] + STEP_GRACE_DAYS) * DAY_MS).toISOString()}`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase follow-up quotes ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// "accepted" once the quote has moved on from pending; "new_enquiry" if the
+// person has been in touch since (any enquiry not belonging to this quote).
+async function stopReasonFor(env, quote) {
+  if ((quote.status && quote.status !== "pending") || !OPEN_STAGES.includes(quote.stage ?? null)) return "accepted";
+  if (!quote.person_id) return null;
+  const params = new URLSearchParams({ select: "id", limit: "1" });
+  params.append("person_id", `eq.${quote.person_id}`);
+  params.append("created_at", `gt.${quote.created_at}`);
+  params.append("or", `(order_id.is.null,order_id.neq.${quote.id})`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase follow-up enquiry check ${res.status}: ${await res.text()}`);
+  return (await res.json()).length ? "new_enquiry" : null;
+}
+
+// Outbox job for one step: { kind, label, payload } as /api/submit queues
+// emails, handled by its OUTBOX_HANDLERS.
+function followupJob(env, quote, step, totalSteps) {
+  const args = {
+    firstName: quote.people.first_name || null,
+    productName: quote.sku || null,
+    value: quote.value != null ? Number(quote.value) : null,
+    validUntil: quoteValidUntil(env, quote),
+    editToken: quote.edit_token,
+    stage: step === 1 ? "first" : step === totalSteps ? "final" : "middle",
+  };
+  return {
+    kind: "email",
+    label: `quote follow-up ${step}/${totalSteps}`,
+    payload: { to: quote.people.email, replyTo: null, subject: emailSubject(env, "quoteFollowUp", args), template: "quoteFollowUp", args },
+  };
+}
+
+// Returns the queued outbox ids, or null if the step isn't to be sent.
+async function claimStep(env, orderId, { step, day, final, jobs }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/claim_quote_followup`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ p_order_id: orderId, p_step: step, p_day: day, p_final: final, p_jobs: jobs }),
+  });
+  if (!res.ok) throw new Error(`Supabase claim_quote_followup ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Quote PDF — a printable, branded copy of a memorial quote that families can
+ * share with relatives or a funeral director.
+ *
+ * Not a route. Built from the stored order (so it always shows the server's
+ * price) and used by:
+ *   - the customer quote email (submit.js outbox template "quoteCustomer")
+ *   - /api/quotes?token=…&format=pdf               (the /quote page)
+ *   - /api/customer-order?portal=…&quote=…&format=pdf (the portal)
+ *
+ * A quote for several memorials (product.items, from the shortlist) lists
+ * each one with its own price under one reference.
+ */
+
+import { orgOf } from "./org.js";
+import { A4, createPdf, textWidth, wrapText } from "./pdf.js";
+import { quoteItems } from "./pricing.js";
+import { quoteValidUntil } from "./quote-validity.js";
+
+// Columns the PDF needs from `orders`.
+export const QUOTE_PDF_SELECT = "id,order_number,created_at,quote_valid_until,value,permit_fee,location,sku,color,inscription_text,product_config,people(first_name,last_name,email)";
+
+const DEFAULT_SWATCH = "#8B7355";
+
+const INK = "#2C2C2C";
+const MUTED = "#8A8580";
+const ACCENT = "#8B7355";
+const RULE = "#E0DCD5";
+const PANEL = "#FAF8F5";
+const MARGIN = 48;
+const CONTENT_WIDTH = A4.width - MARGIN * 2;
+const FOOTER_TOP = A4.height - 56;
+
+// Same format as the portal's quote list (customer-order.js).
+export function quoteReference(orderNumber) {
+  return "QT-" + String(orderNumber || "0000").padStart(4, "0");
+}
+
+export function quotePdfFilename(env, order) {
+  const brand = orgOf(env).shortName.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${brand}-Quote-${quoteReference(order.order_number)}.pdf`;
+}
+
+// The order behind a quote email (by its edit token), selected with
+// QUOTE_PDF_SELECT; null if the quote can't be found.
+export async function loadQuoteForToken(env, editToken) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?edit_token=eq.${encodeURIComponent(editToken)}&order_type=eq.quote&select=${QUOTE_PDF_SELECT}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase quote PDF lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0] || null;
+}
+
+// The PDF as a mail attachment.
+export async function quotePdfAttachment(env, order) {
+  const doc = await renderQuotePdf(env, order);
+  return { filename: quotePdfFilename(env, order), content: doc.toBase64() };
+}
+
+// `order` is an orders row selected with QUOTE_PDF_SELECT.
+export async function renderQuotePdf(env, order) {
+  const product = parseConfig(order.product_config);
+  const items = quoteItems(product);
+  const ref = quoteReference(order.order_number);
+  const customerName = [order.people?.first_name, order.people?.last_name].filter(Boolean).join(" ");
+  const swatch = await stoneSwatch(env, product);
+  const validUntil = quoteValidUntil(env, order);
+  const org = orgOf(env);
+
+  const doc = createPdf({ title: `Memorial quote ${ref}`, author: org.name });
+  let page = doc.addPage();
+  let y = drawHeader(page, org, ref);
+
+  // Starts a continuation page when the next block won't fit above the footer.
+  const ensureSpace = height => {
+    if (y + height <= FOOTER_TOP - 12) return;
+    drawFooter(page, org);
+    page = doc.addPage();
+    y = drawHeader(page, org, ref);
+  };
+
+  // Prepared for / dates
+  y += 36;
+  label(page, "Prepared for", MARGIN, y);
+  label(page, "Quote date", MARGIN + 300, y);
+  label(page, "Valid until", MARGIN + 410, y);
+  y += 16;
+  page.text(customerName || "—", MARGIN, y, { size: 12, font: "bold", color: INK });
+  page.text(formatDate(order.created_at), MARGIN + 300, y, { size: 11, color: INK });
+  page.text(formatDate(validUntil), MARGIN + 410, y, { size: 11, color: INK });
+  if (order.people?.email) {
+    y += 15;
+    page.text(order.people.email, MARGIN, y, { size: 10, color: MUTED });
+  }
+
+  // Memorial specification — for a multi-item quote, a line per memorial.
+  y += 34;
+  page.line(MARGIN, y - 18, MARGIN + CONTENT_WIDTH, y - 18, { color: RULE });
+  label(page, items ? "Your memorials" : "Your memorial", MARGIN, y);
+  y += 22;
+  page.text(truncate(product.name || order.sku || "Memorial", CONTENT_WIDTH, { size: 17, font: "bold" }), MARGIN, y, { size: 17, font: "bold", color: INK });
+  y += 10;
+  for (const item of items || []) {
+    const spec = [item.type, item.size, item.colour].filter(Boolean).join("  ·  ");
+    ensureSpace(40);
+    y += 22;
+    page.text(truncate(item.name || "Memorial", CONTENT_WIDTH, { size: 11, font: "bold" }), MARGIN, y, { size: 11, font: "bold", color: INK });
+    if (spec) {
+      y += 15;
+      page.text(truncate(spec, CONTENT_WIDTH, { size: 10 }), MARGIN, y, { size: 10, color: MUTED });
+    }
+  }
+  if (items) y += 8;
+  const specs = (items ? [["Cemetery", order.location]] : [
+    ["Type", product.type],
+    ["Size", product.size],
+    ["Stone colour", product.colour || order.color, swatch],
+    ["Lettering", lettering(product)],
+    ["Cemetery", order.location],
+  ]).filter(([, value]) => value);
+  for (const [name, value, colour] of specs) {
+    y += 18;
+    page.text(name, MARGIN, y, { size: 10, color: MUTED });
+    let x = MARGIN + 110;
+    if (colour) {
+      page.rect(x, y - 9, 11, 11, { fill: colour, stroke: "#B5AFA6", lineWidth: 0.5 });
+      x += 17;
+    }
+    page.text(value, x, y, { size: 10, color: INK });
+  }
+
+  // Inscription
+  const inscription = String(order.inscription_text || product.inscription || "").trim();
+  if (inscription) {
+    const lines = wrapText(inscription, CONTENT_WIDTH - 40, { font: "italic", size: 11 });
+    const boxHeight = lines.length * 15 + 24;
+    ensureSpace(boxHeight + 40);
+    y += 34;
+    label(page, "Inscription", MARGIN, y);
+    y += 10;
+    page.rect(MARGIN, y, CONTENT_WIDTH, boxHeight, { fill: PANEL });
+    page.rect(MARGIN, y, 3, boxHeight, { fill: ACCENT });
+    let lineY = y + 20;
+    for (const line of lines) {
+      page.text(line, A4.width / 2, lineY, { size: 11, font: "italic", color: INK, align: "center" });
+      lineY += 15;
+    }
+    y += boxHeight;
+  }
+
+  // Prices
+  const total = toAmount(order.value) ?? toAmount(product.price) ?? 0;
+  const permitFee = toAmount(order.permit_fee) ?? toAmount(product.permit_fee) ?? 0;
+  const addons = Array.isArray(product.addonLineItems) ? product.addonLineItems : [];
+  const addonTotal = addons.reduce((s, a) => s + (toAmount(a.price) || 0), 0);
+  // Items not in the catalogue are priced by the team later.
+  const rows = items
+    ? items.map(item => [`${item.name || "Memorial"} (inc. installation)`, item.unpriced ? null : toAmount(item.price) || 0])
+    : [
+      [`${product.name || order.sku || "Memorial"} (inc. installation)`, Math.max(0, total - addonTotal)],
+      ...addons.map(a => [a.name, toAmount(a.price) || 0]),
+    ];
+  ensureSpace(rows.length * 20 + 120);
+  y += 36;
+  label(page, "Price", MARGIN, y);
+  y += 8;
+  for (const [name, amount] of rows) {
+    y += 20;
+    page.text(truncate(name, CONTENT_WIDTH - 120, { size: 10 }), MARGIN, y, { size: 10, color: INK });
+    page.text(amount === null ? "To be confirmed" : formatMoney(amount), MARGIN + CONTENT_WIDTH, y, { size: 10, color: INK, align: "right" });
+  }
+  y += 10;
+  page.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: RULE });
+  y += 18;
+  page.text(items ? "Memorials total" : "Memorial total", MARGIN, y, { size: 10, font: "bold", color: INK });
+  page.text(formatMoney(total), MARGIN + CONTENT_WIDTH, y, { size: 10, font: "bold", color: INK, align: "right" });
+  if (permitFee > 0) {
+    y += 18;
+    page.text("Cemetery permit fee", MARGIN, y, { size: 10, color: INK });
+    page.text(formatMoney(permitFee), MARGIN + CONTENT_WIDTH, y, { size: 10, color: INK, align: "right" });
+  }
+  y += 14;
+  page.rect(MARGIN, y, CONTENT_WIDTH, 34, { fill: INK });
+  page.text("Guide total (installed)", MARGIN + 14, y + 22, { size: 12, font: "bold", color: "#FFFFFF" });
+  page.text(formatMoney(total + permitFee), MARGIN + CONTENT_WIDTH - 14, y + 22, { size: 14, font: "bold", color: "#FFFFFF", align: "right" });
+  y += 34;
+
+  // Terms
+  const terms = wrapText(
+    `This quote is valid until ${formatDate(validUntil)}. To go ahead or make changes, reply to your quote email or call us on ${org.phone}, quoting ${ref}.`,
+    CONTENT_WIDTH, { size: 9 },
+  );
+  ensureSpace(terms.length * 13 + 24);
+  y += 24;
+  for (const line of terms) {
+    page.text(line, MARGIN, y, { size: 9, color: MUTED });
+    y += 13;
+  }
+
+  drawFooter(page, org);
+  return doc;
+}
+
+// The name as a wordmark: the short name bold, the rest ("Memorials") light.
+function drawHeader(page, org, ref) {
+  page.rect(0, 0, A4.width, 92, { fill: INK });
+  const rest = org.name.startsWith(org.shortName) ? org.name.slice(org.shortName.length).trim() : "";
+  const brandWidth = page.text(rest ? `${org.shortName} ` : org.name, MARGIN, 46, { size: 22, font: "bold", color: "#FFFFFF" });
+  if (rest) page.text(rest, MARGIN + brandWidth, 46, { size: 22, color: "#B8A78F" });
+  const contact = [org.email, org.phone, new URL(org.siteUrl).hostname].filter(Boolean).join("  ·  ");
+  page.text(contact, MARGIN, 68, { size: 9, color: "#CFCAC3" });
+  page.text("QUOTATION", A4.width - MARGIN, 42, { size: 10, font: "bold", color: "#B8A78F", align: "right" });
+  page.text(ref, A4.width - MARGIN, 64, { size: 16, font: "bold", color: "#FFFFFF", align: "right" });
+  return 92;
+}
+
+function drawFooter(page, org) {
+  page.line(MARGIN, FOOTER_TOP, A4.width - MARGIN, FOOTER_TOP, { color: RULE });
+  let y = FOOTER_TOP + 14;
+  for (const line of wrapText(org.legalFooter, CONTENT_WIDTH, { size: 7.5 })) {
+    page.text(line, MARGIN, y, { size: 7.5, color: MUTED });
+    y += 10;
+  }
+}
+
+function label(page, text, x, y) {
+  page.text(text.toUpperCase(), x, y, { size: 8, font: "bold", color: ACCENT });
+}
+
+// Same wording as the quote emails.
+function lettering(product) {
+  const font = product.font ? (product.font === "script" ? "Script" : "Traditional") : "";
+  const colour = product.letterColour
+    ? product.letterColour.charAt(0).toUpperCase() + product.letterColour.slice(1)
+    : "";
+  return [font, colour].filter(Boolean).join(", ");
+}
+
+// The colour's swatch from the catalogue; the brand accent if it's unknown.
+async function stoneSwatch(env, product) {
+  const slug = product.options?.colourSlug;
+  const name = product.colour;
+  if (!slug && !name) return null;
+  try {
+    const filter = slug ? `slug=eq.${encodeURIComponent(slug)}` : `name=eq.${encodeURIComponent(name)}`;
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/stone_colours?${filter}&select=hex_primary&limit=1`, { headers: sbHeaders(env) });
+    if (!res.ok) throw new Error(`Supabase stone_colours lookup ${res.status}: ${await res.text()}`);
+    return (await res.json())[0]?.hex_primary || DEFAULT_SWATCH;
+  } catch (err) {
+    console.error("[quote-pdf] swatch lookup failed:", err);
+    return DEFAULT_SWATCH;
+  }
+}
+
+function truncate(text, maxWidth, opts) {
+  let s = String(text || "");
+  if (textWidth(s, opts) <= maxWidth) return s;
+  while (s.length > 1 && textWidth(`${s}…`, opts) > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+function parseConfig(config) {
+  if (!config) return {};
+  if (typeof config === "object") return config;
+  try { return JSON.parse(config) || {}; } catch { return {}; }
+}
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatMoney(n) {
+  return "£" + n.toLocaleString("en-GB", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  return new Date(value || Date.now()).toLocaleDateString("en-GB", {
+    day: "numeric", month: "long", year: "numeric", timeZone: "Europe/London",
+  });
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Quote validity — how long a quote's prices are held, and renewing a quote
+ * at today's prices (migrations/2026-10-19-13-quote-validity.sql).
+ *
+ * Not a route. A quote is valid to the end of its orders.quote_valid_until
+ * (a London date): stamped when the quote is made, movable from the admin,
+ * and worked out from created_at for quotes older than the column. Used by
+ * the portal and /quote page (expiry shown, acceptance blocked once it has
+ * lapsed), the quote PDF and emails, and the admin.
+ *
+ * renewQuote() re-prices a quote from the catalogue (functions/_lib/pricing.js)
+ * and saves it as the next revision with a fresh validity period; the old
+ * figures are kept in quote_revisions. Customers can renew their own quotes
+ * once they've lapsed; staff can renew any open quote.
+ *
+ * Env vars:
+ *   QUOTE_VALIDITY_DAYS → days a new or renewed quote is held (default 30)
+ */
+
+import { priceQuoteItems, quoteItems, repriceProduct } from "./pricing.js";
+import { londonNow, utcToLondon } from "./schedule.js";
+
+const DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The customer has said yes (or paid); these never lapse.
+export const ACCEPTED_STATUSES = ["accepted", "partial", "completed", "converted"];
+
+// Columns isQuoteExpired() / quoteValidUntil() read from `orders`.
+export const QUOTE_VALIDITY_SELECT = "status,created_at,quote_valid_until";
+
+export function quoteValidityDays(env) {
+  const spec = String(env.QUOTE_VALIDITY_DAYS || "").trim();
+  if (!spec) return DEFAULT_DAYS;
+  if (!/^\d+$/.test(spec) || Number(spec) <= 0) {
+    console.error(`[quote-validity] ignoring QUOTE_VALIDITY_DAYS "${spec}"`);
+    return DEFAULT_DAYS;
+  }
+  return Number(spec);
+}
+
+// Last valid day (YYYY-MM-DD) for a quote made or renewed today.
+export function newQuoteValidUntil(env) {
+  return addDays(londonNow().date, quoteValidityDays(env));
+}
+
+// Last valid day (YYYY-MM-DD) of an orders row.
+export function quoteValidUntil(env, order) {
+  if (order?.quote_valid_until) return String(order.quote_valid_until).slice(0, 10);
+  const made = utcToLondon(order?.created_at) || londonNow();
+  return addDays(made.date, quoteValidityDays(env));
+}
+
+// Staff marked it expired, or it's still open and its last valid day has gone.
+export function isQuoteExpired(env, order) {
+  if (order?.status === "expired") return true;
+  if (ACCEPTED_STATUSES.includes(order?.status)) return false;
+  return londonNow().date > quoteValidUntil(env, order);
+}
+
+// Re-prices the quote and saves it as its next revision. `renewedBy` is
+// "customer" or "staff". Returns { ok: true, revision, validUntil, value,
+// permitFee, product }, or { ok: false, reason, message } when it can't be:
+// not_found, not_renewable (already accepted) or the pricing engine's
+// unknown_product. Lookup failures throw.
+export async function renewQuote(env, orderId, { renewedBy }) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&order_type=eq.quote${env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : ""}&select=id,status,product_config,cemetery_id&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase quote lookup ${res.status}: ${await res.text()}`);
+  const order = (await res.json())[0];
+  if (!order) return { ok: false, reason: "not_found", message: "Quote not found." };
+  if (ACCEPTED_STATUSES.includes(order.status)) {
+    return { ok: false, reason: "not_renewable", message: "This quote has already been accepted." };
+  }
+
+  // Drop the old figures so the pricing engine doesn't flag the difference as
+  // a price the customer was shown. A multi-item quote is re-priced item by
+  // item.
+  const config = safeParse(order.product_config) || {};
+  const cemeteryId = order.cemetery_id || null;
+  const items = quoteItems(config);
+  const priced = items
+    ? await priceQuoteItems(env, items.map(item => ({ ...item, price: null })), { cemeteryId })
+    : await repriceProduct(env, { ...config, price: null, permit_fee: null }, { cemeteryId });
+  if (!priced.ok) return priced;
+
+  const validUntil = newQuoteValidUntil(env);
+  const rpc = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/renew_quote`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_order_id: order.id,
+      p_value: parseFloat(priced.product.price),
+      p_permit_fee: priced.product.permit_fee,
+      p_product_config: JSON.stringify(priced.product),
+      p_valid_until: validUntil,
+      p_renewed_by: renewedBy,
+    }),
+  });
+  if (!rpc.ok) throw new Error(`Supabase renew_quote ${rpc.status}: ${await rpc.text()}`);
+  const saved = await rpc.json();
+  if (!saved) return { ok: false, reason: "not_renewable", message: "This quote has already been accepted." };
+  return {
+    ok: true,
+    revision: saved.revision,
+    validUntil,
+    value: parseFloat(priced.product.price),
+    permitFee: priced.product.permit_fee,
+    product: priced.product,
+  };
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function safeParse(str) {
+  try { return JSON.parse(str); } catch { return null; }
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Appointment reminders — queued by the `appointment_reminders` job in
+ * /api/cron (migrations/2026-10-19-10-appointment-reminders.sql).
+ *
+ * Not a route. Each run looks at upcoming, not-cancelled appointments and,
+ * for each one, at the most recent reminder offset that has fallen due
+ * (24h, then 2h by default). If that reminder hasn't been recorded yet it is
+ * claimed — recorded and queued through the outbox in one transaction — as
+ * an email, plus a text when the person has a phone number and texts are set
+ * up (functions/_lib/sms.js): WhatsApp if that's their preference, else SMS.
+ * The outbox then sends and retries them like any other side-effect.
+ *
+ * A reminder is skipped, not sent late, when the booking was made after it
+ * fell due (the confirmation has only just gone out) or it is more than a
+ * quarter of its offset overdue (the cron was down). Missed larger offsets
+ * are never sent once a smaller one is due.
+ *
+ * Env vars:
+ *   APPOINTMENT_REMINDER_OFFSETS → comma-separated, e.g. "24h,2h" (default),
+ *                                  "2d,3h" or "90m"
+ */
+
+import { emailSubject } from "./email-templates.js";
+import { appointmentLocation } from "./ics.js";
+import { mailConfigured } from "./mail.js";
+import { orgOf } from "./org.js";
+import { processOutbox } from "./outbox.js";
+import { appointmentType, formatLondonDate, utcToLondon } from "./schedule.js";
+import { preferredTextChannel, smsConfigured } from "./sms.js";
+
+const DEFAULT_OFFSETS = "24h,2h";
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+const MIN_GRACE_MINUTES = 15;
+const MINUTE_MS = 60 * 1000;
+
+// "24h,2h" → [1440, 120], largest first. Unreadable entries are logged and
+// dropped; an empty result falls back to the default.
+export function reminderOffsets(env) {
+  const parse = spec => String(spec || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean).map(token => {
+    const m = token.match(/^(\d+)\s*([mhd])$/);
+    if (!m || Number(m[1]) <= 0) {
+      console.error(`[reminders] ignoring reminder offset "${token}"`);
+      return null;
+    }
+    return Number(m[1]) * UNIT_MINUTES[m[2]];
+  }).filter(Boolean);
+  const offsets = parse(env.APPOINTMENT_REMINDER_OFFSETS);
+  return [...new Set(offsets.length ? offsets : parse(DEFAULT_OFFSETS))].sort((a, b) => b - a);
+}
+
+export async function queueAppointmentReminders(env, handlers) {
+  if (!env.SM_ORG_ID) throw new Error("SM_ORG_ID is not configured");
+  const offsets = reminderOffsets(env);
+  const now = Date.now();
+  const summary = { checked: 0, queued: 0, skipped: 0, alreadySent: 0, offsets };
+  const email = mailConfigured(env);
+  if (!email && !smsConfigured(env, "sms") && !smsConfigured(env, "whatsapp")) {
+    return { ...summary, note: "no email or SMS transport configured" };
+  }
+
+  const appointments = await upcomingAppointments(env, now, offsets[0]);
+  const outboxIds = [];
+  for (const enquiry of appointments) {
+    summary.checked++;
+    const at = Date.parse(enquiry.appointment_at);
+    // The most recent offset that has fallen due: the smallest one whose
+    // moment has passed.
+    const offset = offsets.filter(o => now >= at - o * MINUTE_MS).pop();
+    if (!offset) continue;
+    const dueAt = at - offset * MINUTE_MS;
+    const grace = Math.max(offset / 4, MIN_GRACE_MINUTES) * MINUTE_MS;
+    if (Date.parse(enquiry.created_at) > dueAt || now - dueAt > grace) {
+      summary.skipped++;
+      continue;
+    }
+
+    const jobs = reminderJobs(env, enquiry, offset, { email });
+    if (jobs.length === 0) {
+      summary.skipped++;
+      continue;
+    }
+    const ids = await claimReminder(env, enquiry, offset, jobs);
+    if (!ids) {
+      summary.alreadySent++;
+      continue;
+    }
+    summary.queued++;
+    outboxIds.push(...ids);
+  }
+
+  // Send straight away rather than waiting for the next outbox run.
+  if (outboxIds.length) summary.outbox = await processOutbox(env, handlers, { ids: outboxIds, limit: outboxIds.length });
+  return summary;
+}
+
+async function upcomingAppointments(env, now, maxOffsetMinutes) {
+  const params = new URLSearchParams({
+    select: "id,created_at,appointment_at,appointment_kind,manage_token,people(id,first_name,last_name,email,phone,contact_pref)",
+    order: "appointment_at.asc",
+    limit: "200",
+  });
+  params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  params.append("appointment_at", `gt.${new Date(now).toISOString()}`);
+  params.append("appointment_at", `lte.${new Date(now + maxOffsetMinutes * MINUTE_MS).toISOString()}`);
+  params.append("appointment_at_utc", "is.true");
+  params.append("or", "(status.is.null,status.neq.cancelled)");
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase upcoming appointments ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// Outbox jobs for one reminder: { kind, label, payload } as /api/submit
+// queues them, handled by its OUTBOX_HANDLERS.
+function reminderJobs(env, enquiry, offset, { email }) {
+  const person = enquiry.people || {};
+  const slot = utcToLondon(enquiry.appointment_at);
+  const type = appointmentType(enquiry.appointment_kind);
+  const args = {
+    firstName: person.first_name || null,
+    phone: person.phone || null,
+    kind: type.kind,
+    typeLabel: type.label,
+    dateFormatted: formatLondonDate(slot.date),
+    appointment_time: slot.time,
+    when: whenLabel(slot),
+    location: appointmentLocation(orgOf(env), type.kind),
+    manageToken: enquiry.manage_token || null,
+  };
+  const label = offsetLabel(offset);
+  const jobs = [];
+  if (email && person.email) {
+    jobs.push({
+      kind: "email",
+      label: `appointment reminder email (${label})`,
+      payload: { to: person.email, replyTo: null, subject: emailSubject(env, "appointmentReminder", args), template: "appointmentReminder", args },
+    });
+  }
+  const channel = preferredTextChannel(person) || "sms";
+  if (person.phone && smsConfigured(env, channel)) {
+    jobs.push({
+      kind: "sms",
+      label: `appointment reminder ${channel} (${label})`,
+      payload: { to: person.phone, body: reminderSms(orgOf(env), args), channel, personId: person.id || null, purpose: "appointment_reminder" },
+    });
+  }
+  return jobs;
+}
+
+function reminderSms(org, { typeLabel, when, appointment_time, kind, manageToken }) {
+  const where = kind === "phone" ? "We'll call you then."
+    : kind === "video" ? "We'll email you the video link."
+    : `Showroom: ${org.area}.`;
+  return [
+    `Reminder: your ${typeLabel} with ${org.name} is ${when} at ${appointment_time}.`,
+    where,
+    manageToken ? `Change or cancel: ${org.siteUrl}/track?appointment=${manageToken}` : `To change it call ${org.phone}.`,
+  ].join(" ");
+}
+
+// "today" / "tomorrow" / "on Sunday, 25 October 2026", in London time.
+function whenLabel(slot) {
+  const today = utcToLondon(Date.now()).date;
+  const tomorrow = utcToLondon(Date.now() + 24 * 60 * MINUTE_MS).date;
+  if (slot.date === today) return "today";
+  if (slot.date === tomorrow) return "tomorrow";
+  return `on ${formatLondonDate(slot.date)}`;
+}
+
+function offsetLabel(minutes) {
+  return minutes % UNIT_MINUTES.h === 0 ? `${minutes / UNIT_MINUTES.h}h` : `${minutes}m`;
+}
+
+// Returns the queued outbox ids, or null if this reminder was already claimed.
+async function claimReminder(env, enquiry, offset, jobs) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/claim_appointment_reminder`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({
+      p_org: env.SM_ORG_ID,
+      p_enquiry_id: String(enquiry.id),
+      p_appointment_at: enquiry.appointment_at,
+      p_offset_minutes: offset,
+      p_channels: jobs.map(j => j.kind),
+      p_jobs: jobs,
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase claim_appointment_reminder ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Appointment scheduling — Europe/London wall-clock ↔ UTC, and how long
+ * each kind of appointment lasts.
+ *
+ * Not a route. Customers pick a London { date: "YYYY-MM-DD", time: "HH:MM" };
+ * `enquiries.appointment_at` stores the real UTC instant of that moment
+ * (migrations/2026-10-19-07-appointment-at-utc.sql), so 10:00 on a July
+ * Saturday is saved as 09:00Z and 10:00 in January as 10:00Z. Convert with
+ * londonToUtc() on the way in and utcToLondon() on the way out; don't build
+ * ISO strings from a date + time by hand, and don't rely on the isolate's
+ * local timezone.
+ *
+ * Wall-clock arithmetic (addMinutes, appointmentEnd) works on the London
+ * date + time directly, so a 30-minute slot at 23:45 ends at 00:15 the next
+ * day and a slot's length never changes across a clock change.
+ */
+
+export const LONDON_TZ = "Europe/London";
+
+// Appointment types offered by the booking forms. `consultation` is what the
+// contact-form picker sends when no kind is chosen.
+export const APPOINTMENT_TYPES = {
+  showroom:     { label: "Showroom Visit (NW11)", durationMinutes: 30, minNoticeHours: 24 },
+  phone:        { label: "Phone Consultation",    durationMinutes: 30, minNoticeHours: 2 },
+  video:        { label: "Video Call",            durationMinutes: 30, minNoticeHours: 2 },
+  consultation: { label: "Consultation",          durationMinutes: 30, minNoticeHours: 24 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const LONDON_PARTS = new Intl.DateTimeFormat("en-GB", {
+  timeZone: LONDON_TZ, hourCycle: "h23",
+  year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+});
+
+// Unknown / missing kinds are treated as a consultation.
+export function appointmentType(kind) {
+  const key = APPOINTMENT_TYPES[kind] ? kind : "consultation";
+  return { kind: key, ...APPOINTMENT_TYPES[key] };
+}
+
+// London wall-clock slot → UTC ISO instant. Times that don't exist (the hour
+// skipped in March) roll forward; times that happen twice (October) resolve
+// to the first, BST one.
+export function londonToUtc({ date, time }) {
+  const naive = naiveMs(date, time);
+  const before = londonOffsetMs(naive - 12 * 60 * MINUTE_MS);
+  const after = londonOffsetMs(naive + 12 * 60 * MINUTE_MS);
+  const matches = [naive - before, naive - after].filter(ms => londonNaiveMs(ms) === naive);
+  return new Date(matches.length ? Math.min(...matches) : naive - before).toISOString();
+}
+
+// UTC instant (ISO string, ms or Date) → London { date, time }, or null.
+export function utcToLondon(value) {
+  const ms = value instanceof Date ? value.getTime() : typeof value === "number" ? value : Date.parse(value || "");
+  if (isNaN(ms)) return null;
+  const iso = new Date(londonNaiveMs(ms)).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+export function londonNow() {
+  return utcToLondon(Date.now());
+}
+
+// Wall-clock addition on a London slot.
+export function addMinutes({ date, time }, minutes) {
+  const iso = new Date(naiveMs(date, time) + minutes * MINUTE_MS).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+// Where an appointment of `kind` starting at `slot` finishes.
+export function appointmentEnd(kind, slot) {
+  return addMinutes(slot, appointmentType(kind).durationMinutes);
+}
+
+// Long form ("Sunday, 25 October 2026") of a YYYY-MM-DD date.
+export function formatLondonDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", {
+    weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC",
+  });
+}
+
+// A London date + time encoded with Date.UTC — "naive" milliseconds that
+// are only ever compared with each other, never treated as an instant.
+function naiveMs(date, time) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  return Date.UTC(y, m - 1, d, hh, mm);
+}
+
+function londonNaiveMs(ms) {
+  const parts = Object.fromEntries(LONDON_PARTS.formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  return naiveMs(`${parts.year}-${parts.month}-${parts.day}`, `${parts.hour}:${parts.minute}`);
+}
+
+// London's offset from UTC at an instant: 0 in winter, one hour in summer.
+function londonOffsetMs(ms) {
+  return londonNaiveMs(ms) - Math.floor(ms / MINUTE_MS) * MINUTE_MS;
+}
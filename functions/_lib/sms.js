@@ -0,0 +1,203 @@
+/**
+ * Outgoing text messages — SMS and WhatsApp.
+ *
+ * Not a route.
+ *
+ *   await sendSms(env, {
+ *     to: "07700 900123",            // any spelling normalisePhone() understands
+ *     body: "…",
+ *     channel: "sms",                // optional; "sms" | "whatsapp"
+ *     personId: "…",                 // optional; ties the message to people.id
+ *     purpose: "proof_ready",        // optional; shown in the message log
+ *   });
+ *
+ * sendSms throws when the message can't be handed over, so callers keep their
+ * own fatal / non-fatal choice (the outbox retries; the rest log). Every text
+ * that goes is recorded in public.sms_messages; the provider's delivery
+ * callbacks (/api/sms-status) update its status there.
+ *
+ * Whether someone gets texts at all is up to them: preferredTextChannel()
+ * reads the person's contact_pref ("sms" / "whatsapp"), and
+ * smsConfigured(env, channel) says whether the provider can send on it.
+ *
+ * Providers, chosen by SMS_PROVIDER:
+ *   twilio  (default) → Twilio's Messages API, or anything that speaks it
+ *                       (set TWILIO_API_BASE)
+ *   log               → nothing is sent: the message is logged and recorded
+ *                       with status "logged". Use this for local dev and
+ *                       previews.
+ *
+ * Env vars (Cloudflare Pages → Settings → Environment Variables, or .dev.vars):
+ *   SMS_PROVIDER           → twilio | log
+ *   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+ *   TWILIO_FROM            → SMS sender: number (E.164) or alphanumeric ID
+ *   TWILIO_WHATSAPP_FROM   → WhatsApp sender number (E.164); WhatsApp is off
+ *                            without it
+ *   TWILIO_API_BASE        → optional, default https://api.twilio.com
+ *   SMS_STATUS_CALLBACK_URL → optional, default /api/sms-status on the
+ *                            organisation's site (functions/_lib/org.js)
+ */
+
+import { orgUrl } from "./org.js";
+import { normalisePhone } from "./validate.js";
+
+export const TEXT_CHANNELS = ["sms", "whatsapp"];
+// people.contact_pref: how someone would like us to get back to them. The
+// text channels are the ones that get texts.
+export const CONTACT_PREFS = ["email", "phone", "appointment", ...TEXT_CHANNELS];
+
+const PROVIDERS = ["twilio", "log"];
+const TWILIO_API_BASE = "https://api.twilio.com";
+// Three GSM segments; anything longer is cut rather than billed as a letter.
+const MAX_BODY = 459;
+
+// Delivery statuses in the order they can happen. A callback never moves a
+// message backwards — Twilio doesn't promise to deliver them in order.
+const STATUS_STEPS = {
+  queued: 0, accepted: 0, scheduled: 0, logged: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3, undelivered: 3, failed: 3, canceled: 3,
+  read: 4,
+};
+
+export function smsProvider(env) {
+  const name = String(env.SMS_PROVIDER || "twilio").trim().toLowerCase();
+  return PROVIDERS.includes(name) ? name : "twilio";
+}
+
+export function smsConfigured(env, channel = "sms") {
+  if (!TEXT_CHANNELS.includes(channel)) return false;
+  if (smsProvider(env) === "log") return true;
+  const from = channel === "whatsapp" ? env.TWILIO_WHATSAPP_FROM : env.TWILIO_FROM;
+  return !!(env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN && from);
+}
+
+// "sms" / "whatsapp" when the person has asked to be texted and has a number
+// to text, otherwise null. (A "phone" preference means a call, not a text.)
+export function preferredTextChannel(person) {
+  const pref = String(person?.contact_pref || "").trim().toLowerCase();
+  return TEXT_CHANNELS.includes(pref) && person?.phone ? pref : null;
+}
+
+// Returns { provider, channel, id } — the provider's message id (Twilio SID),
+// or null from the log provider.
+export async function sendSms(env, { to, body, channel = "sms", personId = null, purpose = null }) {
+  if (!TEXT_CHANNELS.includes(channel)) throw new Error(`sendSms: unknown channel "${channel}"`);
+  const provider = smsProvider(env);
+  if (!smsConfigured(env, channel)) throw new Error(`Text provider "${provider}" is not configured for ${channel}`);
+  const number = normalisePhone(to);
+  if (!number) throw new Error(`sendSms: "${to}" is not a usable phone number`);
+  const trimmed = String(body || "").trim();
+  if (!trimmed) throw new Error("sendSms: empty message");
+  const text = trimmed.length > MAX_BODY ? `${trimmed.slice(0, MAX_BODY - 1)}…` : trimmed;
+
+  let sent;
+  if (provider === "log") {
+    console.log(`[sms:log] ${channel} to ${number}: ${text}`);
+    sent = { id: null, status: "logged" };
+  } else {
+    sent = await sendViaTwilio(env, { number, text, channel });
+  }
+
+  // The message has gone, so a failure to record it must not throw (the
+  // outbox would send it again); it only costs the delivery status.
+  try {
+    await recordMessage(env, { channel, purpose, personId, number, text, provider, ...sent });
+  } catch (err) {
+    console.error("[sms] failed to record sent message:", err);
+  }
+  return { provider, channel, id: sent.id };
+}
+
+// Applies a delivery callback. Returns false when no recorded message matches.
+export async function recordSmsStatus(env, { provider = "twilio", providerId, status, errorCode = null }) {
+  const step = STATUS_STEPS[status];
+  if (!providerId || step === undefined) return false;
+  const earlier = Object.keys(STATUS_STEPS).filter(s => STATUS_STEPS[s] < step);
+  const params = new URLSearchParams({ provider: `eq.${provider}`, provider_id: `eq.${providerId}` });
+  const patch = async filter => {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/sms_messages?${params}${filter}`, {
+      method: "PATCH",
+      headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+      body: JSON.stringify({ status, error_code: errorCode, status_updated_at: new Date().toISOString() }),
+    });
+    if (!res.ok) throw new Error(`Supabase sms_messages update ${res.status}: ${await res.text()}`);
+    return (await res.json()).length > 0;
+  };
+  if (earlier.length && await patch(`&status=in.(${earlier.join(",")})`)) return true;
+  // Nothing earlier to move on from: either it's already at (or past) this
+  // step, or the message isn't ours.
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/sms_messages?${params}&select=id&limit=1`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase sms_messages lookup ${res.status}: ${await res.text()}`);
+  return (await res.json()).length > 0;
+}
+
+// Twilio signs each callback: base64 HMAC-SHA1, keyed with the auth token,
+// of the full URL followed by every POST parameter as name + value, sorted by
+// name.
+export async function verifyTwilioSignature(env, url, params, signature) {
+  if (!env.TWILIO_AUTH_TOKEN || !signature) return false;
+  const signed = url + [...params.keys()].sort().map(k => k + params.get(k)).join("");
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(env.TWILIO_AUTH_TOKEN), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(signed)));
+  const expected = btoa(String.fromCharCode(...mac));
+  if (expected.length !== signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  return diff === 0;
+}
+
+// ==================== TWILIO ====================
+async function sendViaTwilio(env, { number, text, channel }) {
+  const whatsapp = channel === "whatsapp";
+  const from = whatsapp ? env.TWILIO_WHATSAPP_FROM : env.TWILIO_FROM;
+  const form = new URLSearchParams({
+    To: whatsapp ? `whatsapp:${number}` : number,
+    From: whatsapp ? `whatsapp:${normalisePhone(from) || from}` : from,
+    Body: text,
+    StatusCallback: env.SMS_STATUS_CALLBACK_URL || orgUrl(env, "/api/sms-status"),
+  });
+  const base = String(env.TWILIO_API_BASE || TWILIO_API_BASE).replace(/\/+$/, "");
+  const res = await fetch(`${base}/2010-04-01/Accounts/${encodeURIComponent(env.TWILIO_ACCOUNT_SID)}/Messages.json`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Basic ${btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`)}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: form,
+  });
+  if (!res.ok) throw new Error(`Twilio ${res.status}: ${await res.text()}`);
+  const message = await res.json().catch(() => ({}));
+  return { id: message.sid || null, status: message.status || "queued" };
+}
+
+// ==================== MESSAGE LOG ====================
+async function recordMessage(env, { channel, purpose, personId, number, text, provider, id, status }) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) return;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/sms_messages`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify({
+      organization_id: env.SM_ORG_ID || null,
+      person_id: personId || null,
+      channel,
+      purpose: purpose || null,
+      to_number: number,
+      body: text,
+      provider,
+      provider_id: id,
+      status: status in STATUS_STEPS ? status : "queued",
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase sms_messages insert ${res.status}: ${await res.text()}`);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Bot / spam guard for /api/submit — honeypot, Cloudflare Turnstile and
+ * per-IP / per-email throttling (migrations/2026-10-19-05-submit-guard.sql).
+ * guardUploadTicket() throttles /api/upload-ticket per IP the same way.
+ *
+ * Not a route. guardSubmission() returns null when the submission may go
+ * ahead, or a rejection { reason, status, error, silent } that the caller
+ * logs with logRejection(). `silent` rejections (the honeypot) are answered
+ * with a normal success so bots don't learn what tripped them.
+ *
+ * Both guards throw when the throttle RPC itself is broken (see
+ * hitThrottle()); callers catch that and answer with guardFailure(), a 503
+ * rejection logged like any other.
+ *
+ * Env vars (Cloudflare Pages → Settings → Environment Variables):
+ *   TURNSTILE_SECRET_KEY   → Turnstile secret; unset = Turnstile not checked
+ *   TURNSTILE_SITE_KEY     → public site key, served by /api/config
+ *   SUBMIT_LIMIT_PER_IP    → submissions per IP per hour (default 10)
+ *   SUBMIT_LIMIT_PER_EMAIL → submissions per email per hour (default 5)
+ *   UPLOAD_TICKETS_PER_IP  → photo upload tickets per IP per hour (default 10)
+ * The three limits can also be set from the admin Spam tab
+ * (saveSubmitLimits()), which stores them in the organisation's settings
+ * under the same names; those take precedence (functions/_lib/org.js).
+ *
+ * Local development: Cloudflare's test keys always pass —
+ *   TURNSTILE_SITE_KEY=1x00000000000000000000AA
+ *   TURNSTILE_SECRET_KEY=1x0000000000000000000000000000000AA
+ */
+
+import { orgOf } from "./org.js";
+
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+const THROTTLE_WINDOW_SECONDS = 60 * 60;
+const DEFAULT_LIMITS = { ip: 10, email: 5, uploadTickets: 10 };
+// Every rejection reason either guard produces. Keep in step with
+// SPAM_REASON_LABELS in admin.html.
+export const REJECTION_REASONS = [
+  "honeypot", "turnstile_missing", "turnstile_failed",
+  "throttled_ip", "throttled_email", "throttled_upload", "throttle_error",
+];
+
+// Rejections and throttle windows older than this are pruned by /api/cron.
+const REJECTION_RETENTION_DAYS = 90;
+const THROTTLE_RETENTION_HOURS = 24;
+
+// Limit → the env var (and organisation setting) it's read from.
+const LIMIT_SETTINGS = { ip: "SUBMIT_LIMIT_PER_IP", email: "SUBMIT_LIMIT_PER_EMAIL", uploadTickets: "UPLOAD_TICKETS_PER_IP" };
+
+export function submitLimits(env) {
+  return {
+    ip: parseInt(env[LIMIT_SETTINGS.ip], 10) || DEFAULT_LIMITS.ip,
+    email: parseInt(env[LIMIT_SETTINGS.email], 10) || DEFAULT_LIMITS.email,
+    uploadTickets: parseInt(env[LIMIT_SETTINGS.uploadTickets], 10) || DEFAULT_LIMITS.uploadTickets,
+    windowSeconds: THROTTLE_WINDOW_SECONDS,
+  };
+}
+
+// The limits staff have set for the organisation: { ip, email,
+// uploadTickets }, each a number or null (the env var or default applies).
+// Read from the row, not the cached organisation, so a save shows at once.
+export async function submitLimitOverrides(env) {
+  return limitOverrides((await orgSettingsRow(env))?.settings);
+}
+
+// Saves staff-set limits in the organisation's settings. A null clears one;
+// a limit left out is unchanged. Each isolate picks the change up when its
+// organisation cache refreshes, within a minute. Returns the saved
+// overrides, or null if the organisation has no row to save them on.
+export async function saveSubmitLimits(env, changes) {
+  const row = await orgSettingsRow(env);
+  if (!row) return null;
+  const settings = { ...(row.settings || {}) };
+  for (const [key, name] of Object.entries(LIMIT_SETTINGS)) {
+    if (changes[key] === undefined) continue;
+    if (changes[key] === null) delete settings[name];
+    else settings[name] = String(Math.floor(changes[key]));
+  }
+  const patchRes = await fetch(`${env.SUPABASE_URL}/rest/v1/organizations?id=eq.${encodeURIComponent(env.SM_ORG_ID)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    body: JSON.stringify({ settings }),
+  });
+  if (!patchRes.ok) throw new Error(`Supabase organizations update ${patchRes.status}: ${await patchRes.text()}`);
+  return limitOverrides(settings);
+}
+
+// Cheapest checks first: the honeypot costs nothing, Turnstile one
+// subrequest, the throttle a database write.
+export async function guardSubmission(request, env, data) {
+  if (honeypotTripped(data)) {
+    return { reason: "honeypot", status: 200, silent: true };
+  }
+
+  if (env.TURNSTILE_SECRET_KEY) {
+    const token = typeof data.turnstile_token === "string" ? data.turnstile_token : "";
+    if (!token) {
+      return { reason: "turnstile_missing", status: 400, error: "Please complete the security check and try again." };
+    }
+    const outcome = await verifyTurnstile(env, token, clientIp(request));
+    if (outcome && !outcome.success) {
+      return {
+        reason: "turnstile_failed",
+        status: 403,
+        error: "The security check failed. Please refresh the page and try again.",
+        detail: { codes: outcome["error-codes"] || [] },
+      };
+    }
+  }
+
+  const limits = submitLimits(env);
+  const ip = clientIp(request);
+  const email = String(data.email || "").trim().toLowerCase();
+  const hits = await hitThrottle(env, [ip && `ip:${ip}`, email && `email:${email}`].filter(Boolean));
+  if (hits) {
+    const ipHits = hits.get(`ip:${ip}`) || 0;
+    const emailHits = hits.get(`email:${email}`) || 0;
+    if (ipHits > limits.ip || emailHits > limits.email) {
+      return {
+        reason: ipHits > limits.ip ? "throttled_ip" : "throttled_email",
+        status: 429,
+        error: `We've received a lot of requests from you recently. Please try again later or call us on ${orgOf(env).phone}.`,
+        detail: { ipHits, emailHits, limits },
+      };
+    }
+  }
+
+  return null;
+}
+
+// Photo upload tickets: a per-IP throttle only. Turnstile tokens are single
+// use, and the form's one is needed for the submission itself.
+export async function guardUploadTicket(request, env) {
+  const limits = submitLimits(env);
+  const ip = clientIp(request);
+  const hits = ip ? await hitThrottle(env, [`upload-ip:${ip}`]) : null;
+  const ipHits = hits?.get(`upload-ip:${ip}`) || 0;
+  if (ipHits > limits.uploadTickets) {
+    return {
+      reason: "throttled_upload",
+      status: 429,
+      error: `We've received a lot of photos from you recently. Please try again later or call us on ${orgOf(env).phone}.`,
+      detail: { ipHits, limits },
+    };
+  }
+  return null;
+}
+
+// The rejection for a guard that threw: nobody is turned away as spam, but
+// nothing is accepted unguarded either, so the visitor is asked to call.
+export function guardFailure(env, err) {
+  return {
+    reason: "throttle_error",
+    status: 503,
+    error: `We can't take requests online right now. Please try again shortly or call us on ${orgOf(env).phone}.`,
+    detail: { error: String(err?.message || err).slice(0, 500) },
+  };
+}
+
+// Only bots fill in the hidden field.
+export function honeypotTripped(data) {
+  return typeof data.website === "string" && data.website.trim() !== "";
+}
+
+// Non-fatal: a failed log write never changes the response.
+export async function logRejection(env, request, data, rejection) {
+  try {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/submit_rejections`, {
+      method: "POST",
+      headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+      body: JSON.stringify({
+        organization_id: env.SM_ORG_ID || null,
+        reason: rejection.reason,
+        channel: String(data.channel || data.type || "").slice(0, 40) || null,
+        ip: clientIp(request),
+        email: String(data.email || "").trim().toLowerCase().slice(0, 320) || null,
+        user_agent: (request.headers.get("User-Agent") || "").slice(0, 500) || null,
+        source_page: String(data.source_page || "").slice(0, 500) || null,
+        detail: rejection.detail || null,
+      }),
+    });
+    if (!res.ok) throw new Error(`Supabase rejection log ${res.status}: ${await res.text()}`);
+  } catch (err) {
+    console.error("[submit-guard] failed to log rejection:", err);
+  }
+}
+
+// Cron job: drop expired throttle windows and old rejection rows.
+export async function pruneSubmitGuard(env) {
+  const throttleCutoff = new Date(Date.now() - THROTTLE_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  const rejectionCutoff = new Date(Date.now() - REJECTION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  for (const [table, column, cutoff] of [
+    ["submit_throttle", "window_start", throttleCutoff],
+    ["submit_rejections", "created_at", rejectionCutoff],
+  ]) {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${column}=lt.${encodeURIComponent(cutoff)}`, {
+      method: "DELETE",
+      headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+    });
+    if (!res.ok) throw new Error(`Supabase ${table} prune ${res.status}: ${await res.text()}`);
+  }
+  return { throttleCutoff, rejectionCutoff };
+}
+
+// Returns the siteverify response, or null if Turnstile itself couldn't be
+// reached — an outage there shouldn't turn every customer away.
+async function verifyTurnstile(env, token, ip) {
+  try {
+    const form = new FormData();
+    form.append("secret", env.TURNSTILE_SECRET_KEY);
+    form.append("response", token);
+    if (ip) form.append("remoteip", ip);
+    const res = await fetch(TURNSTILE_VERIFY_URL, { method: "POST", body: form });
+    if (!res.ok) throw new Error(`Turnstile ${res.status}: ${await res.text()}`);
+    return await res.json();
+  } catch (err) {
+    console.error("[submit-guard] Turnstile verification unavailable, allowing:", err);
+    return null;
+  }
+}
+
+// Map of bucket → hits in the current window, or null if the counter store
+// is unavailable (fail open, like the Turnstile outage case). A SQL error in
+// class 42 (syntax, ambiguous or missing column, no such function) means the
+// RPC itself is broken, not down — that throws rather than quietly turning
+// throttling off for good.
+async function hitThrottle(env, buckets) {
+  if (buckets.length === 0) return null;
+  let res;
+  try {
+    res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/submit_throttle_hit`, {
+      method: "POST",
+      headers: sbHeaders(env),
+      body: JSON.stringify({ p_buckets: buckets, p_window_seconds: THROTTLE_WINDOW_SECONDS }),
+    });
+  } catch (err) {
+    console.error("[submit-guard] throttle unreachable, allowing:", err);
+    return null;
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    let code = null;
+    try { code = JSON.parse(text).code || null; } catch { /* not a PostgREST error body */ }
+    const message = `submit_throttle_hit RPC ${res.status}${code ? ` (SQLSTATE ${code})` : ""}: ${text}`;
+    if (/^42/.test(String(code))) throw new Error(message);
+    console.error(`[submit-guard] throttle failed, allowing: ${message}`);
+    return null;
+  }
+  return new Map((await res.json()).map(row => [row.bucket, row.hits]));
+}
+
+function limitOverrides(settings) {
+  const out = {};
+  for (const [key, name] of Object.entries(LIMIT_SETTINGS)) out[key] = parseInt(settings?.[name], 10) || null;
+  return out;
+}
+
+async function orgSettingsRow(env) {
+  if (!env.SM_ORG_ID) return null;
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/organizations?id=eq.${encodeURIComponent(env.SM_ORG_ID)}&select=settings&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) throw new Error(`Supabase organizations lookup ${res.status}: ${await res.text()}`);
+  return (await res.json())[0] || null;
+}
+
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || null;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
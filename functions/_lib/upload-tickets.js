@@ -0,0 +1,123 @@
+/**
+ * Upload tickets — who may upload enquiry photos, how many, and which ones
+ * they may delete again (migrations/2026-10-19-20-upload-tickets.sql).
+ *
+ * Not a route. The contact form asks /api/upload-ticket for a ticket before
+ * its first photo and sends it as the X-Upload-Ticket header with every
+ * /api/upload-photo upload and delete. A ticket is
+ *
+ *   <id>.<expires, unix seconds>.<HMAC-SHA256 of org + id + expiry, hex>
+ *
+ * so a forged or stale one is turned away without a database call. Each
+ * ticket allows UPLOAD_TICKET_LIMITS.files photos and .bytes in total;
+ * reserveUpload() counts a photo against it before it is stored, and only a
+ * photo uploaded under a ticket can be deleted with it.
+ *
+ * Env vars:
+ *   UPLOAD_TICKET_SECRET → signing key; unset = the Supabase service key
+ */
+
+import { LIMITS } from "./validate.js";
+
+export const UPLOAD_TICKET_LIMITS = {
+  files: LIMITS.photos,
+  bytes: 50 * 1024 * 1024,
+  ttlSeconds: 2 * 60 * 60,
+};
+
+// Expired tickets are kept this long before /api/cron prunes them, so a
+// slow form can still be explained from the logs.
+const TICKET_RETENTION_HOURS = 24;
+
+// A new ticket: { ticket, expiresAt, maxFiles, maxBytes }.
+export async function issueUploadTicket(env, request) {
+  const expires = Math.floor(Date.now() / 1000) + UPLOAD_TICKET_LIMITS.ttlSeconds;
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/upload_tickets`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+    body: JSON.stringify({
+      organization_id: env.SM_ORG_ID || null,
+      max_files: UPLOAD_TICKET_LIMITS.files,
+      max_bytes: UPLOAD_TICKET_LIMITS.bytes,
+      ip: request.headers.get("CF-Connecting-IP") || null,
+      expires_at: new Date(expires * 1000).toISOString(),
+    }),
+  });
+  if (!res.ok) throw new Error(`Supabase upload_tickets insert ${res.status}: ${await res.text()}`);
+  const [row] = await res.json();
+  return {
+    ticket: `${row.id}.${expires}.${await signature(env, row.id, expires)}`,
+    expiresAt: row.expires_at,
+    maxFiles: row.max_files,
+    maxBytes: row.max_bytes,
+  };
+}
+
+// The ticket id, if the header carries a genuine, unexpired ticket for this
+// organisation; null otherwise.
+export async function readUploadTicket(env, request) {
+  const [id, expires, sig] = (request.headers.get("X-Upload-Ticket") || "").trim().split(".");
+  if (!id || !sig || !/^[0-9a-f-]{36}$/i.test(id) || !/^\d+$/.test(expires || "")) return null;
+  if (Number(expires) <= Date.now() / 1000) return null;
+  return timingSafeEqual(await signature(env, id, expires), sig.toLowerCase()) ? id : null;
+}
+
+// Counts a photo against the ticket. { ok: true } or { ok: false, reason }
+// (unknown, expired, files, bytes).
+export async function reserveUpload(env, ticketId, path, bytes) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/reserve_upload`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ p_ticket: ticketId, p_org: env.SM_ORG_ID || null, p_path: path, p_bytes: bytes }),
+  });
+  if (!res.ok) throw new Error(`reserve_upload RPC ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// Gives a photo's place on the ticket back. False if it wasn't uploaded
+// under this ticket.
+export async function releaseUpload(env, ticketId, path) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/release_upload`, {
+    method: "POST",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ p_ticket: ticketId, p_path: path }),
+  });
+  if (!res.ok) throw new Error(`release_upload RPC ${res.status}: ${await res.text()}`);
+  return (await res.json()) === true;
+}
+
+// Cron job: drop long-expired tickets (their file rows go with them).
+export async function pruneUploadTickets(env) {
+  const cutoff = new Date(Date.now() - TICKET_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/upload_tickets?expires_at=lt.${encodeURIComponent(cutoff)}`, {
+    method: "DELETE",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+  });
+  if (!res.ok) throw new Error(`Supabase upload_tickets prune ${res.status}: ${await res.text()}`);
+  return { cutoff };
+}
+
+async function signature(env, id, expires) {
+  const secret = env.UPLOAD_TICKET_SECRET || env.SUPABASE_SERVICE_KEY;
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"],
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${env.SM_ORG_ID || ""}:${id}:${expires}`));
+  return Array.from(new Uint8Array(sig)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Constant-time string compare — protects HMAC verification from timing attacks.
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Request validation — one declarative schema per endpoint / action.
+ *
+ * Not a route. A schema maps field names to rules:
+ *
+ *   {
+ *     name:    { type: "string", required: true, max: LIMITS.name },
+ *     email:   { type: "email", required: true },
+ *     phone:   { type: "phone" },                       // → E.164
+ *     date:    { type: "date" },                        // YYYY-MM-DD
+ *     stage:   { type: "enum", values: STAGE_KEYS, nullable: false },
+ *     product: { type: "object", fields: { inscription: { type: "string", max: LIMITS.inscription } } },
+ *   }
+ *
+ * Types: string, email, phone, date, time (HH:MM), datetime (ISO 8601),
+ * enum, id (integer or uuid), uuid, boolean, number, array (`items` rule),
+ * object (`fields` schema). Optional rule keys: required, nullable (false =
+ * may be omitted but not blanked), max / min (length, item count or value),
+ * values (enum), label (used in messages; derived from the key otherwise).
+ *
+ * validate(data, schema) returns { ok: true, data } — the request with the
+ * checked fields normalised (strings trimmed, phones in E.164, blank optional
+ * fields null) and everything else passed through — or a 400 body:
+ *
+ *   { ok: false, error: "<first problem>", fields: { "product.inscription": "…" } }
+ *
+ * Forms show `fields` next to the inputs (site-globals.js smShowFieldErrors);
+ * callers that only read `error` still get a readable message.
+ */
+
+// Shared so every endpoint that accepts the same thing agrees on its size.
+export const LIMITS = {
+  name: 200,
+  email: 254,
+  phone: 32,
+  message: 5000,
+  note: 2000,
+  inscription: 1000, // the configurator's own cap (its textarea stops at 400)
+  location: 300,
+  url: 2000,
+  short: 100,
+  photos: 10,
+};
+
+const EMAIL_RE = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:".]{2,}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function validate(data, schema) {
+  const errors = {};
+  const out = checkFields(data && typeof data === "object" ? data : {}, schema, "", errors);
+  const keys = Object.keys(errors);
+  if (keys.length === 0) return { ok: true, data: out };
+  return { ok: false, error: errors[keys[0]], fields: errors };
+}
+
+// UK numbers in any of the usual spellings ("020 3835 2548",
+// "+44 (0)20 3835 2548", "447700900123") → "+442038352548". Numbers already
+// in international form are kept. Returns null if it can't be read.
+export function normalisePhone(raw) {
+  const compact = String(raw ?? "").trim()
+    .replace(/^\+44\s*\(0\)/, "+44")
+    .replace(/[\s().\-/]/g, "");
+  let e164 = null;
+  if (/^\+\d{8,15}$/.test(compact)) e164 = compact;
+  else if (/^00\d{8,15}$/.test(compact)) e164 = `+${compact.slice(2)}`;
+  else if (/^0\d{9,10}$/.test(compact)) e164 = `+44${compact.slice(1)}`;
+  else if (/^44\d{9,10}$/.test(compact)) e164 = `+${compact}`;
+  if (!e164) return null;
+  // UK national numbers are 9–10 digits after the +44.
+  if (e164.startsWith("+44") && !/^\+44[1-9]\d{8,9}$/.test(e164)) return null;
+  return e164;
+}
+
+function checkFields(data, schema, prefix, errors) {
+  const out = { ...data };
+  for (const [key, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const label = rule.label || labelFor(key);
+    const present = Object.prototype.hasOwnProperty.call(data, key);
+    const raw = data[key];
+    const value = typeof raw === "string" ? raw.trim() : raw;
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors[path] = `${label} is required.`;
+      else if (present && rule.nullable === false) errors[path] = `${label} can't be blank.`;
+      else if (present) out[key] = rule.type === "string" ? value : null;
+      continue;
+    }
+
+    const result = checkValue(value, rule, path, label, errors);
+    if (result.error) errors[path] = result.error;
+    else out[key] = result.value;
+  }
+  return out;
+}
+
+function checkValue(value, rule, path, label, errors) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string" && typeof value !== "number") return { error: `${label} must be text.` };
+      const s = String(value);
+      if (rule.max && s.length > rule.max) return { error: `${label} must be ${rule.max} characters or fewer.` };
+      if (rule.min && s.length < rule.min) return { error: `${label} must be at least ${rule.min} characters.` };
+      return { value: s };
+    }
+    case "email": {
+      const s = String(value);
+      if (s.length > LIMITS.email || !EMAIL_RE.test(s)) return { error: "Enter a valid email address." };
+      return { value: s };
+    }
+    case "phone": {
+      const e164 = typeof value === "string" || typeof value === "number" ? normalisePhone(value) : null;
+      if (!e164) return { error: "Enter a valid UK phone number, or an international number starting with +." };
+      return { value: e164 };
+    }
+    case "date": {
+      if (!isDate(value)) return { error: `${label} must be a date (YYYY-MM-DD).` };
+      return { value };
+    }
+    case "time": {
+      if (typeof value !== "string" || !TIME_RE.test(value)) return { error: `${label} must be a time (HH:MM).` };
+      return { value };
+    }
+    case "datetime": {
+      if (typeof value !== "string" || !DATETIME_RE.test(value) || Number.isNaN(Date.parse(value))) {
+        return { error: `${label} must be an ISO 8601 date and time.` };
+      }
+      return { value };
+    }
+    case "enum": {
+      if (!rule.values.includes(value)) return { error: `${label} must be one of: ${rule.values.join(", ")}.` };
+      return { value };
+    }
+    case "id": {
+      if (Number.isInteger(value) && value > 0) return { value };
+      if (typeof value === "string" && (/^[1-9]\d{0,18}$/.test(value) || UUID_RE.test(value))) return { value };
+      return { error: `${label} is not a valid ID.` };
+    }
+    case "uuid": {
+      if (typeof value !== "string" || !UUID_RE.test(value)) return { error: `${label} is not a valid ID.` };
+      return { value };
+    }
+    case "boolean": {
+      if (typeof value !== "boolean") return { error: `${label} must be true or false.` };
+      return { value };
+    }
+    case "number": {
+      const n = typeof value === "number" ? value : (typeof value === "string" ? Number(value) : NaN);
+      if (!Number.isFinite(n)) return { error: `${label} must be a number.` };
+      if (rule.min !== undefined && n < rule.min) return { error: `${label} must be at least ${rule.min}.` };
+      if (rule.max !== undefined && n > rule.max) return { error: `${label} must be no more than ${rule.max}.` };
+      return { value: n };
+    }
+    case "array": {
+      if (!Array.isArray(value)) return { error: `${label} must be a list.` };
+      if (rule.max && value.length > rule.max) return { error: `${label} can have at most ${rule.max} items.` };
+      if (!rule.items) return { value };
+      const items = [];
+      let failed = false;
+      value.forEach((item, i) => {
+        const itemPath = `${path}.${i}`;
+        const trimmed = typeof item === "string" ? item.trim() : item;
+        const res = trimmed === undefined || trimmed === null || trimmed === ""
+          ? { error: `${label} can't contain blank items.` }
+          : checkValue(trimmed, rule.items, itemPath, label, errors);
+        if (res.error) { errors[itemPath] = res.error; failed = true; }
+        else items.push(res.value);
+      });
+      return failed ? { value } : { value: items };
+    }
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return { error: `${label} is invalid.` };
+      return { value: rule.fields ? checkFields(value, rule.fields, path, errors) : value };
+    }
+    default:
+      throw new Error(`validate: unknown rule type "${rule.type}" for ${path}`);
+  }
+}
+
+function isDate(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+// "appointment_date" / "customerEmail" → "Appointment date" / "Customer email"
+function labelFor(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/_/g, " ").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
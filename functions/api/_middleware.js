@@ -0,0 +1,27 @@
+/**
+ * Middleware for every /api route.
+ *
+ * Resolves the request's organisation from its hostname (functions/_lib/org.js)
+ * into context.data.org, where orgEnv(context) picks it up, and answers CORS
+ * for it: routes that speak CORS declare their methods and headers, and the
+ * Access-Control-Allow-Origin added here is the caller's origin if the
+ * organisation allows it, otherwise the organisation's own site. A host whose
+ * organisation can't be looked up just now gets a 503.
+ */
+
+import { allowedOrigin, orgUnavailable, resolveOrg } from "../_lib/org.js";
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const org = await resolveOrg(env, new URL(request.url).hostname);
+  if (!org) return orgUnavailable();
+  context.data.org = org;
+
+  const response = await context.next();
+  if (!response.headers.has("Access-Control-Allow-Methods")) return response;
+  // Responses from fetch() can have immutable headers; copy before editing.
+  const cors = new Response(response.body, response);
+  cors.headers.set("Access-Control-Allow-Origin", allowedOrigin(org, request.headers.get("Origin")));
+  cors.headers.append("Vary", "Origin");
+  return cors;
+}
@@ -11,18 +11,193 @@
  * POST { action: "decline-partner", token, partnerId }  → decline a pending partner
  * POST { action: "dashboard", token }                   → get overview stats
  * POST { action: "list-orders", token }                 → list all orders with tracking info
- * POST { action: "update-order", token, orderId, ... }  → update order stage, inscription, proof, dates
+ * POST { action: "update-order", token, orderId, ... }  → update order stage, inscription, proof, dates,
+ *                                                        quote valid-until (quoteValidUntil: YYYY-MM-DD | null);
+ *                                                        a stage change moves the GHL opportunity too, and stage,
+ *                                                        inscription status or installation date updates the ClickUp task
+ * POST { action: "renew-quote", token, orderId }        → re-price a quote at today's prices as a new revision
+ * POST { action: "price-quote-items", token, orderId, prices: [{ index, price }] } → price a shortlist quote's
+ *                                                        memorials by hand and re-total it
  * POST { action: "generate-tracking", token, orderId }  → generate tracking token for customer
  * POST { action: "list-inscription-requests", token }   → list pending inscription change requests
  * POST { action: "resolve-inscription", token, requestId, accept } → accept/decline inscription change
  * POST { action: "list-products", token }                → list all products incl. hidden (bypasses RLS)
  * POST { action: "get-product", token, slug }             → fetch one product (with sizes) by slug, incl. hidden
  * POST { action: "list-order-events", token, orderId }    → fetch chronological event log for an order
- * POST { action: "send-customer-email", token, orderId, kind } → email customer (proof_ready|tracking|inscription_confirm)
+ * POST { action: "send-customer-email", token, orderId, kind } → email customer (proof_ready|tracking|inscription_confirm);
+ *                                                        proof_ready is also texted to people who prefer texts
+ * POST { action: "list-outbox", token, status? }          → queued side-effects (emails, ClickUp, GHL, calendar)
+ * POST { action: "retry-outbox", token, jobId }           → run one outbox job now
+ * POST { action: "list-rejections", token, days?, reason? } → spam-guarded /api/submit rejections + counts
+ * POST { action: "save-submit-limits", token, ip?, email?, uploadTickets? } → set the spam throttle limits
+ *                                                        (null = back to the env var / default)
+ * POST { action: "list-mail", token, search?, offset?, limit? } → captured emails (MAIL_TRANSPORT=capture)
+ * POST { action: "get-mail", token, mailId }            → one captured email incl. HTML, text + attachments
+ * POST { action: "clear-mail", token }                  → empty the captured mailbox
+ * POST { action: "list-email-templates", token }        → every email template, flagging reworded ones
+ * POST { action: "get-email-template", token, template } → defaults, saved wording + placeholders
+ * POST { action: "preview-email-template", token, template, vars?, subject?, copy? } → render with sample data
+ * POST { action: "save-email-template", token, template, subject?, copy } → save staff wording (customer templates)
+ * POST { action: "reset-email-template", token, template } → back to the built-in wording
+ * POST { action: "list-quote-followups", token, status?, offset?, limit? } → pending-quote follow-up sequences + steps sent
+ * POST { action: "pause-quote-followups", token, personId, paused } → hold / resume follow-ups to one person
+ * POST { action: "update-person", token, personId, contactPref } → change how a person would like us to reply
+ * POST { action: "list-duplicates", token, status?, offset?, limit? } → likely duplicate people, both sides + counts
+ * POST { action: "scan-duplicates", token }             → look for duplicate people now
+ * POST { action: "merge-people", token, survivorId, mergedId, duplicateId? } → fold one person into another
+ * POST { action: "dismiss-duplicate", token, duplicateId } → not the same person; don't suggest again
+ * POST { action: "attribution-report", token, dateFrom?, dateTo?, touch? } → leads, quotes, accepted orders and
+ *                                                        revenue by source / campaign (default: the last 30 days)
  */
 
+import { TOUCHES, attributionReport } from "../_lib/attribution.js";
+import { clickupConfigured, queueOrderTaskSync } from "../_lib/clickup.js";
+import {
+  EMAIL_TEMPLATES, checkCopyOverride, copyOrgFilter, describeTemplate, loadCopyOverride, renderEmail, sendTemplateEmail,
+} from "../_lib/email-templates.js";
+import { ghlConfigured, queueOpportunityStage } from "../_lib/ghl.js";
+import { mailConfigured, mailTransport, sendMail } from "../_lib/mail.js";
+import { orgEnv, orgFrom, orgOf, orgUrl } from "../_lib/org.js";
+import { processOutbox, requeueOutboxJob } from "../_lib/outbox.js";
+import { signPhotos } from "../_lib/photos.js";
+import { MAX_QUOTE_ITEMS, quoteItems, setItemPrices } from "../_lib/pricing.js";
+import { lastDuplicateScan, mergePeople, scanDuplicatePeople } from "../_lib/people-duplicates.js";
+import { followupDays } from "../_lib/quote-followups.js";
+import { ACCEPTED_STATUSES, isQuoteExpired, quoteValidUntil, renewQuote } from "../_lib/quote-validity.js";
+import { addMinutes, londonNow, londonToUtc } from "../_lib/schedule.js";
+import { CONTACT_PREFS, preferredTextChannel, sendSms, smsConfigured } from "../_lib/sms.js";
+import { REJECTION_REASONS, saveSubmitLimits, submitLimitOverrides, submitLimits } from "../_lib/submit-guard.js";
+import { LIMITS, validate } from "../_lib/validate.js";
+import { OUTBOX_HANDLERS } from "./submit.js";
+
+// Order pipeline, in order. Keep in step with STAGE_KEYS in admin.html.
+const STAGE_KEYS = ["quote_received", "deposit_paid", "design_in_progress", "proof_ready", "inscription_approved", "in_production", "installation_scheduled", "completed"];
+const INSCRIPTION_STATUSES = ["pending", "awaiting_approval", "approved", "change_requested"];
+// send-customer-email kind → template in functions/_lib/email-templates.js.
+const CUSTOMER_EMAIL_TEMPLATES = {
+  proof_ready: "orderProofReady",
+  tracking: "orderTracking",
+  inscription_confirm: "orderInscriptionConfirm",
+};
+const CUSTOMER_EMAIL_KINDS = Object.keys(CUSTOMER_EMAIL_TEMPLATES);
+// send-customer-email kinds that also go by text to people who prefer it.
+const CUSTOMER_TEXTS = {
+  proof_ready: (org, trackUrl) => `${org.name}: your memorial proof is ready to review. Please take a look and approve it or ask for changes: ${trackUrl}`,
+};
+const OUTBOX_FILTERS = ["all", "failing", "pending", "processing", "sent", "dead"];
+const FOLLOWUP_FILTERS = ["all", "active", "paused", "stopped", "finished"];
+const DUPLICATE_FILTERS = ["all", "open", "merged", "dismissed"];
+const ATTRIBUTION_DEFAULT_DAYS = 30;
+
+// Request shapes for actions that take input (functions/_lib/validate.js),
+// checked once the session is verified.
+const PAGING = {
+  offset: { type: "number", min: 0 },
+  limit:  { type: "number", min: 1, max: 200 },
+};
+const ORDER_ID = { type: "id", required: true, label: "Order ID" };
+const TEMPLATE = { type: "enum", values: Object.keys(EMAIL_TEMPLATES), required: true, label: "Template" };
+const TEMPLATE_SUBJECT = { type: "string", max: 300 };
+const ACTION_SCHEMAS = {
+  "approve-partner": { partnerId: { type: "id", required: true, label: "Partner ID" } },
+  "decline-partner": { partnerId: { type: "id", required: true, label: "Partner ID" } },
+  "list-orders": {
+    ...PAGING,
+    filter:    { type: "enum", values: ["all", ...STAGE_KEYS] },
+    search:    { type: "string", max: LIMITS.short },
+    partnerId: { type: "id", label: "Partner ID" },
+    dateFrom:  { type: "date", label: "From date" },
+    dateTo:    { type: "datetime", label: "To date" },
+  },
+  "list-enquiries": {
+    ...PAGING,
+    channel: { type: "string", max: LIMITS.short },
+    status:  { type: "string", max: LIMITS.short },
+  },
+  "update-order": {
+    orderId:             ORDER_ID,
+    stage:               { type: "enum", values: STAGE_KEYS, nullable: false },
+    inscriptionText:     { type: "string", max: LIMITS.inscription, label: "Inscription" },
+    inscriptionStatus:   { type: "enum", values: INSCRIPTION_STATUSES, nullable: false, label: "Inscription status" },
+    proofUrl:            { type: "string", max: LIMITS.url, label: "Proof URL" },
+    proofNotes:          { type: "string", max: LIMITS.note },
+    // Free text, as the order form asks for ("Mid April 2026").
+    estimatedCompletion: { type: "string", max: LIMITS.short, label: "Estimated completion" },
+    installationDate:    { type: "string", max: LIMITS.short, label: "Installation date" },
+    adminNotes:          { type: "string", max: LIMITS.message },
+    quoteValidUntil:     { type: "date", label: "Valid until" },
+  },
+  "renew-quote": { orderId: ORDER_ID },
+  "price-quote-items": {
+    orderId: ORDER_ID,
+    prices: {
+      type: "array", required: true, max: MAX_QUOTE_ITEMS, label: "Prices",
+      items: {
+        type: "object",
+        fields: {
+          index: { type: "number", required: true, min: 0, label: "Memorial" },
+          price: { type: "number", required: true, min: 0, max: 1000000, label: "Price" },
+        },
+      },
+    },
+  },
+  "generate-tracking": { orderId: ORDER_ID },
+  "resolve-inscription": {
+    requestId: { type: "id", required: true, label: "Request ID" },
+    accept:    { type: "boolean", required: true },
+  },
+  "get-product": { slug: { type: "string", required: true, max: LIMITS.short } },
+  "list-order-events": { orderId: ORDER_ID },
+  "send-customer-email": {
+    orderId: ORDER_ID,
+    kind:    { type: "enum", values: CUSTOMER_EMAIL_KINDS, required: true, label: "Email kind" },
+  },
+  "list-outbox": { status: { type: "enum", values: OUTBOX_FILTERS }, limit: PAGING.limit },
+  "retry-outbox": { jobId: { type: "id", required: true, label: "Job ID" } },
+  "list-rejections": {
+    days:   { type: "number", min: 1, max: 90 },
+    reason: { type: "string", max: LIMITS.short },
+  },
+  "save-submit-limits": {
+    ip:            { type: "number", min: 1, max: 10000, label: "Submissions per IP" },
+    email:         { type: "number", min: 1, max: 10000, label: "Submissions per email" },
+    uploadTickets: { type: "number", min: 1, max: 10000, label: "Photo upload sessions per IP" },
+  },
+  "list-mail": { ...PAGING, search: { type: "string", max: LIMITS.short } },
+  "get-mail": { mailId: { type: "uuid", required: true, label: "Mail ID" } },
+  "get-email-template": { template: TEMPLATE },
+  "preview-email-template": {
+    template: TEMPLATE,
+    vars:     { type: "object", label: "Variables" },
+    subject:  TEMPLATE_SUBJECT,
+    copy:     { type: "object" },
+  },
+  "save-email-template": { template: TEMPLATE, subject: TEMPLATE_SUBJECT, copy: { type: "object", required: true } },
+  "reset-email-template": { template: TEMPLATE },
+  "list-quote-followups": { ...PAGING, status: { type: "enum", values: FOLLOWUP_FILTERS } },
+  "pause-quote-followups": {
+    personId: { type: "uuid", required: true, label: "Person ID" },
+    paused:   { type: "boolean", required: true },
+  },
+  "update-person": {
+    personId:    { type: "uuid", required: true, label: "Person ID" },
+    contactPref: { type: "enum", values: CONTACT_PREFS, required: true, label: "Contact preference" },
+  },
+  "list-duplicates": { ...PAGING, status: { type: "enum", values: DUPLICATE_FILTERS } },
+  "merge-people": {
+    survivorId:  { type: "uuid", required: true, label: "Person to keep" },
+    mergedId:    { type: "uuid", required: true, label: "Person to merge" },
+    duplicateId: { type: "uuid", label: "Duplicate ID" },
+  },
+  "dismiss-duplicate": { duplicateId: { type: "uuid", required: true, label: "Duplicate ID" } },
+  "attribution-report": {
+    dateFrom: { type: "date", label: "From date" },
+    dateTo:   { type: "date", label: "To date" },
+    touch:    { type: "enum", values: TOUCHES },
+  },
+};
+
 const CORS = {
-  "Access-Control-Allow-Origin": "https://searsmelvin.co.uk",
   "Access-Control-Allow-Methods": "POST, OPTIONS",
   "Access-Control-Allow-Headers": "Content-Type",
 };
@@ -32,7 +207,8 @@ export async function onRequestOptions() {
 }
 
 export async function onRequest(context) {
-  const { request, env } = context;
+  const { request } = context;
+  const env = await orgEnv(context);
   if (request.method !== "POST") {
     return json({ ok: false, error: "Method not allowed" }, 405);
   }
@@ -56,6 +232,12 @@ export async function onRequest(context) {
   const valid = await verifyAdminToken(env, data.token);
   if (!valid) return json({ ok: false, error: "Unauthorized" }, 401);
 
+  if (ACTION_SCHEMAS[action]) {
+    const checked = validate(data, ACTION_SCHEMAS[action]);
+    if (!checked.ok) return json(checked, 400);
+    data = checked.data;
+  }
+
   if (action === "list-partners") return listPartners(env, data);
   if (action === "approve-partner") return approvePartner(env, data);
   if (action === "decline-partner") return declinePartner(env, data);
@@ -63,6 +245,8 @@ export async function onRequest(context) {
   if (action === "list-orders") return listOrders(env, data);
   if (action === "list-enquiries") return listEnquiries(env, data);
   if (action === "update-order") return updateOrder(env, data);
+  if (action === "renew-quote") return renewOrderQuote(env, data);
+  if (action === "price-quote-items") return priceQuoteItemsAction(env, data);
   if (action === "generate-tracking") return generateTracking(env, data);
   if (action === "list-inscription-requests") return listInscriptionRequests(env);
   if (action === "resolve-inscription") return resolveInscription(env, data);
@@ -70,6 +254,26 @@ export async function onRequest(context) {
   if (action === "get-product") return getProduct(env, data);
   if (action === "list-order-events") return listOrderEvents(env, data);
   if (action === "send-customer-email") return sendCustomerEmail(env, data);
+  if (action === "list-outbox") return listOutbox(env, data);
+  if (action === "retry-outbox") return retryOutbox(env, data);
+  if (action === "list-rejections") return listRejections(env, data);
+  if (action === "save-submit-limits") return saveSubmitLimitsAction(env, data);
+  if (action === "list-mail") return listMail(env, data);
+  if (action === "get-mail") return getMail(env, data);
+  if (action === "clear-mail") return clearMail(env);
+  if (action === "list-email-templates") return listEmailTemplates(env);
+  if (action === "get-email-template") return getEmailTemplate(env, data);
+  if (action === "preview-email-template") return previewEmailTemplate(env, data);
+  if (action === "save-email-template") return saveEmailTemplate(env, data);
+  if (action === "reset-email-template") return resetEmailTemplate(env, data);
+  if (action === "list-quote-followups") return listQuoteFollowups(env, data);
+  if (action === "pause-quote-followups") return pauseQuoteFollowups(env, data);
+  if (action === "update-person") return updatePerson(env, data);
+  if (action === "list-duplicates") return listDuplicates(env, data);
+  if (action === "scan-duplicates") return scanDuplicates(env);
+  if (action === "merge-people") return mergePeopleAction(env, data);
+  if (action === "dismiss-duplicate") return dismissDuplicate(env, data);
+  if (action === "attribution-report") return getAttributionReport(env, data);
 
   return json({ ok: false, error: "Unknown action" }, 400);
 }
@@ -87,7 +291,7 @@ async function handleAdminLogin(env, { adminKey }) {
   const res = await fetch(`${env.SUPABASE_URL}/rest/v1/admin_sessions`, {
     method: "POST",
     headers: { ...headers, "Prefer": "return=minimal" },
-    body: JSON.stringify({ token, expires_at: expiresAt }),
+    body: JSON.stringify({ token, expires_at: expiresAt, organization_id: env.SM_ORG_ID || null }),
   });
   if (!res.ok) return json({ ok: false, error: "Failed to create session" }, 500);
 
@@ -111,10 +315,8 @@ async function handleAdminLogout(env, { token }) {
   return json({ ok: true });
 }
 
-const ADMIN_EMAIL = "info@searsmelvin.co.uk";
-
 async function handleSendMagicLink(env, request) {
-  if (!env.RESEND_API_KEY) return json({ ok: false, error: "Email not configured" }, 500);
+  if (!mailConfigured(env)) return json({ ok: false, error: "Email not configured" }, 500);
 
   const token = generateToken(48);
   const expiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString(); // 15 minutes
@@ -125,26 +327,17 @@ async function handleSendMagicLink(env, request) {
   const res = await fetch(`${env.SUPABASE_URL}/rest/v1/admin_sessions`, {
     method: "POST",
     headers: { ...headers, "Prefer": "return=minimal" },
-    body: JSON.stringify({ token: magicTokenValue, expires_at: expiresAt }),
+    body: JSON.stringify({ token: magicTokenValue, expires_at: expiresAt, organization_id: env.SM_ORG_ID || null }),
   });
   if (!res.ok) return json({ ok: false, error: "Failed to create magic link" }, 500);
 
   const origin = new URL(request.url).origin;
   const magicUrl = `${origin}/admin.html?magic=${magicTokenValue}`;
 
-  const emailRes = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: { "Authorization": `Bearer ${env.RESEND_API_KEY}`, "Content-Type": "application/json" },
-    body: JSON.stringify({
-      from: "Sears Melvin Memorials <info@searsmelvin.co.uk>",
-      to: ADMIN_EMAIL,
-      subject: "Admin login link — Sears Melvin Memorials",
-      html: magicLinkEmail(magicUrl),
-    }),
-  });
-  if (!emailRes.ok) {
-    const errBody = await emailRes.text();
-    console.error("Magic link email failed:", errBody);
+  try {
+    await sendTemplateEmail(env, "adminMagicLink", { url: magicUrl }, { from: orgFrom(env), to: orgOf(env).email });
+  } catch (err) {
+    console.error("Magic link email failed:", err);
     return json({ ok: false, error: "Failed to send email" }, 500);
   }
 
@@ -161,7 +354,7 @@ async function handleVerifyMagicLink(env, { magicToken }) {
   const headers = sbHeaders(env);
   const now = new Date().toISOString();
   const res = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/admin_sessions?token=eq.${encodeURIComponent(magicToken)}&expires_at=gt.${now}&select=id&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/admin_sessions?token=eq.${encodeURIComponent(magicToken)}&expires_at=gt.${now}${orgFilter(env)}&select=id&limit=1`,
     { headers },
   );
   if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
@@ -182,32 +375,17 @@ async function handleVerifyMagicLink(env, { magicToken }) {
   await fetch(`${env.SUPABASE_URL}/rest/v1/admin_sessions`, {
     method: "POST",
     headers: { ...headers, "Prefer": "return=minimal" },
-    body: JSON.stringify({ token: sessionToken, expires_at: expiresAt }),
+    body: JSON.stringify({ token: sessionToken, expires_at: expiresAt, organization_id: env.SM_ORG_ID || null }),
   });
 
   return json({ ok: true, token: sessionToken });
 }
 
-function magicLinkEmail(url) {
-  return `<!DOCTYPE html><html><head><meta charset="UTF-8"></head>
-<body style="margin:0;padding:0;background:#F5F3F0;font-family:-apple-system,sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;padding:24px 0;">
-<tr><td align="center">
-<table width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 4px 20px rgba(0,0,0,0.08);">
-  <tr><td style="background:#2C2C2C;padding:20px 28px;">
-    <span style="font-family:Georgia,serif;font-size:18px;color:#fff;">Sears Melvin <span style="opacity:0.55;">Memorials</span></span>
-  </td></tr>
-  <tr><td style="padding:32px 28px;">
-    <h2 style="font-family:Georgia,serif;font-size:22px;color:#2C2C2C;font-weight:normal;margin:0 0 12px;">Admin Login</h2>
-    <p style="color:#555;font-size:15px;line-height:1.7;margin:0 0 24px;">Click the button below to sign in to the admin dashboard. This link expires in 15 minutes.</p>
-    <a href="${url}" style="display:inline-block;background:#2C2C2C;color:#fff;padding:14px 32px;border-radius:6px;font-size:15px;font-weight:600;text-decoration:none;">Sign In to Dashboard</a>
-    <p style="color:#999;font-size:12px;margin-top:24px;">If you didn't request this, you can safely ignore this email.</p>
-  </td></tr>
-  <tr><td style="background:#F5F3F0;border-top:1px solid #E0DCD5;padding:14px 28px;text-align:center;">
-    <span style="font-size:11px;color:#BBB;">Sears Melvin Memorials</span>
-  </td></tr>
-</table>
-</td></tr></table></body></html>`;
+// Sessions, orders, people and the rest belong to one organisation: a
+// session only works on its organisation's site, and staff only see and
+// change that organisation's records.
+function orgFilter(env) {
+  return env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
 }
 
 async function verifyAdminToken(env, token) {
@@ -218,7 +396,7 @@ async function verifyAdminToken(env, token) {
   const headers = sbHeaders(env);
   const now = new Date().toISOString();
   const res = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/admin_sessions?token=eq.${encodeURIComponent(token)}&expires_at=gt.${now}&select=id&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/admin_sessions?token=eq.${encodeURIComponent(token)}&expires_at=gt.${now}${orgFilter(env)}&select=id&limit=1`,
     { headers },
   );
   if (!res.ok) return false;
@@ -241,7 +419,7 @@ async function listPartners(env, { filter }) {
 
   // Get order counts per partner
   const orderRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?partner_id=not.is.null&select=partner_id,id,value,status`,
+    `${env.SUPABASE_URL}/rest/v1/orders?partner_id=not.is.null&select=partner_id,id,value,status${orgFilter(env)}`,
     { headers },
   );
   let ordersByPartner = {};
@@ -269,8 +447,6 @@ async function listPartners(env, { filter }) {
 
 // ==================== APPROVE PARTNER ====================
 async function approvePartner(env, { partnerId }) {
-  if (!partnerId) return json({ ok: false, error: "Partner ID required" }, 400);
-
   const headers = sbHeaders(env);
   const res = await fetch(`${env.SUPABASE_URL}/rest/v1/partners?id=eq.${encodeURIComponent(partnerId)}`, {
     method: "PATCH",
@@ -291,8 +467,6 @@ async function approvePartner(env, { partnerId }) {
 
 // ==================== DECLINE PARTNER ====================
 async function declinePartner(env, { partnerId }) {
-  if (!partnerId) return json({ ok: false, error: "Partner ID required" }, 400);
-
   const headers = sbHeaders(env);
   const res = await fetch(`${env.SUPABASE_URL}/rest/v1/partners?id=eq.${encodeURIComponent(partnerId)}`, {
     method: "PATCH",
@@ -334,7 +508,7 @@ async function getDashboard(env) {
 
   // Get all orders with partner_id
   const orderRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?select=id,partner_id,value,status,created_at&order=created_at.desc&limit=200`,
+    `${env.SUPABASE_URL}/rest/v1/orders?select=id,partner_id,value,status,created_at&order=created_at.desc&limit=200${orgFilter(env)}`,
     { headers },
   );
   let orderStats = { total: 0, partnerOrders: 0, totalValue: 0, partnerValue: 0, pending: 0, completed: 0 };
@@ -368,19 +542,19 @@ async function listOrders(env, { filter, search, partnerId, dateFrom, dateTo, of
   const headers = sbHeaders(env);
   const select = [
     "id", "order_number", "person_id",
-    "people(id,first_name,last_name,email,phone,is_customer)",
+    "people(id,first_name,last_name,email,phone,contact_pref,is_customer)",
     "sku", "color", "value", "permit_fee", "status", "stage",
     "location", "tracking_token", "inscription_text", "inscription_status",
     "proof_url", "proof_uploaded_at", "proof_notes",
     "estimated_completion", "installation_date",
     "partner_id", "admin_notes", "product_config", "notes",
-    "edit_token", "order_type", "created_at", "updated_at",
+    "edit_token", "order_type", "quote_valid_until", "quote_revision",
+    "created_at", "updated_at",
     "partners(id,name,company,email)"
   ].join(",");
-  const orgFilter = env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
   const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 200);
   const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
-  let url = `${env.SUPABASE_URL}/rest/v1/orders?select=${select}&order=created_at.desc&limit=${pageSize}&offset=${pageOffset}${orgFilter}`;
+  let url = `${env.SUPABASE_URL}/rest/v1/orders?select=${select}&order=created_at.desc&limit=${pageSize}&offset=${pageOffset}${orgFilter(env)}`;
 
   if (filter && filter !== "all") {
     url += `&stage=eq.${encodeURIComponent(filter)}`;
@@ -399,13 +573,17 @@ async function listOrders(env, { filter, search, partnerId, dateFrom, dateTo, of
   if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
   let orders = await res.json();
 
-  // Decode product_config JSON for line items
+  // Decode product_config JSON for line items; quotes get their effective
+  // valid-until (older ones count from created_at) and whether it has passed.
   orders = orders.map(o => {
     let config = null;
     if (o.product_config) {
       try { config = JSON.parse(o.product_config); } catch { /* ignore */ }
     }
-    return { ...o, product_config: config };
+    const validity = o.order_type === "quote"
+      ? { quote_valid_until: quoteValidUntil(env, o), quote_expired: isQuoteExpired(env, o) }
+      : {};
+    return { ...o, product_config: config, ...validity };
   });
 
   if (search) {
@@ -436,7 +614,7 @@ async function listEnquiries(env, { channel, status, limit, offset }) {
   const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 200);
   const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
   const params = new URLSearchParams({
-    select: "*,people(id,first_name,last_name,email,phone,is_customer),orders(id,order_number,stage,value)",
+    select: "*,people(id,first_name,last_name,email,phone,contact_pref,is_customer),orders(id,order_number,stage,value)",
     order: "created_at.desc",
     limit: String(pageSize),
     offset: String(pageOffset),
@@ -462,7 +640,7 @@ async function listEnquiries(env, { channel, status, limit, offset }) {
     allPaths.forEach((p, i) => { if (signed[i]) signedByPath.set(p, signed[i]); });
     for (const e of enquiries) {
       if (Array.isArray(e.photo_urls) && e.photo_urls.length > 0) {
-        e.photo_signed_urls = e.photo_urls.map(p => signedByPath.get(p)).filter(Boolean);
+        e.photos = e.photo_urls.map(p => signedByPath.get(p)).filter(Boolean);
       }
     }
   }
@@ -470,26 +648,11 @@ async function listEnquiries(env, { channel, status, limit, offset }) {
   return json({ ok: true, enquiries, offset: pageOffset, limit: pageSize, hasMore });
 }
 
+// Positional { thumb, full } per path (null where it can't be signed), for an
+// hour — the viewer signs again on every load.
 async function signPhotoPaths(env, paths) {
-  // Supabase Storage supports a single batch sign endpoint:
-  //   POST /storage/v1/object/sign/{bucket}
-  //   body: { paths: [...], expiresIn: 3600 }
-  // Returns positional results — preserve null gaps so callers can zip back to the
-  // original paths array.
-  const res = await fetch(`${env.SUPABASE_URL}/storage/v1/object/sign/enquiry-photos`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ expiresIn: 3600, paths }),
-  });
-  if (!res.ok) {
-    console.error(`Storage sign failed ${res.status}: ${await res.text()}`);
-    return paths.map(() => null);
-  }
-  const rows = await res.json();
-  return rows.map(r => (r.signedURL ? `${env.SUPABASE_URL}/storage/v1${r.signedURL}` : null));
+  const signed = await signPhotos(env, paths, 3600);
+  return signed.map(p => (p ? { thumb: p.thumb, full: p.full } : null));
 }
 
 // ==================== LIST PRODUCTS (admin, includes hidden) ====================
@@ -503,7 +666,6 @@ async function listProducts(env) {
 
 // ==================== GET PRODUCT (admin, by slug, includes hidden) ====================
 async function getProduct(env, { slug }) {
-  if (!slug) return json({ ok: false, error: "Slug required" }, 400);
   const headers = sbHeaders(env);
   const productRes = await fetch(
     `${env.SUPABASE_URL}/rest/v1/products?slug=eq.${encodeURIComponent(slug)}&select=*,product_categories(name,slug)&limit=1`,
@@ -523,18 +685,17 @@ async function getProduct(env, { slug }) {
 }
 
 // ==================== UPDATE ORDER ====================
-async function updateOrder(env, { orderId, stage, inscriptionText, inscriptionStatus, proofUrl, proofNotes, estimatedCompletion, installationDate, adminNotes }) {
-  if (!orderId) return json({ ok: false, error: "Order ID required" }, 400);
-
+async function updateOrder(env, { orderId, stage, inscriptionText, inscriptionStatus, proofUrl, proofNotes, estimatedCompletion, installationDate, adminNotes, quoteValidUntil: validUntil }) {
   const headers = sbHeaders(env);
 
   // Fetch the row first so we can produce a meaningful audit trail.
   const beforeRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=stage,inscription_text,inscription_status,proof_url,proof_notes,estimated_completion,installation_date,admin_notes&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=stage,inscription_text,inscription_status,proof_url,proof_notes,estimated_completion,installation_date,admin_notes,order_type,quote_valid_until,ghl_opportunity_id,clickup_task_id${orgFilter(env)}&limit=1`,
     { headers }
   );
-  const beforeRows = beforeRes.ok ? await beforeRes.json() : [];
-  const before = beforeRows[0] || {};
+  if (!beforeRes.ok) return json({ ok: false, error: "Database error" }, 500);
+  const before = (await beforeRes.json())[0];
+  if (!before) return json({ ok: false, error: "Order not found" }, 404);
 
   const updates = {};
   if (stage !== undefined) updates.stage = stage;
@@ -548,9 +709,13 @@ async function updateOrder(env, { orderId, stage, inscriptionText, inscriptionSt
   if (estimatedCompletion !== undefined) updates.estimated_completion = estimatedCompletion;
   if (installationDate !== undefined) updates.installation_date = installationDate;
   if (adminNotes !== undefined) updates.admin_notes = adminNotes;
+  if (validUntil !== undefined) {
+    if (before.order_type && before.order_type !== "quote") return json({ ok: false, error: "Only quotes have a valid-until date" }, 400);
+    updates.quote_valid_until = validUntil;
+  }
   updates.updated_at = new Date().toISOString();
 
-  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}`, {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}${orgFilter(env)}`, {
     method: "PATCH",
     headers: { ...headers, "Prefer": "return=representation" },
     body: JSON.stringify(updates),
@@ -586,22 +751,130 @@ async function updateOrder(env, { orderId, stage, inscriptionText, inscriptionSt
   if (adminNotes !== undefined && adminNotes !== before.admin_notes) {
     events.push({ event_type: "notes_updated", summary: "Admin notes updated", detail: { from: before.admin_notes, to: adminNotes } });
   }
+  if (validUntil !== undefined && validUntil !== before.quote_valid_until) {
+    events.push({ event_type: "quote_validity", summary: `Quote valid until: ${before.quote_valid_until || "default"} → ${validUntil || "default"}`, detail: { from: before.quote_valid_until, to: validUntil } });
+  }
   if (events.length > 0) {
     await logOrderEvents(env, orderId, events);
   }
+  if (stage !== undefined && stage !== before.stage && before.ghl_opportunity_id && ghlConfigured(env)) {
+    await syncStageToGHL(env, orderId, stage);
+  }
+  const taskChanged = events.some(e => e.event_type === "stage_changed" || e.event_type === "inscription_status" || e.detail?.field === "installation_date");
+  if (taskChanged && before.clickup_task_id && clickupConfigured(env)) {
+    await syncTaskToClickUp(env, orderId);
+  }
+
+  const order = rows[0];
+  if (order.order_type === "quote") {
+    Object.assign(order, { quote_valid_until: quoteValidUntil(env, order), quote_expired: isQuoteExpired(env, order) });
+  }
+  return json({ ok: true, order });
+}
+
+// Moves the GHL opportunity to match (functions/_lib/ghl.js), straight away
+// where possible; the outbox retries it otherwise. Never fails the update.
+async function syncStageToGHL(env, orderId, stage) {
+  try {
+    const ids = await queueOpportunityStage(env, orderId, stage);
+    if (ids?.length) await processOutbox(env, OUTBOX_HANDLERS, { ids, limit: ids.length });
+  } catch (err) {
+    console.error("GHL stage sync failed:", err);
+  }
+}
+
+// Same for the order's ClickUp task: its status and custom fields follow
+// the order (functions/_lib/clickup.js).
+async function syncTaskToClickUp(env, orderId) {
+  try {
+    const ids = await queueOrderTaskSync(env, orderId, "admin update");
+    if (ids?.length) await processOutbox(env, OUTBOX_HANDLERS, { ids, limit: ids.length });
+  } catch (err) {
+    console.error("ClickUp task sync failed:", err);
+  }
+}
+
+// ==================== RENEW QUOTE ====================
+// Staff can renew any open quote, expired or not — e.g. to honour today's
+// prices for a customer who rang up (functions/_lib/quote-validity.js).
+async function renewOrderQuote(env, { orderId }) {
+  const beforeRes = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=value,permit_fee,quote_revision${orgFilter(env)}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!beforeRes.ok) return json({ ok: false, error: "Database error" }, 500);
+  const before = (await beforeRes.json())[0];
+  if (!before) return json({ ok: false, error: "Quote not found", reason: "not_found" }, 404);
+
+  let renewed;
+  try {
+    renewed = await renewQuote(env, orderId, { renewedBy: "staff" });
+  } catch (err) {
+    console.error("Quote renewal failed:", err);
+    return json({ ok: false, error: "Failed to renew quote" }, 500);
+  }
+  if (!renewed.ok) {
+    return json({ ok: false, error: renewed.message, reason: renewed.reason }, renewed.reason === "not_found" ? 404 : 400);
+  }
+
+  const oldTotal = (parseFloat(before.value) || 0) + (parseFloat(before.permit_fee) || 0);
+  const newTotal = renewed.value + (parseFloat(renewed.permitFee) || 0);
+  await logOrderEvents(env, orderId, [{
+    event_type: "quote_renewed",
+    summary: `Quote renewed (revision ${renewed.revision}): £${oldTotal.toFixed(2)} → £${newTotal.toFixed(2)}, valid until ${renewed.validUntil}`,
+    detail: { from_revision: before.quote_revision || null, revision: renewed.revision, from_total: oldTotal, to_total: newTotal, valid_until: renewed.validUntil },
+  }]);
 
-  return json({ ok: true, order: rows[0] });
+  return json({ ok: true, revision: renewed.revision, validUntil: renewed.validUntil, value: renewed.value, permitFee: renewed.permitFee });
+}
+
+// ==================== PRICE QUOTE ITEMS ====================
+// Memorials on a shortlist quote that the catalogue doesn't know are priced
+// here by hand; the customer can accept the quote once none is left.
+async function priceQuoteItemsAction(env, { orderId, prices }) {
+  if (prices.length === 0) return json({ ok: false, error: "Enter a price for at least one memorial" }, 400);
+  const headers = sbHeaders(env);
+  const orderRes = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&order_type=eq.quote&select=id,status,value,product_config${orgFilter(env)}&limit=1`,
+    { headers },
+  );
+  if (!orderRes.ok) return json({ ok: false, error: "Database error" }, 500);
+  const order = (await orderRes.json())[0];
+  if (!order) return json({ ok: false, error: "Quote not found" }, 404);
+  if (ACCEPTED_STATUSES.includes(order.status)) return json({ ok: false, error: "This quote has already been accepted" }, 400);
+
+  let config = null;
+  try { config = JSON.parse(order.product_config); } catch { /* ignore */ }
+  const priced = setItemPrices(config || {}, prices);
+  if (!priced.ok) return json({ ok: false, error: priced.message, reason: priced.reason }, 400);
+
+  const value = parseFloat(priced.product.price);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}${orgFilter(env)}`, {
+    method: "PATCH",
+    headers: { ...headers, "Prefer": "return=minimal" },
+    body: JSON.stringify({ product_config: JSON.stringify(priced.product), value, updated_at: new Date().toISOString() }),
+  });
+  if (!res.ok) return json({ ok: false, error: "Failed to save prices" }, 500);
+
+  const items = quoteItems(priced.product);
+  const oldValue = parseFloat(order.value) || 0;
+  const lines = prices.map(({ index, price }) => ({ index, name: items[index].name || "Memorial", price }));
+  await logOrderEvents(env, orderId, [{
+    event_type: "items_priced",
+    summary: `Priced ${lines.map(l => `${l.name} at £${l.price.toFixed(2)}`).join(", ")}: £${oldValue.toFixed(2)} → £${value.toFixed(2)}`,
+    detail: { items: lines, from_value: oldValue, to_value: value, unpriced: priced.product.pricing.unpriced },
+  }]);
+
+  return json({ ok: true, value, unpriced: priced.product.pricing.unpriced, items });
 }
 
 // ==================== GENERATE TRACKING TOKEN ====================
 async function generateTracking(env, { orderId }) {
-  if (!orderId) return json({ ok: false, error: "Order ID required" }, 400);
-
   const headers = sbHeaders(env);
 
   // Check if order already has a tracking token
   const checkRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=id,tracking_token&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=id,tracking_token${orgFilter(env)}&limit=1`,
     { headers },
   );
   if (!checkRes.ok) return json({ ok: false, error: "Database error" }, 500);
@@ -613,7 +886,7 @@ async function generateTracking(env, { orderId }) {
   }
 
   const token = generateToken(32);
-  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}`, {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}${orgFilter(env)}`, {
     method: "PATCH",
     headers: { ...headers, "Prefer": "return=representation" },
     body: JSON.stringify({ tracking_token: token }),
@@ -628,11 +901,13 @@ async function generateTracking(env, { orderId }) {
 async function listInscriptionRequests(env) {
   const headers = sbHeaders(env);
 
-  // PostgREST resource embedding pulls the parent order in one round-trip.
+  // PostgREST resource embedding pulls the parent order in one round-trip;
+  // the inner join keeps only requests on this organisation's orders.
   const res = await fetch(
     `${env.SUPABASE_URL}/rest/v1/inscription_requests?status=eq.pending` +
       `&select=id,order_id,requested_text,reason,created_at,` +
-      `orders(id,sku,inscription_text,people(first_name,last_name,email))` +
+      `orders!inner(id,sku,inscription_text,people(first_name,last_name,email))` +
+      (env.SM_ORG_ID ? `&orders.organization_id=eq.${env.SM_ORG_ID}` : "") +
       `&order=created_at.desc&limit=50`,
     { headers },
   );
@@ -645,13 +920,12 @@ async function listInscriptionRequests(env) {
 
 // ==================== RESOLVE INSCRIPTION REQUEST ====================
 async function resolveInscription(env, { requestId, accept }) {
-  if (!requestId) return json({ ok: false, error: "Request ID required" }, 400);
-
   const headers = sbHeaders(env);
 
   // Get the request
   const reqRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/inscription_requests?id=eq.${encodeURIComponent(requestId)}&select=id,order_id,requested_text&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/inscription_requests?id=eq.${encodeURIComponent(requestId)}&select=id,order_id,requested_text,orders!inner(id)` +
+      (env.SM_ORG_ID ? `&orders.organization_id=eq.${env.SM_ORG_ID}` : "") + "&limit=1",
     { headers },
   );
   if (!reqRes.ok) return json({ ok: false, error: "Database error" }, 500);
@@ -661,7 +935,7 @@ async function resolveInscription(env, { requestId, accept }) {
   const inscReq = reqRows[0];
 
   // Update request status
-  await fetch(`${env.SUPABASE_URL}/rest/v1/inscription_requests?id=eq.${requestId}`, {
+  await fetch(`${env.SUPABASE_URL}/rest/v1/inscription_requests?id=eq.${encodeURIComponent(inscReq.id)}`, {
     method: "PATCH",
     headers: { ...headers, "Prefer": "return=minimal" },
     body: JSON.stringify({
@@ -672,7 +946,7 @@ async function resolveInscription(env, { requestId, accept }) {
 
   // If accepted, update the order's inscription text
   if (accept) {
-    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${inscReq.order_id}`, {
+    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${inscReq.order_id}${orgFilter(env)}`, {
       method: "PATCH",
       headers: { ...headers, "Prefer": "return=minimal" },
       body: JSON.stringify({
@@ -683,7 +957,7 @@ async function resolveInscription(env, { requestId, accept }) {
     });
   } else {
     // Declined — revert to previous status
-    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${inscReq.order_id}`, {
+    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${inscReq.order_id}${orgFilter(env)}`, {
       method: "PATCH",
       headers: { ...headers, "Prefer": "return=minimal" },
       body: JSON.stringify({
@@ -719,24 +993,382 @@ async function logOrderEvents(env, orderId, events) {
 }
 
 async function listOrderEvents(env, { orderId }) {
-  if (!orderId) return json({ ok: false, error: "Order ID required" }, 400);
   const headers = sbHeaders(env);
   const res = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/order_events?order_id=eq.${encodeURIComponent(orderId)}&select=*&order=created_at.desc&limit=200`,
+    `${env.SUPABASE_URL}/rest/v1/order_events?order_id=eq.${encodeURIComponent(orderId)}&select=*,orders!inner(id)` +
+      (env.SM_ORG_ID ? `&orders.organization_id=eq.${env.SM_ORG_ID}` : "") +
+      "&order=created_at.desc&limit=200",
     { headers }
   );
   if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
-  return json({ ok: true, events: await res.json() });
+  const events = (await res.json()).map(({ orders, ...event }) => event);
+  return json({ ok: true, events });
+}
+
+// ==================== OUTBOX ====================
+async function listOutbox(env, { status, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 200);
+  const params = new URLSearchParams({
+    select: "id,kind,label,status,attempts,max_attempts,next_attempt_at,last_error,enquiry_id,order_id,created_at,completed_at,payload->to,payload->subject",
+    order: "created_at.desc",
+    limit: String(pageSize),
+  });
+  if (env.SM_ORG_ID) params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  // "failing" = still retrying but has hit at least one error.
+  if (status === "failing") {
+    params.append("status", "eq.pending");
+    params.append("last_error", "not.is.null");
+  } else if (status && status !== "all") {
+    params.append("status", `eq.${status}`);
+  }
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/outbox?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const jobs = await res.json();
+
+  const countRes = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/outbox?status=in.(pending,processing,dead)&select=status${orgFilter(env)}`,
+    { headers: sbHeaders(env) },
+  );
+  const counts = { pending: 0, processing: 0, dead: 0 };
+  if (countRes.ok) for (const row of await countRes.json()) counts[row.status]++;
+
+  return json({ ok: true, jobs, counts });
+}
+
+async function retryOutbox(env, { jobId }) {
+  try {
+    const found = await requeueOutboxJob(env, jobId);
+    if (!found) return json({ ok: false, error: "Job not found" }, 404);
+    const summary = await processOutbox(env, OUTBOX_HANDLERS, { ids: [jobId], limit: 1 });
+    const res = await fetch(
+      `${env.SUPABASE_URL}/rest/v1/outbox?id=eq.${encodeURIComponent(jobId)}&select=id,status,attempts,last_error,next_attempt_at${orgFilter(env)}`,
+      { headers: sbHeaders(env) },
+    );
+    const job = res.ok ? (await res.json())[0] : null;
+    return json({ ok: true, summary, job });
+  } catch (err) {
+    console.error("Outbox retry failed:", err);
+    return json({ ok: false, error: "Retry failed: " + err.message }, 500);
+  }
+}
+
+// ==================== SPAM REJECTIONS ====================
+// Submissions turned away by functions/_lib/submit-guard.js, with per-reason
+// counts and the current thresholds so they can be tuned.
+async function listRejections(env, { days, reason }) {
+  const windowDays = Math.min(Math.max(parseInt(days, 10) || 7, 1), 90);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+  const params = new URLSearchParams({
+    select: "id,created_at,reason,channel,ip,email,user_agent,source_page,detail",
+    created_at: `gte.${since}`,
+    order: "created_at.desc",
+    limit: "200",
+  });
+  if (env.SM_ORG_ID) params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  if (reason && reason !== "all") params.append("reason", `eq.${reason}`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/submit_rejections?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const rejections = await res.json();
+
+  // Counted by the database, one reason at a time: PostgREST caps the rows a
+  // select returns, so counting downloaded rows undercounts a busy week.
+  const counts = {};
+  await Promise.all(REJECTION_REASONS.map(async r => {
+    const countRes = await fetch(
+      `${env.SUPABASE_URL}/rest/v1/submit_rejections?select=id&reason=eq.${r}&created_at=gte.${encodeURIComponent(since)}${orgFilter(env)}&limit=1`,
+      { headers: { ...sbHeaders(env), "Prefer": "count=exact" } },
+    );
+    if (!countRes.ok) return;
+    const count = parseInt((countRes.headers.get("content-range") || "").split("/")[1], 10);
+    if (count) counts[r] = count;
+  }));
+
+  const limitOverrides = await submitLimitOverrides(env).catch(() => null);
+  return json({ ok: true, rejections, counts, days: windowDays, limits: submitLimits(env), limitOverrides, turnstile: !!env.TURNSTILE_SECRET_KEY });
+}
+
+async function saveSubmitLimitsAction(env, { ip, email, uploadTickets }) {
+  if (!env.SM_ORG_ID) return json({ ok: false, error: "SM_ORG_ID is not configured" }, 500);
+  let overrides;
+  try {
+    overrides = await saveSubmitLimits(env, { ip, email, uploadTickets });
+  } catch (err) {
+    console.error("Saving submit limits failed:", err);
+    return json({ ok: false, error: "Database error" }, 500);
+  }
+  if (!overrides) return json({ ok: false, error: "This organisation has no row in organizations to save settings on" }, 404);
+  return json({ ok: true, limitOverrides: overrides });
+}
+
+// ==================== MAILBOX ====================
+// Messages kept by the capture mail transport (functions/_lib/mail.js)
+// instead of being delivered. The list leaves out bodies and attachment
+// content; get-mail returns the whole message.
+async function listMail(env, { search, offset, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const params = new URLSearchParams({
+    select: "id,created_at,from_address,to_addresses,cc_addresses,reply_to,subject,attachments",
+    order: "created_at.desc",
+    offset: String(Math.max(parseInt(offset, 10) || 0, 0)),
+    limit: String(pageSize),
+  });
+  if (env.SM_ORG_ID) params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  const term = (search || "").replace(/[(){},*"\\]/g, " ").trim();
+  if (term) params.append("or", `(subject.ilike.*${term}*,to_addresses.cs.{${term}})`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_capture?${params}`, {
+    headers: { ...sbHeaders(env), "Prefer": "count=exact" },
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const rows = await res.json();
+  const total = parseInt((res.headers.get("content-range") || "").split("/")[1], 10) || rows.length;
+  const messages = rows.map(({ attachments, ...m }) => ({
+    ...m,
+    attachments: (attachments || []).map(a => ({ filename: a.filename, content_type: a.content_type })),
+  }));
+  return json({ ok: true, messages, total, transport: mailTransport(env) });
+}
+
+async function getMail(env, { mailId }) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/mail_capture?id=eq.${encodeURIComponent(mailId)}&select=*${orgFilter(env)}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const message = (await res.json())[0];
+  if (!message) return json({ ok: false, error: "Message not found" }, 404);
+  return json({ ok: true, message });
+}
+
+async function clearMail(env) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_capture?created_at=not.is.null${orgFilter(env)}`, {
+    method: "DELETE",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  return json({ ok: true });
+}
+
+// ==================== EMAIL TEMPLATES ====================
+// Staff rewording of customer emails (functions/_lib/email-templates.js).
+// Only the fields that differ from the built-in text are stored, so later
+// changes to the defaults still reach everything staff haven't touched.
+async function listEmailTemplates(env) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/email_template_copy?select=template,updated_at${copyOrgFilter(env)}`, {
+    headers: sbHeaders(env),
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const saved = Object.fromEntries((await res.json()).map(row => [row.template, row.updated_at]));
+  const templates = Object.keys(EMAIL_TEMPLATES).map(name => {
+    const { audience, description, editable } = describeTemplate(name);
+    return { name, audience, description, editable, customisedAt: saved[name] || null };
+  });
+  return json({ ok: true, templates });
+}
+
+async function getEmailTemplate(env, { template }) {
+  const saved = EMAIL_TEMPLATES[template].copy ? await loadCopyOverride(env, template) : null;
+  return json({ ok: true, template: describeTemplate(template), saved });
+}
+
+// Renders with the template's sample data (plus any `vars`). Passing
+// `subject` / `copy` previews unsaved edits; otherwise the saved wording is used.
+async function previewEmailTemplate(env, { template, vars, subject, copy }) {
+  const editing = subject !== undefined || copy !== undefined;
+  if (editing) {
+    const problem = checkCopyOverride(template, { subject, copy });
+    if (problem) return json({ ok: false, error: problem }, 400);
+  }
+  try {
+    const sample = { ...EMAIL_TEMPLATES[template].sample, ...(vars || {}) };
+    const email = await renderEmail(env, template, sample, editing ? { overrides: { subject, copy } } : {});
+    return json({ ok: true, ...email });
+  } catch (err) {
+    return json({ ok: false, error: err.message }, 400);
+  }
+}
+
+async function saveEmailTemplate(env, { template, subject, copy }) {
+  const problem = checkCopyOverride(template, { subject, copy });
+  if (problem) return json({ ok: false, error: problem }, 400);
+  const defaults = EMAIL_TEMPLATES[template];
+  const changed = Object.fromEntries(Object.entries(copy).filter(([key, text]) => text !== defaults.copy[key].text));
+  const customSubject = subject && subject !== defaults.subject ? subject : null;
+
+  if (!customSubject && Object.keys(changed).length === 0) return resetEmailTemplate(env, { template });
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/email_template_copy?on_conflict=organization_id,template`, {
+    method: "POST",
+    headers: { ...sbHeaders(env), "Prefer": "resolution=merge-duplicates,return=minimal" },
+    body: JSON.stringify({ organization_id: env.SM_ORG_ID || null, template, subject: customSubject, copy: changed, updated_at: new Date().toISOString() }),
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  return json({ ok: true });
+}
+
+async function resetEmailTemplate(env, { template }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/email_template_copy?template=eq.${encodeURIComponent(template)}${copyOrgFilter(env)}`, {
+    method: "DELETE",
+    headers: { ...sbHeaders(env), "Prefer": "return=minimal" },
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  return json({ ok: true });
+}
+
+// ==================== QUOTE FOLLOW-UPS ====================
+// Sequences run by functions/_lib/quote-followups.js: where each pending
+// quote is, the steps sent so far, and whether its person is paused.
+// "paused" lists running sequences whose person is on hold.
+async function listQuoteFollowups(env, { status, offset, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 200);
+  const filter = status || "active";
+  const params = new URLSearchParams({
+    select: [
+      "order_id", "status", "stop_reason", "stopped_at", "last_step", "last_sent_at", "created_at",
+      "orders(order_number,sku,value,created_at,edit_token)",
+      `people${filter === "paused" ? "!inner" : ""}(id,first_name,last_name,email,quote_followups_paused_at)`,
+      "quote_followup_steps(step,day,created_at)",
+    ].join(","),
+    order: "created_at.desc",
+    offset: String(Math.max(parseInt(offset, 10) || 0, 0)),
+    limit: String(pageSize),
+  });
+  if (env.SM_ORG_ID) params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  if (filter === "paused") {
+    params.append("status", "eq.active");
+    params.append("people.quote_followups_paused_at", "not.is.null");
+  } else if (filter !== "all") {
+    params.append("status", `eq.${filter}`);
+  }
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/quote_followups?${params}`, {
+    headers: { ...sbHeaders(env), "Prefer": "count=exact" },
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const followups = await res.json();
+  const total = parseInt((res.headers.get("content-range") || "").split("/")[1], 10) || followups.length;
+  for (const f of followups) (f.quote_followup_steps || []).sort((a, b) => a.step - b.step);
+  return json({ ok: true, followups, total, days: followupDays(env) });
+}
+
+async function pauseQuoteFollowups(env, { personId, paused }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/people?id=eq.${encodeURIComponent(personId)}${orgFilter(env)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+    body: JSON.stringify({ quote_followups_paused_at: paused ? new Date().toISOString() : null }),
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Person not found" }, 404);
+  return json({ ok: true, pausedAt: rows[0].quote_followups_paused_at });
+}
+
+// ==================== PEOPLE ====================
+// Staff record the reply channel someone asks for on the phone; "sms" and
+// "whatsapp" also route proof-ready notices by text (functions/_lib/sms.js).
+async function updatePerson(env, { personId, contactPref }) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/people?id=eq.${encodeURIComponent(personId)}${orgFilter(env)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+    body: JSON.stringify({ contact_pref: contactPref }),
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Person not found" }, 404);
+  return json({ ok: true, contactPref: rows[0].contact_pref });
+}
+
+// ==================== DUPLICATE PEOPLE ====================
+// Pairs found by functions/_lib/people-duplicates.js, strongest first, with
+// both people and how many orders / enquiries each has so staff can choose
+// which to keep.
+async function listDuplicates(env, { status, offset, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const filter = status || "open";
+  const person = "id,first_name,last_name,email,phone,address,city,contact_pref,is_customer,created_at,orders(count),enquiries(count)";
+  const params = new URLSearchParams({
+    select: `id,score,reasons,status,created_at,resolved_at,a:people!person_a(${person}),b:people!person_b(${person})`,
+    order: filter === "open" ? "score.desc,created_at.desc" : "updated_at.desc",
+    offset: String(Math.max(parseInt(offset, 10) || 0, 0)),
+    limit: String(pageSize),
+  });
+  if (env.SM_ORG_ID) params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  if (filter !== "all") params.append("status", `eq.${filter}`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/person_duplicates?${params}`, {
+    headers: { ...sbHeaders(env), "Prefer": "count=exact" },
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const duplicates = await res.json();
+  const total = parseInt((res.headers.get("content-range") || "").split("/")[1], 10) || duplicates.length;
+  let lastScanAt = null;
+  if (env.SM_ORG_ID) lastScanAt = await lastDuplicateScan(env).catch(() => null);
+  return json({ ok: true, duplicates, total, lastScanAt });
+}
+
+async function scanDuplicates(env) {
+  try {
+    return json({ ok: true, ...(await scanDuplicatePeople(env, { force: true })) });
+  } catch (err) {
+    console.error("Duplicate scan failed:", err);
+    return json({ ok: false, error: "Scan failed", detail: String(err?.message || err) }, 500);
+  }
+}
+
+// Admin sessions carry no identity, so the audit row records "admin".
+async function mergePeopleAction(env, { survivorId, mergedId, duplicateId }) {
+  if (survivorId === mergedId) return json({ ok: false, error: "Choose two different people" }, 400);
+  let merge;
+  try {
+    merge = await mergePeople(env, { survivorId, mergedId, duplicateId: duplicateId || null, mergedBy: "admin" });
+  } catch (err) {
+    console.error("Merge failed:", err);
+    return json({ ok: false, error: "Merge failed", detail: String(err?.message || err) }, 500);
+  }
+  if (!merge) return json({ ok: false, error: "One of these people has already been merged or can't be found" }, 409);
+  return json({ ok: true, merge });
+}
+
+async function dismissDuplicate(env, { duplicateId }) {
+  const now = new Date().toISOString();
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/person_duplicates?id=eq.${encodeURIComponent(duplicateId)}&status=eq.open${orgFilter(env)}`, {
+    method: "PATCH",
+    headers: { ...sbHeaders(env), "Prefer": "return=representation" },
+    body: JSON.stringify({ status: "dismissed", resolved_at: now, updated_at: now }),
+  });
+  if (!res.ok) return json({ ok: false, error: "Database error", detail: await res.text() }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Duplicate not found or already resolved" }, 404);
+  return json({ ok: true });
+}
+
+// ==================== ATTRIBUTION ====================
+// Where leads came from (functions/_lib/attribution.js), for enquiries and
+// orders created between two London dates, both included. Accepted orders
+// and revenue are those of the quotes that came in during the period.
+async function getAttributionReport(env, { dateFrom, dateTo, touch }) {
+  const to = dateTo || londonNow().date;
+  const from = dateFrom || addMinutes({ date: to, time: "00:00" }, -(ATTRIBUTION_DEFAULT_DAYS - 1) * 24 * 60).date;
+  if (from > to) return json({ ok: false, error: "The from date is after the to date" }, 400);
+  const by = touch || "last_touch";
+  let rows;
+  try {
+    rows = await attributionReport(env, {
+      from: londonToUtc({ date: from, time: "00:00" }),
+      to: londonToUtc({ date: addMinutes({ date: to, time: "00:00" }, 24 * 60).date, time: "00:00" }),
+      touch: by,
+    });
+  } catch (err) {
+    return json({ ok: false, error: "Database error", detail: String(err.message || err) }, 500);
+  }
+  const totals = { leads: 0, quotes: 0, accepted: 0, revenue: 0 };
+  for (const row of rows) for (const key of Object.keys(totals)) totals[key] += row[key];
+  return json({ ok: true, rows, totals, dateFrom: from, dateTo: to, touch: by });
 }
 
 // ==================== SEND CUSTOMER EMAIL ====================
 async function sendCustomerEmail(env, { orderId, kind }) {
-  if (!orderId) return json({ ok: false, error: "Order ID required" }, 400);
-  if (!env.RESEND_API_KEY) return json({ ok: false, error: "Email not configured" }, 500);
+  if (!mailConfigured(env)) return json({ ok: false, error: "Email not configured" }, 500);
 
   const headers = sbHeaders(env);
   const orderRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=id,people(first_name,last_name,email),sku,proof_url,proof_notes,inscription_text,tracking_token&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}&select=id,people(id,first_name,last_name,email,phone,contact_pref),sku,proof_url,proof_notes,inscription_text,tracking_token${orgFilter(env)}&limit=1`,
     { headers }
   );
   if (!orderRes.ok) return json({ ok: false, error: "Database error" }, 500);
@@ -751,110 +1383,71 @@ async function sendCustomerEmail(env, { orderId, kind }) {
   let trackingToken = order.tracking_token;
   if (!trackingToken && (kind === "tracking" || kind === "proof_ready" || kind === "inscription_confirm")) {
     trackingToken = generateToken(32);
-    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}`, {
+    await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(orderId)}${orgFilter(env)}`, {
       method: "PATCH",
       headers: { ...headers, "Prefer": "return=minimal" },
       body: JSON.stringify({ tracking_token: trackingToken }),
     });
   }
 
-  const trackUrl = `https://searsmelvin.co.uk/track?token=${encodeURIComponent(trackingToken || "")}`;
-  const greeting = customerName ? `Dear ${customerName},` : "Hello,";
-
-  let subject, html;
-  if (kind === "proof_ready") {
-    subject = "Your memorial proof is ready to review";
-    html = adminEmailHtml(
-      "Your proof is ready",
-      `${greeting}<br><br>Your memorial proof is ready for review. Please follow the link below to view it and let us know if you'd like any changes before we begin production.`,
-      [{ label: "Review your proof", href: trackUrl }],
-      order.proof_notes ? `<p style="margin-top:1rem;color:#666;font-size:14px;"><em>Note from our team:</em> ${escapeHtml(order.proof_notes)}</p>` : ""
-    );
-  } else if (kind === "tracking") {
-    subject = "Your order tracking link";
-    html = adminEmailHtml(
-      "Track your order",
-      `${greeting}<br><br>You can follow the progress of your memorial at the link below.`,
-      [{ label: "Track my order", href: trackUrl }],
-      ""
-    );
-  } else if (kind === "inscription_confirm") {
-    subject = "Please confirm your inscription";
-    const inscBlock = order.inscription_text
-      ? `<div style="background:#FAF8F5;border-left:3px solid #8B7355;padding:1rem 1.25rem;margin:1.5rem 0;font-style:italic;white-space:pre-wrap;">${escapeHtml(order.inscription_text)}</div>`
-      : `<p style="color:#b44;">No inscription is currently on file.</p>`;
-    html = adminEmailHtml(
-      "Please confirm your inscription",
-      `${greeting}<br><br>Please review and confirm the inscription wording below before we engrave your memorial. If anything needs changing, you can reply to this email or request a change from your tracking page.`,
-      [{ label: "Open tracking page", href: trackUrl }],
-      inscBlock
-    );
-  } else {
-    return json({ ok: false, error: "Unknown email kind" }, 400);
-  }
+  const trackUrl = orgUrl(env, `/track?token=${encodeURIComponent(trackingToken || "")}`);
+  const vars = { customerName: customerName || null, trackUrl };
+  if (kind === "proof_ready") vars.proofNotes = order.proof_notes;
+  if (kind === "inscription_confirm") vars.inscription = order.inscription_text;
 
+  // The office is copied so the thread is in the shared inbox when the
+  // customer replies.
+  let subject;
   try {
-    await sendResend(env.RESEND_API_KEY, {
-      from: "Sears Melvin Memorials <info@searsmelvin.co.uk>",
+    const email = await renderEmail(env, CUSTOMER_EMAIL_TEMPLATES[kind], vars);
+    subject = email.subject;
+    await sendMail(env, {
+      from: orgFrom(env),
       to: customerEmail,
+      ccOffice: true,
       subject,
-      html,
+      html: email.html,
+      text: email.text,
     });
   } catch (err) {
     return json({ ok: false, error: "Email failed: " + err.message }, 500);
   }
 
-  await logOrderEvents(env, orderId, [{
+  const events = [{
     event_type: "email_sent",
     summary: `Sent "${subject}" to ${customerEmail}`,
     detail: { kind, to: customerEmail },
-  }]);
-
-  return json({ ok: true });
-}
+  }];
+
+  // The text is a courtesy on top of the email, so a failure is reported
+  // rather than failing the send.
+  let texted = null;
+  let textError = null;
+  const textChannel = preferredTextChannel(order.people);
+  if (CUSTOMER_TEXTS[kind] && textChannel && smsConfigured(env, textChannel)) {
+    try {
+      await sendSms(env, {
+        to: order.people.phone,
+        body: CUSTOMER_TEXTS[kind](orgOf(env), trackUrl),
+        channel: textChannel,
+        personId: order.people.id,
+        purpose: kind,
+      });
+      texted = textChannel;
+      events.push({
+        event_type: "sms_sent",
+        summary: `Texted ${kind.replace(/_/g, " ")} notice to ${order.people.phone} (${textChannel})`,
+        detail: { kind, to: order.people.phone, channel: textChannel },
+      });
+    } catch (err) {
+      console.error("Customer text failed:", err);
+      textError = err.message;
+    }
+  }
 
-function adminEmailHtml(title, body, buttons, extraHtml) {
-  const buttonsHtml = (buttons || []).map(b =>
-    `<a href="${b.href}" style="display:inline-block;padding:0.85rem 1.75rem;background:#2C2C2C;color:#fff;text-decoration:none;border-radius:6px;font-family:'DM Sans',sans-serif;font-size:14px;font-weight:600;letter-spacing:0.02em;margin-right:0.5rem;">${b.label}</a>`
-  ).join("");
-  return `<!DOCTYPE html><html><body style="margin:0;padding:0;background:#FAF8F5;font-family:'DM Sans',-apple-system,sans-serif;color:#1a1a1a;">
-    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#FAF8F5;padding:2rem 1rem;">
-      <tr><td align="center">
-        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#fff;border-radius:12px;overflow:hidden;">
-          <tr><td style="padding:2rem 2rem 1rem;border-bottom:1px solid #E0DCD5;">
-            <div style="font-family:'Cormorant Garamond',Georgia,serif;font-size:1.5rem;color:#2C2C2C;">Sears Melvin <span style="color:#8B7355;font-weight:300;">Memorials</span></div>
-          </td></tr>
-          <tr><td style="padding:2rem;">
-            <h1 style="font-family:'Cormorant Garamond',Georgia,serif;font-weight:400;font-size:1.75rem;color:#2C2C2C;margin:0 0 1rem;">${title}</h1>
-            <p style="font-size:15px;line-height:1.6;color:#1a1a1a;margin:0 0 1.5rem;">${body}</p>
-            ${extraHtml || ""}
-            <div style="margin-top:1.5rem;">${buttonsHtml}</div>
-          </td></tr>
-          <tr><td style="padding:1.5rem 2rem;background:#FAF8F5;border-top:1px solid #E0DCD5;font-size:12px;color:#666;">
-            Sears Melvin Memorials · 020 3835 2548 · info@searsmelvin.co.uk
-          </td></tr>
-        </table>
-      </td></tr>
-    </table>
-  </body></html>`;
-}
-
-async function sendResend(apiKey, { from, to, subject, html }) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ from, to, subject, html }),
-  });
-  if (!res.ok) throw new Error(await res.text());
-}
+  await logOrderEvents(env, orderId, events);
 
-function escapeHtml(s) {
-  return String(s == null ? "" : s)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
+  return json({ ok: true, texted, textError });
 }
 
 // ==================== HELPERS ====================
@@ -0,0 +1,327 @@
+/**
+ * Appointment Self-Service API — /api/appointment
+ *
+ * Every appointment enquiry saved by /api/submit carries a `manage_token`; the
+ * customer's confirmation email links to /track?appointment=<token>, which
+ * drives this endpoint.
+ *
+ * GET  ?token=xxx                                  → appointment details
+ * POST { action: "reschedule", token, date, time } → move to a new free slot
+ * POST { action: "cancel", token, reason? }        → cancel and release the slot
+ *
+ * Both actions update the enquiries row, move / delete the Google Calendar
+ * event recorded in `google_event_id`, and email the customer and the office.
+ * The customer's email carries an updated (or cancelling) .ics with the next
+ * `ics_sequence`, so the entry from their original confirmation follows along.
+ */
+
+import { sendTemplateEmail } from "../_lib/email-templates.js";
+import { patchCalendarEvent, deleteCalendarEvent } from "../_lib/google-calendar.js";
+import { appointmentInviteAttachment } from "../_lib/ics.js";
+import { mailConfigured } from "../_lib/mail.js";
+import { orgEnv, orgFrom, orgOf } from "../_lib/org.js";
+import { appointmentEnd, appointmentType, londonToUtc, utcToLondon } from "../_lib/schedule.js";
+import { checkSlotAvailable } from "./availability.js";
+
+const CORS = {
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequest(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  const ctx = { env, waitUntil: promise => context.waitUntil(promise) };
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
+    return json({ ok: false, error: "Server config error" }, 500);
+  }
+
+  if (request.method === "GET") {
+    const token = new URL(request.url).searchParams.get("token");
+    if (!token) return json({ ok: false, error: "Token required" }, 400);
+    return getAppointment(env, token);
+  }
+
+  if (request.method === "POST") {
+    let data;
+    try { data = await request.json(); }
+    catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
+    if (!data.token) return json({ ok: false, error: "Token required" }, 400);
+
+    if (data.action === "reschedule") return rescheduleAppointment(ctx, data);
+    if (data.action === "cancel") return cancelAppointment(ctx, data);
+    return json({ ok: false, error: "Unknown action" }, 400);
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+// ==================== GET ====================
+async function getAppointment(env, token) {
+  let enquiry;
+  try { enquiry = await findByManageToken(env, token); }
+  catch (err) {
+    console.error("Appointment lookup failed:", err);
+    return json({ ok: false, error: "Database error" }, 500);
+  }
+  if (!enquiry) return json({ ok: false, error: "Invalid or expired link." }, 404);
+  return json({ ok: true, appointment: mapAppointment(enquiry) });
+}
+
+// ==================== RESCHEDULE ====================
+async function rescheduleAppointment(ctx, { token, date, time }) {
+  const env = ctx.env;
+  let enquiry;
+  try { enquiry = await findByManageToken(env, token); }
+  catch (err) {
+    console.error("Appointment lookup failed:", err);
+    return json({ ok: false, error: "Database error" }, 500);
+  }
+  if (!enquiry) return json({ ok: false, error: "Invalid or expired link." }, 404);
+
+  const current = mapAppointment(enquiry);
+  if (!current.canChange) return json({ ok: false, error: changeBlockedMessage(env, current) }, 409);
+  if (date === current.date && time === current.time) {
+    return json({ ok: false, error: "That's your current appointment time." }, 400);
+  }
+
+  let check;
+  try {
+    check = await checkSlotAvailable(env, { type: current.kind, date, time, ignoreEnquiryId: enquiry.id });
+  } catch (err) {
+    console.error("Slot availability check failed:", err);
+    return json({ ok: false, error: "Could not check availability. Please try again." }, 500);
+  }
+  if (!check.available) {
+    return json({ ok: false, error: check.message, reason: check.reason }, check.reason === "taken" ? 409 : 400);
+  }
+
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?id=eq.${enquiry.id}`, {
+    method: "PATCH",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ appointment_at: londonToUtc({ date, time }), appointment_at_utc: true, ics_sequence: nextSequence(enquiry) }),
+  });
+  if (!res.ok) {
+    const detail = await res.text();
+    console.error(`Appointment reschedule update failed ${res.status}: ${detail}`);
+    if (/23505|duplicate key/.test(detail)) {
+      return json({ ok: false, error: "Sorry, that time has just been booked. Please choose another slot.", reason: "taken" }, 409);
+    }
+    return json({ ok: false, error: "Failed to reschedule. Please try again." }, 500);
+  }
+
+  const updated = { ...current, date, time };
+  ctx.waitUntil(Promise.allSettled([
+    bg("reschedule calendar event", () => {
+      const end = appointmentEnd(current.kind, { date, time });
+      return patchCalendarEvent(env, enquiry.google_event_id, {
+        start: { dateTime: `${date}T${time}:00`, timeZone: "Europe/London" },
+        end: { dateTime: `${end.date}T${end.time}:00`, timeZone: "Europe/London" },
+      });
+    }),
+    bg("reschedule customer email", async () => {
+      const attachments = await inviteAttachments(env, enquiry, updated, { token, cancelled: false });
+      return sendEmail(env, "appointmentRescheduledCustomer", {
+        ...changeEmailVars(enquiry, current, updated),
+        hasInvite: attachments.length > 0,
+      }, {
+        from: orgFrom(env),
+        to: enquiry.people?.email,
+        attachments,
+      });
+    }),
+    bg("reschedule business email", () => sendEmail(env, "appointmentChangedBusiness", {
+      ...changeEmailVars(enquiry, current, updated),
+      cancelled: false,
+    }, {
+      from: orgFrom(env),
+      to: orgOf(env).email,
+      replyTo: enquiry.people?.email,
+    })),
+  ]));
+
+  return json({ ok: true, appointment: updated, message: "Your appointment has been moved." });
+}
+
+// ==================== CANCEL ====================
+async function cancelAppointment(ctx, { token, reason }) {
+  const env = ctx.env;
+  let enquiry;
+  try { enquiry = await findByManageToken(env, token); }
+  catch (err) {
+    console.error("Appointment lookup failed:", err);
+    return json({ ok: false, error: "Database error" }, 500);
+  }
+  if (!enquiry) return json({ ok: false, error: "Invalid or expired link." }, 404);
+
+  const current = mapAppointment(enquiry);
+  if (!current.canChange) return json({ ok: false, error: changeBlockedMessage(env, current) }, 409);
+
+  const cancelReason = reason ? String(reason).trim().slice(0, 500) : null;
+  const details = { ...(enquiry.details && typeof enquiry.details === "object" ? enquiry.details : {}) };
+  details.cancelled_by = "customer";
+  details.cancelled_at = new Date().toISOString();
+  if (cancelReason) details.cancel_reason = cancelReason;
+
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?id=eq.${enquiry.id}`, {
+    method: "PATCH",
+    headers: sbHeaders(env),
+    body: JSON.stringify({ status: "cancelled", details, ics_sequence: nextSequence(enquiry) }),
+  });
+  if (!res.ok) {
+    console.error(`Appointment cancel update failed ${res.status}: ${await res.text()}`);
+    return json({ ok: false, error: "Failed to cancel. Please try again." }, 500);
+  }
+
+  ctx.waitUntil(Promise.allSettled([
+    bg("cancel calendar event", () => deleteCalendarEvent(env, enquiry.google_event_id)),
+    bg("cancel customer email", async () => {
+      const attachments = await inviteAttachments(env, enquiry, current, { token, cancelled: true });
+      return sendEmail(env, "appointmentCancelledCustomer", {
+        ...changeEmailVars(enquiry, current, current),
+        hasInvite: attachments.length > 0,
+      }, {
+        from: orgFrom(env),
+        to: enquiry.people?.email,
+        attachments,
+      });
+    }),
+    bg("cancel business email", () => sendEmail(env, "appointmentChangedBusiness", {
+      ...changeEmailVars(enquiry, current, current),
+      cancelled: true,
+      reason: cancelReason,
+    }, {
+      from: orgFrom(env),
+      to: orgOf(env).email,
+      replyTo: enquiry.people?.email,
+    })),
+  ]));
+
+  return json({ ok: true, appointment: { ...current, status: "cancelled", canChange: false }, message: "Your appointment has been cancelled." });
+}
+
+// ==================== DATA ====================
+async function findByManageToken(env, token) {
+  const params = new URLSearchParams({
+    select: "id,channel,appointment_at,appointment_kind,status,google_event_id,ics_sequence,details,people(first_name,last_name,email,phone)",
+    limit: "1",
+  });
+  params.append("manage_token", `eq.${token}`);
+  params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase enquiries lookup ${res.status}: ${await res.text()}`);
+  const rows = await res.json();
+  return rows[0] && rows[0].appointment_at ? rows[0] : null;
+}
+
+function mapAppointment(e) {
+  const slot = utcToLondon(e.appointment_at);
+  const type = appointmentType(e.appointment_kind);
+  const status = e.status || "new";
+  // appointment_at is a real instant, so "has it happened" is a plain comparison.
+  const isPast = Date.parse(e.appointment_at) <= Date.now();
+  return {
+    kind: type.kind,
+    typeLabel: type.label,
+    date: slot.date,
+    time: slot.time,
+    durationMinutes: type.durationMinutes,
+    status,
+    isPast,
+    canChange: status !== "cancelled" && !isPast,
+    firstName: e.people?.first_name || null,
+  };
+}
+
+function changeBlockedMessage(env, appointment) {
+  if (appointment.status === "cancelled") return "This appointment has already been cancelled.";
+  return `This appointment has already taken place. Please call us on ${orgOf(env).phone} to book another.`;
+}
+
+// ==================== CALENDAR FILE ====================
+// Every change the customer is told about gets a higher SEQUENCE than the
+// last .ics they were sent (the booking confirmation was 0).
+function nextSequence(enquiry) {
+  return (Number(enquiry.ics_sequence) || 0) + 1;
+}
+
+// The .ics is a convenience — if it can't be built the email still goes.
+async function inviteAttachments(env, enquiry, appointment, { token, cancelled }) {
+  try {
+    const attachment = await appointmentInviteAttachment({
+      org: orgOf(env),
+      manageToken: token,
+      kind: appointment.kind,
+      typeLabel: appointment.typeLabel,
+      durationMinutes: appointment.durationMinutes,
+      slot: { date: appointment.date, time: appointment.time },
+      name: personName(enquiry),
+      email: enquiry.people?.email,
+      sequence: nextSequence(enquiry),
+      cancelled,
+    });
+    return [attachment];
+  } catch (err) {
+    console.error("Failed to build appointment .ics:", err);
+    return [];
+  }
+}
+
+// ==================== EMAILS ====================
+// Variables for the change templates in functions/_lib/email-templates.js.
+function changeEmailVars(enquiry, previous, appointment) {
+  const p = enquiry.people || {};
+  return {
+    name: personName(enquiry),
+    firstName: p.first_name || null,
+    email: p.email || null,
+    phone: p.phone || null,
+    typeLabel: appointment.typeLabel,
+    previousSlot: formatSlot(previous),
+    newSlot: formatSlot(appointment),
+  };
+}
+
+// ==================== HELPERS ====================
+function bg(label, task) {
+  return Promise.resolve()
+    .then(task)
+    .catch(err => { console.error(`${label} failed:`, err); });
+}
+
+function formatSlot({ date, time }) {
+  const dateFormatted = new Date(date + "T00:00:00Z").toLocaleDateString("en-GB", {
+    weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC",
+  });
+  return `${dateFormatted} at ${time}`;
+}
+
+function personName(enquiry) {
+  const p = enquiry.people || {};
+  return [p.first_name, p.last_name].filter(Boolean).join(" ") || p.email || "Customer";
+}
+
+// Change notices are best-effort: no transport or no address just skips.
+async function sendEmail(env, template, vars, message) {
+  if (!mailConfigured(env) || !message.to) return;
+  await sendTemplateEmail(env, template, vars, message);
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * Appointment Availability API — /api/availability
+ *
+ * GET ?type=showroom&from=YYYY-MM-DD&days=14
+ *   → { ok, type, durationMinutes, timezone, days: [{ date, slots: ["09:00", ...] }] }
+ *
+ * A slot is bookable when it falls inside showroom opening hours, is not an
+ * England & Wales bank holiday, respects the type's minimum notice, and does
+ * not overlap an existing `enquiries.appointment_at` row or a busy block on
+ * the showroom Google Calendar. All times are Europe/London wall-clock;
+ * conversions to and from the stored UTC instants live in
+ * functions/_lib/schedule.js.
+ *
+ * /api/submit re-checks the chosen slot with checkSlotAvailable() before it
+ * saves an appointment, so a slot taken since the picker loaded is rejected.
+ */
+
+import { queryFreeBusy } from "../_lib/google-calendar.js";
+import { orgEnv } from "../_lib/org.js";
+import { APPOINTMENT_TYPES, londonNow, londonToUtc, utcToLondon } from "../_lib/schedule.js";
+
+const CORS = {
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+// Opening hours keyed by weekday (0 = Sunday), as [open, close) ranges. Matches
+// the hours on /contact; the 12:30–13:00 gap is the lunch break the homepage
+// time picker has always skipped.
+const OPENING_HOURS = {
+  1: [["09:00", "12:30"], ["13:00", "17:00"]],
+  2: [["09:00", "12:30"], ["13:00", "17:00"]],
+  3: [["09:00", "12:30"], ["13:00", "17:00"]],
+  4: [["09:00", "12:30"], ["13:00", "17:00"]],
+  5: [["09:00", "12:30"], ["13:00", "17:00"]],
+  6: [["10:00", "14:00"]],
+};
+
+const SLOT_STEP_MINUTES = 30;
+const MAX_DAYS = 31;
+const BANK_HOLIDAYS_URL = "https://www.gov.uk/bank-holidays.json";
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
+    return json({ ok: false, error: "Server configuration error" }, 500);
+  }
+  const url = new URL(request.url);
+  const type = url.searchParams.get("type") || "showroom";
+  if (!APPOINTMENT_TYPES[type]) return json({ ok: false, error: "Unknown appointment type" }, 400);
+
+  const from = url.searchParams.get("from") || londonToday();
+  if (!isIsoDate(from)) return json({ ok: false, error: "Invalid 'from' date" }, 400);
+  const days = Math.min(Math.max(parseInt(url.searchParams.get("days"), 10) || 14, 1), MAX_DAYS);
+
+  let result;
+  try {
+    result = await listBookableSlots(env, { type, from, days });
+  } catch (err) {
+    console.error("Availability lookup failed:", err);
+    return json({ ok: false, error: "Could not load availability" }, 500);
+  }
+
+  return json({
+    ok: true,
+    type,
+    durationMinutes: APPOINTMENT_TYPES[type].durationMinutes,
+    timezone: "Europe/London",
+    days: result,
+  });
+}
+
+// Re-validates a single slot at booking time. Returns { available: true } or
+// { available: false, reason, message } where reason is one of
+// invalid_type | invalid_slot | closed | too_soon | taken. `ignoreEnquiryId`
+// excludes the caller's own booking when rescheduling.
+export async function checkSlotAvailable(env, { type, date, time, ignoreEnquiryId = null }) {
+  const kind = type || "consultation";
+  if (!APPOINTMENT_TYPES[kind]) {
+    return { available: false, reason: "invalid_type", message: "Unknown appointment type." };
+  }
+  if (!isIsoDate(date) || !/^\d{2}:\d{2}$/.test(time || "")) {
+    return { available: false, reason: "invalid_slot", message: "Please choose a valid date and time." };
+  }
+  const [holidays, busy] = await Promise.all([
+    fetchBankHolidays(),
+    fetchBusyIntervals(env, { from: date, days: 1, ignoreEnquiryId }),
+  ]);
+  const openSlots = candidateSlots(kind, date, holidays);
+  if (!openSlots.includes(time)) {
+    return { available: false, reason: "closed", message: "We're not open for appointments at that time." };
+  }
+  if (naiveMs(date, time) < londonNowNaiveMs() + APPOINTMENT_TYPES[kind].minNoticeHours * 60 * MINUTE_MS) {
+    return { available: false, reason: "too_soon", message: "That time is too soon to book — please pick a later slot." };
+  }
+  if (overlapsBusy(kind, date, time, busy)) {
+    return { available: false, reason: "taken", message: "Sorry, that time has just been booked. Please choose another slot." };
+  }
+  return { available: true };
+}
+
+async function listBookableSlots(env, { type, from, days }) {
+  const [holidays, busy] = await Promise.all([
+    fetchBankHolidays(),
+    fetchBusyIntervals(env, { from, days }),
+  ]);
+  const earliest = londonNowNaiveMs() + APPOINTMENT_TYPES[type].minNoticeHours * 60 * MINUTE_MS;
+  const out = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(naiveMs(from, "00:00") + i * DAY_MS).toISOString().slice(0, 10);
+    const slots = candidateSlots(type, date, holidays)
+      .filter(time => naiveMs(date, time) >= earliest)
+      .filter(time => !overlapsBusy(type, date, time, busy));
+    out.push({ date, slots });
+  }
+  return out;
+}
+
+// Every start time on `date` that fits the type's duration inside opening
+// hours, ignoring existing bookings.
+function candidateSlots(type, date, holidays) {
+  if (holidays.has(date)) return [];
+  const ranges = OPENING_HOURS[new Date(naiveMs(date, "00:00")).getUTCDay()] || [];
+  const duration = APPOINTMENT_TYPES[type].durationMinutes;
+  const slots = [];
+  for (const [open, close] of ranges) {
+    const end = naiveMs(date, close);
+    for (let t = naiveMs(date, open); t + duration * MINUTE_MS <= end; t += SLOT_STEP_MINUTES * MINUTE_MS) {
+      slots.push(new Date(t).toISOString().slice(11, 16));
+    }
+  }
+  return slots;
+}
+
+function overlapsBusy(type, date, time, busy) {
+  const start = naiveMs(date, time);
+  const end = start + APPOINTMENT_TYPES[type].durationMinutes * MINUTE_MS;
+  return busy.some(b => b.start < end && b.end > start);
+}
+
+// Busy blocks as [start, end) wall-clock ms, from booked enquiries plus the
+// showroom calendar. The window is padded a day either side so bookings that
+// straddle midnight still count.
+async function fetchBusyIntervals(env, { from, days, ignoreEnquiryId = null }) {
+  const windowStart = naiveMs(from, "00:00") - DAY_MS;
+  const windowEnd = naiveMs(from, "00:00") + (days + 1) * DAY_MS;
+  const timeMin = londonToUtc(slotFromNaiveMs(windowStart));
+  const timeMax = londonToUtc(slotFromNaiveMs(windowEnd));
+
+  const params = new URLSearchParams({ select: "id,appointment_at,appointment_kind" });
+  params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  params.append("appointment_at", `gte.${timeMin}`);
+  params.append("appointment_at", `lt.${timeMax}`);
+  params.append("or", "(status.is.null,status.neq.cancelled)");
+  if (ignoreEnquiryId) params.append("id", `neq.${ignoreEnquiryId}`);
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase enquiries lookup ${res.status}: ${await res.text()}`);
+  const rows = await res.json();
+
+  const busy = rows
+    .map(r => ({ ...r, slot: utcToLondon(r.appointment_at) }))
+    .filter(r => r.slot)
+    .map(r => {
+      const start = naiveMs(r.slot.date, r.slot.time);
+      const kind = APPOINTMENT_TYPES[r.appointment_kind] ? r.appointment_kind : "consultation";
+      return { start, end: start + APPOINTMENT_TYPES[kind].durationMinutes * MINUTE_MS };
+    });
+
+  try {
+    const calendarBusy = await queryFreeBusy(env, { timeMin, timeMax });
+    for (const b of calendarBusy) {
+      const start = utcToLondon(b.start);
+      const end = utcToLondon(b.end);
+      if (start && end) busy.push({ start: naiveMs(start.date, start.time), end: naiveMs(end.date, end.time) });
+    }
+  } catch (err) {
+    // Calendar is a secondary source — enquiries rows still protect bookings
+    // made through the site, so degrade rather than refuse to list slots.
+    console.error("Google freeBusy lookup failed (non-fatal):", err);
+  }
+  return busy;
+}
+
+// England & Wales bank holidays from GOV.UK, edge-cached for a day.
+async function fetchBankHolidays() {
+  try {
+    const res = await fetch(BANK_HOLIDAYS_URL, { cf: { cacheTtl: 86400, cacheEverything: true } });
+    if (!res.ok) throw new Error(`GOV.UK bank holidays ${res.status}`);
+    const body = await res.json();
+    const events = body["england-and-wales"]?.events || [];
+    return new Set(events.map(e => e.date));
+  } catch (err) {
+    console.error("Bank holiday lookup failed (non-fatal):", err);
+    return new Set();
+  }
+}
+
+// ==================== HELPERS ====================
+// Slot maths runs on "naive" wall-clock milliseconds: a London date + time
+// encoded with Date.UTC, so adding minutes never trips over DST.
+function naiveMs(date, time) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  return Date.UTC(y, m - 1, d, hh, mm);
+}
+
+function slotFromNaiveMs(ms) {
+  const iso = new Date(ms).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+function londonNowNaiveMs() {
+  const now = londonNow();
+  return naiveMs(now.date, now.time);
+}
+
+function londonToday() {
+  return londonNow().date;
+}
+
+function isIsoDate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s));
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...CORS },
+  });
+}
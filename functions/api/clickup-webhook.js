@@ -0,0 +1,56 @@
+/**
+ * ClickUp webhooks — /api/clickup-webhook (POST)
+ *
+ * Closing an enquiry's task in ClickUp marks the enquiry handled; reopening
+ * it puts the enquiry back to 'new'. A deleted task is unlinked from its
+ * enquiry and order (functions/_lib/clickup.js).
+ *
+ * Requests are signed by ClickUp (X-Signature, HMAC-SHA256 of the raw body
+ * with the webhook's secret); unsigned or mis-signed ones are refused.
+ *
+ * Setup (ClickUp API, POST /team/{team_id}/webhook):
+ *   endpoint : https://<site>/api/clickup-webhook, on each organisation's own site
+ *   events   : taskStatusUpdated, taskDeleted
+ *
+ * Required env vars (Cloudflare Pages → Settings → Environment Variables):
+ *   CLICKUP_WEBHOOK_SECRET → the `secret` returned when the webhook was made
+ */
+
+import { applyClickUpEvent, verifyClickUpSignature } from "../_lib/clickup.js";
+import { orgEnv } from "../_lib/org.js";
+
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.CLICKUP_WEBHOOK_SECRET) {
+    console.error("ClickUp webhook: env not configured");
+    return json({ ok: false, error: "Server config error" }, 500);
+  }
+  const rawBody = await request.text();
+  const signature = request.headers.get("x-signature") || "";
+  if (!await verifyClickUpSignature(env, rawBody, signature)) {
+    console.error("ClickUp webhook signature verification failed");
+    return json({ ok: false, error: "Invalid signature" }, 401);
+  }
+
+  let event;
+  try { event = JSON.parse(rawBody); }
+  catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
+  if (!event || typeof event.event !== "string") return json({ ok: false, error: "Missing event" }, 400);
+
+  try {
+    const result = await applyClickUpEvent(env, event);
+    return json({ ok: true, ...result });
+  } catch (err) {
+    // A 5xx makes ClickUp retry; applying an event twice changes nothing.
+    console.error(`ClickUp webhook ${event.event} failed:`, err);
+    return json({ ok: false, error: "Failed to apply event" }, 500);
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
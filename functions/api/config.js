@@ -1,5 +1,6 @@
+import { orgEnv, orgOf } from '../_lib/org.js';
+
 const CORS = {
-  'Access-Control-Allow-Origin': 'https://searsmelvin.co.uk',
   'Access-Control-Allow-Methods': 'GET, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type',
 };
@@ -8,10 +9,14 @@ export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: CORS });
 }
 
-export async function onRequestGet({ env }) {
+export async function onRequestGet(context) {
+  const env = await orgEnv(context);
+  const org = orgOf(env);
   return new Response(JSON.stringify({
     stripePublishableKey: env.STRIPE_PUBLISHABLE_KEY || '',
     googleMapsKey:        env.GOOGLE_MAPS_KEY        || '',
+    turnstileSiteKey:     env.TURNSTILE_SITE_KEY     || '',
+    org: { name: org.name, shortName: org.shortName, email: org.email, phone: org.phone, siteUrl: org.siteUrl },
   }), {
     headers: { ...CORS, 'Content-Type': 'application/json' },
   });
@@ -0,0 +1,119 @@
+/**
+ * Scheduled jobs — /api/cron (POST)
+ *
+ * Pages Functions can't own Cron Triggers, so the tiny Worker in workers/cron
+ * calls this on a schedule with `Authorization: Bearer <CRON_SECRET>`.
+ *
+ * POST { jobs?: ["outbox"] }   → run the named jobs (default: all), returns a
+ *                                summary per job
+ * POST { jobs: ["photo_gc"], dry_run: true }
+ *                              → report orphaned photos without deleting them
+ *
+ * Jobs:
+ *   outbox             — retry pending side-effects (functions/_lib/outbox.js)
+ *   prune_submit_guard — drop old throttle counters / spam rejections
+ *                        (functions/_lib/submit-guard.js)
+ *   prune_idempotency  — drop expired idempotency keys
+ *                        (functions/_lib/idempotency.js)
+ *   prune_upload_tickets — drop expired photo upload tickets
+ *                        (functions/_lib/upload-tickets.js)
+ *   appointment_reminders — email / SMS reminders ahead of booked
+ *                        appointments (functions/_lib/reminders.js)
+ *   quote_followups    — follow-up emails for pending quotes
+ *                        (functions/_lib/quote-followups.js)
+ *   people_duplicates  — look for people who are probably the same person,
+ *                        for review in the admin; at most daily
+ *                        (functions/_lib/people-duplicates.js)
+ *   photo_gc           — delete enquiry photos from abandoned forms; at most
+ *                        daily (functions/_lib/photo-gc.js)
+ *
+ * The prune_ jobs run once; the others run once per active organisation
+ * (functions/_lib/org.js), each with that organisation's env, and report per
+ * organisation slug: { ok, orgs: { "<slug>": { ok, … } } }.
+ *
+ * Required env var (Cloudflare Pages → Settings → Environment Variables):
+ *   CRON_SECRET  → shared with the workers/cron Worker
+ * Reminder offsets, follow-up days and the SMS provider are configured in
+ * functions/_lib/reminders.js, functions/_lib/quote-followups.js and
+ * functions/_lib/sms.js.
+ */
+
+import { pruneIdempotencyKeys } from "../_lib/idempotency.js";
+import { envForOrg, listOrgs } from "../_lib/org.js";
+import { processOutbox } from "../_lib/outbox.js";
+import { scanDuplicatePeople } from "../_lib/people-duplicates.js";
+import { collectOrphanPhotos } from "../_lib/photo-gc.js";
+import { queueQuoteFollowups } from "../_lib/quote-followups.js";
+import { queueAppointmentReminders } from "../_lib/reminders.js";
+import { pruneSubmitGuard } from "../_lib/submit-guard.js";
+import { pruneUploadTickets } from "../_lib/upload-tickets.js";
+import { OUTBOX_HANDLERS } from "./submit.js";
+
+const JOBS = {
+  outbox: env => processOutbox(env, OUTBOX_HANDLERS, { limit: 25 }),
+  prune_submit_guard: env => pruneSubmitGuard(env),
+  prune_idempotency: env => pruneIdempotencyKeys(env),
+  prune_upload_tickets: env => pruneUploadTickets(env),
+  appointment_reminders: env => queueAppointmentReminders(env, OUTBOX_HANDLERS),
+  quote_followups: env => queueQuoteFollowups(env, OUTBOX_HANDLERS),
+  people_duplicates: env => scanDuplicatePeople(env),
+  // An explicit dry run runs now, whenever the last run was.
+  photo_gc: (env, data) => collectOrphanPhotos(env, { dryRun: data.dry_run === true, force: data.dry_run === true }),
+};
+// Jobs over the whole deployment rather than one organisation's data.
+const DEPLOYMENT_JOBS = ["prune_submit_guard", "prune_idempotency", "prune_upload_tickets"];
+
+export async function onRequestPost({ request, env }) {
+  if (!env.CRON_SECRET || !env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    return json({ ok: false, error: "Server config error" }, 500);
+  }
+  const auth = request.headers.get("Authorization") || "";
+  if (!timingSafeEqual(auth, `Bearer ${env.CRON_SECRET}`)) {
+    return json({ ok: false, error: "Unauthorized" }, 401);
+  }
+
+  let data = {};
+  try { data = await request.json(); } catch { /* empty body → run everything */ }
+  const names = Array.isArray(data.jobs) && data.jobs.length ? data.jobs : Object.keys(JOBS);
+  const unknown = names.filter(n => !JOBS[n]);
+  if (unknown.length) return json({ ok: false, error: `Unknown job: ${unknown.join(", ")}` }, 400);
+
+  // Jobs run one after another so a slow one can't starve the others of
+  // subrequests; a failing job is reported, not fatal. The home organisation
+  // goes first, so it picks up outbox jobs queued without one.
+  const orgs = await listOrgs(env);
+  const results = {};
+  for (const name of names) {
+    if (DEPLOYMENT_JOBS.includes(name)) {
+      results[name] = await runJob(name, env, data);
+      continue;
+    }
+    const perOrg = {};
+    for (const org of orgs) perOrg[org.slug || org.id] = await runJob(name, envForOrg(env, org), data);
+    results[name] = { ok: Object.values(perOrg).every(r => r.ok), orgs: perOrg };
+  }
+  return json({ ok: true, results });
+}
+
+async function runJob(name, env, data) {
+  try {
+    return { ok: true, ...(await JOBS[name](env, data)) };
+  } catch (err) {
+    console.error(`[cron ${name}${env.ORG ? ` ${env.ORG.slug || env.ORG.id}` : ""}] failed:`, err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+}
@@ -2,16 +2,55 @@
  * Customer Portal API — /api/customer-order
  *
  * GET  ?token=xxx               → single order view (backward compat)
- * GET  ?portal=xxx              → customer portal: all quotes + orders
+ * GET  ?portal=xxx              → customer portal: all quotes + orders + enquiries
+ * GET  ?portal=xxx&quote=id&format=pdf → one of the customer's quotes as a PDF
  * POST { action: "send-portal-link", email }         → email customer their portal link
  * POST { action: "request-inscription-change", token, text, reason }
  * POST { action: "approve-inscription", token }
  * POST { action: "update-quote", portal, quoteId, inscription, notes }
- * POST { action: "accept-quote", portal, quoteId }
+ * POST { action: "accept-quote", portal, quoteId }  → refused once the quote has expired
+ * POST { action: "renew-quote", portal, quoteId }   → re-price an expired quote, valid again
  */
 
+import { sendTemplateEmail } from "../_lib/email-templates.js";
+import { mailConfigured } from "../_lib/mail.js";
+import { orgEnv, orgFrom, orgUrl } from "../_lib/org.js";
+import { quoteItems, unpricedItemCount } from "../_lib/pricing.js";
+import { stopQuoteFollowups } from "../_lib/quote-followups.js";
+import { QUOTE_PDF_SELECT, quotePdfFilename, quoteReference, renderQuotePdf } from "../_lib/quote-pdf.js";
+import { ACCEPTED_STATUSES, QUOTE_VALIDITY_SELECT, isQuoteExpired, quoteValidUntil, renewQuote } from "../_lib/quote-validity.js";
+import { utcToLondon } from "../_lib/schedule.js";
+import { LIMITS, validate } from "../_lib/validate.js";
+
+// Request shapes per POST action (functions/_lib/validate.js).
+const PORTAL_TOKEN = { type: "string", required: true, max: LIMITS.short, label: "Portal link" };
+const TRACKING_TOKEN = { type: "string", required: true, max: LIMITS.short, label: "Tracking link" };
+const ACTION_SCHEMAS = {
+  "send-portal-link": { email: { type: "email" } },
+  "resend-tracking": { email: { type: "email" } },
+  "request-inscription-change": {
+    token:  TRACKING_TOKEN,
+    text:   { type: "string", required: true, max: LIMITS.inscription, label: "New inscription text" },
+    reason: { type: "string", max: LIMITS.note },
+  },
+  "approve-inscription": { token: TRACKING_TOKEN },
+  "update-quote": {
+    portal:      PORTAL_TOKEN,
+    quoteId:     { type: "id", required: true, label: "Quote" },
+    inscription: { type: "string", max: LIMITS.inscription },
+    notes:       { type: "string", max: LIMITS.note },
+  },
+  "accept-quote": {
+    portal:  PORTAL_TOKEN,
+    quoteId: { type: "id", required: true, label: "Quote" },
+  },
+  "renew-quote": {
+    portal:  PORTAL_TOKEN,
+    quoteId: { type: "id", required: true, label: "Quote" },
+  },
+};
+
 const CORS = {
-  "Access-Control-Allow-Origin": "https://searsmelvin.co.uk",
   "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
   "Access-Control-Allow-Headers": "Content-Type",
 };
@@ -21,7 +60,8 @@ export async function onRequestOptions() {
 }
 
 export async function onRequest(context) {
-  const { request, env } = context;
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
     return json({ ok: false, error: "Server config error" }, 500);
   }
@@ -30,6 +70,9 @@ export async function onRequest(context) {
 
   if (request.method === "GET") {
     const portalToken = url.searchParams.get("portal");
+    if (portalToken && url.searchParams.get("format") === "pdf") {
+      return getQuotePdf(env, portalToken, url.searchParams.get("quote"));
+    }
     if (portalToken) return getPortal(env, portalToken);
     const token = url.searchParams.get("token");
     if (token) return getOrderStatus(env, token);
@@ -41,6 +84,12 @@ export async function onRequest(context) {
     try { data = await request.json(); }
     catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
 
+    const schema = ACTION_SCHEMAS[data.action];
+    if (!schema) return json({ ok: false, error: "Unknown action" }, 400);
+    const checked = validate(data, schema);
+    if (!checked.ok) return json(checked, 400);
+    data = checked.data;
+
     if (data.action === "send-portal-link") return sendPortalLink(env, data);
     // Legacy alias
     if (data.action === "resend-tracking") return sendPortalLink(env, data);
@@ -48,6 +97,7 @@ export async function onRequest(context) {
     if (data.action === "approve-inscription") return approveInscription(env, data);
     if (data.action === "update-quote") return updateQuote(env, data);
     if (data.action === "accept-quote") return acceptQuote(env, data);
+    if (data.action === "renew-quote") return renewPortalQuote(env, data);
     return json({ ok: false, error: "Unknown action" }, 400);
   }
 
@@ -60,14 +110,15 @@ async function getPortal(env, portalToken) {
 
   // Find person by portal token (covers leads + paying customers).
   const custRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/people?portal_token=eq.${encodeURIComponent(portalToken)}&select=id,first_name,last_name,email&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/people?portal_token=eq.${encodeURIComponent(portalToken)}&select=id,first_name,last_name,email,merged_into&limit=1`,
     { headers },
   );
   if (!custRes.ok) return json({ ok: false, error: "Database error" }, 500);
   const customers = await custRes.json();
   if (customers.length === 0) return json({ ok: false, error: "Invalid or expired link. Please request a new one." }, 404);
 
-  const customer = customers[0];
+  const customer = await followMerge(env, customers[0], "id,first_name,last_name,email");
+  if (!customer) return json({ ok: false, error: "Database error" }, 500);
   const personId = customer.id;
 
   // Single source of truth: every quote and order lives in `orders` (distinguished
@@ -79,6 +130,7 @@ async function getPortal(env, portalToken) {
     "proof_url", "proof_uploaded_at", "proof_notes",
     "estimated_completion", "installation_date",
     "tracking_token", "edit_token", "product_config", "notes",
+    "quote_valid_until", "quote_revision",
     "created_at", "updated_at",
     "people(first_name,last_name,email)",
   ].join(",");
@@ -92,7 +144,7 @@ async function getPortal(env, portalToken) {
 
   // Enquiries history.
   const enqRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/enquiries?person_id=eq.${personId}&select=id,channel,sub_type,message,appointment_at,appointment_kind,status,created_at&order=created_at.desc&limit=30`,
+    `${env.SUPABASE_URL}/rest/v1/enquiries?person_id=eq.${personId}&select=id,channel,sub_type,message,appointment_at,appointment_kind,status,manage_token,created_at&order=created_at.desc&limit=30`,
     { headers },
   );
   const enquiries = enqRes.ok ? await enqRes.json() : [];
@@ -104,7 +156,7 @@ async function getPortal(env, portalToken) {
       firstName: customer.first_name,
       lastName: customer.last_name,
     },
-    quotes: quoteRows.map(mapOrderRowToQuote),
+    quotes: quoteRows.map(o => mapOrderRowToQuote(env, o)),
     orders: orderRows.map(mapOrderRowToOrder),
     enquiries: enquiries.map(e => ({
       id: e.id,
@@ -112,22 +164,34 @@ async function getPortal(env, portalToken) {
       subType: e.sub_type || null,
       message: e.message || null,
       appointmentAt: e.appointment_at || null,
+      // London wall-clock date / time, so the page doesn't reinterpret it in
+      // the visitor's own timezone.
+      appointmentDate: utcToLondon(e.appointment_at)?.date || null,
+      appointmentTime: utcToLondon(e.appointment_at)?.time || null,
       appointmentKind: e.appointment_kind || null,
       status: e.status || "new",
       createdAt: e.created_at,
+      // Only upcoming, live appointments can be rescheduled / cancelled.
+      manageToken: e.manage_token && e.status !== "cancelled" && e.appointment_at && new Date(e.appointment_at) > new Date()
+        ? e.manage_token
+        : null,
     })),
   });
 }
 
-function mapOrderRowToQuote(o) {
+function mapOrderRowToQuote(env, o) {
   const config = o.product_config ? safeParse(o.product_config) : null;
   const value = o.value != null ? Number(o.value) : null;
   const permit = o.permit_fee != null ? Number(o.permit_fee) : null;
   const total = (value != null || permit != null) ? (value || 0) + (permit || 0) : null;
+  const expired = isQuoteExpired(env, o);
   return {
     id: o.id,
-    ref: "QT-" + String(o.order_number || "0000").padStart(4, "0"),
+    ref: quoteReference(o.order_number),
     product: o.sku || (config && config.name) || null,
+    items: itemSummaries(config),
+    // Memorials still to be priced by the team; acceptance waits for them.
+    unpriced: unpricedItemCount(config),
     material: (config && config.material) || null,
     colour: o.color || (config && config.colour) || null,
     location: o.location || null,
@@ -135,9 +199,12 @@ function mapOrderRowToQuote(o) {
     value,
     permitCost: permit,
     total,
-    status: o.status || "pending",
+    status: expired ? "expired" : o.status || "pending",
     sentAt: o.created_at,
-    expiresAt: null,
+    // Last valid day (YYYY-MM-DD, London); `expired` once it has passed.
+    expiresAt: quoteValidUntil(env, o),
+    expired,
+    revision: o.quote_revision || 1,
     notes: o.notes || null,
     createdAt: o.created_at,
   };
@@ -151,6 +218,7 @@ function mapOrderRowToOrder(o) {
     ref: "SM-" + String(o.order_number || "0000"),
     customerName: personName,
     product: o.sku || (config && config.name) || null,
+    items: itemSummaries(config),
     colour: o.color || (config && config.colour) || null,
     location: o.location || null,
     stage: o.stage || "quote_received",
@@ -172,6 +240,19 @@ function mapOrderRowToOrder(o) {
   };
 }
 
+// The memorials on a multi-item quote (from the shortlist); null for one
+// memorial. `price` is null for an item the team has still to price.
+function itemSummaries(config) {
+  const items = quoteItems(config);
+  if (!items) return null;
+  return items.map(item => ({
+    name: item.name || "Memorial",
+    type: item.type || null,
+    colour: item.colour || null,
+    price: item.unpriced || item.price == null ? null : Number(item.price),
+  }));
+}
+
 // ==================== GET SINGLE ORDER (backward compat) ====================
 async function getOrderStatus(env, token) {
   const headers = sbHeaders(env);
@@ -208,6 +289,7 @@ async function getOrderStatus(env, token) {
       ref: "SM-" + String(order.order_number || "0000"),
       customerName: [order.people?.first_name, order.people?.last_name].filter(Boolean).join(" ") || null,
       product: order.sku || (config && config.name) || null,
+      items: itemSummaries(config),
       colour: order.color || (config && config.colour) || null,
       size: config && config.size || null,
       location: order.location || null,
@@ -260,15 +342,17 @@ async function sendPortalLink(env, { email }) {
   if (_portalLinkOnCooldown(cleanEmail)) return json({ ok: true, message: safeMsg });
   const headers = sbHeaders(env);
 
-  // Single lookup — `people.email` is stored lower-cased on insert/upsert.
+  // Single lookup — `people.email` is stored lower-cased on insert/upsert,
+  // and is unique within the organisation.
+  const orgFilter = env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
   const custRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/people?email=eq.${encodeURIComponent(cleanEmail)}&select=id,first_name,last_name,portal_token&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/people?email=eq.${encodeURIComponent(cleanEmail)}${orgFilter}&select=id,first_name,last_name,portal_token,merged_into&limit=1`,
     { headers },
   );
   let customer = null;
   if (custRes.ok) {
     const rows = await custRes.json();
-    if (rows.length > 0) customer = rows[0];
+    if (rows.length > 0) customer = await followMerge(env, rows[0], "id,first_name,last_name,portal_token");
   }
   if (!customer) return json({ ok: true, message: safeMsg });
 
@@ -284,40 +368,18 @@ async function sendPortalLink(env, { email }) {
   }
 
   // Send email
-  if (!env.RESEND_API_KEY) {
-    console.error("RESEND_API_KEY not configured");
+  if (!mailConfigured(env)) {
+    console.error("Mail transport not configured");
     return json({ ok: false, error: "Email service is temporarily unavailable. Please contact us directly." }, 500);
   }
 
-  const firstName = customer.first_name || "there";
-  const portalUrl = `https://searsmelvin.co.uk/track?portal=${customer.portal_token}`;
+  const portalUrl = orgUrl(env, `/track?portal=${customer.portal_token}`);
 
   try {
-    const emailRes = await fetch("https://api.resend.com/emails", {
-      method: "POST",
-      headers: { "Authorization": `Bearer ${env.RESEND_API_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify({
-        from: "Sears Melvin Memorials <info@searsmelvin.co.uk>",
-        to: cleanEmail,
-        subject: "Your Quotes & Orders — Sears Melvin Memorials",
-        html: `<div style="font-family:-apple-system,sans-serif;max-width:480px;margin:0 auto;padding:2rem;">
-          <h2 style="font-family:Georgia,serif;color:#2C2C2C;font-weight:400;">Your Portal Link</h2>
-          <p>Hi ${firstName},</p>
-          <p>Click the button below to view your quotes and track your orders with Sears Melvin Memorials.</p>
-          <div style="text-align:center;margin:2rem 0;">
-            <a href="${portalUrl}" style="display:inline-block;padding:0.85rem 2rem;background:#2C2C2C;color:white;text-decoration:none;border-radius:6px;font-weight:500;font-size:1rem;">View My Quotes & Orders</a>
-          </div>
-          <p style="color:#666;font-size:0.85rem;">This link is unique to you — please don't share it. You can request a new link at any time from our website.</p>
-          <hr style="border:none;border-top:1px solid #E0DCD5;margin:2rem 0;">
-          <p style="color:#999;font-size:0.75rem;">Sears Melvin Memorials</p>
-        </div>`,
-      }),
+    await sendTemplateEmail(env, "portalLink", { firstName: customer.first_name || null, portalUrl }, {
+      from: orgFrom(env),
+      to: cleanEmail,
     });
-    if (!emailRes.ok) {
-      const body = await emailRes.text();
-      console.error(`Resend error ${emailRes.status}: ${body}`);
-      return json({ ok: false, error: "Failed to send email. Please try again or contact us directly." }, 500);
-    }
   } catch (err) {
     console.error("Failed to send portal email:", err);
     return json({ ok: false, error: "Failed to send email. Please try again or contact us directly." }, 500);
@@ -327,19 +389,39 @@ async function sendPortalLink(env, { email }) {
   return json({ ok: true, message: "We've sent your portal link to " + cleanEmail + ". Please check your inbox and spam folder." });
 }
 
+// ==================== QUOTE PDF ====================
+async function getQuotePdf(env, portalToken, quoteId) {
+  if (!quoteId) return json({ ok: false, error: "Quote required" }, 400);
+  const customer = await getCustomerByPortal(env, portalToken);
+  if (!customer) return json({ ok: false, error: "Invalid link" }, 403);
+
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=${QUOTE_PDF_SELECT}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
+  try {
+    const doc = await renderQuotePdf(env, rows[0]);
+    return pdfResponse(doc.toBytes(), quotePdfFilename(env, rows[0]));
+  } catch (err) {
+    console.error("Quote PDF failed:", err);
+    return json({ ok: false, error: "Failed to build PDF" }, 500);
+  }
+}
+
 // ==================== UPDATE QUOTE ====================
 // Quotes live in `orders` (order_type='quote'). The frontend calls this with
 // `quoteId` = orders.id; we verify ownership by joining person_id back to the
 // portal's customer.
 async function updateQuote(env, { portal, quoteId, inscription, notes }) {
-  if (!portal || !quoteId) return json({ ok: false, error: "Missing required fields" }, 400);
-
   const headers = sbHeaders(env);
   const customer = await getCustomerByPortal(env, portal);
   if (!customer) return json({ ok: false, error: "Invalid link" }, 403);
 
   const qRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=id,status&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=id,${QUOTE_VALIDITY_SELECT}&limit=1`,
     { headers },
   );
   if (!qRes.ok) return json({ ok: false, error: "Database error" }, 500);
@@ -347,9 +429,12 @@ async function updateQuote(env, { portal, quoteId, inscription, notes }) {
   if (quotes.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
 
   const quote = quotes[0];
-  if (quote.status === "completed" || quote.status === "expired") {
+  if (quote.status === "completed") {
     return json({ ok: false, error: "This quote can no longer be edited." }, 400);
   }
+  if (isQuoteExpired(env, quote)) {
+    return json({ ok: false, error: "This quote has expired. Please renew it at today's prices before making changes." }, 400);
+  }
 
   const updates = { updated_at: new Date().toISOString() };
   if (inscription !== undefined) updates.inscription_text = inscription.trim();
@@ -366,24 +451,29 @@ async function updateQuote(env, { portal, quoteId, inscription, notes }) {
 
 // ==================== ACCEPT QUOTE ====================
 async function acceptQuote(env, { portal, quoteId }) {
-  if (!portal || !quoteId) return json({ ok: false, error: "Missing required fields" }, 400);
-
   const headers = sbHeaders(env);
   const customer = await getCustomerByPortal(env, portal);
   if (!customer) return json({ ok: false, error: "Invalid link" }, 403);
 
   const qRes = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=id,status&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=id,product_config,${QUOTE_VALIDITY_SELECT}&limit=1`,
     { headers },
   );
   if (!qRes.ok) return json({ ok: false, error: "Database error" }, 500);
   const quotes = await qRes.json();
   if (quotes.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
 
-  if (quotes[0].status === "accepted" || quotes[0].status === "partial" || quotes[0].status === "completed") {
+  if (ACCEPTED_STATUSES.includes(quotes[0].status)) {
     return json({ ok: false, error: "This quote has already been accepted." }, 400);
   }
-  if (quotes[0].status === "expired") return json({ ok: false, error: "This quote has expired. Please contact us for a new quote." }, 400);
+  // The prices are only held until the quote's last valid day.
+  if (isQuoteExpired(env, quotes[0])) {
+    return json({ ok: false, error: "This quote has expired. You can renew it at today's prices, or contact us for help.", reason: "expired" }, 400);
+  }
+  // A total that leaves memorials out isn't one to say yes to.
+  if (unpricedItemCount(safeParse(quotes[0].product_config))) {
+    return json({ ok: false, error: "We're still pricing part of this quote. We'll let you know as soon as it's ready to accept.", reason: "unpriced" }, 400);
+  }
 
   await fetch(`${env.SUPABASE_URL}/rest/v1/orders?id=eq.${quoteId}`, {
     method: "PATCH",
@@ -394,14 +484,63 @@ async function acceptQuote(env, { portal, quoteId }) {
     }),
   });
 
+  // Accepted, so the follow-up emails about it stop now rather than at the
+  // cron's next status check.
+  try {
+    await stopQuoteFollowups(env, { orderId: quotes[0].id, reason: "accepted" });
+  } catch (err) {
+    console.error("Stopping quote follow-ups failed:", err);
+  }
+
   return json({ ok: true, message: "Quote accepted! We'll be in touch shortly to arrange next steps." });
 }
 
+// ==================== RENEW QUOTE ====================
+// Customers can renew a quote once it has lapsed: it's re-priced from today's
+// catalogue and held for a new validity period (functions/_lib/quote-validity.js).
+async function renewPortalQuote(env, { portal, quoteId }) {
+  const customer = await getCustomerByPortal(env, portal);
+  if (!customer) return json({ ok: false, error: "Invalid link" }, 403);
+
+  const qRes = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?id=eq.${encodeURIComponent(quoteId)}&person_id=eq.${customer.id}&order_type=eq.quote&select=id,${QUOTE_VALIDITY_SELECT}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!qRes.ok) return json({ ok: false, error: "Database error" }, 500);
+  const quotes = await qRes.json();
+  if (quotes.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
+  if (!isQuoteExpired(env, quotes[0])) return json({ ok: false, error: "This quote is still valid." }, 400);
+
+  let renewed;
+  try {
+    renewed = await renewQuote(env, quotes[0].id, { renewedBy: "customer" });
+  } catch (err) {
+    console.error("Quote renewal failed:", err);
+    return json({ ok: false, error: "Failed to renew quote. Please try again." }, 500);
+  }
+  if (!renewed.ok) {
+    const error = renewed.reason === "unknown_product"
+      ? "This memorial is no longer in our catalogue. Please contact us for a new quote."
+      : renewed.message;
+    return json({ ok: false, error, reason: renewed.reason }, 400);
+  }
+
+  // They've come back to it, so no more follow-up emails about the old one.
+  try {
+    await stopQuoteFollowups(env, { orderId: quotes[0].id, reason: "renewed" });
+  } catch (err) {
+    console.error("Stopping quote follow-ups failed:", err);
+  }
+
+  return json({
+    ok: true,
+    message: "Quote renewed at today's prices.",
+    quote: { value: renewed.value, permitCost: renewed.permitFee, expiresAt: renewed.validUntil, revision: renewed.revision },
+  });
+}
+
 // ==================== REQUEST INSCRIPTION CHANGE ====================
 async function requestInscriptionChange(env, { token, text, reason }) {
-  if (!token) return json({ ok: false, error: "Tracking token required" }, 400);
-  if (!text || !text.trim()) return json({ ok: false, error: "New inscription text is required" }, 400);
-
   const headers = sbHeaders(env);
 
   const res = await fetch(
@@ -439,8 +578,6 @@ async function requestInscriptionChange(env, { token, text, reason }) {
 
 // ==================== APPROVE INSCRIPTION ====================
 async function approveInscription(env, { token }) {
-  if (!token) return json({ ok: false, error: "Tracking token required" }, 400);
-
   const headers = sbHeaders(env);
 
   const res = await fetch(
@@ -464,12 +601,25 @@ async function approveInscription(env, { token }) {
 async function getCustomerByPortal(env, portalToken) {
   const headers = sbHeaders(env);
   const res = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/people?portal_token=eq.${encodeURIComponent(portalToken)}&select=id,first_name,email&limit=1`,
+    `${env.SUPABASE_URL}/rest/v1/people?portal_token=eq.${encodeURIComponent(portalToken)}&select=id,first_name,email,merged_into&limit=1`,
     { headers },
   );
   if (!res.ok) return null;
   const rows = await res.json();
-  return rows.length > 0 ? rows[0] : null;
+  return rows.length > 0 ? followMerge(env, rows[0], "id,first_name,email") : null;
+}
+
+// A person merged into another in the admin keeps their email and portal
+// link, and both lead to the person they were merged into. Null if that
+// lookup fails.
+async function followMerge(env, person, select) {
+  if (!person?.merged_into) return person;
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/people?id=eq.${encodeURIComponent(person.merged_into)}&select=${select}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) return null;
+  return (await res.json())[0] || null;
 }
 
 function safeParse(str) {
@@ -490,3 +640,14 @@ function json(data, status = 200) {
     headers: { "Content-Type": "application/json", ...CORS },
   });
 }
+
+function pdfResponse(bytes, filename) {
+  return new Response(bytes, {
+    headers: {
+      ...CORS,
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * GoHighLevel webhooks — /api/ghl-webhook (POST)
+ *
+ * Brings what sales do in GHL back onto our records (functions/_lib/ghl.js):
+ * an opportunity moved to another pipeline stage, or marked won / lost,
+ * updates its order; notes and conversation messages on a contact are added
+ * to the timeline of that person's latest order. Each webhook is applied
+ * once, however often GHL retries it.
+ *
+ * Requests are signed by GHL (x-wh-signature, RSA-SHA256 over the raw body);
+ * unsigned or mis-signed ones are refused.
+ *
+ * Setup in the GHL app → Webhooks:
+ *   URL    : https://<site>/api/ghl-webhook, on each organisation's own site
+ *   Events : OpportunityStageUpdate, OpportunityStatusUpdate, NoteCreate,
+ *            InboundMessage, OutboundMessage
+ *
+ * Required env vars (Cloudflare Pages → Settings → Environment Variables):
+ *   GHL_WEBHOOK_PUBLIC_KEY → GHL's webhook public key (PEM)
+ *   GHL_STAGE_MAP          → see functions/_lib/ghl.js
+ */
+
+import { applyGHLEvent, verifyGHLSignature } from "../_lib/ghl.js";
+import { orgEnv } from "../_lib/org.js";
+
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.GHL_WEBHOOK_PUBLIC_KEY) {
+    console.error("GHL webhook: env not configured");
+    return json({ ok: false, error: "Server config error" }, 500);
+  }
+  const rawBody = await request.text();
+  const signature = request.headers.get("x-wh-signature") || "";
+  if (!await verifyGHLSignature(env, rawBody, signature)) {
+    console.error("GHL webhook signature verification failed");
+    return json({ ok: false, error: "Invalid signature" }, 401);
+  }
+
+  let event;
+  try { event = JSON.parse(rawBody); }
+  catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
+  if (!event || typeof event.type !== "string") return json({ ok: false, error: "Missing event type" }, 400);
+
+  try {
+    const result = await applyGHLEvent(env, event);
+    return json({ ok: true, ...result });
+  } catch (err) {
+    // A 5xx makes GHL retry; the claim was released so the retry applies.
+    console.error(`GHL webhook ${event.type} failed:`, err);
+    return json({ ok: false, error: "Failed to apply event" }, 500);
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
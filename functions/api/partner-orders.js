@@ -5,16 +5,44 @@
  *
  * GET                        → list partner's orders
  * GET ?id=123                → single order detail with comments
- * POST { action: "create" }  → create order on behalf of customer
+ * POST { action: "create" }  → create order on behalf of customer (catalogue
+ *                              products are re-priced server-side)
  * POST { action: "comment" } → add comment to an order
+ *
+ * "create" takes an Idempotency-Key header (functions/_lib/idempotency.js),
+ * and the same order for the same customer within minutes is answered with
+ * the one already created rather than a second one.
  */
 
+import { partnerAttribution } from "../_lib/attribution.js";
+import { withIdempotency } from "../_lib/idempotency.js";
+import { orgEnv } from "../_lib/org.js";
+import { repriceProduct } from "../_lib/pricing.js";
+import { LIMITS, validate } from "../_lib/validate.js";
 import { upsertPerson } from "./submit.js";
 
+// Request shapes per POST action (functions/_lib/validate.js).
+const ACTION_SCHEMAS = {
+  create: {
+    customerName:  { type: "string", required: true, max: LIMITS.name },
+    customerEmail: { type: "email", required: true },
+    customerPhone: { type: "phone" },
+    product:       { type: "string", max: LIMITS.name },
+    colour:        { type: "string", max: LIMITS.short },
+    size:          { type: "string", max: LIMITS.short },
+    location:      { type: "string", max: LIMITS.location },
+    value:         { type: "number", min: 0, max: 1000000 },
+    notes:         { type: "string", max: LIMITS.note },
+  },
+  comment: {
+    orderId: { type: "id", required: true, label: "Order" },
+    comment: { type: "string", required: true, max: LIMITS.note },
+  },
+};
+
 const CORS = {
-  "Access-Control-Allow-Origin": "https://searsmelvin.co.uk",
   "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, Idempotency-Key",
 };
 
 export async function onRequestOptions() {
@@ -22,7 +50,8 @@ export async function onRequestOptions() {
 }
 
 export async function onRequest(context) {
-  const { request, env } = context;
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
     return json({ ok: false, error: "Server config error" }, 500);
   }
@@ -47,7 +76,24 @@ export async function onRequest(context) {
     try { data = await request.json(); }
     catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
 
-    if (data.action === "create") return createOrder(env, partner, data);
+    const schema = ACTION_SCHEMAS[data.action];
+    if (!schema) return json({ ok: false, error: "Unknown action" }, 400);
+    const checked = validate(data, schema);
+    if (!checked.ok) return json(checked, 400);
+    data = checked.data;
+
+    if (data.action === "create") {
+      // Keyed to the partner too: their session is what proves a repeat is theirs.
+      const { customerEmail, product, colour, size, location } = data;
+      return withIdempotency(env, request, {
+        scope: "partner-create",
+        body: { ...data, partnerId: partner.id },
+        duplicate: {
+          signature: { partnerId: partner.id, customerEmail: customerEmail.toLowerCase(), product, colour, size, location },
+          identifiesCaller: true,
+        },
+      }, json, () => createOrder(env, partner, data));
+    }
     if (data.action === "comment") return addComment(env, partner, data);
     return json({ ok: false, error: "Unknown action" }, 400);
   }
@@ -132,10 +178,6 @@ async function getOrderDetail(env, partner, orderId) {
 async function createOrder(env, partner, data) {
   const { customerName, customerEmail, customerPhone, product, colour, size, location, value, notes } = data;
 
-  if (!customerName || !customerEmail) {
-    return json({ ok: false, error: "Customer name and email are required" }, 400);
-  }
-
   const headers = sbHeaders(env);
 
   // Upsert the retail customer into the unified `people` table first.
@@ -151,6 +193,27 @@ async function createOrder(env, partner, data) {
   }
   if (!person) return json({ ok: false, error: "Failed to register customer" }, 500);
 
+  // Catalogue products are priced from the catalogue, whatever value was
+  // typed; a lower figure is flagged on the order. Bespoke (non-catalogue)
+  // products keep the partner's value and are flagged as unpriced.
+  let config = null;
+  let orderValue = value ? parseFloat(value) : null;
+  if (product) {
+    const submitted = { name: product, colour, size, price: value };
+    let priced;
+    try {
+      priced = await repriceProduct(env, submitted);
+    } catch (err) {
+      return json({ ok: false, error: "Failed to price order", detail: String(err) }, 500);
+    }
+    if (priced.ok) {
+      config = priced.product;
+      orderValue = priced.pricing.total;
+    } else {
+      config = { ...submitted, pricing: { status: "unpriced", reason: priced.reason } };
+    }
+  }
+
   // Create order linked to partner AND to the person record.
   const orderBody = {
     organization_id: env.SM_ORG_ID,
@@ -158,12 +221,14 @@ async function createOrder(env, partner, data) {
     order_type: "quote",
     sku: product || null,
     color: colour || null,
-    value: value ? parseFloat(value) : null,
+    value: orderValue,
     location: location || null,
     partner_id: partner.id,
     status: "pending",
     notes: notes || null,
-    product_config: product ? JSON.stringify({ name: product, colour, size, price: value }) : null,
+    product_config: config ? JSON.stringify(config) : null,
+    // Reported as the partner's referral (functions/_lib/attribution.js).
+    attribution: partnerAttribution(partner),
   };
 
   const orderRes = await fetch(`${env.SUPABASE_URL}/rest/v1/orders?select=*,people(id,first_name,last_name,email,phone,is_customer)`, {
@@ -184,7 +249,6 @@ async function createOrder(env, partner, data) {
 // ==================== ADD COMMENT ====================
 async function addComment(env, partner, data) {
   const { orderId, comment } = data;
-  if (!orderId || !comment) return json({ ok: false, error: "Order ID and comment required" }, 400);
 
   const headers = sbHeaders(env);
 
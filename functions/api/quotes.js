@@ -2,14 +2,49 @@
  * Quotes API — /api/quotes
  *
  * GET  ?token=xxx        → retrieve a single quote by edit token
+ * GET  ?token=xxx&format=pdf → the quote as a printable PDF (download)
  * GET  ?email=xxx        → retrieve all quotes for an email address
- * POST { token, product } → update a quote's product configuration
+ * POST { token, product } → update a quote's product configuration (re-priced
+ *                           server-side; the stored price is returned). Quotes
+ *                           for several memorials (from the shortlist) only
+ *                           take a message; staff change their items.
+ * POST { action: "renew", token } → renew an expired quote at today's prices
+ *
+ * POSTs take an Idempotency-Key header (functions/_lib/idempotency.js): a
+ * retry with the same key and body gets the first response back. A renewal
+ * repeated within minutes is answered the same way without one.
+ *
+ * Quotes are held until their last valid day (functions/_lib/quote-validity.js);
+ * after that they have to be renewed before they can be changed.
  */
 
+import { sendTemplateEmail } from "../_lib/email-templates.js";
+import { mailConfigured } from "../_lib/mail.js";
+import { withIdempotency } from "../_lib/idempotency.js";
+import { orgEnv, orgFrom, orgOf } from "../_lib/org.js";
+import { quoteItems, repriceProduct } from "../_lib/pricing.js";
+import { stopQuoteFollowups } from "../_lib/quote-followups.js";
+import { QUOTE_PDF_SELECT, quotePdfFilename, renderQuotePdf } from "../_lib/quote-pdf.js";
+import { isQuoteExpired, quoteValidUntil, renewQuote } from "../_lib/quote-validity.js";
+import { LIMITS, validate } from "../_lib/validate.js";
+import { PRODUCT_FIELDS } from "./submit.js";
+
+const UPDATE_SCHEMA = {
+  token:   { type: "string", required: true, max: LIMITS.short, label: "Edit token" },
+  product: { type: "object", fields: PRODUCT_FIELDS },
+  message: { type: "string", max: LIMITS.message },
+};
+const RENEW_SCHEMA = {
+  action: { type: "enum", values: ["renew"], required: true },
+  token:  UPDATE_SCHEMA.token,
+};
+const LOOKUP_SCHEMA = {
+  email: { type: "email", required: true },
+};
+
 const CORS = {
-  "Access-Control-Allow-Origin": "https://searsmelvin.co.uk",
   "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
 };
 
 export async function onRequestOptions() {
@@ -17,7 +52,8 @@ export async function onRequestOptions() {
 }
 
 export async function onRequest(context) {
-  const { request, env } = context;
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
     return json({ ok: false, error: "Server configuration error" }, 500);
   }
@@ -29,10 +65,13 @@ export async function onRequest(context) {
     const email = url.searchParams.get("email");
 
     if (token) {
+      if (url.searchParams.get("format") === "pdf") return getQuotePdf(env, token);
       return getQuoteByToken(env, token);
     }
     if (email) {
-      return getQuotesByEmail(env, email);
+      const checked = validate({ email }, LOOKUP_SCHEMA);
+      if (!checked.ok) return json(checked, 400);
+      return getQuotesByEmail(env, checked.data.email);
     }
     return json({ ok: false, error: "Missing token or email parameter" }, 400);
   }
@@ -41,7 +80,20 @@ export async function onRequest(context) {
     let data;
     try { data = await request.json(); }
     catch { return json({ ok: false, error: "Invalid JSON" }, 400); }
-    return updateQuote(env, data);
+    if (data?.action === "renew") {
+      const checked = validate(data, RENEW_SCHEMA);
+      if (!checked.ok) return json(checked, 400);
+      return withIdempotency(env, request, {
+        scope: "quote-renew",
+        body: checked.data,
+        duplicate: { signature: { token: checked.data.token }, identifiesCaller: true },
+      }, json, () => renewQuoteByToken(env, checked.data));
+    }
+    const checked = validate(data, UPDATE_SCHEMA);
+    if (!checked.ok) return json(checked, 400);
+    // Key only: the same change again minutes later can be a real change back.
+    return withIdempotency(env, request, { scope: "quote-update", body: checked.data }, json,
+      () => updateQuote(env, checked.data));
   }
 
   return json({ ok: false, error: "Method not allowed" }, 405);
@@ -70,16 +122,37 @@ async function getQuoteByToken(env, token) {
       notes: order.notes || null,
       status: order.status || "pending",
       created_at: order.created_at,
+      valid_until: quoteValidUntil(env, order),
+      expired: isQuoteExpired(env, order),
+      revision: order.quote_revision || 1,
     },
   });
 }
 
+async function getQuotePdf(env, token) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?edit_token=eq.${encodeURIComponent(token)}&order_type=eq.quote&select=${QUOTE_PDF_SELECT}&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
+  try {
+    const doc = await renderQuotePdf(env, rows[0]);
+    return pdfResponse(doc.toBytes(), quotePdfFilename(env, rows[0]));
+  } catch (err) {
+    console.error("Quote PDF failed:", err);
+    return json({ ok: false, error: "Failed to build PDF" }, 500);
+  }
+}
+
 async function getQuotesByEmail(env, email) {
   const headers = sbHeaders(env);
   const normalised = email.trim().toLowerCase();
+  const orgFilter = env.SM_ORG_ID ? `&organization_id=eq.${env.SM_ORG_ID}` : "";
   // Filter on the embedded `people.email` via PostgREST resource embedding.
   const res = await fetch(
-    `${env.SUPABASE_URL}/rest/v1/orders?order_type=eq.quote&select=*,people!inner(first_name,last_name,email,phone)&people.email=eq.${encodeURIComponent(normalised)}&order=created_at.desc&limit=20`,
+    `${env.SUPABASE_URL}/rest/v1/orders?order_type=eq.quote&select=*,people!inner(first_name,last_name,email,phone)&people.email=eq.${encodeURIComponent(normalised)}${orgFilter}&order=created_at.desc&limit=20`,
     { headers },
   );
   if (!res.ok) {
@@ -87,10 +160,10 @@ async function getQuotesByEmail(env, email) {
     return json({ ok: false, error: "Database error", detail: errText }, 500);
   }
   const rows = await res.json();
-  return json({ ok: true, quotes: rows.map(mapOrderToQuote) });
+  return json({ ok: true, quotes: rows.map(order => mapOrderToQuote(env, order)) });
 }
 
-function mapOrderToQuote(order) {
+function mapOrderToQuote(env, order) {
   return {
     id: order.id,
     name: [order.people?.first_name, order.people?.last_name].filter(Boolean).join(" ") || null,
@@ -101,13 +174,14 @@ function mapOrderToQuote(order) {
     status: order.status || "pending",
     notes: order.notes || null,
     created_at: order.created_at,
+    valid_until: quoteValidUntil(env, order),
+    expired: isQuoteExpired(env, order),
     config: order.product_config ? safeParse(order.product_config) : null,
   };
 }
 
 async function updateQuote(env, data) {
   const { token, product, message } = data;
-  if (!token) return json({ ok: false, error: "Missing edit token" }, 400);
 
   const headers = sbHeaders(env);
 
@@ -122,14 +196,35 @@ async function updateQuote(env, data) {
 
   const order = checkRows[0];
   const orderId = order.id;
+  if (isQuoteExpired(env, order)) {
+    return json({ ok: false, error: "This quote has expired. Please renew it at today's prices before making changes.", reason: "expired" }, 400);
+  }
+  if (product && quoteItems(safeParse(order.product_config))) {
+    return json({ ok: false, error: "This quote covers several memorials, so please reply to your quote email or call us to change it.", reason: "multi_item" }, 400);
+  }
   const updates = {};
+  let saved = null;
   if (product) {
-    updates.product_config = JSON.stringify(product);
-    if (product.name) updates.sku = product.name;
-    if (product.colour) updates.color = product.colour;
-    if (product.price) updates.value = parseFloat(product.price);
-    if (product.permit_fee !== undefined) updates.permit_fee = parseFloat(product.permit_fee) || 0;
-    if (product.inscription) updates.inscription_text = product.inscription;
+    // The client's price is never stored as-is. A product that's since left
+    // the catalogue keeps its existing price and is flagged for the team.
+    let priced;
+    try {
+      priced = await repriceProduct(env, product, { cemeteryId: order.cemetery_id || null });
+    } catch (err) {
+      console.error("Quote pricing failed:", err);
+      return json({ ok: false, error: "Failed to update quote" }, 500);
+    }
+    saved = priced.ok
+      ? priced.product
+      : { ...product, price: order.value, permit_fee: order.permit_fee, pricing: { status: "unpriced", reason: priced.reason } };
+    updates.product_config = JSON.stringify(saved);
+    if (saved.name) updates.sku = saved.name;
+    if (saved.colour) updates.color = saved.colour;
+    if (priced.ok) {
+      updates.value = parseFloat(saved.price);
+      updates.permit_fee = saved.permit_fee;
+    }
+    if (saved.inscription) updates.inscription_text = saved.inscription;
   }
   if (message !== undefined) updates.notes = message;
   updates.updated_at = new Date().toISOString();
@@ -144,8 +239,15 @@ async function updateQuote(env, data) {
   );
   if (!patchRes.ok) return json({ ok: false, error: "Failed to update quote" }, 500);
 
+  // They've come back to it, so no more "still thinking it over?" emails.
+  try {
+    await stopQuoteFollowups(env, { orderId, reason: "updated" });
+  } catch (err) {
+    console.error("Stopping quote follow-ups failed:", err);
+  }
+
   // Send notification emails about the update
-  if (env.RESEND_API_KEY) {
+  if (mailConfigured(env)) {
     const customerName = [order.people?.first_name, order.people?.last_name].filter(Boolean).join(" ");
     const customerEmail = order.people?.email || "";
     const productName = (product && product.name) || order.sku || "Memorial";
@@ -155,12 +257,9 @@ async function updateQuote(env, data) {
 
     // Notify the business
     try {
-      await sendEmail(env.RESEND_API_KEY, {
-        from: "Sears Melvin Memorials <info@searsmelvin.co.uk>",
-        to: "info@searsmelvin.co.uk",
-        subject: `Quote updated by customer — ${customerName || customerEmail}`,
-        html: quoteUpdateBusinessEmail({ name: customerName, email: customerEmail, productName, productSlug, changes }),
-      });
+      await sendTemplateEmail(env, "quoteUpdatedBusiness", {
+        name: customerName, email: customerEmail, productName, productSlug, changes,
+      }, { from: orgFrom(env), to: orgOf(env).email, replyTo: customerEmail || null });
     } catch (err) {
       console.error("Quote update business email failed:", err);
     }
@@ -168,19 +267,51 @@ async function updateQuote(env, data) {
     // Confirm to the customer
     if (customerEmail) {
       try {
-        await sendEmail(env.RESEND_API_KEY, {
-          from: "Sears Melvin Memorials <info@searsmelvin.co.uk>",
-          to: customerEmail,
-          subject: "Your quote has been updated — Sears Melvin Memorials",
-          html: quoteUpdateCustomerEmail({ firstName: customerName.split(" ")[0] || "there", productName, productSlug, changes }),
-        });
+        await sendTemplateEmail(env, "quoteUpdatedCustomer", {
+          firstName: customerName.split(" ")[0] || null, productName, productSlug, changes,
+        }, { from: orgFrom(env), to: customerEmail });
       } catch (err) {
         console.error("Quote update customer email failed:", err);
       }
     }
   }
 
-  return json({ ok: true });
+  return json({ ok: true, product: saved });
+}
+
+// Renews an expired quote from the /quote page. Still-valid quotes are left
+// alone, so the link can't be used to chase a price drop.
+async function renewQuoteByToken(env, { token }) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/orders?edit_token=eq.${encodeURIComponent(token)}&order_type=eq.quote&select=id,status,created_at,quote_valid_until&limit=1`,
+    { headers: sbHeaders(env) },
+  );
+  if (!res.ok) return json({ ok: false, error: "Database error" }, 500);
+  const rows = await res.json();
+  if (rows.length === 0) return json({ ok: false, error: "Quote not found" }, 404);
+  if (!isQuoteExpired(env, rows[0])) return json({ ok: false, error: "This quote is still valid." }, 400);
+
+  let renewed;
+  try {
+    renewed = await renewQuote(env, rows[0].id, { renewedBy: "customer" });
+  } catch (err) {
+    console.error("Quote renewal failed:", err);
+    return json({ ok: false, error: "Failed to renew quote. Please try again." }, 500);
+  }
+  if (!renewed.ok) {
+    const error = renewed.reason === "unknown_product"
+      ? "This memorial is no longer in our catalogue. Please contact us for a new quote."
+      : renewed.message;
+    return json({ ok: false, error, reason: renewed.reason }, 400);
+  }
+
+  try {
+    await stopQuoteFollowups(env, { orderId: rows[0].id, reason: "renewed" });
+  } catch (err) {
+    console.error("Stopping quote follow-ups failed:", err);
+  }
+
+  return json({ ok: true, product: renewed.product, value: renewed.value, valid_until: renewed.validUntil, revision: renewed.revision });
 }
 
 function buildChangesSummary(order, product, message) {
@@ -217,82 +348,13 @@ function json(data, status = 200) {
   });
 }
 
-function esc(str) {
-  return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
-}
-
-async function sendEmail(apiKey, { from, to, subject, html }) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ from, to, subject, html }),
+function pdfResponse(bytes, filename) {
+  return new Response(bytes, {
+    headers: {
+      ...CORS,
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "private, no-store",
+    },
   });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Resend ${res.status}: ${body}`);
-  }
-}
-
-function quoteUpdateBusinessEmail({ name, email, productName, productSlug, changes }) {
-  const changeList = changes.map(c => `<li style="padding:3px 0;color:#1A1A1A;">${esc(c)}</li>`).join("");
-  const productUrl = productSlug ? `https://searsmelvin.co.uk/memorials/${encodeURIComponent(productSlug)}` : "";
-  return `<!DOCTYPE html><html><head><meta charset="UTF-8"></head>
-<body style="margin:0;padding:0;background:#F5F3F0;font-family:-apple-system,sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;padding:24px 0;">
-<tr><td align="center">
-<table width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 4px 20px rgba(0,0,0,0.08);">
-  <tr><td style="background:#2C2C2C;padding:18px 28px;">
-    <table width="100%" cellpadding="0" cellspacing="0"><tr>
-      <td><span style="font-family:Georgia,serif;font-size:18px;color:#fff;">Sears Melvin <span style="opacity:0.55;">Memorials</span></span></td>
-      <td align="right"><span style="background:#8B7355;color:#fff;padding:4px 11px;border-radius:3px;font-size:11px;font-weight:700;letter-spacing:0.06em;text-transform:uppercase;">Quote Updated</span></td>
-    </tr></table>
-  </td></tr>
-  <tr><td style="padding:24px 28px;">
-    <h2 style="font-family:Georgia,serif;font-size:20px;color:#2C2C2C;font-weight:normal;margin:0 0 16px;">Customer Updated Their Quote</h2>
-    <table width="100%" cellpadding="0" cellspacing="0" style="font-size:13px;margin-bottom:16px;">
-      <tr><td style="color:#999;padding:5px 0;width:100px;">Customer</td><td style="color:#1A1A1A;font-weight:600;">${esc(name || "—")}</td></tr>
-      <tr><td style="color:#999;padding:5px 0;">Email</td><td><a href="mailto:${esc(email)}" style="color:#8B7355;">${esc(email || "—")}</a></td></tr>
-      <tr><td style="color:#999;padding:5px 0;">Memorial</td><td style="color:#1A1A1A;">${esc(productName)}${productUrl ? ` &middot; <a href="${productUrl}" style="color:#8B7355;text-decoration:none;font-weight:600;">View product &rarr;</a>` : ""}</td></tr>
-    </table>
-    <div style="background:#F5F3F0;border-radius:8px;padding:16px 20px;">
-      <div style="font-size:10px;letter-spacing:0.1em;text-transform:uppercase;color:#8B7355;font-weight:700;margin-bottom:8px;">Changes Made</div>
-      <ul style="margin:0;padding:0 0 0 16px;font-size:13px;">${changeList}</ul>
-    </div>
-  </td></tr>
-  <tr><td style="background:#F5F3F0;border-top:1px solid #E0DCD5;padding:12px 28px;text-align:center;">
-    <span style="font-size:11px;color:#BBB;">Sears Melvin Memorials &middot; info@searsmelvin.co.uk</span>
-  </td></tr>
-</table>
-</td></tr></table></body></html>`;
-}
-
-function quoteUpdateCustomerEmail({ firstName, productName, productSlug, changes }) {
-  const changeList = changes.map(c => `<li style="padding:3px 0;color:#1A1A1A;">${esc(c)}</li>`).join("");
-  const productUrl = productSlug ? `https://searsmelvin.co.uk/memorials/${encodeURIComponent(productSlug)}` : "";
-  return `<!DOCTYPE html><html><head><meta charset="UTF-8"></head>
-<body style="margin:0;padding:0;background:#F5F3F0;font-family:-apple-system,sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;padding:24px 0;">
-<tr><td align="center">
-<table width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 4px 20px rgba(0,0,0,0.08);">
-  <tr><td style="background:#2C2C2C;padding:20px 28px;">
-    <span style="font-family:Georgia,serif;font-size:18px;color:#fff;">Sears Melvin <span style="opacity:0.55;">Memorials</span></span>
-  </td></tr>
-  <tr><td style="padding:32px 28px 0;">
-    <h2 style="font-family:Georgia,serif;font-size:22px;color:#2C2C2C;font-weight:normal;margin:0 0 12px;">Quote updated, ${esc(firstName)}.</h2>
-    <p style="color:#555;font-size:15px;line-height:1.7;margin:0 0 20px;">
-      We've received your changes to your <strong style="color:#2C2C2C;">${esc(productName)}</strong> quote. Our team will review the updates and be in touch if anything needs adjusting.
-    </p>
-    ${productUrl ? `<p style="margin:0 0 20px;"><a href="${productUrl}" style="color:#8B7355;font-size:14px;font-weight:600;text-decoration:none;">View this memorial on our website &rarr;</a></p>` : ""}
-  </td></tr>
-  <tr><td style="padding:0 28px 28px;">
-    <div style="background:#F5F3F0;border-radius:8px;padding:16px 20px;">
-      <div style="font-size:10px;letter-spacing:0.1em;text-transform:uppercase;color:#8B7355;font-weight:700;margin-bottom:8px;">What changed</div>
-      <ul style="margin:0;padding:0 0 0 16px;font-size:13px;">${changeList}</ul>
-    </div>
-  </td></tr>
-  <tr><td style="background:#F5F3F0;border-top:1px solid #E0DCD5;padding:14px 28px;text-align:center;">
-    <span style="font-size:11px;color:#BBB;">Sears Melvin Memorials &middot; <a href="mailto:info@searsmelvin.co.uk" style="color:#BBB;">info@searsmelvin.co.uk</a></span>
-  </td></tr>
-</table>
-</td></tr></table></body></html>`;
 }
@@ -0,0 +1,47 @@
+/**
+ * Text message delivery callbacks — /api/sms-status (POST)
+ *
+ * Every text sent through functions/_lib/sms.js asks the provider to report
+ * back here as it moves along (queued → sent → delivered, or undelivered /
+ * failed with an error code; read for WhatsApp). The status is stored on the
+ * message's row in public.sms_messages, which belongs to the person it went
+ * to.
+ *
+ * Twilio posts form-encoded MessageSid, MessageStatus and ErrorCode, signed
+ * with X-Twilio-Signature; unsigned or mis-signed requests are refused.
+ *
+ * Required env var (Cloudflare Pages → Settings → Environment Variables):
+ *   TWILIO_AUTH_TOKEN  → the same token sms.js sends with
+ */
+
+import { orgEnv } from "../_lib/org.js";
+import { recordSmsStatus, verifyTwilioSignature } from "../_lib/sms.js";
+
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    console.error("SMS status callback: Supabase env not configured");
+    return new Response("Server configuration error", { status: 500 });
+  }
+  let params;
+  try { params = new URLSearchParams(await request.text()); }
+  catch { return new Response("Bad request", { status: 400 }); }
+
+  const signature = request.headers.get("x-twilio-signature") || "";
+  if (!await verifyTwilioSignature(env, request.url, params, signature)) {
+    console.error("SMS status callback signature verification failed");
+    return new Response("Invalid signature", { status: 403 });
+  }
+
+  const providerId = params.get("MessageSid") || params.get("SmsSid");
+  const status = String(params.get("MessageStatus") || params.get("SmsStatus") || "").toLowerCase();
+  try {
+    const known = await recordSmsStatus(env, { providerId, status, errorCode: params.get("ErrorCode") || null });
+    if (!known) console.warn(`SMS status callback for unknown message ${providerId} (${status})`);
+  } catch (err) {
+    console.error("SMS status callback failed:", err);
+    return new Response("Error", { status: 500 });
+  }
+  return new Response(null, { status: 204 });
+}
@@ -0,0 +1,117 @@
+/**
+ * Staff appointment feed — /api/staff-calendar (GET)
+ *
+ * GET ?token=<STAFF_CALENDAR_TOKEN>  → text/calendar of every upcoming
+ *                                      appointment (enquiries.appointment_at,
+ *                                      not cancelled), oldest first
+ *
+ * Subscribe to https://<site>/api/staff-calendar?token=… from
+ * Google Calendar ("From URL"), Apple Calendar or Outlook to see the showroom
+ * diary in any client. The URL is the credential — calendar apps can't send
+ * headers — so rotate the token if it leaks. Events use the same UIDs as the
+ * customers' .ics files (functions/_lib/ics.js), with `ics_sequence`, so
+ * reschedules move the existing entry. Each organisation's site serves its own
+ * diary (functions/_lib/org.js); give each its own token through its
+ * `settings`.
+ *
+ * Required env vars (Cloudflare Pages → Settings → Environment Variables):
+ *   STAFF_CALENDAR_TOKEN → long random string; unset = feed disabled
+ *   SUPABASE_URL, SUPABASE_SERVICE_KEY, SM_ORG_ID
+ */
+
+import { appointmentLocation, appointmentUid, buildCalendar } from "../_lib/ics.js";
+import { orgEnv, orgOf } from "../_lib/org.js";
+import { appointmentType, londonNow, londonToUtc, utcToLondon } from "../_lib/schedule.js";
+
+const MAX_EVENTS = 500;
+
+export async function onRequestGet(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.STAFF_CALENDAR_TOKEN || !env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
+    return text("Calendar feed is not configured.", 503);
+  }
+  const token = new URL(request.url).searchParams.get("token") || "";
+  if (!timingSafeEqual(token, env.STAFF_CALENDAR_TOKEN)) return text("Unauthorized", 401);
+
+  let rows;
+  try { rows = await fetchUpcomingAppointments(env); }
+  catch (err) {
+    console.error("Staff calendar lookup failed:", err);
+    return text("Could not load appointments.", 500);
+  }
+
+  const org = orgOf(env);
+  const events = [];
+  for (const row of rows) {
+    const slot = utcToLondon(row.appointment_at);
+    if (!slot) continue;
+    const type = appointmentType(row.appointment_kind);
+    const p = row.people || {};
+    const name = [p.first_name, p.last_name].filter(Boolean).join(" ") || p.email || "Customer";
+    events.push({
+      uid: await appointmentUid({ org, manageToken: row.manage_token, enquiryId: row.id }),
+      sequence: row.ics_sequence || 0,
+      start: slot,
+      durationMinutes: type.durationMinutes,
+      summary: `${type.label} — ${name}`,
+      description: [
+        `Customer: ${name}`,
+        `Email: ${p.email || "Not provided"}`,
+        `Phone: ${p.phone || "Not provided"}`,
+        `Type: ${type.label}`,
+        `Enquiry: #${row.id} (${row.channel || "appointment"})`,
+        row.message ? `\nNotes: ${row.message}` : null,
+      ].filter(Boolean).join("\n"),
+      location: appointmentLocation(org, type.kind),
+      status: "CONFIRMED",
+    });
+  }
+
+  return new Response(buildCalendar({ org, method: "PUBLISH", name: `${org.shortName} — Appointments`, events }), {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `inline; filename="${org.slug}-appointments.ics"`,
+      "Cache-Control": "private, max-age=300",
+    },
+  });
+}
+
+// From the start of today (London) onwards, so this morning's visits stay
+// on the calendar until the day is over.
+async function fetchUpcomingAppointments(env) {
+  const today = londonNow().date;
+  const params = new URLSearchParams({
+    select: "id,channel,appointment_at,appointment_kind,status,manage_token,ics_sequence,message,people(first_name,last_name,email,phone)",
+    order: "appointment_at.asc",
+    limit: String(MAX_EVENTS),
+  });
+  params.append("organization_id", `eq.${env.SM_ORG_ID}`);
+  params.append("appointment_at", `gte.${londonToUtc({ date: today, time: "00:00" })}`);
+  params.append("or", "(status.is.null,status.neq.cancelled)");
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/enquiries?${params}`, { headers: sbHeaders(env) });
+  if (!res.ok) throw new Error(`Supabase enquiries lookup ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function sbHeaders(env) {
+  return {
+    "apikey": env.SUPABASE_SERVICE_KEY,
+    "Authorization": `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    "Content-Type": "application/json",
+  };
+}
+
+function text(body, status = 200) {
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+  });
+}
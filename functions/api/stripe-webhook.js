@@ -4,19 +4,29 @@
  * Listens for Stripe events and:
  *   - Verifies the webhook signature (HMAC-SHA256)
  *   - On payment_intent.succeeded: marks the order as deposit paid in Supabase
- *     and sends a payment confirmation email to the customer
+ *     and sends a payment confirmation email to the customer (and a text
+ *     receipt if they've asked to be texted — functions/_lib/sms.js); the
+ *     order's ClickUp task follows it (functions/_lib/clickup.js)
  *
  * Setup in Stripe Dashboard → Developers → Webhooks:
- *   Endpoint URL : https://searsmelvin.co.uk/api/stripe-webhook
+ *   Endpoint URL : https://<site>/api/stripe-webhook
  *   Events       : payment_intent.succeeded, payment_intent.payment_failed
+ * Each organisation's site gets its own endpoint (functions/_lib/org.js); a
+ * brand with its own Stripe account sets STRIPE_WEBHOOK_SECRET in `settings`.
  *
  * Required env var (Cloudflare Pages → Settings → Environment Variables):
  *   STRIPE_WEBHOOK_SECRET  → "Signing secret" shown after creating the webhook endpoint
  */
 
-const BUSINESS_NAME  = "Sears Melvin Memorials";
-const BUSINESS_EMAIL = "info@searsmelvin.co.uk";
-const FROM_EMAIL     = "info@searsmelvin.co.uk";
+import { clickupConfigured, queueOrderTaskSync } from "../_lib/clickup.js";
+import { sendTemplateEmail } from "../_lib/email-templates.js";
+import { mailConfigured } from "../_lib/mail.js";
+import { orgEnv, orgFrom, orgOf } from "../_lib/org.js";
+import { processOutbox } from "../_lib/outbox.js";
+import { stopQuoteFollowups } from "../_lib/quote-followups.js";
+import { preferredTextChannel, sendSms, smsConfigured } from "../_lib/sms.js";
+import { OUTBOX_HANDLERS } from "./submit.js";
+
 
 // ── Stripe webhook signature verification (Web Crypto API) ─────────────────────
 async function verifyStripeSignature(rawBody, sigHeader, secret) {
@@ -59,7 +69,9 @@ function timingSafeEqual(a, b) {
 }
 
 // ── Main handler ────────────────────────────────────────────────────────────────
-export async function onRequestPost({ request, env }) {
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
   const rawBody    = await request.text();
   const sigHeader  = request.headers.get("stripe-signature") || "";
   const webhookSecret = env.STRIPE_WEBHOOK_SECRET || "";
@@ -233,6 +245,8 @@ async function handlePaymentSucceeded(env, pi) {
               body: JSON.stringify({ status: orderStatus, stage: orderStage }),
             });
             await markPersonAsPayingCustomer(env, sbHeaders, ordId);
+            await stopFollowupsForPaidOrder(env, ordId);
+            await syncPaidOrderTask(env, ordId);
           }
         }
 
@@ -260,7 +274,7 @@ async function handlePaymentSucceeded(env, pi) {
         if (email) {
           const normalisedEmail = email.trim().toLowerCase();
           const orderRes = await fetch(
-            `${env.SUPABASE_URL}/rest/v1/orders?select=id,people!inner(email)&people.email=eq.${encodeURIComponent(normalisedEmail)}&order=created_at.desc&limit=1`,
+            `${env.SUPABASE_URL}/rest/v1/orders?select=id,people!inner(email)&people.email=eq.${encodeURIComponent(normalisedEmail)}&organization_id=eq.${env.SM_ORG_ID}&order=created_at.desc&limit=1`,
             { headers: sbHeaders },
           );
           if (orderRes.ok) {
@@ -314,6 +328,8 @@ async function handlePaymentSucceeded(env, pi) {
               body: JSON.stringify({ status: orderStatus, stage: orderStage }),
             });
             await markPersonAsPayingCustomer(env, sbHeaders, orderId);
+            await stopFollowupsForPaidOrder(env, orderId);
+            await syncPaidOrderTask(env, orderId);
           }
         }
       }
@@ -323,27 +339,33 @@ async function handlePaymentSucceeded(env, pi) {
   }
 
   // 2. Send payment confirmation email to customer (non-critical)
-  if (env.RESEND_API_KEY && email) {
+  if (mailConfigured(env) && email) {
     try {
-      await sendEmail(env.RESEND_API_KEY, {
-        from:    `${BUSINESS_NAME} <${FROM_EMAIL}>`,
-        to:      email,
-        subject: `Deposit confirmed — ${BUSINESS_NAME}`,
-        html:    depositConfirmationEmail({ name, email, amountPaid, product, cemetery }),
+      await sendTemplateEmail(env, "depositCustomer", { name, amountPaid, product, cemetery }, {
+        from: orgFrom(env),
+        to:   email,
       });
     } catch (err) {
       console.error("Deposit confirmation email failed:", err);
     }
   }
 
+  // 2b. Text receipt for customers who prefer texts (non-critical)
+  if (email && env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY) {
+    try {
+      await textPaymentReceipt(env, { email, amountPaid, product });
+    } catch (err) {
+      console.error("Payment receipt text failed:", err);
+    }
+  }
+
   // 3. Notify the business (non-critical)
-  if (env.RESEND_API_KEY) {
+  if (mailConfigured(env)) {
     try {
-      await sendEmail(env.RESEND_API_KEY, {
-        from:    `${BUSINESS_NAME} <${FROM_EMAIL}>`,
-        to:      BUSINESS_EMAIL,
-        subject: `Deposit received — £${amountPaid} — ${name || email}`,
-        html:    depositBusinessEmail({ name, email, amountPaid, product, cemetery, piId: pi.id }),
+      await sendTemplateEmail(env, "depositBusiness", { name, email, amountPaid, product, cemetery, piId: pi.id }, {
+        from:    orgFrom(env),
+        to:      orgOf(env).email,
+        replyTo: email || null,
       });
     } catch (err) {
       console.error("Deposit business email failed:", err);
@@ -351,105 +373,44 @@ async function handlePaymentSucceeded(env, pi) {
   }
 }
 
-// ── Email templates ─────────────────────────────────────────────────────────────
-function esc(str) {
-  return String(str || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
-}
-
-function depositConfirmationEmail({ name, amountPaid, product, cemetery }) {
-  const firstName = (name || "").split(" ")[0] || "there";
-  return `<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
-<body style="margin:0;padding:0;background:#F5F3F0;font-family:-apple-system,'DM Sans',sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;padding:24px 0;">
-  <tr><td align="center">
-  <table width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 4px 20px rgba(0,0,0,0.08);">
-
-    <tr><td style="background:#2C2C2C;padding:20px 28px;">
-      <span style="font-family:Georgia,serif;font-size:18px;color:#fff;font-weight:normal;">Sears Melvin <span style="opacity:0.55;font-weight:300;">Memorials</span></span>
-    </td></tr>
-
-    <tr><td style="padding:32px 28px 0;">
-      <div style="width:52px;height:52px;background:#4CAF50;border-radius:50%;display:flex;align-items:center;justify-content:center;margin-bottom:20px;">
-        <span style="color:white;font-size:28px;line-height:52px;display:block;text-align:center;">✓</span>
-      </div>
-      <h2 style="font-family:Georgia,serif;font-size:22px;color:#2C2C2C;font-weight:normal;margin:0 0 12px;">Deposit received, ${esc(firstName)}.</h2>
-      <p style="color:#555;font-size:15px;line-height:1.7;margin:0 0 24px;">
-        Your <strong style="color:#2C2C2C;">£${esc(amountPaid)}</strong> deposit has been received and your order is confirmed.
-        We'll be in touch within 24 hours to discuss the next steps.
-      </p>
-    </td></tr>
-
-    <tr><td style="padding:0 28px 28px;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;border-radius:8px;overflow:hidden;">
-        <tr><td style="padding:16px 20px;">
-          <div style="font-size:10px;letter-spacing:0.1em;text-transform:uppercase;color:#8B7355;font-weight:700;margin-bottom:10px;">Order summary</div>
-          <table width="100%" cellpadding="0" cellspacing="0" style="font-size:13px;">
-            ${product  ? `<tr><td style="color:#999;padding:4px 0;width:120px;">Memorial</td><td style="color:#1A1A1A;padding:4px 0;">${esc(product)}</td></tr>` : ""}
-            ${cemetery ? `<tr><td style="color:#999;padding:4px 0;">Cemetery</td><td style="color:#1A1A1A;padding:4px 0;">${esc(cemetery)}</td></tr>` : ""}
-            <tr><td style="color:#999;padding:8px 0 4px;border-top:1px solid #ddd;">Deposit paid</td><td style="color:#2C2C2C;font-weight:700;padding:8px 0 4px;border-top:1px solid #ddd;">£${esc(amountPaid)}</td></tr>
-          </table>
-        </td></tr>
-      </table>
-    </td></tr>
-
-    <tr><td style="background:#F5F3F0;border-top:1px solid #E0DCD5;padding:14px 28px;text-align:center;">
-      <span style="font-size:11px;color:#BBB;">Sears Melvin Memorials &middot; North London (NW11) &middot; <a href="mailto:${BUSINESS_EMAIL}" style="color:#BBB;">${BUSINESS_EMAIL}</a></span>
-    </td></tr>
-
-  </table>
-  </td></tr>
-</table>
-</body></html>`;
+// A paid quote is an accepted one: end its follow-up emails. Non-fatal, like
+// the is_customer flip.
+async function stopFollowupsForPaidOrder(env, orderId) {
+  try {
+    await stopQuoteFollowups(env, { orderId, reason: "accepted" });
+  } catch (err) {
+    console.error("Stopping quote follow-ups failed:", err);
+  }
 }
 
-function depositBusinessEmail({ name, email, amountPaid, product, cemetery, piId }) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="UTF-8"></head>
-<body style="margin:0;padding:0;background:#F5F3F0;font-family:-apple-system,sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#F5F3F0;padding:24px 0;">
-  <tr><td align="center">
-  <table width="560" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:10px;overflow:hidden;box-shadow:0 4px 20px rgba(0,0,0,0.08);">
-    <tr><td style="background:#2C2C2C;padding:18px 28px;">
-      <table width="100%" cellpadding="0" cellspacing="0"><tr>
-        <td><span style="font-family:Georgia,serif;font-size:18px;color:#fff;">Sears Melvin <span style="opacity:0.55;">Memorials</span></span></td>
-        <td align="right"><span style="background:#4CAF50;color:#fff;padding:4px 11px;border-radius:3px;font-size:11px;font-weight:700;letter-spacing:0.06em;text-transform:uppercase;">Deposit Paid</span></td>
-      </tr></table>
-    </td></tr>
-    <tr><td style="padding:24px 28px;">
-      <h2 style="font-family:Georgia,serif;font-size:20px;color:#2C2C2C;font-weight:normal;margin:0 0 16px;">Deposit Received — £${esc(amountPaid)}</h2>
-      <table width="100%" cellpadding="0" cellspacing="0" style="font-size:13px;">
-        <tr><td style="color:#999;padding:5px 0;width:130px;">Customer</td><td style="color:#1A1A1A;font-weight:600;">${esc(name || "—")}</td></tr>
-        <tr><td style="color:#999;padding:5px 0;">Email</td><td><a href="mailto:${esc(email)}" style="color:#8B7355;">${esc(email || "—")}</a></td></tr>
-        ${product  ? `<tr><td style="color:#999;padding:5px 0;">Memorial</td><td style="color:#1A1A1A;">${esc(product)}</td></tr>` : ""}
-        ${cemetery ? `<tr><td style="color:#999;padding:5px 0;">Cemetery</td><td style="color:#1A1A1A;">${esc(cemetery)}</td></tr>` : ""}
-        <tr><td style="color:#999;padding:5px 0;">Amount</td><td style="color:#1A1A1A;font-weight:700;">£${esc(amountPaid)}</td></tr>
-        <tr><td style="color:#999;padding:5px 0;font-size:11px;">Stripe PI</td><td style="color:#AAA;font-size:11px;">${esc(piId || "—")}</td></tr>
-      </table>
-    </td></tr>
-    <tr><td style="background:#F5F3F0;border-top:1px solid #E0DCD5;padding:12px 28px;text-align:center;">
-      <span style="font-size:11px;color:#BBB;">Sears Melvin Memorials &middot; North London (NW11) &middot; ${BUSINESS_EMAIL}</span>
-    </td></tr>
-  </table>
-  </td></tr>
-</table>
-</body></html>`;
+// Moves the order's ClickUp task on to match the payment, through the
+// outbox so a ClickUp outage is retried by the cron. Non-fatal too.
+async function syncPaidOrderTask(env, orderId) {
+  if (!clickupConfigured(env)) return;
+  try {
+    const ids = await queueOrderTaskSync(env, orderId, "payment");
+    if (ids?.length) await processOutbox(env, OUTBOX_HANDLERS, { ids, limit: ids.length });
+  } catch (err) {
+    console.error("ClickUp task sync failed:", err);
+  }
 }
 
-async function sendEmail(apiKey, { from, to, subject, html }) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method:  "POST",
-    headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-    body:    JSON.stringify({ from, to, subject, html }),
+// Looks the payer up in `people` by email and texts a short receipt if their
+// contact preference is SMS / WhatsApp.
+async function textPaymentReceipt(env, { email, amountPaid, product }) {
+  const res = await fetch(
+    `${env.SUPABASE_URL}/rest/v1/people?email=eq.${encodeURIComponent(email.trim().toLowerCase())}&organization_id=eq.${env.SM_ORG_ID}&select=id,phone,contact_pref&limit=1`,
+    { headers: { apikey: env.SUPABASE_SERVICE_KEY, Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}` } },
+  );
+  if (!res.ok) throw new Error(`Supabase people lookup ${res.status}: ${await res.text()}`);
+  const person = (await res.json())[0];
+  const channel = preferredTextChannel(person);
+  if (!channel || !smsConfigured(env, channel)) return;
+  await sendSms(env, {
+    to: person.phone,
+    body: `${orgOf(env).name}: thank you — we've received your payment of £${amountPaid}${product ? ` for ${product}` : ""}.`,
+    channel,
+    personId: person.id,
+    purpose: "payment_receipt",
   });
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Resend ${res.status}: ${body}`);
-  }
 }
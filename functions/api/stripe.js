@@ -1,5 +1,6 @@
+import { orgEnv } from '../_lib/org.js';
+
 const CORS = {
-  'Access-Control-Allow-Origin': 'https://searsmelvin.co.uk',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type',
 };
@@ -8,7 +9,9 @@ export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: CORS });
 }
 
-export async function onRequestPost({ request, env }) {
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.STRIPE_SECRET_KEY) {
     return new Response(JSON.stringify({ error: 'Stripe not configured' }), {
       status: 500,
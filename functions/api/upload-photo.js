@@ -3,17 +3,26 @@
  *
  * Multipart POST. One file per request.
  * Uploads to the private `enquiry-photos` bucket via the Supabase service-role
- * key and returns the storage path. The bucket is private; admin generates
- * signed URLs at read time.
+ * key and returns the storage path. The photo is cleaned up first — metadata
+ * (GPS included) stripped, HEIC converted to JPEG — and display / thumbnail
+ * sizes are stored next to it (functions/_lib/photos.js). The bucket is
+ * private; admin generates signed URLs at read time.
+ *
+ * Every upload and delete carries the X-Upload-Ticket header from
+ * /api/upload-ticket (functions/_lib/upload-tickets.js): a ticket allows a
+ * handful of photos and deletes only its own. The file's type is read from
+ * its first bytes, not taken from the browser.
  */
 
+import { orgEnv } from "../_lib/org.js";
+import { deletePhoto, processPhoto, sniffImageType, storePhoto, storedExtension } from "../_lib/photos.js";
+import { UPLOAD_TICKET_LIMITS, readUploadTicket, releaseUpload, reserveUpload } from "../_lib/upload-tickets.js";
+
 const CORS = {
-  "Access-Control-Allow-Origin": "https://searsmelvin.co.uk",
   "Access-Control-Allow-Methods": "POST, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, X-Upload-Ticket",
 };
 
-const BUCKET = "enquiry-photos";
 const MAX_BYTES = 10 * 1024 * 1024;
 const ALLOWED_MIME = new Set([
   "image/jpeg",
@@ -27,10 +36,13 @@ export async function onRequestOptions() {
 }
 
 export async function onRequestPost(context) {
-  const { request, env } = context;
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
     return json({ ok: false, error: "Server configuration error" }, 500);
   }
+  const ticket = await readUploadTicket(env, request);
+  if (!ticket) return ticketRejected();
 
   let form;
   try {
@@ -46,35 +58,49 @@ export async function onRequestPost(context) {
   if (file.size > MAX_BYTES) {
     return json({ ok: false, error: "File exceeds 10 MB" }, 413);
   }
-  const mime = file.type || "application/octet-stream";
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const mime = sniffImageType(bytes);
   if (!ALLOWED_MIME.has(mime)) {
+    console.warn(`Upload refused: claimed ${file.type || "no type"}, content isn't a supported image`);
     return json({ ok: false, error: "Unsupported image type" }, 415);
   }
 
   const now = new Date();
   const yyyy = now.getUTCFullYear();
   const mm = String(now.getUTCMonth() + 1).padStart(2, "0");
-  const safeName = sanitiseFilename(file.name || "upload");
-  const path = `${env.SM_ORG_ID}/${yyyy}/${mm}/${crypto.randomUUID()}-${safeName}`;
-
-  const uploadRes = await fetch(
-    `${env.SUPABASE_URL}/storage/v1/object/${BUCKET}/${encodeURI(path)}`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}`,
-        "Content-Type": mime,
-        "x-upsert": "false",
-      },
-      body: file.stream(),
-      // @ts-ignore — Cloudflare Workers requires this when streaming a body.
-      duplex: "half",
-    },
-  );
-
-  if (!uploadRes.ok) {
-    const body = await uploadRes.text();
-    console.error(`Storage upload failed ${uploadRes.status}: ${body}`);
+  // No dots left in the name, so ".thumb.jpg" and friends only ever mark a
+  // variant (photoStem()).
+  const safeName = sanitiseFilename(file.name || "upload").replace(/\.[^.]*$/, "").replace(/\./g, "_") || "upload";
+  const path = `${env.SM_ORG_ID}/${yyyy}/${mm}/${crypto.randomUUID()}-${safeName}.${storedExtension(mime)}`;
+
+  let reservation;
+  try {
+    reservation = await reserveUpload(env, ticket, path, bytes.length);
+  } catch (err) {
+    console.error("Upload reservation failed:", err);
+    return json({ ok: false, error: "Upload failed" }, 502);
+  }
+  if (!reservation.ok) {
+    if (reservation.reason === "files") {
+      return json({ ok: false, error: `You can attach up to ${UPLOAD_TICKET_LIMITS.files} photos.`, reason: "too_many" }, 429);
+    }
+    if (reservation.reason === "bytes") {
+      return json({ ok: false, error: `Your photos can be ${UPLOAD_TICKET_LIMITS.bytes / 1024 / 1024} MB in total.`, reason: "too_large" }, 413);
+    }
+    return ticketRejected();
+  }
+
+  const processed = await processPhoto(env, bytes, mime);
+  if (processed.error) {
+    context.waitUntil(releaseQuietly(env, ticket, path));
+    return json({ ok: false, error: processed.error }, 415);
+  }
+
+  try {
+    await storePhoto(env, path, processed);
+  } catch (err) {
+    console.error("Storage upload failed:", err);
+    context.waitUntil(releaseQuietly(env, ticket, path));
     return json({ ok: false, error: "Upload failed" }, 502);
   }
 
@@ -83,9 +109,13 @@ export async function onRequestPost(context) {
 
 // DELETE /api/upload-photo?path=<storage path>
 // Used by the contact form when a customer removes a preview before submitting.
-// Path must live under the customer's org prefix; we reject anything trying to
+// Takes the display and thumbnail sizes with it.
+// Only photos uploaded under the same ticket can be deleted. The path must
+// also live under the customer's org prefix; we reject anything trying to
 // escape the bucket layout we wrote in onRequestPost.
-export async function onRequestDelete({ request, env }) {
+export async function onRequestDelete(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
   if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
     return json({ ok: false, error: "Server configuration error" }, 500);
   }
@@ -96,20 +126,34 @@ export async function onRequestDelete({ request, env }) {
   if (path.includes("..") || !path.startsWith(`${env.SM_ORG_ID}/`)) {
     return json({ ok: false, error: "Invalid path" }, 400);
   }
-  const delRes = await fetch(
-    `${env.SUPABASE_URL}/storage/v1/object/${BUCKET}/${encodeURI(path)}`,
-    {
-      method: "DELETE",
-      headers: { Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}` },
-    },
-  );
-  if (!delRes.ok && delRes.status !== 404) {
-    console.error(`Storage delete failed ${delRes.status}: ${await delRes.text()}`);
+  const ticket = await readUploadTicket(env, request);
+  if (!ticket) return ticketRejected();
+  try {
+    if (!(await releaseUpload(env, ticket, path))) {
+      return json({ ok: false, error: "This photo can't be removed from here" }, 403);
+    }
+    await deletePhoto(env, path);
+  } catch (err) {
+    console.error("Storage delete failed:", err);
     return json({ ok: false, error: "Delete failed" }, 502);
   }
   return json({ ok: true });
 }
 
+// The form fetches a new ticket and retries once on `reason: "ticket"`.
+function ticketRejected() {
+  return json({ ok: false, error: "Your upload session has expired. Please refresh the page.", reason: "ticket" }, 401);
+}
+
+// Non-fatal: an unreleased place only lowers what's left on the ticket.
+async function releaseQuietly(env, ticket, path) {
+  try {
+    await releaseUpload(env, ticket, path);
+  } catch (err) {
+    console.error("Upload release failed:", err);
+  }
+}
+
 function sanitiseFilename(name) {
   return String(name)
     .normalize("NFKD")
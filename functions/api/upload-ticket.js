@@ -0,0 +1,59 @@
+/**
+ * Upload Ticket API — /api/upload-ticket
+ *
+ * POST, no body. Issues the short-lived signed ticket the contact form sends
+ * with its photo uploads and deletes (functions/_lib/upload-tickets.js):
+ *
+ *   { ok: true, ticket, expiresAt, maxFiles, maxBytes }
+ *
+ * Throttled per IP (UPLOAD_TICKETS_PER_IP); refusals are logged with the
+ * other spam rejections.
+ */
+
+import { orgEnv } from "../_lib/org.js";
+import { guardFailure, guardUploadTicket, logRejection } from "../_lib/submit-guard.js";
+import { issueUploadTicket } from "../_lib/upload-tickets.js";
+
+const CORS = {
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestPost(context) {
+  const { request } = context;
+  const env = await orgEnv(context);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY || !env.SM_ORG_ID) {
+    return json({ ok: false, error: "Server configuration error" }, 500);
+  }
+
+  let rejection;
+  try {
+    rejection = await guardUploadTicket(request, env);
+  } catch (err) {
+    console.error("Upload ticket guard failed:", err);
+    rejection = guardFailure(env, err);
+  }
+  if (rejection) {
+    const data = { channel: "upload", source_page: request.headers.get("Referer") || "" };
+    context.waitUntil(logRejection(env, request, data, rejection));
+    return json({ ok: false, error: rejection.error }, rejection.status);
+  }
+
+  try {
+    return json({ ok: true, ...(await issueUploadTicket(env, request)) });
+  } catch (err) {
+    console.error("Upload ticket failed:", err);
+    return json({ ok: false, error: "Photo uploads are unavailable right now" }, 502);
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...CORS },
+  });
+}
@@ -16,10 +16,12 @@
  * env.SUPABASE_SERVICE_KEY isn't set, we fall through and serve the static
  * memorial.html unchanged. The client JS shows "Product not found" or its
  * normal "no slug" message.
+ *
+ * URLs and the brand name are the organisation's the request is for
+ * (functions/_lib/org.js).
  */
 
-const BASE = "https://searsmelvin.co.uk";
-const FALLBACK_IMAGE = `${BASE}/sm-logo.svg`;
+import { orgEnv, orgOf, orgUnavailable } from "../_lib/org.js";
 
 // Asset requests (favicon.svg, robots.txt, *.map …) can be resolved by the
 // browser against /memorials/<slug>/ and land on this route. They're never
@@ -56,9 +58,10 @@ function clip(str, n) {
   return s.length > n ? s.slice(0, n - 1).trimEnd() + "…" : s;
 }
 
-function buildSchema(product, canonicalUrl) {
+function buildSchema(org, product, canonicalUrl) {
+  const base = org.siteUrl;
   const catName = product.product_categories?.name || "Memorial";
-  const productImage = product.image_url || FALLBACK_IMAGE;
+  const productImage = product.image_url || fallbackImage(org);
   const price = parseFloat(product.base_price);
 
   const productLd = {
@@ -69,28 +72,28 @@ function buildSchema(product, canonicalUrl) {
     image: productImage,
     sku: product.slug || String(product.id || ""),
     category: catName,
-    brand: { "@type": "Brand", name: "Sears Melvin Memorials" },
+    brand: { "@type": "Brand", name: org.name },
     offers: {
       "@type": "Offer",
       url: canonicalUrl,
       priceCurrency: "GBP",
       price: Number.isFinite(price) ? price.toFixed(2) : undefined,
       availability: "https://schema.org/MadeToOrder",
-      seller: { "@type": "Organization", name: "Sears Melvin Memorials" },
+      seller: { "@type": "Organization", name: org.name },
     },
   };
 
   const catSlug = product.product_categories?.slug;
   const crumbs = [
-    { "@type": "ListItem", position: 1, name: "Home", item: `${BASE}/` },
-    { "@type": "ListItem", position: 2, name: "Memorials", item: `${BASE}/memorials` },
+    { "@type": "ListItem", position: 1, name: "Home", item: `${base}/` },
+    { "@type": "ListItem", position: 2, name: "Memorials", item: `${base}/memorials` },
   ];
   if (catSlug) {
     crumbs.push({
       "@type": "ListItem",
       position: 3,
       name: catName,
-      item: `${BASE}/memorials?type=${encodeURIComponent(catSlug)}`,
+      item: `${base}/memorials?type=${encodeURIComponent(catSlug)}`,
     });
     crumbs.push({ "@type": "ListItem", position: 4, name: product.name, item: canonicalUrl });
   } else {
@@ -106,7 +109,15 @@ function buildSchema(product, canonicalUrl) {
   return { productLd, breadcrumbLd };
 }
 
-export async function onRequestGet({ request, env, params }) {
+function fallbackImage(org) {
+  return `${org.siteUrl}/sm-logo.svg`;
+}
+
+export async function onRequestGet(context) {
+  const { request, params } = context;
+  const env = await orgEnv(context);
+  if (!env) return orgUnavailable();
+  const org = orgOf(env);
   const slug = params && params.slug;
   // Always serve memorial.html as the body. If we have product data we
   // rewrite tags inside it; if not, we pass it through unchanged.
@@ -118,13 +129,13 @@ export async function onRequestGet({ request, env, params }) {
   const product = await fetchProduct(env, slug);
   if (!product) return shell;
 
-  const canonicalUrl = `${BASE}/memorials/${encodeURIComponent(product.slug)}`;
-  const title = `${product.name} | Sears Melvin Memorials`;
+  const canonicalUrl = `${org.siteUrl}/memorials/${encodeURIComponent(product.slug)}`;
+  const title = `${product.name} | ${org.name}`;
   const desc = clip(product.description, 200) ||
     "Hand-finished memorial with 30-year guarantee. Configure your memorial online.";
-  const imageUrl = product.image_url || FALLBACK_IMAGE;
+  const imageUrl = product.image_url || fallbackImage(org);
 
-  const { productLd, breadcrumbLd } = buildSchema(product, canonicalUrl);
+  const { productLd, breadcrumbLd } = buildSchema(org, product, canonicalUrl);
 
   return new HTMLRewriter()
     .on("title", {
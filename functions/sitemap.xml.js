@@ -3,9 +3,11 @@
  * can crawl the catalogue without a manual rebuild on every product change.
  *
  * Path: /sitemap.xml (Cloudflare Pages routes the .js file to this URL).
+ * URLs are on the site of the organisation the request is for
+ * (functions/_lib/org.js).
  */
 
-const BASE = "https://searsmelvin.co.uk";
+import { orgEnv, orgOf, orgUnavailable } from "./_lib/org.js";
 
 // Static, hand-maintained set. Customer-facing only — never list /admin,
 // /track, /partner, /quote (all noindex or login-gated).
@@ -73,13 +75,16 @@ function urlEntry({ loc, lastmod, priority, changefreq }) {
   ].filter(Boolean).join("\n");
 }
 
-export async function onRequestGet({ env }) {
+export async function onRequestGet(context) {
+  const env = await orgEnv(context);
+  if (!env) return orgUnavailable();
+  const base = orgOf(env).siteUrl;
   const products = await fetchProducts(env);
   const today = todayIso();
 
   const staticEntries = STATIC_PAGES.map((p) =>
     urlEntry({
-      loc: BASE + p.path,
+      loc: base + p.path,
       lastmod: today,
       priority: p.priority,
       changefreq: p.changefreq,
@@ -88,7 +93,7 @@ export async function onRequestGet({ env }) {
 
   const productEntries = products.map((p) =>
     urlEntry({
-      loc: `${BASE}/memorials/${encodeURIComponent(p.slug)}`,
+      loc: `${base}/memorials/${encodeURIComponent(p.slug)}`,
       lastmod: (p.updated_at || p.created_at || today).split("T")[0],
       priority: "0.7",
       changefreq: "monthly",
@@ -0,0 +1,30 @@
+-- Prevent double-booked appointment slots.
+--
+-- /api/availability hides slots that already have an enquiries.appointment_at
+-- row, and /api/submit re-checks the chosen slot before saving. Two customers
+-- submitting the same slot at the same moment can still both pass that check,
+-- so this partial unique index is the final backstop: the second insert fails
+-- with 23505 and /api/submit answers 409 "that time has just been booked".
+--
+-- Cancelled appointments release their slot.
+
+-- 1. Check for existing duplicates first — the index can't be built while any
+--    remain. Resolve them (cancel one of each pair) before running step 2.
+--
+-- SELECT organization_id, appointment_at, count(*)
+--   FROM public.enquiries
+--  WHERE appointment_at IS NOT NULL
+--    AND status IS DISTINCT FROM 'cancelled'
+--  GROUP BY 1, 2
+-- HAVING count(*) > 1;
+
+-- 2. The guard.
+CREATE UNIQUE INDEX IF NOT EXISTS enquiries_appointment_slot_uniq
+  ON public.enquiries (organization_id, appointment_at)
+  WHERE appointment_at IS NOT NULL
+    AND status IS DISTINCT FROM 'cancelled';
+
+-- 3. Supports the range lookup /api/availability runs on every request.
+CREATE INDEX IF NOT EXISTS enquiries_appointment_at_idx
+  ON public.enquiries (appointment_at)
+  WHERE appointment_at IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Customer self-service reschedule / cancel for appointments.
+--
+-- /api/submit now gives every appointment enquiry a random `manage_token`
+-- (linked from the confirmation email and the /track portal) and records the
+-- Google Calendar event it created in `google_event_id`, so /api/appointment
+-- can move or delete that event when the customer changes their booking.
+--
+-- Cancelling sets enquiries.status = 'cancelled', which also releases the slot
+-- in enquiries_appointment_slot_uniq (2026-10-19-01-appointment-slot-guard.sql).
+
+ALTER TABLE public.enquiries
+  ADD COLUMN IF NOT EXISTS manage_token text,
+  ADD COLUMN IF NOT EXISTS google_event_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS enquiries_manage_token_uniq
+  ON public.enquiries (manage_token)
+  WHERE manage_token IS NOT NULL;
+
+-- Backfill tokens for upcoming appointments booked before this change so the
+-- portal can offer them the same controls. Past appointments are left alone.
+UPDATE public.enquiries
+   SET manage_token = encode(extensions.gen_random_bytes(24), 'hex')
+ WHERE manage_token IS NULL
+   AND appointment_at IS NOT NULL
+   AND appointment_at > now()
+   AND status IS DISTINCT FROM 'cancelled';
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,298 @@
+-- Durable outbox for /api/submit side-effects.
+--
+-- Customer / business emails, ClickUp tasks, GHL contacts + opportunities and
+-- Google Calendar events used to run fire-and-forget inside ctx.waitUntil; a
+-- Resend or ClickUp outage meant the work was logged and lost. Now the worker
+-- hands the side-effects to the save RPC as an `outbox` array and they are
+-- written IN THE SAME TRANSACTION as the quote / enquiry. A job is only ever
+-- deleted by hand — it ends as 'sent' or, after max_attempts, 'dead'.
+--
+-- Processing (functions/_lib/outbox.js):
+--   • /api/submit processes its own jobs straight after responding, so the
+--     happy path is as fast as before.
+--   • /api/cron (hit every few minutes by workers/cron) retries anything still
+--     pending, with exponential backoff between attempts.
+--   • The admin Outbox tab lists jobs and has a "retry now" button.
+--
+-- Job shape (one element of payload->'outbox'):
+--   { kind, label, payload, depends_on_index? }
+-- depends_on_index points at an earlier element in the same array; the job is
+-- not claimed until that one is 'sent' or 'dead', and its handler receives the
+-- dependency's `result` (e.g. the calendar link for the appointment email, the
+-- GHL contact id for the opportunity).
+--
+-- Depends on 2026-05-20-create-quote-rpc.sql (create_quote is redefined here)
+-- and 2026-10-19-02-appointment-manage-token.sql (enquiries.manage_token).
+
+-- 1. The table. enquiry_id / order_id are text so this works whether those
+--    ids are uuid or bigint (same approach as create_quote's ::text compares).
+CREATE TABLE IF NOT EXISTS public.outbox (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id  uuid,
+  kind             text NOT NULL,
+  label            text,
+  payload          jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status           text NOT NULL DEFAULT 'pending'
+                   CHECK (status IN ('pending', 'processing', 'sent', 'dead')),
+  attempts         integer NOT NULL DEFAULT 0,
+  max_attempts     integer NOT NULL DEFAULT 10,
+  next_attempt_at  timestamptz NOT NULL DEFAULT now(),
+  locked_until     timestamptz,
+  depends_on       uuid REFERENCES public.outbox(id) ON DELETE SET NULL,
+  result           jsonb,
+  last_error       text,
+  enquiry_id       text,
+  order_id         text,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  completed_at     timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS outbox_due_idx
+  ON public.outbox (next_attempt_at)
+  WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS outbox_status_created_idx
+  ON public.outbox (status, created_at DESC);
+
+-- Service role only — no anon / authenticated access.
+ALTER TABLE public.outbox ENABLE ROW LEVEL SECURITY;
+
+-- 2. Shared enqueue helper used by the save RPCs below.
+create or replace function public.enqueue_outbox(
+  p_org uuid, p_jobs jsonb, p_enquiry_id text, p_order_id text
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_ids  uuid[] := '{}';
+  v_job  jsonb;
+  v_dep  uuid;
+  v_id   uuid;
+begin
+  if p_jobs is null or jsonb_typeof(p_jobs) <> 'array' then
+    return '[]'::jsonb;
+  end if;
+
+  for v_job in select value from jsonb_array_elements(p_jobs) loop
+    v_dep := null;
+    if v_job ? 'depends_on_index' then
+      -- Arrays are 1-based; depends_on_index is the 0-based JS index.
+      v_dep := v_ids[(v_job->>'depends_on_index')::int + 1];
+    end if;
+
+    insert into public.outbox (organization_id, kind, label, payload, depends_on, enquiry_id, order_id)
+    values (
+      p_org,
+      v_job->>'kind',
+      nullif(v_job->>'label', ''),
+      coalesce(v_job->'payload', '{}'::jsonb),
+      v_dep,
+      p_enquiry_id,
+      p_order_id
+    )
+    returning id into v_id;
+    v_ids := v_ids || v_id;
+  end loop;
+
+  return to_jsonb(v_ids);
+end;
+$$;
+
+-- 3. create_quote — unchanged from 2026-05-20 apart from step 5 and the
+--    `outbox_ids` in the return value.
+create or replace function public.create_quote(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_org         public.people.organization_id%type := (payload->>'organization_id')::uuid;
+  v_email       text  := lower(trim(payload->>'email'));
+  v_first       text  := nullif(payload->>'first_name', '');
+  v_last        text  := nullif(payload->>'last_name', '');
+  v_phone       text  := nullif(payload->>'phone', '');
+  v_name        text  := nullif(payload->>'name', '');
+  v_message     text  := nullif(payload->>'message', '');
+  v_source_page text  := nullif(payload->>'source_page', '');
+  v_location    text  := nullif(payload->>'location', '');
+  v_cem_in      text  := nullif(payload->>'cemetery_id', '');
+  v_edit_token  text  := nullif(payload->>'edit_token', '');
+  v_product     jsonb := payload->'product';
+  v_person_id   public.people.id%type;
+  v_order_id    public.orders.id%type;
+  v_enq_id      public.enquiries.id%type;
+  v_cemetery_id public.cemeteries.id%type;
+  v_outbox_ids  jsonb;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'create_quote: email is required';
+  end if;
+
+  if v_edit_token is null then
+    v_edit_token := encode(extensions.gen_random_bytes(24), 'hex');
+  end if;
+
+  -- 1. Person upsert (dedupe by globally-unique email).
+  select id into v_person_id from public.people where email = v_email limit 1;
+  if v_person_id is null then
+    begin
+      insert into public.people (organization_id, email, first_name, last_name, phone)
+      values (v_org, v_email, v_first, v_last, v_phone)
+      returning id into v_person_id;
+    exception when unique_violation then
+      select id into v_person_id from public.people where email = v_email limit 1;
+    end;
+  else
+    update public.people set
+      first_name = coalesce(v_first, first_name),
+      last_name  = coalesce(nullif(v_last, '-'), last_name),
+      phone      = coalesce(v_phone, phone)
+    where id = v_person_id;
+  end if;
+
+  -- 2. Resolve cemetery: prefer the supplied id, else best-effort name match.
+  if v_cem_in is not null then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.id::text = v_cem_in
+    limit 1;
+  elsif v_location is not null and char_length(v_location) >= 3 then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.is_active = true
+      and (c.name ilike v_location
+           or c.name ilike v_location || '%'
+           or c.name ilike '%' || v_location || '%')
+    order by (c.name ilike v_location) desc,
+             (c.name ilike v_location || '%') desc
+    limit 1;
+  end if;
+
+  -- 3. Order — the durable quote record.
+  insert into public.orders (
+    organization_id, person_id, customer_name, person_name, order_type,
+    sku, color, value, permit_fee, location, cemetery_id, edit_token,
+    product_config, notes, inscription_text
+  ) values (
+    v_org, v_person_id,
+    coalesce(v_name, 'Website lead'), v_name, 'quote',
+    nullif(v_product->>'name', ''),
+    nullif(v_product->>'colour', ''),
+    nullif(v_product->>'price', '')::numeric,
+    nullif(v_product->>'permit_fee', '')::numeric,
+    v_location,
+    v_cemetery_id,
+    v_edit_token,
+    v_product::text,
+    v_message,
+    nullif(v_product->>'inscription', '')
+  )
+  returning id into v_order_id;
+
+  -- 4. Enquiry — CRM inbox record, linked to the order.
+  insert into public.enquiries (
+    organization_id, person_id, channel, source_page, message,
+    location, cemetery_id, details, order_id
+  ) values (
+    v_org, v_person_id, 'quote', v_source_page, v_message,
+    v_location, v_cemetery_id, v_product, v_order_id
+  )
+  returning id into v_enq_id;
+
+  -- 5. Side-effects (emails, ClickUp, GHL) — committed with the quote or not at all.
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, v_order_id::text);
+
+  return jsonb_build_object(
+    'person_id',  v_person_id,
+    'order_id',   v_order_id,
+    'enquiry_id', v_enq_id,
+    'edit_token', v_edit_token,
+    'outbox_ids', v_outbox_ids
+  );
+end;
+$$;
+
+-- 4. create_enquiry — contact / shortlist / appointment saves. The worker has
+--    already upserted the person and resolved the cemetery (createEnquiry in
+--    submit.js); this inserts the enquiry row and its outbox jobs atomically.
+--    payload: { enquiry: { ...enquiries columns }, outbox: [...] }
+--    jsonb_populate_record keeps the column types (photo_urls, details, ids)
+--    owned by the table rather than hard-coded here.
+create or replace function public.create_enquiry(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_enq_id     public.enquiries.id%type;
+  v_org        public.enquiries.organization_id%type;
+  v_outbox_ids jsonb;
+begin
+  insert into public.enquiries (
+    organization_id, person_id, channel, sub_type, source_page, message,
+    contact_pref, location, cemetery_id, appointment_at, appointment_kind,
+    manage_token, photo_urls, details, order_id
+  )
+  select
+    r.organization_id, r.person_id, r.channel, r.sub_type, r.source_page, r.message,
+    r.contact_pref, r.location, r.cemetery_id, r.appointment_at, r.appointment_kind,
+    r.manage_token, r.photo_urls, r.details, r.order_id
+  from jsonb_populate_record(null::public.enquiries, payload->'enquiry') r
+  returning id, organization_id into v_enq_id, v_org;
+
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, null);
+
+  return jsonb_build_object('enquiry_id', v_enq_id, 'outbox_ids', v_outbox_ids);
+end;
+$$;
+
+-- 5. claim_outbox — lease up to p_limit due jobs (optionally only p_ids) for
+--    this worker. SKIP LOCKED lets the submit-time run and the cron run
+--    overlap safely; an expired lease (worker died mid-job) is reclaimable.
+create or replace function public.claim_outbox(
+  p_limit integer default 20, p_ids uuid[] default null, p_lease_seconds integer default 300
+)
+returns setof public.outbox
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+begin
+  return query
+  update public.outbox o set
+    status       = 'processing',
+    attempts     = o.attempts + 1,
+    locked_until = now() + make_interval(secs => p_lease_seconds),
+    updated_at   = now()
+  where o.id in (
+    select c.id
+    from public.outbox c
+    where ((c.status = 'pending' and c.next_attempt_at <= now())
+           or (c.status = 'processing' and c.locked_until < now()))
+      and (p_ids is null or c.id = any(p_ids))
+      and (c.depends_on is null or exists (
+            select 1 from public.outbox d
+            where d.id = c.depends_on and d.status in ('sent', 'dead')))
+    order by c.created_at
+    limit p_limit
+    for update skip locked
+  )
+  returning o.*;
+end;
+$$;
+
+revoke all on function public.enqueue_outbox(uuid, jsonb, text, text) from public;
+revoke all on function public.create_quote(jsonb) from public;
+revoke all on function public.create_enquiry(jsonb) from public;
+revoke all on function public.claim_outbox(integer, uuid[], integer) from public;
+grant execute on function public.enqueue_outbox(uuid, jsonb, text, text) to service_role;
+grant execute on function public.create_quote(jsonb) to service_role;
+grant execute on function public.create_enquiry(jsonb) to service_role;
+grant execute on function public.claim_outbox(integer, uuid[], integer) to service_role;
+
+notify pgrst, 'reload schema';
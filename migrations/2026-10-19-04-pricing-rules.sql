@@ -0,0 +1,64 @@
+-- Pricing rules for the server-side pricing engine (functions/_lib/pricing.js).
+--
+-- Quote totals used to be computed in the browser and stored as given, with
+-- the premium-colour surcharge, garden kerb, kerb infill and photo plaque
+-- prices hard-coded in memorial.html. They now live here; the configurator
+-- reads them for display and /api/submit, /api/quotes and /api/partner-orders
+-- re-price every quote from them plus products.base_price, product_sizes,
+-- stone_colours.is_premium and product_addons.
+--
+-- A rule is (rule_key, option_key, category_slug) → amount. An empty
+-- category_slug is the default for every category; a row for a specific
+-- category overrides it. An empty option_key means the rule has no options.
+--
+--   premium_colour  —           surcharge for any non-standard stone colour
+--   garden_kerb     —           kerb surround add-on (not offered on kerb sets
+--                               or cremation memorials)
+--   kerb_infill     none/soil/coverslab/chippings   kerb sets only
+--   photo_plaque    small/medium/large              oval / rectangle / heart;
+--                                                    replaces product_addons'
+--                                                    single photo-plaque price
+--
+-- Values match what memorial.html charged before this migration.
+
+CREATE TABLE IF NOT EXISTS public.pricing_rules (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_key       text NOT NULL,
+  option_key     text NOT NULL DEFAULT '',
+  category_slug  text NOT NULL DEFAULT '',
+  label          text NOT NULL,
+  amount         numeric(10,2) NOT NULL CHECK (amount >= 0),
+  display_order  integer NOT NULL DEFAULT 0,
+  is_active      boolean NOT NULL DEFAULT true,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (rule_key, option_key, category_slug)
+);
+
+-- The configurator reads active rules with the anon key, like stone_colours.
+ALTER TABLE public.pricing_rules ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS pricing_rules_public_read ON public.pricing_rules;
+CREATE POLICY pricing_rules_public_read ON public.pricing_rules
+  FOR SELECT TO anon, authenticated
+  USING (is_active);
+
+INSERT INTO public.pricing_rules (rule_key, option_key, category_slug, label, amount, display_order) VALUES
+  ('premium_colour', '',          '',                    'Premium colour',                       125, 0),
+  ('premium_colour', '',          'kerb-sets',           'Premium colour',                       350, 0),
+  ('premium_colour', '',          'cremation-memorials', 'Premium colour',                        90, 0),
+  ('garden_kerb',    '',          '',                    'Garden Kerb Surround',                 350, 0),
+  ('kerb_infill',    'none',      'kerb-sets',           'Kerb Infill — None',                     0, 0),
+  ('kerb_infill',    'soil',      'kerb-sets',           'Kerb Infill — Soil',                    80, 1),
+  ('kerb_infill',    'chippings', 'kerb-sets',           'Kerb Infill — Chippings',              250, 2),
+  ('kerb_infill',    'coverslab', 'kerb-sets',           'Kerb Infill — Coverslab',              950, 3),
+  ('photo_plaque',   'small',     '',                    'Ceramic Photo Plaque — Oval',          160, 0),
+  ('photo_plaque',   'medium',    '',                    'Ceramic Photo Plaque — Rectangle',     200, 1),
+  ('photo_plaque',   'large',     '',                    'Ceramic Photo Plaque — Heart',         240, 2)
+ON CONFLICT (rule_key, option_key, category_slug) DO NOTHING;
+
+-- ============================================================================
+-- Verification (copy/paste to check):
+--   SELECT rule_key, option_key, category_slug, amount
+--   FROM public.pricing_rules ORDER BY rule_key, category_slug, display_order;
+--   -- expect 11 rows
+-- ============================================================================
@@ -0,0 +1,80 @@
+-- Bot / spam protection for /api/submit (functions/_lib/submit-guard.js).
+--
+-- Every junk POST used to create a person, an enquiry, two emails, a ClickUp
+-- task and a GHL contact. The endpoint now checks a honeypot field and a
+-- Cloudflare Turnstile token, then throttles per IP and per email address.
+-- Throttle counters live here rather than in isolate memory so every
+-- Cloudflare isolate sees the same counts.
+--
+-- Rejected submissions are written to submit_rejections with a reason code
+-- (honeypot, turnstile_missing, turnstile_failed, throttled_ip,
+-- throttled_email) and listed in the admin Spam tab for tuning thresholds.
+-- /api/cron prunes both tables.
+
+-- 1. Fixed-window counters: one row per bucket ("ip:1.2.3.4", "email:a@b.c")
+--    per window.
+CREATE TABLE IF NOT EXISTS public.submit_throttle (
+  bucket        text NOT NULL,
+  window_start  timestamptz NOT NULL,
+  hits          integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS submit_throttle_window_idx
+  ON public.submit_throttle (window_start);
+
+ALTER TABLE public.submit_throttle ENABLE ROW LEVEL SECURITY;
+
+-- 2. Rejection log.
+CREATE TABLE IF NOT EXISTS public.submit_rejections (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  reason       text NOT NULL,
+  channel      text,
+  ip           text,
+  email        text,
+  user_agent   text,
+  source_page  text,
+  detail       jsonb
+);
+
+CREATE INDEX IF NOT EXISTS submit_rejections_created_idx
+  ON public.submit_rejections (created_at DESC);
+CREATE INDEX IF NOT EXISTS submit_rejections_reason_idx
+  ON public.submit_rejections (reason, created_at DESC);
+
+ALTER TABLE public.submit_rejections ENABLE ROW LEVEL SECURITY;
+
+-- 3. Count a hit against each bucket in the current window and return the
+--    new totals. One round trip for the IP and email checks together; the
+--    upsert makes concurrent hits from different isolates add up correctly.
+--    The conflict target names the constraint: a column list would clash
+--    with the `bucket` output column ("column reference is ambiguous").
+create or replace function public.submit_throttle_hit(
+  p_buckets text[], p_window_seconds integer default 3600
+)
+returns table (bucket text, hits integer)
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_window timestamptz := to_timestamp(
+    floor(extract(epoch from now()) / p_window_seconds) * p_window_seconds
+  );
+begin
+  return query
+  insert into public.submit_throttle as t (bucket, window_start, hits)
+  select b, v_window, 1
+  from unnest(p_buckets) as b
+  where b is not null and b <> ''
+  on conflict on constraint submit_throttle_pkey do update
+    set hits = t.hits + 1
+  returning t.bucket, t.hits;
+end;
+$$;
+
+revoke all on function public.submit_throttle_hit(text[], integer) from public;
+grant execute on function public.submit_throttle_hit(text[], integer) to service_role;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,14 @@
+-- Calendar files (.ics) for appointments.
+--
+-- The customer's booking email carries an RFC 5545 .ics (SEQUENCE 0). Each
+-- reschedule / cancel through /api/appointment sends a replacement with a
+-- higher SEQUENCE so calendar apps update the existing entry instead of
+-- adding a second one — `ics_sequence` remembers the last number sent.
+--
+-- /api/staff-calendar serves the same appointments as a subscribable feed and
+-- reports `ics_sequence` too, so subscribed clients pick up moves.
+
+ALTER TABLE public.enquiries
+  ADD COLUMN IF NOT EXISTS ics_sequence integer NOT NULL DEFAULT 0;
+
+notify pgrst, 'reload schema';
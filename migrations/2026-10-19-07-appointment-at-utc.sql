@@ -0,0 +1,105 @@
+-- Store enquiries.appointment_at as the real UTC instant.
+--
+-- Until now the column held the customer's Europe/London wall-clock time
+-- labelled as UTC ("10:00 London" saved as 10:00Z whatever the season):
+-- handleEnquiry built `${date}T${time}:00Z` by hand and handleAppointment /
+-- /api/appointment relied on the Worker's clock being UTC. Anything that
+-- treated the value as an instant — admin dates, the portal's "upcoming"
+-- check, Google Calendar events made from the ISO, other systems reading the
+-- table — was an hour out for the whole of BST.
+--
+-- The Functions now convert with functions/_lib/schedule.js (londonToUtc /
+-- utcToLondon) and mark every row they write with appointment_at_utc = true.
+-- This migration re-reads the existing wall-clock values as London time and
+-- flags them, so a row is only ever converted once.
+--
+-- Rollout:
+--   1. Run this file (adds the column + updated create_enquiry, converts rows).
+--   2. Deploy the Functions straight away.
+--   3. Run step 3 below again — it's idempotent, and picks up bookings the
+--      old code saved between steps 1 and 2. (A reschedule in that window
+--      isn't caught; the review query at the bottom will show it.)
+--
+-- Known gap: a handful of very old contact-form bookings sent only an ISO
+-- `appointment_at` from the browser, which was already a true instant. They
+-- can't be told apart from the rest, so a summer one is now an hour early;
+-- the query at the bottom lists upcoming appointments for a quick check.
+
+-- 1. The marker. Existing rows start false (= wall-clock, not yet converted).
+ALTER TABLE public.enquiries
+  ADD COLUMN IF NOT EXISTS appointment_at_utc boolean NOT NULL DEFAULT false;
+
+-- 2. create_enquiry (2026-10-19-03-outbox.sql) lists its columns explicitly, so
+--    it has to learn the new one to pass the worker's `true` through.
+create or replace function public.create_enquiry(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_enq_id     public.enquiries.id%type;
+  v_org        public.enquiries.organization_id%type;
+  v_outbox_ids jsonb;
+begin
+  insert into public.enquiries (
+    organization_id, person_id, channel, sub_type, source_page, message,
+    contact_pref, location, cemetery_id, appointment_at, appointment_at_utc,
+    appointment_kind, manage_token, photo_urls, details, order_id
+  )
+  select
+    r.organization_id, r.person_id, r.channel, r.sub_type, r.source_page, r.message,
+    r.contact_pref, r.location, r.cemetery_id, r.appointment_at, coalesce(r.appointment_at_utc, false),
+    r.appointment_kind, r.manage_token, r.photo_urls, r.details, r.order_id
+  from jsonb_populate_record(null::public.enquiries, payload->'enquiry') r
+  returning id, organization_id into v_enq_id, v_org;
+
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, null);
+
+  return jsonb_build_object('enquiry_id', v_enq_id, 'outbox_ids', v_outbox_ids);
+end;
+$$;
+
+revoke all on function public.create_enquiry(jsonb) from public;
+grant execute on function public.create_enquiry(jsonb) to service_role;
+
+-- 3. The backfill. `appointment_at AT TIME ZONE 'UTC'` recovers the stored
+--    wall-clock time; `AT TIME ZONE 'Europe/London'` reads it as London time
+--    and gives the real instant. The slot guard
+--    (2026-10-19-01-appointment-slot-guard.sql) is dropped for the duration:
+--    shifting summer rows an hour earlier can momentarily collide with a
+--    neighbouring, not-yet-shifted row, and a unique index can't be deferred.
+BEGIN;
+
+DROP INDEX IF EXISTS public.enquiries_appointment_slot_uniq;
+
+UPDATE public.enquiries
+   SET appointment_at = (appointment_at AT TIME ZONE 'UTC') AT TIME ZONE 'Europe/London',
+       appointment_at_utc = true
+ WHERE appointment_at IS NOT NULL
+   AND NOT appointment_at_utc;
+
+-- Rows without an appointment have nothing to convert.
+UPDATE public.enquiries
+   SET appointment_at_utc = true
+ WHERE appointment_at IS NULL
+   AND NOT appointment_at_utc;
+
+CREATE UNIQUE INDEX IF NOT EXISTS enquiries_appointment_slot_uniq
+  ON public.enquiries (organization_id, appointment_at)
+  WHERE appointment_at IS NOT NULL
+    AND status IS DISTINCT FROM 'cancelled';
+
+COMMIT;
+
+notify pgrst, 'reload schema';
+
+-- Review: upcoming appointments in London time, to compare with the
+-- showroom Google Calendar (whose events were always created in London time).
+--
+-- SELECT id, appointment_kind, google_event_id,
+--        appointment_at AT TIME ZONE 'Europe/London' AS london_time
+--   FROM public.enquiries
+--  WHERE appointment_at > now()
+--    AND status IS DISTINCT FROM 'cancelled'
+--  ORDER BY appointment_at;
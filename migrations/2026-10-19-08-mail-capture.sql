@@ -0,0 +1,30 @@
+-- Captured outgoing email (functions/_lib/mail.js, MAIL_TRANSPORT=capture).
+--
+-- Every Function now sends through one mail transport. In development and
+-- preview deployments the "capture" transport stores the rendered message
+-- here instead of delivering it, and the admin Mailbox tab lists what would
+-- have been sent — HTML, plain-text alternative, recipients, reply-to and
+-- attachments (base64, as handed to the transport).
+--
+-- Production keeps MAIL_TRANSPORT unset (Resend) or smtp, so the table stays
+-- empty there. "Clear mailbox" in the admin empties it.
+
+CREATE TABLE IF NOT EXISTS public.mail_capture (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  from_address   text NOT NULL,
+  to_addresses   text[] NOT NULL DEFAULT '{}',
+  cc_addresses   text[] NOT NULL DEFAULT '{}',
+  reply_to       text,
+  subject        text NOT NULL DEFAULT '',
+  html           text,
+  text_body      text,
+  attachments    jsonb NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS mail_capture_created_idx
+  ON public.mail_capture (created_at DESC);
+
+ALTER TABLE public.mail_capture ENABLE ROW LEVEL SECURITY;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,25 @@
+-- Staff wording for customer emails (functions/_lib/email-templates.js).
+--
+-- Every email is now a named template with built-in subject and copy. The
+-- admin Email Templates tab lets staff reword the customer-facing ones; what
+-- they change is stored here, one row per template, and read when the email
+-- is sent — no deploy needed.
+--
+--   subject  custom subject line, or null for the built-in one
+--   copy     { "<copy key>": "text", ... } — only the fields that differ
+--            from the built-in text, so improvements to the defaults still
+--            reach everything staff haven't touched
+--
+-- "Reset to default" deletes the row. Only the service role (Functions)
+-- reads or writes it.
+
+CREATE TABLE IF NOT EXISTS public.email_template_copy (
+  template    text PRIMARY KEY,
+  subject     text,
+  copy        jsonb NOT NULL DEFAULT '{}'::jsonb,
+  updated_at  timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.email_template_copy ENABLE ROW LEVEL SECURITY;
+
+notify pgrst, 'reload schema';
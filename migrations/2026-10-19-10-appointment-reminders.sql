@@ -0,0 +1,68 @@
+-- Appointment reminders (functions/_lib/reminders.js, run by /api/cron).
+--
+-- Every few minutes the cron job looks for appointments coming up within the
+-- reminder offsets (APPOINTMENT_REMINDER_OFFSETS, default 24h and 2h) and
+-- queues an email — and an SMS when the person has a phone number — through
+-- the outbox, so a provider outage is retried like any other side-effect.
+--
+-- One row here per (appointment, moment, offset). The unique index is what
+-- stops a reminder going out twice: claim_appointment_reminder() inserts the
+-- row and enqueues the outbox jobs in one transaction, and does nothing if
+-- the row already exists. appointment_at is part of the key, so a
+-- rescheduled appointment gets fresh reminders for its new time.
+--
+-- Depends on 2026-10-19-03-outbox.sql (enqueue_outbox).
+
+CREATE TABLE IF NOT EXISTS public.appointment_reminders (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  enquiry_id       text NOT NULL,
+  appointment_at   timestamptz NOT NULL,
+  offset_minutes   integer NOT NULL CHECK (offset_minutes > 0),
+  channels         text[] NOT NULL DEFAULT '{}',
+  outbox_ids       jsonb NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS appointment_reminders_once_uniq
+  ON public.appointment_reminders (enquiry_id, appointment_at, offset_minutes);
+CREATE INDEX IF NOT EXISTS appointment_reminders_created_idx
+  ON public.appointment_reminders (created_at DESC);
+
+ALTER TABLE public.appointment_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Records the reminder and queues its jobs ({ kind, label, payload } as for
+-- create_enquiry). Returns the new outbox ids, or null if this reminder was
+-- already claimed by an earlier (or concurrent) run.
+create or replace function public.claim_appointment_reminder(
+  p_org uuid, p_enquiry_id text, p_appointment_at timestamptz,
+  p_offset_minutes integer, p_channels text[], p_jobs jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_id         uuid;
+  v_outbox_ids jsonb;
+begin
+  insert into public.appointment_reminders (organization_id, enquiry_id, appointment_at, offset_minutes, channels)
+  values (p_org, p_enquiry_id, p_appointment_at, p_offset_minutes, coalesce(p_channels, '{}'))
+  on conflict (enquiry_id, appointment_at, offset_minutes) do nothing
+  returning id into v_id;
+
+  if v_id is null then
+    return null;
+  end if;
+
+  v_outbox_ids := public.enqueue_outbox(p_org, p_jobs, p_enquiry_id, null);
+  update public.appointment_reminders set outbox_ids = v_outbox_ids where id = v_id;
+  return v_outbox_ids;
+end;
+$$;
+
+revoke all on function public.claim_appointment_reminder(uuid, text, timestamptz, integer, text[], jsonb) from public;
+grant execute on function public.claim_appointment_reminder(uuid, text, timestamptz, integer, text[], jsonb) to service_role;
+
+notify pgrst, 'reload schema';
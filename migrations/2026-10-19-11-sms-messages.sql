@@ -0,0 +1,42 @@
+-- Text messages (SMS / WhatsApp) to customers (functions/_lib/sms.js).
+--
+-- Some customers only answer texts. The contact and appointment forms already
+-- ask how they'd like to hear back (contact_pref); that answer now also lives
+-- on the person, so later messages — appointment confirmations, proof-ready
+-- notices, payment receipts — can follow it. 'sms' and 'whatsapp' mean "text
+-- me"; anything else (email / phone / appointment) keeps them on email.
+--
+-- Every text that is handed to the provider gets a row in sms_messages, tied
+-- to the person. The provider's delivery callbacks (/api/sms-status) move its
+-- status along: queued → sent → delivered / undelivered / failed (and read,
+-- for WhatsApp). With SMS_PROVIDER=log nothing is sent; the row is the record.
+
+-- 1. The person's latest stated preference.
+ALTER TABLE public.people
+  ADD COLUMN IF NOT EXISTS contact_pref text;
+
+-- 2. The message log.
+CREATE TABLE IF NOT EXISTS public.sms_messages (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  organization_id    uuid,
+  person_id          uuid REFERENCES public.people(id) ON DELETE SET NULL,
+  channel            text NOT NULL DEFAULT 'sms' CHECK (channel IN ('sms', 'whatsapp')),
+  purpose            text,
+  to_number          text NOT NULL,
+  body               text NOT NULL,
+  provider           text NOT NULL,
+  provider_id        text,
+  status             text NOT NULL DEFAULT 'queued',
+  error_code         text,
+  status_updated_at  timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS sms_messages_provider_id_uniq
+  ON public.sms_messages (provider, provider_id) WHERE provider_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS sms_messages_person_idx
+  ON public.sms_messages (person_id, created_at DESC);
+
+ALTER TABLE public.sms_messages ENABLE ROW LEVEL SECURITY;
+
+notify pgrst, 'reload schema';
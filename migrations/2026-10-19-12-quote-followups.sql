@@ -0,0 +1,159 @@
+-- Follow-up emails for quotes nobody has acted on
+-- (functions/_lib/quote-followups.js, run by /api/cron).
+--
+-- A quote from create_quote sits at status 'pending' until someone chases it.
+-- The cron job now emails the customer a link back to their quote (the
+-- edit_token) on a sequence of days after it was made — QUOTE_FOLLOWUP_DAYS,
+-- default 3, 10 and 30.
+--
+--   quote_followups       one row per quote: where it is in the sequence.
+--                         status 'active' → 'finished' after the last step,
+--                         or 'stopped' (stop_reason) when the quote is
+--                         accepted / paid, the customer updates it, or they
+--                         send another enquiry or quote.
+--   quote_followup_steps  one row per email sent — the log the admin
+--                         Follow-ups tab shows. The unique (order_id, step)
+--                         is what stops a step going out twice.
+--   people.quote_followups_paused_at
+--                         set from the admin to hold every follow-up to that
+--                         person until it's cleared.
+--
+-- Depends on 2026-10-19-03-outbox.sql (enqueue_outbox).
+
+-- 1. Per-person pause.
+ALTER TABLE public.people
+  ADD COLUMN IF NOT EXISTS quote_followups_paused_at timestamptz;
+
+-- 2. Sequence state and log.
+CREATE TABLE IF NOT EXISTS public.quote_followups (
+  order_id         uuid PRIMARY KEY REFERENCES public.orders(id) ON DELETE CASCADE,
+  organization_id  uuid,
+  person_id        uuid REFERENCES public.people(id) ON DELETE SET NULL,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  status           text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'stopped', 'finished')),
+  stop_reason      text,
+  stopped_at       timestamptz,
+  last_step        integer NOT NULL DEFAULT 0,
+  last_sent_at     timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS quote_followups_person_idx
+  ON public.quote_followups (person_id);
+CREATE INDEX IF NOT EXISTS quote_followups_status_idx
+  ON public.quote_followups (status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.quote_followup_steps (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  order_id    uuid NOT NULL REFERENCES public.quote_followups(order_id) ON DELETE CASCADE,
+  step        integer NOT NULL CHECK (step > 0),
+  day         integer NOT NULL,
+  outbox_ids  jsonb NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quote_followup_steps_once_uniq
+  ON public.quote_followup_steps (order_id, step);
+
+ALTER TABLE public.quote_followups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quote_followup_steps ENABLE ROW LEVEL SECURITY;
+
+-- 3. Claim one step: records it and queues its jobs ({ kind, label, payload }
+--    as for create_quote) in one transaction. Returns the new outbox ids, or
+--    null when the step isn't to be sent — already sent (by an earlier or
+--    concurrent run), the sequence is stopped / finished, or the person is
+--    paused.
+create or replace function public.claim_quote_followup(
+  p_order_id uuid, p_step integer, p_day integer, p_final boolean, p_jobs jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_row        public.quote_followups%rowtype;
+  v_step_id    uuid;
+  v_outbox_ids jsonb;
+begin
+  insert into public.quote_followups (order_id, organization_id, person_id)
+  select o.id, o.organization_id, o.person_id from public.orders o where o.id = p_order_id
+  on conflict (order_id) do nothing;
+
+  select * into v_row from public.quote_followups where order_id = p_order_id for update;
+  if not found or v_row.status <> 'active' or v_row.last_step >= p_step then
+    return null;
+  end if;
+  if exists (select 1 from public.people p where p.id = v_row.person_id and p.quote_followups_paused_at is not null) then
+    return null;
+  end if;
+
+  insert into public.quote_followup_steps (order_id, step, day)
+  values (p_order_id, p_step, p_day)
+  on conflict (order_id, step) do nothing
+  returning id into v_step_id;
+  if v_step_id is null then
+    return null;
+  end if;
+
+  v_outbox_ids := public.enqueue_outbox(v_row.organization_id, p_jobs, null, p_order_id::text);
+  update public.quote_followup_steps set outbox_ids = v_outbox_ids where id = v_step_id;
+  update public.quote_followups
+     set last_step = p_step,
+         last_sent_at = now(),
+         status = case when p_final then 'finished' else status end
+   where order_id = p_order_id;
+  return v_outbox_ids;
+end;
+$$;
+
+revoke all on function public.claim_quote_followup(uuid, integer, integer, boolean, jsonb) from public;
+grant execute on function public.claim_quote_followup(uuid, integer, integer, boolean, jsonb) to service_role;
+
+-- 4. Stop the sequence for one quote (p_order_id) or for every quote of a
+--    person (p_person_id), optionally sparing one (p_except_order_id — the
+--    quote that's just been made). Quotes the cron hasn't reached yet get a
+--    'stopped' row so they never start. Returns how many running sequences
+--    were stopped.
+create or replace function public.stop_quote_followups(
+  p_order_id uuid, p_person_id uuid, p_except_order_id uuid, p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_count integer;
+begin
+  if p_order_id is null and p_person_id is null then
+    return 0;
+  end if;
+
+  update public.quote_followups f
+     set status = 'stopped', stop_reason = p_reason, stopped_at = now()
+    from public.orders o
+   where o.id = f.order_id
+     and f.status = 'active'
+     and (p_order_id is null or o.id = p_order_id)
+     and (p_person_id is null or o.person_id = p_person_id)
+     and (p_except_order_id is null or o.id <> p_except_order_id);
+  get diagnostics v_count = row_count;
+
+  insert into public.quote_followups (order_id, organization_id, person_id, status, stop_reason, stopped_at)
+  select o.id, o.organization_id, o.person_id, 'stopped', p_reason, now()
+    from public.orders o
+   where o.order_type = 'quote'
+     and (p_order_id is null or o.id = p_order_id)
+     and (p_person_id is null or o.person_id = p_person_id)
+     and (p_except_order_id is null or o.id <> p_except_order_id)
+     and not exists (select 1 from public.quote_followups f where f.order_id = o.id)
+  on conflict (order_id) do nothing;
+
+  return v_count;
+end;
+$$;
+
+revoke all on function public.stop_quote_followups(uuid, uuid, uuid, text) from public;
+grant execute on function public.stop_quote_followups(uuid, uuid, uuid, text) to service_role;
+
+notify pgrst, 'reload schema';
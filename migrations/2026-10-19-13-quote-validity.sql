@@ -0,0 +1,92 @@
+-- Quote validity periods and renewal (functions/_lib/quote-validity.js).
+--
+-- Quotes were promised "valid for 30 days" on the PDF but nothing held them
+-- to it: the portal showed no expiry and an old quote could be accepted at
+-- last year's prices. Each quote now has a last valid day:
+--
+--   orders.quote_valid_until  London date the prices are held until (the
+--                             whole of that day). Stamped when the quote is
+--                             made — QUOTE_VALIDITY_DAYS, default 30 — and
+--                             movable from the admin. Null on older quotes,
+--                             which count from created_at with the default.
+--   orders.quote_revision     1 for a new quote, +1 on each renewal.
+--   quote_revisions           the figures a quote had before each renewal —
+--                             price, permit fee, configuration and validity.
+--
+-- A lapsed quote can't be accepted. Renewing re-prices it from the catalogue
+-- in the worker and saves the result with renew_quote, which keeps the old
+-- figures and starts a new validity period in one transaction. The quote
+-- keeps its id and edit_token, so links already sent still work.
+
+-- 1. Validity and revision on the quote itself.
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS quote_valid_until date,
+  ADD COLUMN IF NOT EXISTS quote_revision integer NOT NULL DEFAULT 1;
+
+-- 2. Earlier revisions.
+CREATE TABLE IF NOT EXISTS public.quote_revisions (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  order_id         uuid NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  revision         integer NOT NULL,
+  value            numeric,
+  permit_fee       numeric,
+  product_config   text,
+  valid_until      date,
+  renewed_by       text NOT NULL CHECK (renewed_by IN ('customer', 'staff'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quote_revisions_order_revision_uniq
+  ON public.quote_revisions (order_id, revision);
+
+ALTER TABLE public.quote_revisions ENABLE ROW LEVEL SECURITY;
+
+-- 3. Renew a quote: file its current figures under its current revision
+--    number, then write the new price and validity and move it back to
+--    'pending' if staff had marked it expired. Returns { revision,
+--    valid_until }, or null when the order isn't a quote or has already been
+--    accepted / paid.
+create or replace function public.renew_quote(
+  p_order_id uuid, p_value numeric, p_permit_fee numeric, p_product_config text,
+  p_valid_until date, p_renewed_by text
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_order public.orders%rowtype;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if not found or v_order.order_type <> 'quote'
+     or coalesce(v_order.status, 'pending') not in ('pending', 'expired') then
+    return null;
+  end if;
+
+  insert into public.quote_revisions (
+    organization_id, order_id, revision, value, permit_fee, product_config, valid_until, renewed_by
+  ) values (
+    v_order.organization_id, v_order.id, v_order.quote_revision, v_order.value, v_order.permit_fee,
+    v_order.product_config, v_order.quote_valid_until, p_renewed_by
+  );
+
+  update public.orders
+     set value = p_value,
+         permit_fee = p_permit_fee,
+         product_config = p_product_config,
+         quote_valid_until = p_valid_until,
+         quote_revision = v_order.quote_revision + 1,
+         status = 'pending',
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object('revision', v_order.quote_revision + 1, 'valid_until', p_valid_until);
+end;
+$$;
+
+revoke all on function public.renew_quote(uuid, numeric, numeric, text, date, text) from public;
+grant execute on function public.renew_quote(uuid, numeric, numeric, text, date, text) to service_role;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,299 @@
+-- Duplicate people and merging them (functions/_lib/people-duplicates.js,
+-- the `people_duplicates` job in /api/cron and the admin Duplicates tab).
+--
+-- `people` is deduped by email alone, so the same widow who enquires by
+-- phone, from her son's email and through a funeral director partner ends up
+-- as three rows with her orders and enquiries split between them. A nightly
+-- job now looks for likely duplicates — same phone once normalised, similar
+-- names, same address or cemetery — and staff merge the ones that are real.
+--
+--   person_duplicates       candidate pairs from the job (person_a < person_b),
+--                           with a score and the reasons they matched.
+--                           'open' until staff merge or dismiss it; a
+--                           dismissed pair isn't suggested again.
+--   person_duplicate_scans  one row per run of the job, so it runs at most
+--                           once every DUPLICATE_SCAN_HOURS (and the admin
+--                           can show when it last ran).
+--   person_merges           the audit trail: who was merged into whom, when,
+--                           a copy of the merged person as it was, and how
+--                           many rows were moved.
+--   people.merged_into      set on the merged person, which stays behind as a
+--                           tombstone: its email is still unique, so the next
+--                           enquiry from that address finds it and follows
+--                           merged_into to the survivor. Its portal_token
+--                           moves to the survivor if that has none, and
+--                           otherwise stays and is followed the same way.
+--
+-- merge_people moves orders, enquiries, quote follow-ups, texts and customer
+-- activity to the survivor in one transaction. Rows written later against
+-- the tombstone (create_quote only looks people up by email) are redirected
+-- by the redirect_merged_person triggers, and stop_quote_followups follows
+-- merged_into so a new quote from the old address still ends the survivor's
+-- earlier sequences.
+
+-- 1. Tombstones.
+ALTER TABLE public.people
+  ADD COLUMN IF NOT EXISTS merged_into uuid REFERENCES public.people(id),
+  ADD COLUMN IF NOT EXISTS merged_at   timestamptz;
+
+CREATE INDEX IF NOT EXISTS people_merged_into_idx
+  ON public.people (merged_into) WHERE merged_into IS NOT NULL;
+
+-- 2. Candidates, scans and the audit trail.
+CREATE TABLE IF NOT EXISTS public.person_duplicates (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  person_a         uuid NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+  person_b         uuid NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+  score            numeric NOT NULL,
+  reasons          jsonb NOT NULL DEFAULT '[]'::jsonb,
+  status           text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'merged', 'dismissed')),
+  resolved_at      timestamptz,
+  CHECK (person_a < person_b)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS person_duplicates_pair_uniq
+  ON public.person_duplicates (person_a, person_b);
+CREATE INDEX IF NOT EXISTS person_duplicates_status_idx
+  ON public.person_duplicates (status, score DESC);
+
+CREATE TABLE IF NOT EXISTS public.person_duplicate_scans (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  people_checked   integer NOT NULL DEFAULT 0,
+  pairs_found      integer NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS person_duplicate_scans_created_idx
+  ON public.person_duplicate_scans (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.person_merges (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  survivor_id      uuid NOT NULL REFERENCES public.people(id),
+  merged_id        uuid NOT NULL REFERENCES public.people(id),
+  duplicate_id     uuid REFERENCES public.person_duplicates(id) ON DELETE SET NULL,
+  merged_by        text,
+  merged_person    jsonb NOT NULL,
+  moved            jsonb NOT NULL DEFAULT '{}'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS person_merges_survivor_idx
+  ON public.person_merges (survivor_id, created_at DESC);
+
+ALTER TABLE public.person_duplicates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.person_duplicate_scans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.person_merges ENABLE ROW LEVEL SECURITY;
+
+-- 3. Rows written against a merged person belong to the survivor.
+create or replace function public.redirect_merged_person()
+returns trigger
+language plpgsql
+set search_path = public, pg_temp
+as $$
+declare
+  v_survivor uuid;
+begin
+  if new.person_id is not null then
+    select merged_into into v_survivor from public.people where id = new.person_id;
+    if v_survivor is not null then
+      new.person_id := v_survivor;
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_redirect_merged_person on public.orders;
+create trigger orders_redirect_merged_person
+  before insert or update of person_id on public.orders
+  for each row execute function public.redirect_merged_person();
+
+drop trigger if exists enquiries_redirect_merged_person on public.enquiries;
+create trigger enquiries_redirect_merged_person
+  before insert or update of person_id on public.enquiries
+  for each row execute function public.redirect_merged_person();
+
+drop trigger if exists quote_followups_redirect_merged_person on public.quote_followups;
+create trigger quote_followups_redirect_merged_person
+  before insert or update of person_id on public.quote_followups
+  for each row execute function public.redirect_merged_person();
+
+drop trigger if exists sms_messages_redirect_merged_person on public.sms_messages;
+create trigger sms_messages_redirect_merged_person
+  before insert or update of person_id on public.sms_messages
+  for each row execute function public.redirect_merged_person();
+
+-- 4. Merge p_merged_id into p_survivor_id. The survivor keeps its own
+--    details and takes the merged person's where it has none; it's a
+--    customer if either was. Everything pointing at the merged person moves
+--    across, earlier tombstones are re-pointed so there's never more than one
+--    hop, and the pair (plus any other open pair involving the merged person
+--    — the next scan re-checks them against the survivor) is closed.
+--    Both people must belong to p_org, the organisation whose admin asked.
+--    Returns { merge_id, survivor_id, merged_id, moved }, or null when
+--    either person is missing, already merged or in another organisation,
+--    or they're the same person.
+drop function if exists public.merge_people(uuid, uuid, text, uuid);
+
+create or replace function public.merge_people(
+  p_survivor_id uuid, p_merged_id uuid, p_merged_by text, p_duplicate_id uuid, p_org uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_survivor public.people%rowtype;
+  v_merged   public.people%rowtype;
+  v_moved    jsonb := '{}'::jsonb;
+  v_count    integer;
+  v_merge_id uuid;
+begin
+  if p_survivor_id is null or p_merged_id is null or p_survivor_id = p_merged_id or p_org is null then
+    return null;
+  end if;
+  -- Lock in id order so two merges of the same pair can't deadlock.
+  perform 1 from public.people where id in (p_survivor_id, p_merged_id) order by id for update;
+  select * into v_survivor from public.people where id = p_survivor_id;
+  select * into v_merged from public.people where id = p_merged_id;
+  if v_survivor.id is null or v_merged.id is null
+     or v_survivor.organization_id is distinct from p_org
+     or v_merged.organization_id is distinct from p_org
+     or v_survivor.merged_into is not null or v_merged.merged_into is not null then
+    return null;
+  end if;
+
+  -- Tombstone first, so the redirect triggers see it while rows move.
+  update public.people
+     set merged_into = p_survivor_id, merged_at = now()
+   where id = p_merged_id;
+  update public.people
+     set merged_into = p_survivor_id
+   where merged_into = p_merged_id;
+
+  update public.orders set person_id = p_survivor_id where person_id = p_merged_id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('orders', v_count);
+
+  update public.enquiries set person_id = p_survivor_id where person_id = p_merged_id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('enquiries', v_count);
+
+  update public.quote_followups set person_id = p_survivor_id where person_id = p_merged_id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('quote_followups', v_count);
+
+  update public.sms_messages set person_id = p_survivor_id where person_id = p_merged_id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('sms_messages', v_count);
+
+  -- customer_activity is keyed by order, so it follows the orders above;
+  -- installs that also record the person get that moved too.
+  if exists (
+    select 1 from information_schema.columns
+     where table_schema = 'public' and table_name = 'customer_activity' and column_name = 'person_id'
+  ) then
+    execute 'update public.customer_activity set person_id = $1 where person_id = $2'
+      using p_survivor_id, p_merged_id;
+    get diagnostics v_count = row_count;
+    v_moved := v_moved || jsonb_build_object('customer_activity', v_count);
+  end if;
+
+  -- The merged person's portal link: the survivor takes it over if it has
+  -- none of its own, otherwise it stays on the tombstone and is followed.
+  if v_survivor.portal_token is null and v_merged.portal_token is not null then
+    update public.people set portal_token = null where id = p_merged_id;
+    update public.people set portal_token = v_merged.portal_token where id = p_survivor_id;
+    v_moved := v_moved || jsonb_build_object('portal_token', 1);
+  end if;
+
+  update public.people
+     set first_name   = coalesce(nullif(first_name, ''), v_merged.first_name),
+         last_name    = coalesce(nullif(nullif(last_name, ''), '-'), v_merged.last_name),
+         phone        = coalesce(nullif(phone, ''), v_merged.phone),
+         address      = coalesce(nullif(address, ''), v_merged.address),
+         city         = coalesce(nullif(city, ''), v_merged.city),
+         contact_pref = coalesce(contact_pref, v_merged.contact_pref),
+         is_customer  = coalesce(is_customer, false) or coalesce(v_merged.is_customer, false),
+         quote_followups_paused_at = coalesce(quote_followups_paused_at, v_merged.quote_followups_paused_at)
+   where id = p_survivor_id;
+
+  update public.person_duplicates
+     set status = 'merged', resolved_at = now(), updated_at = now()
+   where id = p_duplicate_id and organization_id = p_org;
+  delete from public.person_duplicates
+   where status = 'open'
+     and (person_a = p_merged_id or person_b = p_merged_id);
+
+  insert into public.person_merges (
+    organization_id, survivor_id, merged_id, duplicate_id, merged_by, merged_person, moved
+  ) values (
+    v_survivor.organization_id, p_survivor_id, p_merged_id, p_duplicate_id, p_merged_by, to_jsonb(v_merged), v_moved
+  )
+  returning id into v_merge_id;
+
+  return jsonb_build_object(
+    'merge_id', v_merge_id, 'survivor_id', p_survivor_id, 'merged_id', p_merged_id, 'moved', v_moved
+  );
+end;
+$$;
+
+revoke all on function public.merge_people(uuid, uuid, text, uuid, uuid) from public;
+grant execute on function public.merge_people(uuid, uuid, text, uuid, uuid) to service_role;
+
+-- 5. stop_quote_followups (migrations/2026-10-19-12-quote-followups.sql), now
+--    resolving a merged person to the survivor first.
+create or replace function public.stop_quote_followups(
+  p_order_id uuid, p_person_id uuid, p_except_order_id uuid, p_reason text
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_count integer;
+begin
+  if p_order_id is null and p_person_id is null then
+    return 0;
+  end if;
+  -- Leaves p_person_id alone when the person isn't there (never null it:
+  -- that would widen the match to every quote).
+  p_person_id := coalesce(
+    (select merged_into from public.people where id = p_person_id), p_person_id
+  );
+
+  update public.quote_followups f
+     set status = 'stopped', stop_reason = p_reason, stopped_at = now()
+    from public.orders o
+   where o.id = f.order_id
+     and f.status = 'active'
+     and (p_order_id is null or o.id = p_order_id)
+     and (p_person_id is null or o.person_id = p_person_id)
+     and (p_except_order_id is null or o.id <> p_except_order_id);
+  get diagnostics v_count = row_count;
+
+  insert into public.quote_followups (order_id, organization_id, person_id, status, stop_reason, stopped_at)
+  select o.id, o.organization_id, o.person_id, 'stopped', p_reason, now()
+    from public.orders o
+   where o.order_type = 'quote'
+     and (p_order_id is null or o.id = p_order_id)
+     and (p_person_id is null or o.person_id = p_person_id)
+     and (p_except_order_id is null or o.id <> p_except_order_id)
+     and not exists (select 1 from public.quote_followups f where f.order_id = o.id)
+  on conflict (order_id) do nothing;
+
+  return v_count;
+end;
+$$;
+
+revoke all on function public.stop_quote_followups(uuid, uuid, uuid, text) from public;
+grant execute on function public.stop_quote_followups(uuid, uuid, uuid, text) to service_role;
+
+notify pgrst, 'reload schema';
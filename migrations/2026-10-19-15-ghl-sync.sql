@@ -0,0 +1,52 @@
+-- Two-way GoHighLevel sync (functions/_lib/ghl.js, /api/ghl-webhook).
+--
+-- New leads were pushed into GHL once and nothing came back: when sales
+-- moved an opportunity to "won" or added notes in GHL, our orders never
+-- heard of it, and a stage change in our admin left GHL behind. We now keep
+-- the GHL ids, so both sides can find each other:
+--
+--   people.ghl_contact_id     the person's GHL contact. Set by the outbox job
+--                             that upserts the contact; first one wins.
+--   orders.ghl_opportunity_id the quote's GHL opportunity. Set when it's
+--                             created, so a retried job never makes a second.
+--   ghl_webhook_events        one row per webhook GHL sends us, keyed by its
+--                             webhookId: a repeat is recognised and skipped,
+--                             and `outcome` says what it did (applied,
+--                             unchanged, no_order, ignored …) for debugging.
+--
+-- Stage changes made in the admin are sent to GHL through the outbox
+-- (kind 'ghl_opportunity_stage'); GHL's changes land on the order and its
+-- timeline (order_events) with source 'ghl'.
+
+-- 1. GHL ids on our rows.
+ALTER TABLE public.people
+  ADD COLUMN IF NOT EXISTS ghl_contact_id text;
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS ghl_opportunity_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS people_ghl_contact_id_uniq
+  ON public.people (ghl_contact_id) WHERE ghl_contact_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_ghl_opportunity_id_uniq
+  ON public.orders (ghl_opportunity_id) WHERE ghl_opportunity_id IS NOT NULL;
+
+-- 2. Inbound webhooks, applied once each.
+CREATE TABLE IF NOT EXISTS public.ghl_webhook_events (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  webhook_id       text NOT NULL,
+  event_type       text,
+  payload          jsonb NOT NULL DEFAULT '{}'::jsonb,
+  outcome          text,
+  order_id         uuid REFERENCES public.orders(id) ON DELETE SET NULL,
+  person_id        uuid REFERENCES public.people(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ghl_webhook_events_webhook_uniq
+  ON public.ghl_webhook_events (webhook_id);
+CREATE INDEX IF NOT EXISTS ghl_webhook_events_created_idx
+  ON public.ghl_webhook_events (created_at DESC);
+
+ALTER TABLE public.ghl_webhook_events ENABLE ROW LEVEL SECURITY;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,32 @@
+-- ClickUp tasks linked to enquiries and orders (functions/_lib/clickup.js,
+-- /api/clickup-webhook).
+--
+-- Every quote, enquiry and appointment gets a ClickUp task, but its id was
+-- thrown away, so nothing that happened afterwards — stage changes,
+-- inscription approvals, payments — reached the task, and closing a task in
+-- ClickUp meant nothing here. Now:
+--
+--   enquiries.clickup_task_id  the enquiry's task, stored when it is created
+--                              (a retried outbox job finds it and doesn't
+--                              make a second).
+--   orders.clickup_task_id     the same task for a quote's order; its status
+--                              and custom fields follow the order.
+--   enquiries.handled_at       when the enquiry was dealt with. Closing its
+--                              task in ClickUp sets status 'handled' and this;
+--                              reopening it puts the enquiry back to 'new'.
+--
+-- The list a task goes in, the ClickUp status for each order stage and the
+-- custom fields to fill are configuration (CLICKUP_* env vars), not code.
+
+ALTER TABLE public.enquiries
+  ADD COLUMN IF NOT EXISTS clickup_task_id text,
+  ADD COLUMN IF NOT EXISTS handled_at      timestamptz;
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS clickup_task_id text;
+
+CREATE INDEX IF NOT EXISTS enquiries_clickup_task_idx
+  ON public.enquiries (clickup_task_id) WHERE clickup_task_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS orders_clickup_task_idx
+  ON public.orders (clickup_task_id) WHERE clickup_task_id IS NOT NULL;
+
+notify pgrst, 'reload schema';
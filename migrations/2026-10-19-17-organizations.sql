@@ -0,0 +1,312 @@
+-- Organisations: one deployment, several brands (functions/_lib/org.js).
+--
+-- Business name, sender address, site URL, CORS origin, ClickUp list and the
+-- email branding were constants in every Function, so the platform could
+-- only ever be Sears Melvin. Each request is now resolved to an organisation
+-- by its hostname, and that row drives branding, sender identity, allowed
+-- origins, base URLs and integrations:
+--
+--   organizations.hosts            hostnames served as this brand
+--                                  ('searsmelvin.co.uk', 'staging.…').
+--   organizations.allowed_origins  browser origins the API answers CORS for;
+--                                  defaults to site_url.
+--   organizations.settings         per-brand integration config, keyed by the
+--                                  env var it replaces: {"CLICKUP_LIST_ID":
+--                                  "901…", "GHL_LOCATION_ID": "…"}. Secrets
+--                                  stay in Cloudflare: a value "env:NAME"
+--                                  reads env var NAME instead.
+--
+-- A hostname that matches no row is served as the home organisation
+-- (SM_ORG_ID), whose empty columns fall back to the Sears Melvin defaults in
+-- functions/_lib/org.js — so nothing changes until a second row is added.
+-- Every other organisation must fill in name, email and site_url.
+--
+-- Data stays separate per organisation:
+--   • people are unique per (organization_id, email), not globally, so the
+--     same customer can deal with two brands without their records meeting;
+--     create_quote looks people up within the organisation.
+--   • admin sessions belong to the organisation they were opened on.
+--     Existing sessions have none and stop working: staff sign in again.
+--   • staff email wording (email_template_copy) is per organisation.
+--   • claim_outbox takes the organisation, so each brand's jobs run with
+--     its own config (the cron runs once per organisation).
+--   • spam rejections (submit_rejections) and captured mail (mail_capture)
+--     record the organisation, and the admin only shows and clears its own.
+
+-- 1. The configuration. The table may already exist (organization_id has
+--    been on every row since the multi-tenant refactor), so columns are
+--    added one by one.
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS slug            text,
+  ADD COLUMN IF NOT EXISTS name            text,
+  ADD COLUMN IF NOT EXISTS short_name      text,
+  ADD COLUMN IF NOT EXISTS email           text,
+  ADD COLUMN IF NOT EXISTS from_name       text,
+  ADD COLUMN IF NOT EXISTS from_email      text,
+  ADD COLUMN IF NOT EXISTS phone           text,
+  ADD COLUMN IF NOT EXISTS area            text,
+  ADD COLUMN IF NOT EXISTS showroom        text,
+  ADD COLUMN IF NOT EXISTS legal_footer    text,
+  ADD COLUMN IF NOT EXISTS site_url        text,
+  ADD COLUMN IF NOT EXISTS hosts           text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS allowed_origins text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS settings        jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS active          boolean NOT NULL DEFAULT true;
+
+CREATE UNIQUE INDEX IF NOT EXISTS organizations_slug_uniq
+  ON public.organizations (slug) WHERE slug IS NOT NULL;
+CREATE INDEX IF NOT EXISTS organizations_hosts_idx
+  ON public.organizations USING gin (hosts);
+
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+
+-- 2. People: email unique within an organisation. Drop whatever enforces
+--    global uniqueness (a UNIQUE constraint or a unique index on email
+--    alone, under whatever name it was created).
+do $$
+declare
+  v_name text;
+begin
+  for v_name in
+    select c.conname from pg_constraint c
+    where c.conrelid = 'public.people'::regclass and c.contype = 'u'
+      and c.conkey = array[(select attnum from pg_attribute
+                            where attrelid = 'public.people'::regclass and attname = 'email')]
+  loop
+    execute format('alter table public.people drop constraint %I', v_name);
+  end loop;
+  for v_name in
+    select i.relname from pg_index x
+    join pg_class i on i.oid = x.indexrelid
+    where x.indrelid = 'public.people'::regclass and x.indisunique and not x.indisprimary
+      and x.indkey::text = (select attnum::text from pg_attribute
+                            where attrelid = 'public.people'::regclass and attname = 'email')
+  loop
+    execute format('drop index public.%I', v_name);
+  end loop;
+end;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS people_org_email_uniq
+  ON public.people (organization_id, email);
+
+-- 3. create_quote — as in 2026-10-19-03-outbox.sql, with step 1 scoped to the
+--    quote's organisation.
+create or replace function public.create_quote(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_org         public.people.organization_id%type := (payload->>'organization_id')::uuid;
+  v_email       text  := lower(trim(payload->>'email'));
+  v_first       text  := nullif(payload->>'first_name', '');
+  v_last        text  := nullif(payload->>'last_name', '');
+  v_phone       text  := nullif(payload->>'phone', '');
+  v_name        text  := nullif(payload->>'name', '');
+  v_message     text  := nullif(payload->>'message', '');
+  v_source_page text  := nullif(payload->>'source_page', '');
+  v_location    text  := nullif(payload->>'location', '');
+  v_cem_in      text  := nullif(payload->>'cemetery_id', '');
+  v_edit_token  text  := nullif(payload->>'edit_token', '');
+  v_product     jsonb := payload->'product';
+  v_person_id   public.people.id%type;
+  v_order_id    public.orders.id%type;
+  v_enq_id      public.enquiries.id%type;
+  v_cemetery_id public.cemeteries.id%type;
+  v_outbox_ids  jsonb;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'create_quote: email is required';
+  end if;
+
+  if v_edit_token is null then
+    v_edit_token := encode(extensions.gen_random_bytes(24), 'hex');
+  end if;
+
+  -- 1. Person upsert (dedupe by email within the organisation).
+  select id into v_person_id from public.people
+  where email = v_email and organization_id is not distinct from v_org limit 1;
+  if v_person_id is null then
+    begin
+      insert into public.people (organization_id, email, first_name, last_name, phone)
+      values (v_org, v_email, v_first, v_last, v_phone)
+      returning id into v_person_id;
+    exception when unique_violation then
+      select id into v_person_id from public.people
+      where email = v_email and organization_id is not distinct from v_org limit 1;
+    end;
+  else
+    update public.people set
+      first_name = coalesce(v_first, first_name),
+      last_name  = coalesce(nullif(v_last, '-'), last_name),
+      phone      = coalesce(v_phone, phone)
+    where id = v_person_id;
+  end if;
+
+  -- 2. Resolve cemetery: prefer the supplied id, else best-effort name match.
+  if v_cem_in is not null then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.id::text = v_cem_in
+    limit 1;
+  elsif v_location is not null and char_length(v_location) >= 3 then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.is_active = true
+      and (c.name ilike v_location
+           or c.name ilike v_location || '%'
+           or c.name ilike '%' || v_location || '%')
+    order by (c.name ilike v_location) desc,
+             (c.name ilike v_location || '%') desc
+    limit 1;
+  end if;
+
+  -- 3. Order — the durable quote record.
+  insert into public.orders (
+    organization_id, person_id, customer_name, person_name, order_type,
+    sku, color, value, permit_fee, location, cemetery_id, edit_token,
+    product_config, notes, inscription_text
+  ) values (
+    v_org, v_person_id,
+    coalesce(v_name, 'Website lead'), v_name, 'quote',
+    nullif(v_product->>'name', ''),
+    nullif(v_product->>'colour', ''),
+    nullif(v_product->>'price', '')::numeric,
+    nullif(v_product->>'permit_fee', '')::numeric,
+    v_location,
+    v_cemetery_id,
+    v_edit_token,
+    v_product::text,
+    v_message,
+    nullif(v_product->>'inscription', '')
+  )
+  returning id into v_order_id;
+
+  -- 4. Enquiry — CRM inbox record, linked to the order.
+  insert into public.enquiries (
+    organization_id, person_id, channel, source_page, message,
+    location, cemetery_id, details, order_id
+  ) values (
+    v_org, v_person_id, 'quote', v_source_page, v_message,
+    v_location, v_cemetery_id, v_product, v_order_id
+  )
+  returning id into v_enq_id;
+
+  -- 5. Side-effects (emails, ClickUp, GHL) — committed with the quote or not at all.
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, v_order_id::text);
+
+  return jsonb_build_object(
+    'person_id',  v_person_id,
+    'order_id',   v_order_id,
+    'enquiry_id', v_enq_id,
+    'edit_token', v_edit_token,
+    'outbox_ids', v_outbox_ids
+  );
+end;
+$$;
+
+-- 4. Admin sessions belong to an organisation.
+ALTER TABLE public.admin_sessions
+  ADD COLUMN IF NOT EXISTS organization_id uuid;
+
+-- 5. Staff email wording, one row per (organisation, template). Wording
+--    saved so far is given to the one organisation the data belongs to;
+--    if there is more than one, it stays unassigned (and unused) until
+--    someone sets organization_id by hand.
+ALTER TABLE public.email_template_copy
+  ADD COLUMN IF NOT EXISTS organization_id uuid;
+
+do $$
+begin
+  if (select count(distinct organization_id) from public.people) = 1 then
+    update public.email_template_copy
+    set organization_id = (select organization_id from public.people where organization_id is not null limit 1)
+    where organization_id is null;
+  end if;
+end;
+$$;
+
+ALTER TABLE public.email_template_copy
+  DROP CONSTRAINT IF EXISTS email_template_copy_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS email_template_copy_org_template_uniq
+  ON public.email_template_copy (organization_id, template);
+
+-- 6. claim_outbox — as in 2026-10-19-03-outbox.sql, plus p_org: only that
+--    organisation's jobs (null = any). Jobs queued without an organisation
+--    go to whichever run claims them first — the cron runs the home
+--    organisation first.
+drop function if exists public.claim_outbox(integer, uuid[], integer);
+
+create or replace function public.claim_outbox(
+  p_limit integer default 20, p_ids uuid[] default null, p_lease_seconds integer default 300,
+  p_org uuid default null
+)
+returns setof public.outbox
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+begin
+  return query
+  update public.outbox o set
+    status       = 'processing',
+    attempts     = o.attempts + 1,
+    locked_until = now() + make_interval(secs => p_lease_seconds),
+    updated_at   = now()
+  where o.id in (
+    select c.id
+    from public.outbox c
+    where ((c.status = 'pending' and c.next_attempt_at <= now())
+           or (c.status = 'processing' and c.locked_until < now()))
+      and (p_ids is null or c.id = any(p_ids))
+      and (p_org is null or c.organization_id = p_org or c.organization_id is null)
+      and (c.depends_on is null or exists (
+            select 1 from public.outbox d
+            where d.id = c.depends_on and d.status in ('sent', 'dead')))
+    order by c.created_at
+    limit p_limit
+    for update skip locked
+  )
+  returning o.*;
+end;
+$$;
+
+-- 7. Spam rejections and captured mail. Rows so far go to the one
+--    organisation the data belongs to, as in step 5; with more than one they
+--    stay unassigned, and no admin lists them.
+ALTER TABLE public.submit_rejections
+  ADD COLUMN IF NOT EXISTS organization_id uuid;
+ALTER TABLE public.mail_capture
+  ADD COLUMN IF NOT EXISTS organization_id uuid;
+
+do $$
+begin
+  if (select count(distinct organization_id) from public.people) = 1 then
+    update public.submit_rejections
+    set organization_id = (select organization_id from public.people where organization_id is not null limit 1)
+    where organization_id is null;
+    update public.mail_capture
+    set organization_id = (select organization_id from public.people where organization_id is not null limit 1)
+    where organization_id is null;
+  end if;
+end;
+$$;
+
+CREATE INDEX IF NOT EXISTS submit_rejections_org_created_idx
+  ON public.submit_rejections (organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS mail_capture_org_created_idx
+  ON public.mail_capture (organization_id, created_at DESC);
+
+revoke all on function public.create_quote(jsonb) from public;
+revoke all on function public.claim_outbox(integer, uuid[], integer, uuid) from public;
+grant execute on function public.create_quote(jsonb) to service_role;
+grant execute on function public.claim_outbox(integer, uuid[], integer, uuid) to service_role;
+
+notify pgrst, 'reload schema';
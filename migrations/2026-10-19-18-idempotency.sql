@@ -0,0 +1,96 @@
+-- Idempotency for form submissions (functions/_lib/idempotency.js).
+--
+-- A double-tapped "Request quote" or a mobile browser retrying the POST used
+-- to save the quote twice — two orders, two edit tokens, two ClickUp tasks,
+-- two GHL opportunities. /api/submit, /api/quotes (POST) and partner
+-- "create" now claim a row here before doing anything:
+--
+--   key:…  the caller's Idempotency-Key (header, or `idempotency_key` in the
+--          body) together with the request it came with; kept 24 hours.
+--          A retry gets the first response back, word for word.
+--   dup:…  what the request is about (same person, same product / slot /
+--          message), whether or not a key was sent; kept a few minutes.
+--          A repeat gets a short "already received" answer instead.
+--
+-- Keys are SHA-256 hex digests, so nothing personal is stored. A request
+-- still running holds its rows as 'pending' (with a lease, in case the
+-- Function dies); a successful one stores its response as 'done'; a failed
+-- one deletes its rows so the retry runs for real. /api/cron prunes expired
+-- rows.
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  scope            text NOT NULL,
+  key              text NOT NULL,
+  organization_id  uuid,
+  status           text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done')),
+  response_status  integer,
+  response_body    jsonb,
+  locked_until     timestamptz,
+  expires_at       timestamptz NOT NULL,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx
+  ON public.idempotency_keys (expires_at);
+
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Claim every key of a request at once. Returns
+--   { "state": "new" }                                   → go ahead; the rows are ours
+--   { "state": "done", "key", "status", "body" }         → replay this
+--   { "state": "pending", "key" }                        → another request holds it
+-- Expired rows and pending rows whose lease ran out don't count. Two
+-- requests racing for the same key: one inserts, the other sees 'pending'.
+create or replace function public.claim_idempotency(
+  p_org uuid, p_scope text, p_keys text[], p_ttl_seconds integer[], p_lease_seconds integer default 60
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_row public.idempotency_keys%rowtype;
+  v_claimed text[];
+begin
+  delete from public.idempotency_keys k
+  where k.scope = p_scope and k.key = any(p_keys)
+    and (k.expires_at <= now() or (k.status = 'pending' and k.locked_until <= now()));
+
+  select * into v_row from public.idempotency_keys k
+  where k.scope = p_scope and k.key = any(p_keys)
+  order by (k.status = 'done') desc, (k.key like 'key:%') desc, k.created_at
+  limit 1;
+  if found then
+    if v_row.status = 'done' then
+      return jsonb_build_object('state', 'done', 'key', v_row.key,
+                                'status', v_row.response_status, 'body', v_row.response_body);
+    end if;
+    return jsonb_build_object('state', 'pending', 'key', v_row.key);
+  end if;
+
+  with ins as (
+    insert into public.idempotency_keys (scope, key, organization_id, status, locked_until, expires_at)
+    select p_scope, u.k, p_org, 'pending',
+           now() + make_interval(secs => p_lease_seconds),
+           now() + make_interval(secs => u.ttl)
+    from unnest(p_keys, p_ttl_seconds) as u(k, ttl)
+    on conflict (scope, key) do nothing
+    returning key
+  )
+  select coalesce(array_agg(key), '{}') into v_claimed from ins;
+
+  if cardinality(v_claimed) < cardinality(p_keys) then
+    -- Lost a race for one of them: give back the rest.
+    delete from public.idempotency_keys k where k.scope = p_scope and k.key = any(v_claimed);
+    return jsonb_build_object('state', 'pending');
+  end if;
+  return jsonb_build_object('state', 'new');
+end;
+$$;
+
+revoke all on function public.claim_idempotency(uuid, text, text[], integer[], integer) from public;
+grant execute on function public.claim_idempotency(uuid, text, text[], integer[], integer) to service_role;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,229 @@
+-- Marketing attribution (functions/_lib/attribution.js).
+--
+-- Enquiries and orders only kept `source_page`, so nobody could say whether
+-- a kerb-set quote came from Google Ads, an area page like /areas/barnet or
+-- a funeral director's website. The site now remembers how each visitor
+-- arrived (site-globals.js) and every form sends it along:
+--
+--   attribution = { first_touch: {…}, last_touch: {…} }
+--
+-- each touch holding the UTM parameters, gclid / fbclid, the referrer, the
+-- landing page, when it happened (`at`) and the source / medium / campaign
+-- worked out from them. It's stored on the enquiry and, for quotes, the
+-- order; orders partners create are attributed to the partner.
+--
+-- attribution_report() counts leads, quotes, accepted orders and their
+-- revenue per source / medium / campaign for the admin.
+
+-- 1. Where it came from, on the rows it produced.
+ALTER TABLE public.enquiries
+  ADD COLUMN IF NOT EXISTS attribution jsonb;
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS attribution jsonb;
+
+-- 2. create_quote — as in 2026-10-19-17-organizations.sql, storing
+--    payload.attribution on the order and the enquiry.
+create or replace function public.create_quote(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_org         public.people.organization_id%type := (payload->>'organization_id')::uuid;
+  v_email       text  := lower(trim(payload->>'email'));
+  v_first       text  := nullif(payload->>'first_name', '');
+  v_last        text  := nullif(payload->>'last_name', '');
+  v_phone       text  := nullif(payload->>'phone', '');
+  v_name        text  := nullif(payload->>'name', '');
+  v_message     text  := nullif(payload->>'message', '');
+  v_source_page text  := nullif(payload->>'source_page', '');
+  v_attribution jsonb := nullif(payload->'attribution', 'null'::jsonb);
+  v_location    text  := nullif(payload->>'location', '');
+  v_cem_in      text  := nullif(payload->>'cemetery_id', '');
+  v_edit_token  text  := nullif(payload->>'edit_token', '');
+  v_product     jsonb := payload->'product';
+  v_person_id   public.people.id%type;
+  v_order_id    public.orders.id%type;
+  v_enq_id      public.enquiries.id%type;
+  v_cemetery_id public.cemeteries.id%type;
+  v_outbox_ids  jsonb;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'create_quote: email is required';
+  end if;
+
+  if v_edit_token is null then
+    v_edit_token := encode(extensions.gen_random_bytes(24), 'hex');
+  end if;
+
+  -- 1. Person upsert (dedupe by email within the organisation).
+  select id into v_person_id from public.people
+  where email = v_email and organization_id is not distinct from v_org limit 1;
+  if v_person_id is null then
+    begin
+      insert into public.people (organization_id, email, first_name, last_name, phone)
+      values (v_org, v_email, v_first, v_last, v_phone)
+      returning id into v_person_id;
+    exception when unique_violation then
+      select id into v_person_id from public.people
+      where email = v_email and organization_id is not distinct from v_org limit 1;
+    end;
+  else
+    update public.people set
+      first_name = coalesce(v_first, first_name),
+      last_name  = coalesce(nullif(v_last, '-'), last_name),
+      phone      = coalesce(v_phone, phone)
+    where id = v_person_id;
+  end if;
+
+  -- 2. Resolve cemetery: prefer the supplied id, else best-effort name match.
+  if v_cem_in is not null then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.id::text = v_cem_in
+    limit 1;
+  elsif v_location is not null and char_length(v_location) >= 3 then
+    select c.id into v_cemetery_id
+    from public.cemeteries c
+    where c.is_active = true
+      and (c.name ilike v_location
+           or c.name ilike v_location || '%'
+           or c.name ilike '%' || v_location || '%')
+    order by (c.name ilike v_location) desc,
+             (c.name ilike v_location || '%') desc
+    limit 1;
+  end if;
+
+  -- 3. Order — the durable quote record.
+  insert into public.orders (
+    organization_id, person_id, customer_name, person_name, order_type,
+    sku, color, value, permit_fee, location, cemetery_id, edit_token,
+    product_config, notes, inscription_text, attribution
+  ) values (
+    v_org, v_person_id,
+    coalesce(v_name, 'Website lead'), v_name, 'quote',
+    nullif(v_product->>'name', ''),
+    nullif(v_product->>'colour', ''),
+    nullif(v_product->>'price', '')::numeric,
+    nullif(v_product->>'permit_fee', '')::numeric,
+    v_location,
+    v_cemetery_id,
+    v_edit_token,
+    v_product::text,
+    v_message,
+    nullif(v_product->>'inscription', ''),
+    v_attribution
+  )
+  returning id into v_order_id;
+
+  -- 4. Enquiry — CRM inbox record, linked to the order.
+  insert into public.enquiries (
+    organization_id, person_id, channel, source_page, message,
+    location, cemetery_id, details, order_id, attribution
+  ) values (
+    v_org, v_person_id, 'quote', v_source_page, v_message,
+    v_location, v_cemetery_id, v_product, v_order_id, v_attribution
+  )
+  returning id into v_enq_id;
+
+  -- 5. Side-effects (emails, ClickUp, GHL) — committed with the quote or not at all.
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, v_order_id::text);
+
+  return jsonb_build_object(
+    'person_id',  v_person_id,
+    'order_id',   v_order_id,
+    'enquiry_id', v_enq_id,
+    'edit_token', v_edit_token,
+    'outbox_ids', v_outbox_ids
+  );
+end;
+$$;
+
+-- 3. create_enquiry — as in 2026-10-19-07-appointment-at-utc.sql, plus the
+--    attribution column.
+create or replace function public.create_enquiry(payload jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_enq_id     public.enquiries.id%type;
+  v_org        public.enquiries.organization_id%type;
+  v_outbox_ids jsonb;
+begin
+  insert into public.enquiries (
+    organization_id, person_id, channel, sub_type, source_page, message,
+    contact_pref, location, cemetery_id, appointment_at, appointment_at_utc,
+    appointment_kind, manage_token, photo_urls, details, order_id, attribution
+  )
+  select
+    r.organization_id, r.person_id, r.channel, r.sub_type, r.source_page, r.message,
+    r.contact_pref, r.location, r.cemetery_id, r.appointment_at, coalesce(r.appointment_at_utc, false),
+    r.appointment_kind, r.manage_token, r.photo_urls, r.details, r.order_id, r.attribution
+  from jsonb_populate_record(null::public.enquiries, payload->'enquiry') r
+  returning id, organization_id into v_enq_id, v_org;
+
+  v_outbox_ids := public.enqueue_outbox(v_org, payload->'outbox', v_enq_id::text, null);
+
+  return jsonb_build_object('enquiry_id', v_enq_id, 'outbox_ids', v_outbox_ids);
+end;
+$$;
+
+-- 4. The report. Enquiries and orders created in [p_from, p_to), grouped by
+--    the chosen touch ('first_touch' or 'last_touch'). An order counts as
+--    accepted once the customer has said yes or paid (quote-validity.js's
+--    ACCEPTED_STATUSES) or it has moved past quote_received; revenue is
+--    those orders' value. Rows from before attribution was kept show as
+--    '(unknown)', partner orders among them as 'partner'.
+create or replace function public.attribution_report(
+  p_org uuid, p_from timestamptz, p_to timestamptz, p_touch text default 'last_touch'
+)
+returns table (source text, medium text, campaign text, leads bigint, quotes bigint, accepted bigint, revenue numeric)
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  with leads as (
+    select coalesce(e.attribution->p_touch->>'source', '(unknown)') as source,
+           coalesce(e.attribution->p_touch->>'medium', '(unknown)') as medium,
+           coalesce(e.attribution->p_touch->>'campaign', '') as campaign,
+           count(*) as leads
+    from public.enquiries e
+    where e.organization_id is not distinct from p_org
+      and e.created_at >= p_from and e.created_at < p_to
+    group by 1, 2, 3
+  ),
+  quoted as (
+    select coalesce(o.attribution->p_touch->>'source', case when o.partner_id is not null then 'partner' end, '(unknown)') as source,
+           coalesce(o.attribution->p_touch->>'medium', case when o.partner_id is not null then 'referral' end, '(unknown)') as medium,
+           coalesce(o.attribution->p_touch->>'campaign', '') as campaign,
+           count(*) as quotes,
+           count(*) filter (where o.accepted) as accepted,
+           coalesce(sum(o.value) filter (where o.accepted), 0) as revenue
+    from (
+      select o.*, (o.status in ('accepted', 'partial', 'completed', 'converted')
+                   or coalesce(o.stage, 'quote_received') <> 'quote_received') as accepted
+      from public.orders o
+      where o.organization_id is not distinct from p_org
+        and o.created_at >= p_from and o.created_at < p_to
+    ) o
+    group by 1, 2, 3
+  )
+  select coalesce(l.source, o.source), coalesce(l.medium, o.medium), nullif(coalesce(l.campaign, o.campaign), ''),
+         coalesce(l.leads, 0), coalesce(o.quotes, 0), coalesce(o.accepted, 0), coalesce(o.revenue, 0)
+  from leads l
+  full join quoted o on o.source = l.source and o.medium = l.medium and o.campaign = l.campaign
+  order by 7 desc, 4 desc, 1;
+$$;
+
+revoke all on function public.create_quote(jsonb) from public;
+revoke all on function public.create_enquiry(jsonb) from public;
+revoke all on function public.attribution_report(uuid, timestamptz, timestamptz, text) from public;
+grant execute on function public.create_quote(jsonb) to service_role;
+grant execute on function public.create_enquiry(jsonb) to service_role;
+grant execute on function public.attribution_report(uuid, timestamptz, timestamptz, text) to service_role;
+
+notify pgrst, 'reload schema';
@@ -0,0 +1,112 @@
+-- Upload tickets for /api/upload-photo (functions/_lib/upload-tickets.js).
+--
+-- The upload endpoint used to take any file from anyone, as often as they
+-- liked, and delete any path under the organisation's prefix. The contact
+-- form now asks /api/upload-ticket for a short-lived signed ticket first and
+-- sends it with every upload and delete:
+--
+--   upload_tickets       one row per ticket: its limits and what it has used
+--   upload_ticket_files  the paths uploaded under it — the only ones it may
+--                        delete
+--
+-- reserve_upload() counts a file against its ticket before the bytes are
+-- stored (and release_upload() gives it back if storing fails, or when the
+-- customer removes it). /api/cron prunes expired tickets.
+
+CREATE TABLE IF NOT EXISTS public.upload_tickets (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id  uuid,
+  max_files        integer NOT NULL,
+  max_bytes        bigint NOT NULL,
+  files            integer NOT NULL DEFAULT 0,
+  bytes            bigint NOT NULL DEFAULT 0,
+  ip               text,
+  expires_at       timestamptz NOT NULL,
+  created_at       timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS upload_tickets_expires_idx
+  ON public.upload_tickets (expires_at);
+
+ALTER TABLE public.upload_tickets ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.upload_ticket_files (
+  ticket_id   uuid NOT NULL REFERENCES public.upload_tickets(id) ON DELETE CASCADE,
+  path        text NOT NULL,
+  bytes       bigint NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (ticket_id, path)
+);
+
+ALTER TABLE public.upload_ticket_files ENABLE ROW LEVEL SECURITY;
+
+-- Count one file against a ticket. Returns
+--   { "ok": true }
+--   { "ok": false, "reason": "unknown" | "expired" | "files" | "bytes" }
+-- The ticket row is locked, so parallel uploads can't both take the last
+-- place.
+create or replace function public.reserve_upload(
+  p_ticket uuid, p_org uuid, p_path text, p_bytes bigint
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_ticket public.upload_tickets%rowtype;
+begin
+  select * into v_ticket from public.upload_tickets t
+  where t.id = p_ticket and t.organization_id is not distinct from p_org
+  for update;
+  if not found then
+    return jsonb_build_object('ok', false, 'reason', 'unknown');
+  end if;
+  if v_ticket.expires_at <= now() then
+    return jsonb_build_object('ok', false, 'reason', 'expired');
+  end if;
+  if v_ticket.files + 1 > v_ticket.max_files then
+    return jsonb_build_object('ok', false, 'reason', 'files');
+  end if;
+  if v_ticket.bytes + p_bytes > v_ticket.max_bytes then
+    return jsonb_build_object('ok', false, 'reason', 'bytes');
+  end if;
+
+  insert into public.upload_ticket_files (ticket_id, path, bytes)
+  values (p_ticket, p_path, p_bytes);
+  update public.upload_tickets
+     set files = files + 1, bytes = bytes + p_bytes
+   where id = p_ticket;
+  return jsonb_build_object('ok', true);
+end;
+$$;
+
+-- Give a file's place back. True if the path was the ticket's to give.
+create or replace function public.release_upload(p_ticket uuid, p_path text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, pg_temp
+as $$
+declare
+  v_bytes bigint;
+begin
+  delete from public.upload_ticket_files f
+  where f.ticket_id = p_ticket and f.path = p_path
+  returning f.bytes into v_bytes;
+  if not found then
+    return false;
+  end if;
+  update public.upload_tickets
+     set files = greatest(files - 1, 0), bytes = greatest(bytes - v_bytes, 0)
+   where id = p_ticket;
+  return true;
+end;
+$$;
+
+revoke all on function public.reserve_upload(uuid, uuid, text, bigint) from public;
+grant execute on function public.reserve_upload(uuid, uuid, text, bigint) to service_role;
+revoke all on function public.release_upload(uuid, text) from public;
+grant execute on function public.release_upload(uuid, text) to service_role;
+
+notify pgrst, 'reload schema';
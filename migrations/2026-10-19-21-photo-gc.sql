@@ -0,0 +1,69 @@
+-- Orphaned enquiry photos (functions/_lib/photo-gc.js, the `photo_gc` job in
+-- /api/cron).
+--
+-- The contact form uploads photos as soon as they're picked, so a customer
+-- who abandons the form leaves them in enquiry-photos/<org>/<yyyy>/<mm>/
+-- with nothing pointing at them. The job lists the organisation's objects,
+-- asks referenced_photo_paths() which are still in use and deletes the rest
+-- once they're past a grace period.
+--
+--   photo_gc_runs  one row per run: what was looked at, what was (or, in a
+--                  dry run, would have been) deleted and how many bytes that
+--                  freed. Also keeps the job to once every PHOTO_GC_HOURS.
+
+CREATE TABLE IF NOT EXISTS public.photo_gc_runs (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  organization_id  uuid,
+  dry_run          boolean NOT NULL DEFAULT false,
+  grace_hours      integer NOT NULL,
+  objects_scanned  integer NOT NULL DEFAULT 0,
+  photos_kept      integer NOT NULL DEFAULT 0,
+  photos_orphaned  integer NOT NULL DEFAULT 0,
+  objects_deleted  integer NOT NULL DEFAULT 0,
+  bytes_reclaimed  bigint NOT NULL DEFAULT 0,
+  orphans          jsonb NOT NULL DEFAULT '[]'::jsonb,
+  errors           jsonb NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS photo_gc_runs_org_created_idx
+  ON public.photo_gc_runs (organization_id, created_at DESC);
+
+ALTER TABLE public.photo_gc_runs ENABLE ROW LEVEL SECURITY;
+
+-- Which of these storage paths something still points at:
+--   enquiries.photo_urls                     submitted enquiries
+--   outbox payload args.photo_urls           emails not sent yet
+--   upload_ticket_files (unexpired tickets)  a form still being filled in
+-- Not limited to one organisation: paths already carry the organisation id,
+-- and a row with the wrong (or no) organization_id should still keep its
+-- photos. to_jsonb() reads photo_urls whether it is text[] or jsonb.
+create or replace function public.referenced_photo_paths(p_paths text[])
+returns setof text
+language sql
+stable
+security definer
+set search_path = public, pg_temp
+as $$
+  select p.path
+  from unnest(p_paths) as p(path)
+  where exists (
+          select 1 from public.enquiries e
+          where to_jsonb(e.photo_urls) ? p.path
+        )
+     or exists (
+          select 1 from public.outbox o
+          where o.status in ('pending', 'processing')
+            and o.payload->'args'->'photo_urls' ? p.path
+        )
+     or exists (
+          select 1 from public.upload_ticket_files f
+          join public.upload_tickets t on t.id = f.ticket_id
+          where f.path = p.path and t.expires_at > now()
+        );
+$$;
+
+revoke all on function public.referenced_photo_paths(text[]) from public;
+grant execute on function public.referenced_photo_paths(text[]) to service_role;
+
+notify pgrst, 'reload schema';
@@ -243,6 +243,247 @@
         document.body.insertBefore(link, document.body.firstChild);
     }
 
+    // Spam guard for every form that posts to /api/submit (see
+    // functions/_lib/submit-guard.js). Pages call
+    //   var guard = window.smSubmitGuard ? await window.smSubmitGuard(form) : {};
+    // and merge the result into their request body. `scope` is the form (or
+    // panel) being submitted; a honeypot field is added to it if missing.
+    // The result also carries the form's idempotency key and how the visitor
+    // found the site (see below).
+    // Turnstile only loads once a site key is configured, and runs in
+    // interaction-only mode so most visitors never see it.
+    var HONEYPOT_NAME = 'website';
+    var TURNSTILE_SRC = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+    var TURNSTILE_TIMEOUT_MS = 30000;
+    var turnstileReady = null;
+
+    function ensureHoneypot(scope) {
+        if (!scope || scope.querySelector('input[name="' + HONEYPOT_NAME + '"]')) return;
+        var wrap = document.createElement('div');
+        wrap.setAttribute('aria-hidden', 'true');
+        wrap.style.cssText = 'position:absolute;left:-9999px;top:auto;width:1px;height:1px;overflow:hidden;';
+        var input = document.createElement('input');
+        input.type = 'text';
+        input.name = HONEYPOT_NAME;
+        input.tabIndex = -1;
+        input.autocomplete = 'off';
+        wrap.appendChild(input);
+        scope.appendChild(wrap);
+    }
+
+    // Resolves to the site key once the Turnstile script is loaded, or null
+    // when Turnstile is off or unreachable (the server then decides).
+    function loadTurnstile() {
+        if (turnstileReady) return turnstileReady;
+        turnstileReady = fetch('/api/config')
+            .then(function (res) { return res.ok ? res.json() : {}; })
+            .then(function (cfg) {
+                if (!cfg.turnstileSiteKey) return null;
+                if (window.turnstile) return cfg.turnstileSiteKey;
+                return new Promise(function (resolve) {
+                    var script = document.createElement('script');
+                    script.src = TURNSTILE_SRC;
+                    script.async = true;
+                    script.onload = function () { resolve(cfg.turnstileSiteKey); };
+                    script.onerror = function () { resolve(null); };
+                    document.head.appendChild(script);
+                });
+            })
+            .catch(function () { return null; });
+        return turnstileReady;
+    }
+
+    // A fresh widget per submission: tokens are single-use.
+    function turnstileToken() {
+        return loadTurnstile().then(function (siteKey) {
+            if (!siteKey || !window.turnstile) return '';
+            return new Promise(function (resolve) {
+                var box = document.createElement('div');
+                box.style.cssText = 'position:fixed;left:50%;bottom:24px;transform:translateX(-50%);z-index:10001;';
+                document.body.appendChild(box);
+                var widgetId = null;
+                var done = false;
+                function finish(token) {
+                    if (done) return;
+                    done = true;
+                    if (widgetId !== null) {
+                        try { window.turnstile.remove(widgetId); } catch (e) { /* already gone */ }
+                    }
+                    if (box.parentNode) box.parentNode.removeChild(box);
+                    resolve(token || '');
+                }
+                widgetId = window.turnstile.render(box, {
+                    sitekey: siteKey,
+                    appearance: 'interaction-only',
+                    callback: finish,
+                    'error-callback': function () { finish(''); },
+                    'expired-callback': function () { finish(''); }
+                });
+                setTimeout(function () { finish(''); }, TURNSTILE_TIMEOUT_MS);
+            });
+        });
+    }
+
+    function submitGuard(scope) {
+        ensureHoneypot(scope);
+        var trap = scope ? scope.querySelector('input[name="' + HONEYPOT_NAME + '"]') : null;
+        return turnstileToken().then(function (token) {
+            return {
+                website: trap ? trap.value : '',
+                turnstile_token: token,
+                idempotency_key: idempotencyKey(scope || 'page'),
+                attribution: readAttribution(),
+            };
+        });
+    }
+
+    // Idempotency keys (functions/_lib/idempotency.js): one per form (or any
+    // name), kept until smIdempotencyDone, so a double tap or a retry after a
+    // dropped connection reaches the server as the same request. The server
+    // ties a key to the request body, so a changed form is a new request anyway.
+    var idempotencyKeys = new Map();
+
+    function idempotencyKey(scope) {
+        if (!idempotencyKeys.has(scope)) idempotencyKeys.set(scope, randomKey());
+        return idempotencyKeys.get(scope);
+    }
+
+    function idempotencyDone(scope) {
+        idempotencyKeys.delete(scope);
+    }
+
+    function randomKey() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        var bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+    }
+
+    // Honeypots go in up front so form-filling bots see them; Turnstile is
+    // fetched the first time someone focuses a field.
+    function prepareSubmitGuard() {
+        var forms = document.querySelectorAll('form');
+        for (var i = 0; i < forms.length; i++) ensureHoneypot(forms[i]);
+        document.addEventListener('focusin', function onFocus(e) {
+            if (!e.target.matches || !e.target.matches('input, textarea, select')) return;
+            document.removeEventListener('focusin', onFocus);
+            loadTurnstile();
+        });
+    }
+
+    // Marketing attribution (functions/_lib/attribution.js). A page load that
+    // arrives with UTM tags, a gclid / fbclid or from another site is a new
+    // "touch": where it came from, the landing page and when. The first touch
+    // and the latest go with every form. Reloads, clicks between our own pages
+    // and direct returns keep the touch already noted. Kept for the visit only
+    // unless cookies were accepted, then across visits.
+    var ATTRIBUTION_KEY = 'sm_attribution';
+    var ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+
+    function attributionStore() {
+        try {
+            return localStorage.getItem('cookieConsent') === 'accepted' ? localStorage : sessionStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Falls back to the visit's copy, so accepting cookies mid-visit keeps it.
+    function readAttribution() {
+        var stores = [attributionStore(), window.sessionStorage];
+        for (var i = 0; i < stores.length; i++) {
+            try {
+                var saved = stores[i] && JSON.parse(stores[i].getItem(ATTRIBUTION_KEY) || 'null');
+                if (saved && saved.last_touch) return saved;
+            } catch (e) { /* blocked or unreadable */ }
+        }
+        return {};
+    }
+
+    function sameSite(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '') === window.location.hostname.replace(/^www\./, '');
+        } catch (e) {
+            return true;
+        }
+    }
+
+    function recordTouch() {
+        var store = attributionStore();
+        if (!store) return;
+        var params = new URLSearchParams(window.location.search);
+        var touch = {};
+        ATTRIBUTION_PARAMS.forEach(function (name) {
+            if (params.get(name)) touch[name] = params.get(name).slice(0, 100);
+        });
+        if (document.referrer && !sameSite(document.referrer)) touch.referrer = document.referrer.slice(0, 2000);
+        var saved = readAttribution();
+        if (saved.last_touch && Object.keys(touch).length === 0) return;
+        touch.landing_page = window.location.pathname;
+        touch.at = new Date().toISOString();
+        saved.first_touch = saved.first_touch || touch;
+        saved.last_touch = touch;
+        try {
+            store.setItem(ATTRIBUTION_KEY, JSON.stringify(saved));
+        } catch (e) { /* storage full or blocked */ }
+    }
+
+    window.smSubmitGuard = submitGuard;
+    window.smIdempotencyKey = idempotencyKey;
+    window.smIdempotencyDone = idempotencyDone;
+
+    // Field-level errors from the API (functions/_lib/validate.js) shown
+    // under the matching inputs. `fields` is the response's { field: message }
+    // map; `ids` maps API field names to input ids where they differ
+    // (e.g. { name: 'firstName' }). Fields with no matching input are left
+    // to the caller's general error message. Returns how many were shown.
+    function ensureFieldErrorStyle() {
+        if (document.getElementById('sm-field-error-style')) return;
+        var style = document.createElement('style');
+        style.id = 'sm-field-error-style';
+        style.textContent =
+            '.sm-field-invalid{border-color:#b44 !important;}' +
+            '.sm-field-error{color:#b44;font-size:0.82rem;margin:0.3rem 0 0;}';
+        document.head.appendChild(style);
+    }
+
+    function clearFieldErrors(scope) {
+        if (!scope) return;
+        var old = scope.querySelectorAll('.sm-field-error');
+        for (var i = 0; i < old.length; i++) old[i].parentNode.removeChild(old[i]);
+        var marked = scope.querySelectorAll('.sm-field-invalid');
+        for (var j = 0; j < marked.length; j++) {
+            marked[j].classList.remove('sm-field-invalid');
+            marked[j].removeAttribute('aria-invalid');
+        }
+    }
+
+    function showFieldErrors(scope, fields, ids) {
+        clearFieldErrors(scope);
+        if (!scope || !fields) return 0;
+        ensureFieldErrorStyle();
+        var shown = 0;
+        var first = null;
+        Object.keys(fields).forEach(function (key) {
+            var id = ids && ids[key];
+            var input = id ? document.getElementById(id) : scope.querySelector('[name="' + key + '"]');
+            if (!input) return;
+            input.classList.add('sm-field-invalid');
+            input.setAttribute('aria-invalid', 'true');
+            var msg = document.createElement('p');
+            msg.className = 'sm-field-error';
+            msg.setAttribute('role', 'alert');
+            msg.textContent = fields[key];
+            input.insertAdjacentElement('afterend', msg);
+            if (!first) first = input;
+            shown++;
+        });
+        if (first && first.focus) first.focus();
+        return shown;
+    }
+
+    window.smShowFieldErrors = showFieldErrors;
+
     function init() {
         watchChatWidget();
         ensureShortlistBadge();
@@ -250,6 +491,8 @@
         ensureSkipLink();
         ensureFooterDisclosures();
         compactFooter();
+        prepareSubmitGuard();
+        recordTouch();
         window.addEventListener('storage', function (e) {
             if (e.key === SHORTLIST_KEY) updateShortlistBadge();
         });
@@ -0,0 +1,28 @@
+/**
+ * Sears Melvin Memorials — scheduler Worker
+ *
+ * The site runs on Cloudflare Pages, which has no Cron Triggers, so this
+ * standalone Worker owns the schedule and simply calls the site's /api/cron
+ * endpoint, where the actual jobs live.
+ *
+ * Deploy:  npx wrangler deploy --config workers/cron/wrangler.jsonc
+ * Secrets: npx wrangler secret put CRON_SECRET --config workers/cron/wrangler.jsonc
+ *          (must match CRON_SECRET on the Pages project)
+ */
+
+export default {
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(runJobs(env, controller.cron));
+  },
+};
+
+async function runJobs(env, cron) {
+  const res = await fetch(`${env.SITE_URL}/api/cron`, {
+    method: "POST",
+    headers: { "Authorization": `Bearer ${env.CRON_SECRET}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ cron }),
+  });
+  const body = await res.text();
+  if (!res.ok) throw new Error(`/api/cron ${res.status}: ${body}`);
+  console.log(`[cron ${cron}]`, body);
+}